@@ -0,0 +1,70 @@
+/**
+ * Give tournaments without an owner to a user
+ *
+ * Tournaments created before ownership was tracked, and those whose owner's
+ * account was deleted, have no owner: nobody can change them until they are
+ * given one. Tournaments that already have an owner are never reassigned.
+ *
+ * Usage:
+ *   node db/assignOwner.js <email>                  Every ownerless tournament
+ *   node db/assignOwner.js <email> <id> [<id> ...]  Only the listed ones
+ */
+
+/**
+ * Make the user with `email` the owner of the ownerless tournaments, or of
+ * those among `tournamentIds`
+ * @returns {Promise<Array>} IDs of the tournaments assigned
+ */
+async function assignOwnerless(db, email, tournamentIds = []) {
+  const users = await db.query('SELECT id FROM users WHERE email = $1', [email.toLowerCase().trim()]);
+  if (!users.rows[0]) {
+    throw new Error(`No user with email ${email}`);
+  }
+  const userId = users.rows[0].id;
+
+  const ownerless = await db.query('SELECT id FROM tournaments WHERE owner_id IS NULL ORDER BY id');
+  const wanted = new Set(tournamentIds.map(Number));
+  const ids = ownerless.rows
+    .map((row) => Number(row.id))
+    .filter((id) => wanted.size === 0 || wanted.has(id));
+
+  await db.transaction(async (conn) => {
+    for (const id of ids) {
+      await conn.query(
+        'UPDATE tournaments SET owner_id = $1 WHERE id = $2 AND owner_id IS NULL',
+        [userId, id]
+      );
+    }
+  });
+  return ids;
+}
+
+module.exports = { assignOwnerless };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const db = require('./index');
+  const [email, ...ids] = process.argv.slice(2);
+
+  const run = async () => {
+    if (!email) {
+      throw new Error('Usage: node db/assignOwner.js <email> [tournamentId ...]');
+    }
+    if (ids.some((id) => Number.isNaN(parseInt(id, 10)))) {
+      throw new Error('Tournament IDs must be numbers');
+    }
+    await db.ready;
+    const assigned = await assignOwnerless(db, email, ids.map((id) => parseInt(id, 10)));
+    console.log(assigned.length
+      ? `✅ ${email} now owns tournament(s) ${assigned.join(', ')}`
+      : '✅ No ownerless tournaments to assign');
+  };
+
+  run()
+    .then(() => db.close())
+    .catch((error) => {
+      console.error('❌ Assigning owner failed:', error.message);
+      process.exitCode = 1;
+      return db.close();
+    });
+}
@@ -0,0 +1,115 @@
+/**
+ * Database connection
+ * Uses PostgreSQL in production, SQLite in development
+ */
+
+const isProduction = process.env.NODE_ENV === 'production';
+let db;
+
+/**
+ * Rewrite a PostgreSQL query ($1, $2, ...) for better-sqlite3, which only
+ * binds anonymous "?" parameters and cannot bind booleans.
+ */
+function toSqlite(text, params = []) {
+  const args = [];
+  const sql = text.replace(/\$(\d+)/g, (match, index) => {
+    const value = params[parseInt(index, 10) - 1];
+    args.push(typeof value === 'boolean' ? Number(value) : value);
+    return '?';
+  });
+  return { sql, args };
+}
+
+if (isProduction && process.env.DATABASE_URL) {
+  // PostgreSQL for production
+  const { Pool } = require('pg');
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_URL.includes('localhost') ? false : {
+      rejectUnauthorized: false
+    }
+  });
+
+  db = {
+    query: (text, params) => pool.query(text, params),
+    transaction: async (callback) => {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await callback({
+          query: (text, params) => client.query(text, params),
+          type: 'postgres'
+        });
+        await client.query('COMMIT');
+        return result;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+    close: () => pool.end(),
+    type: 'postgres'
+  };
+
+  console.log('✅ Connected to PostgreSQL database');
+} else {
+  // SQLite for development
+  try {
+    const Database = require('better-sqlite3');
+    const dbPath = process.env.DB_PATH || './dev.db';
+    const sqlite = new Database(dbPath);
+    sqlite.pragma('foreign_keys = ON');
+
+    const runQuery = (text, params) => {
+      // Convert PostgreSQL-style queries to SQLite
+      const { sql, args } = toSqlite(text, params);
+      const stmt = sqlite.prepare(sql);
+      if (stmt.reader) {
+        const rows = stmt.all(args);
+        return { rows, rowCount: rows.length };
+      }
+      const info = stmt.run(args);
+      return { rows: [], rowCount: info.changes };
+    };
+    
+    db = {
+      query: (text, params) => {
+        try {
+          return Promise.resolve(runQuery(text, params));
+        } catch (error) {
+          return Promise.reject(error);
+        }
+      },
+      transaction: async (callback) => {
+        sqlite.exec('BEGIN');
+        try {
+          const result = await callback(db);
+          sqlite.exec('COMMIT');
+          return result;
+        } catch (error) {
+          sqlite.exec('ROLLBACK');
+          throw error;
+        }
+      },
+      querySync: (text, params) => {
+        const stmt = sqlite.prepare(text);
+        if (params && params.length > 0) {
+          return { rows: stmt.all(params), rowCount: stmt.changes || 0 };
+        }
+        return { rows: stmt.all(), rowCount: 0 };
+      },
+      close: () => sqlite.close(),
+      type: 'sqlite',
+      raw: sqlite
+    };
+
+    console.log('✅ Connected to SQLite database');
+  } catch (error) {
+    console.error('❌ Database connection error:', error);
+    throw error;
+  }
+}
+
+module.exports = db;
@@ -0,0 +1,16 @@
+/**
+ * Column types that differ between PostgreSQL and SQLite
+ */
+
+function idColumn(db) {
+  return db.type === 'postgres' ? 'SERIAL PRIMARY KEY' : 'INTEGER PRIMARY KEY AUTOINCREMENT';
+}
+
+function timestampType(db) {
+  return db.type === 'postgres' ? 'TIMESTAMP' : 'DATETIME';
+}
+
+module.exports = {
+  idColumn,
+  timestampType
+};
@@ -0,0 +1,170 @@
+/**
+ * Versioned schema migrations
+ *
+ * Migrations live in db/migrations as NNN_description.js and export
+ * async up(db) and down(db) functions. Each migration runs in its own
+ * transaction and applied versions are recorded in schema_migrations.
+ *
+ * Usage:
+ *   node db/migrate.js up             Apply all pending migrations
+ *   node db/migrate.js down [steps]   Roll back the last N migrations (default 1)
+ *   node db/migrate.js status         List applied and pending migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { timestampType } = require('./dialect');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Load migration modules sorted by version
+ */
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(directory)
+    .map((file) => {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) return null;
+      const migration = require(path.join(directory, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+function label(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at ${timestampType(db)} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedVersions(db) {
+  await ensureMigrationsTable(db);
+  const result = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map((row) => Number(row.version));
+}
+
+/**
+ * Apply all pending migrations in version order
+ * @returns {Promise<Array>} The migrations that were applied
+ */
+async function migrate(db, { migrations = loadMigrations(), log = console.log } = {}) {
+  const applied = new Set(await getAppliedVersions(db));
+  const pending = migrations.filter((migration) => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    await db.transaction(async (conn) => {
+      await migration.up(conn);
+      await conn.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    });
+    log(`⬆️  Applied migration ${label(migration)}`);
+  }
+
+  return pending;
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @returns {Promise<Array>} The migrations that were rolled back
+ */
+async function rollback(db, steps = 1, { migrations = loadMigrations(), log = console.log } = {}) {
+  const applied = await getAppliedVersions(db);
+  const toRollBack = applied.slice(-steps).reverse();
+  const rolledBack = [];
+
+  for (const version of toRollBack) {
+    const migration = migrations.find((m) => m.version === version);
+    if (!migration) {
+      throw new Error(`Cannot roll back version ${version}: migration file not found`);
+    }
+    await db.transaction(async (conn) => {
+      await migration.down(conn);
+      await conn.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+    });
+    log(`⬇️  Rolled back migration ${label(migration)}`);
+    rolledBack.push(migration);
+  }
+
+  return rolledBack;
+}
+
+/**
+ * List every known migration with whether it has been applied
+ */
+async function status(db, { migrations = loadMigrations() } = {}) {
+  const applied = new Set(await getAppliedVersions(db));
+  return migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version)
+  }));
+}
+
+module.exports = {
+  loadMigrations,
+  migrate,
+  rollback,
+  status
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const db = require('./connection');
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  const run = async () => {
+    if (command === 'up') {
+      const applied = await migrate(db);
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (Number.isNaN(steps) || steps < 1) {
+        throw new Error('Steps must be a positive number');
+      }
+      const rolledBack = await rollback(db, steps);
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+    } else if (command === 'status') {
+      for (const migration of await status(db)) {
+        console.log(`${migration.applied ? '[x]' : '[ ]'} ${label(migration)}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status`);
+    }
+  };
+
+  run()
+    .then(() => db.close())
+    .catch((error) => {
+      console.error('❌ Migration failed:', error.message);
+      process.exitCode = 1;
+      return db.close();
+    });
+}
@@ -0,0 +1,26 @@
+/**
+ * Users table for authentication
+ */
+
+const { idColumn, timestampType } = require('../dialect');
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id ${idColumn(db)},
+        email TEXT UNIQUE NOT NULL,
+        password_hash TEXT NOT NULL,
+        name TEXT NOT NULL,
+        created_at ${timestampType(db)} DEFAULT CURRENT_TIMESTAMP,
+        updated_at ${timestampType(db)} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
+  },
+
+  down: async (db) => {
+    await db.query('DROP INDEX IF EXISTS idx_users_email');
+    await db.query('DROP TABLE IF EXISTS users');
+  }
+};
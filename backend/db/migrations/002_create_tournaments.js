@@ -0,0 +1,67 @@
+/**
+ * Tournaments with their players, rounds and pairings
+ */
+
+const { idColumn, timestampType } = require('../dialect');
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS tournaments (
+        id ${idColumn(db)},
+        name TEXT NOT NULL,
+        tournament_type TEXT NOT NULL DEFAULT 'swiss',
+        number_of_rounds INTEGER NOT NULL DEFAULT 0,
+        current_round INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'registration',
+        created_at ${timestampType(db)} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS players (
+        id ${idColumn(db)},
+        tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        rating INTEGER,
+        pairing_number INTEGER,
+        created_at ${timestampType(db)} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS idx_players_tournament ON players(tournament_id)');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS rounds (
+        id ${idColumn(db)},
+        tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+        round_number INTEGER NOT NULL,
+        forced_repeat BOOLEAN NOT NULL DEFAULT FALSE,
+        repeat_count INTEGER NOT NULL DEFAULT 0,
+        completed BOOLEAN NOT NULL DEFAULT FALSE,
+        completed_at ${timestampType(db)},
+        UNIQUE (tournament_id, round_number)
+      )
+    `);
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS pairings (
+        id ${idColumn(db)},
+        round_id INTEGER NOT NULL REFERENCES rounds(id) ON DELETE CASCADE,
+        board_number INTEGER NOT NULL,
+        player1_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+        player2_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+        white_player_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+        black_player_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+        is_bye BOOLEAN NOT NULL DEFAULT FALSE,
+        is_repeat BOOLEAN NOT NULL DEFAULT FALSE,
+        result TEXT,
+        UNIQUE (round_id, board_number)
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS idx_pairings_round ON pairings(round_id)');
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS pairings');
+    await db.query('DROP TABLE IF EXISTS rounds');
+    await db.query('DROP TABLE IF EXISTS players');
+    await db.query('DROP TABLE IF EXISTS tournaments');
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Tie each tournament to the user who created it
+ */
+
+module.exports = {
+  up: async (db) => {
+    await db.query('ALTER TABLE tournaments ADD COLUMN owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_tournaments_owner ON tournaments(owner_id)');
+  },
+
+  down: async (db) => {
+    await db.query('DROP INDEX IF EXISTS idx_tournaments_owner');
+    await db.query('ALTER TABLE tournaments DROP COLUMN owner_id');
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Per-tournament staff roles (co-owners, arbiters, result entry, viewers)
+ */
+
+const { idColumn, timestampType } = require('../dialect');
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS tournament_roles (
+        id ${idColumn(db)},
+        tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role TEXT NOT NULL,
+        created_at ${timestampType(db)} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (tournament_id, user_id)
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS idx_tournament_roles_user ON tournament_roles(user_id)');
+  },
+
+  down: async (db) => {
+    await db.query('DROP TABLE IF EXISTS tournament_roles');
+  }
+};
@@ -0,0 +1,13 @@
+/**
+ * Ordered tiebreak list chosen for each tournament, stored as a JSON array
+ */
+
+module.exports = {
+  up: async (db) => {
+    await db.query('ALTER TABLE tournaments ADD COLUMN tiebreaks TEXT');
+  },
+
+  down: async (db) => {
+    await db.query('ALTER TABLE tournaments DROP COLUMN tiebreaks');
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Requested half-point and zero-point byes, the limits organizers set on
+ * them, and the kind of bye each bye pairing was
+ */
+
+const { idColumn, timestampType } = require('../dialect');
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS bye_requests (
+        id ${idColumn(db)},
+        tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+        player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+        round_number INTEGER NOT NULL,
+        bye_type TEXT NOT NULL,
+        created_at ${timestampType(db)} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (tournament_id, player_id, round_number)
+      )
+    `);
+    await db.query('ALTER TABLE tournaments ADD COLUMN max_half_byes INTEGER');
+    await db.query('ALTER TABLE tournaments ADD COLUMN no_half_byes_last_rounds INTEGER NOT NULL DEFAULT 0');
+    // NULL for the automatic full-point bye given to byes stored before this
+    await db.query('ALTER TABLE pairings ADD COLUMN bye_type TEXT');
+  },
+
+  down: async (db) => {
+    await db.query('ALTER TABLE pairings DROP COLUMN bye_type');
+    await db.query('ALTER TABLE tournaments DROP COLUMN no_half_byes_last_rounds');
+    await db.query('ALTER TABLE tournaments DROP COLUMN max_half_byes');
+    await db.query('DROP TABLE IF EXISTS bye_requests');
+  }
+};
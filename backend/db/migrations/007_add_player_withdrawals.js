@@ -0,0 +1,16 @@
+/**
+ * Withdrawn and paused players: the last round a withdrawn player was paired
+ * in, and the last round a paused player sits out
+ */
+
+module.exports = {
+  up: async (db) => {
+    await db.query('ALTER TABLE players ADD COLUMN withdrawn_after_round INTEGER');
+    await db.query('ALTER TABLE players ADD COLUMN paused_through_round INTEGER');
+  },
+
+  down: async (db) => {
+    await db.query('ALTER TABLE players DROP COLUMN paused_through_round');
+    await db.query('ALTER TABLE players DROP COLUMN withdrawn_after_round');
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Append-only log of changes made to tournaments. Entries are kept after
+ * the tournament or the acting user is deleted, so neither is a foreign key.
+ */
+
+const { idColumn, timestampType } = require('../dialect');
+
+module.exports = {
+  up: async (db) => {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id ${idColumn(db)},
+        tournament_id INTEGER NOT NULL,
+        user_id INTEGER,
+        action TEXT NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        created_at ${timestampType(db)} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS idx_audit_log_tournament ON audit_log(tournament_id)');
+  },
+
+  down: async (db) => {
+    await db.query('DROP INDEX IF EXISTS idx_audit_log_tournament');
+    await db.query('DROP TABLE IF EXISTS audit_log');
+  }
+};
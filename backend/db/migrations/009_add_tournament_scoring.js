@@ -0,0 +1,14 @@
+/**
+ * Points per outcome chosen for each tournament (win, draw, loss, byes...),
+ * stored as a JSON object of the values that differ from 1-½-0
+ */
+
+module.exports = {
+  up: async (db) => {
+    await db.query('ALTER TABLE tournaments ADD COLUMN scoring TEXT');
+  },
+
+  down: async (db) => {
+    await db.query('ALTER TABLE tournaments DROP COLUMN scoring');
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * Rounds whose pairing ran out of time and were paired by the quick
+ * fallback instead of the tournament's pairing system
+ */
+
+module.exports = {
+  up: async (db) => {
+    await db.query('ALTER TABLE rounds ADD COLUMN pairing_timed_out BOOLEAN NOT NULL DEFAULT FALSE');
+  },
+
+  down: async (db) => {
+    await db.query('ALTER TABLE rounds DROP COLUMN pairing_timed_out');
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Players' teams (or clubs), so team-mates can be kept apart, and the
+ * pairing rule variations a TD chose for the tournament, stored as a JSON
+ * object of the values that differ from the defaults
+ */
+
+module.exports = {
+  up: async (db) => {
+    await db.query('ALTER TABLE players ADD COLUMN team TEXT');
+    await db.query('ALTER TABLE tournaments ADD COLUMN pairing_variations TEXT');
+  },
+
+  down: async (db) => {
+    await db.query('ALTER TABLE tournaments DROP COLUMN pairing_variations');
+    await db.query('ALTER TABLE players DROP COLUMN team');
+  }
+};
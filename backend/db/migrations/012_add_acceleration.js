@@ -0,0 +1,17 @@
+/**
+ * The acceleration chosen for an accelerated Swiss, stored as a JSON object
+ * of the settings that differ from its scheme's, and the virtual points
+ * each round was paired with, as a JSON object of player ID to points
+ */
+
+module.exports = {
+  up: async (db) => {
+    await db.query('ALTER TABLE tournaments ADD COLUMN acceleration TEXT');
+    await db.query('ALTER TABLE rounds ADD COLUMN virtual_points TEXT');
+  },
+
+  down: async (db) => {
+    await db.query('ALTER TABLE rounds DROP COLUMN virtual_points');
+    await db.query('ALTER TABLE tournaments DROP COLUMN acceleration');
+  }
+};
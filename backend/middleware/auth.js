@@ -2,6 +2,9 @@
  * Authentication middleware
  */
 
+const Tournament = require('../models/Tournament');
+const TournamentRole = require('../models/TournamentRole');
+
 /**
  * Require authentication - blocks unauthenticated requests
  */
@@ -23,7 +26,46 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
+/**
+ * Require the signed-in user to hold a role in the tournament in req.params.id
+ * that grants the given permission (see models/TournamentRole.js).
+ * Use after requireAuth; the loaded tournament and the user's role are
+ * available as req.tournament and req.tournamentRole.
+ */
+const requireTournamentPermission = (permission) => async (req, res, next) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament not found'
+      });
+    }
+
+    const role = await TournamentRole.findRole(tournament, req.session.userId);
+
+    if (!TournamentRole.can(role, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to do this in this tournament'
+      });
+    }
+
+    req.tournament = tournament;
+    req.tournamentRole = role;
+    next();
+  } catch (error) {
+    console.error('Tournament access check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check tournament access'
+    });
+  }
+};
+
 module.exports = {
   requireAuth,
-  optionalAuth
+  optionalAuth,
+  requireTournamentPermission
 };
@@ -0,0 +1,87 @@
+/**
+ * Tournament audit log with database operations
+ *
+ * Every change made through the tournament routes is recorded with the
+ * acting user, the time and the values before and after. Entries are only
+ * ever added: there is no update or delete.
+ */
+
+const db = require('../db');
+
+// PostgreSQL returns Date objects, SQLite returns the stored string
+function toIsoString(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function parseValue(text) {
+  return text === null || text === undefined ? null : JSON.parse(text);
+}
+
+function toEntry(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    user: row.user_id === null ? null : {
+      id: row.user_id,
+      name: row.user_name || null,
+      email: row.user_email || null,
+    },
+    oldValue: parseValue(row.old_value),
+    newValue: parseValue(row.new_value),
+    createdAt: toIsoString(row.created_at),
+  };
+}
+
+class AuditLog {
+  /**
+   * Append an entry. Values are stored as JSON; leave one out (undefined)
+   * when the action has no before or after, e.g. adding a player.
+   */
+  static async record(tournamentId, userId, action, { oldValue, newValue } = {}, conn = db) {
+    await conn.query(
+      `INSERT INTO audit_log (tournament_id, user_id, action, old_value, new_value, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        tournamentId,
+        userId || null,
+        action,
+        oldValue === undefined ? null : JSON.stringify(oldValue),
+        newValue === undefined ? null : JSON.stringify(newValue),
+        new Date().toISOString(),
+      ]
+    );
+  }
+
+  /**
+   * A tournament's entries, oldest first, with the acting user's name
+   */
+  static async findByTournament(tournamentId) {
+    const result = await db.query(
+      `SELECT a.*, u.name AS user_name, u.email AS user_email
+       FROM audit_log a
+       LEFT JOIN users u ON u.id = a.user_id
+       WHERE a.tournament_id = $1
+       ORDER BY a.id`,
+      [tournamentId]
+    );
+    return result.rows.map(toEntry);
+  }
+
+  /**
+   * The entry recording that a tournament was deleted, or null while it
+   * hasn't been
+   */
+  static async findDeletion(tournamentId) {
+    const result = await db.query(
+      `SELECT * FROM audit_log
+       WHERE tournament_id = $1 AND action = 'delete_tournament'
+       ORDER BY id DESC
+       LIMIT 1`,
+      [tournamentId]
+    );
+    return result.rows[0] ? toEntry(result.rows[0]) : null;
+  }
+}
+
+module.exports = AuditLog;
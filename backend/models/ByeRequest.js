@@ -0,0 +1,75 @@
+/**
+ * Requested byes with database operations
+ *
+ * A player can ask to sit out a round that has not been paired yet and
+ * take a half-point or zero-point bye for it. The request is kept after the
+ * round is paired so it still counts toward the tournament's bye limits.
+ */
+
+const db = require('../db');
+
+const BYE_TYPES = ['half', 'zero'];
+
+function toByeRequest(row) {
+  return {
+    id: row.id,
+    playerId: row.player_id,
+    roundNumber: row.round_number,
+    byeType: row.bye_type,
+  };
+}
+
+class ByeRequest {
+  /**
+   * List a tournament's bye requests in round order
+   */
+  static async findByTournament(tournamentId) {
+    const result = await db.query(
+      `SELECT * FROM bye_requests
+       WHERE tournament_id = $1
+       ORDER BY round_number, player_id`,
+      [tournamentId]
+    );
+    return result.rows.map(toByeRequest);
+  }
+
+  /**
+   * Map of player ID to bye type for the players who asked to sit out a round
+   */
+  static async findForRound(tournamentId, roundNumber) {
+    const result = await db.query(
+      'SELECT * FROM bye_requests WHERE tournament_id = $1 AND round_number = $2',
+      [tournamentId, roundNumber]
+    );
+    return new Map(result.rows.map((row) => [row.player_id, row.bye_type]));
+  }
+
+  /**
+   * Request a bye, replacing any earlier request for the same round
+   */
+  static async request(tournamentId, { playerId, roundNumber, byeType }, conn = db) {
+    const result = await conn.query(
+      `INSERT INTO bye_requests (tournament_id, player_id, round_number, bye_type)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (tournament_id, player_id, round_number) DO UPDATE SET bye_type = excluded.bye_type
+       RETURNING *`,
+      [tournamentId, playerId, roundNumber, byeType]
+    );
+    return toByeRequest(result.rows[0]);
+  }
+
+  /**
+   * Withdraw a bye request
+   */
+  static async remove(tournamentId, id, conn = db) {
+    const result = await conn.query(
+      'DELETE FROM bye_requests WHERE tournament_id = $1 AND id = $2',
+      [tournamentId, id]
+    );
+    return result.rowCount > 0;
+  }
+}
+
+ByeRequest.BYE_TYPES = BYE_TYPES;
+
+module.exports = ByeRequest;
@@ -0,0 +1,411 @@
+/**
+ * Tournament model with database operations
+ *
+ * A tournament is stored across the tournaments, players, rounds and
+ * pairings tables and reassembled here into the nested shape the pairing
+ * engines and the frontend work with.
+ */
+
+const db = require('../db');
+
+// PostgreSQL returns Date objects, SQLite returns the stored string
+function toIsoString(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+function toTournament(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    tournamentType: row.tournament_type,
+    numberOfRounds: row.number_of_rounds,
+    currentRound: row.current_round,
+    status: row.status,
+    ownerId: row.owner_id,
+    tiebreaks: row.tiebreaks ? JSON.parse(row.tiebreaks) : null,
+    scoring: row.scoring ? JSON.parse(row.scoring) : null,
+    pairingVariations: row.pairing_variations ? JSON.parse(row.pairing_variations) : null,
+    acceleration: row.acceleration ? JSON.parse(row.acceleration) : null,
+    maxHalfByes: row.max_half_byes === undefined ? null : row.max_half_byes,
+    noHalfByesInLastRounds: row.no_half_byes_last_rounds || 0,
+    createdAt: toIsoString(row.created_at),
+  };
+}
+
+function toPlayer(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    rating: row.rating,
+    team: row.team || null,
+    pairingNumber: row.pairing_number,
+    withdrawnAfterRound: row.withdrawn_after_round === undefined ? null : row.withdrawn_after_round,
+    pausedThroughRound: row.paused_through_round === undefined ? null : row.paused_through_round,
+  };
+}
+
+/**
+ * Whether a player takes part in a round: not withdrawn and not paused for it
+ */
+function isAvailableForRound(player, roundNumber) {
+  if (player.withdrawnAfterRound !== null && player.withdrawnAfterRound !== undefined) return false;
+  return !player.pausedThroughRound || player.pausedThroughRound < roundNumber;
+}
+
+function toPairingPlayer(player) {
+  if (!player) return null;
+  return { id: player.id, name: player.name, rating: player.rating || null };
+}
+
+function toPairing(row, playerMap) {
+  const pairing = {
+    player1: toPairingPlayer(playerMap.get(row.player1_id)),
+    player2: toPairingPlayer(playerMap.get(row.player2_id)),
+    boardNumber: row.board_number,
+    whitePlayerId: row.white_player_id,
+    blackPlayerId: row.black_player_id,
+  };
+  if (row.is_bye) {
+    pairing.isBye = true;
+    pairing.byeType = row.bye_type || 'full';
+  } else {
+    pairing.isRepeat = !!row.is_repeat;
+  }
+  if (row.result) {
+    pairing.result = row.result;
+  }
+  return pairing;
+}
+
+async function insertPairing(conn, roundId, pairing) {
+  await conn.query(
+    `INSERT INTO pairings
+       (round_id, board_number, player1_id, player2_id, white_player_id, black_player_id, is_bye, is_repeat, result, bye_type)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      roundId,
+      pairing.boardNumber,
+      pairing.player1.id,
+      pairing.player2 ? pairing.player2.id : null,
+      pairing.whitePlayerId || null,
+      pairing.blackPlayerId || null,
+      !!pairing.isBye,
+      !!pairing.isRepeat,
+      pairing.result || null,
+      pairing.isBye ? pairing.byeType || 'full' : null,
+    ]
+  );
+}
+
+// Maps camelCase tournament fields to their columns for update()
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  numberOfRounds: 'number_of_rounds',
+  currentRound: 'current_round',
+  status: 'status',
+  maxHalfByes: 'max_half_byes',
+  noHalfByesInLastRounds: 'no_half_byes_last_rounds',
+  scoring: 'scoring',
+  pairingVariations: 'pairing_variations',
+  acceleration: 'acceleration',
+};
+
+// Fields stored as JSON text
+const JSON_FIELDS = new Set(['scoring', 'pairingVariations', 'acceleration']);
+
+const toColumnValue = (key, value) => (
+  JSON_FIELDS.has(key) && value !== null && value !== undefined ? JSON.stringify(value) : value
+);
+
+class Tournament {
+  /**
+   * Create a new tournament
+   */
+  static async create({
+    name, tournamentType, numberOfRounds, ownerId, tiebreaks, maxHalfByes, noHalfByesInLastRounds, scoring,
+    pairingVariations, acceleration,
+  }, conn = db) {
+    const result = await conn.query(
+      `INSERT INTO tournaments
+         (name, tournament_type, number_of_rounds, current_round, status, owner_id, tiebreaks,
+          max_half_byes, no_half_byes_last_rounds, scoring, pairing_variations, acceleration, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING *`,
+      [
+        name,
+        tournamentType,
+        numberOfRounds,
+        0,
+        'registration',
+        ownerId || null,
+        tiebreaks ? JSON.stringify(tiebreaks) : null,
+        maxHalfByes === undefined ? null : maxHalfByes,
+        noHalfByesInLastRounds || 0,
+        scoring ? JSON.stringify(scoring) : null,
+        pairingVariations ? JSON.stringify(pairingVariations) : null,
+        acceleration ? JSON.stringify(acceleration) : null,
+        new Date().toISOString(),
+      ]
+    );
+    return { ...toTournament(result.rows[0]), players: [], rounds: [] };
+  }
+
+  /**
+   * List tournaments with their player counts, optionally only those a user
+   * owns or has been given a role in
+   */
+  static async findAll({ memberId } = {}) {
+    const filterByMember = memberId !== undefined;
+    const result = await db.query(
+      `SELECT t.*, (SELECT COUNT(*) FROM players p WHERE p.tournament_id = t.id) AS player_count
+       FROM tournaments t
+       ${filterByMember
+         ? `WHERE t.owner_id = $1
+              OR EXISTS (SELECT 1 FROM tournament_roles r WHERE r.tournament_id = t.id AND r.user_id = $1)`
+         : ''}
+       ORDER BY t.id`,
+      filterByMember ? [memberId] : []
+    );
+    return result.rows.map((row) => ({
+      ...toTournament(row),
+      playerCount: Number(row.player_count),
+    }));
+  }
+
+  /**
+   * Find a tournament by ID, including players, rounds and pairings
+   */
+  static async findById(id) {
+    const tournamentId = parseInt(id);
+    if (Number.isNaN(tournamentId)) return null;
+
+    const tournamentResult = await db.query('SELECT * FROM tournaments WHERE id = $1', [tournamentId]);
+    const row = tournamentResult.rows[0];
+    if (!row) return null;
+
+    const playersResult = await db.query(
+      'SELECT * FROM players WHERE tournament_id = $1 ORDER BY id',
+      [tournamentId]
+    );
+    const roundsResult = await db.query(
+      'SELECT * FROM rounds WHERE tournament_id = $1 ORDER BY round_number',
+      [tournamentId]
+    );
+    const pairingsResult = await db.query(
+      `SELECT p.*, r.round_number
+       FROM pairings p
+       JOIN rounds r ON r.id = p.round_id
+       WHERE r.tournament_id = $1
+       ORDER BY r.round_number, p.board_number`,
+      [tournamentId]
+    );
+
+    const players = playersResult.rows.map(toPlayer);
+    const playerMap = new Map(players.map((p) => [p.id, p]));
+
+    const rounds = roundsResult.rows.map((roundRow) => ({
+      roundNumber: roundRow.round_number,
+      pairings: pairingsResult.rows
+        .filter((pairingRow) => pairingRow.round_id === roundRow.id)
+        .map((pairingRow) => toPairing(pairingRow, playerMap)),
+      forcedRepeat: !!roundRow.forced_repeat,
+      repeatCount: roundRow.repeat_count,
+      pairingTimedOut: !!roundRow.pairing_timed_out,
+      completed: !!roundRow.completed,
+      ...(roundRow.virtual_points && { virtualPoints: JSON.parse(roundRow.virtual_points) }),
+      ...(roundRow.completed_at && { completedAt: toIsoString(roundRow.completed_at) }),
+    }));
+
+    return { ...toTournament(row), players, rounds };
+  }
+
+  /**
+   * Update top-level tournament fields (status, currentRound, ...)
+   */
+  static async update(id, fields, conn = db) {
+    const columns = Object.keys(fields).filter((key) => UPDATABLE_FIELDS[key]);
+    if (columns.length === 0) return;
+
+    const assignments = columns.map((key, index) => `${UPDATABLE_FIELDS[key]} = $${index + 2}`);
+    await conn.query(
+      `UPDATE tournaments SET ${assignments.join(', ')} WHERE id = $1`,
+      [id, ...columns.map((key) => toColumnValue(key, fields[key]))]
+    );
+  }
+
+  /**
+   * Delete a tournament (players, rounds and pairings cascade)
+   */
+  static async delete(id, conn = db) {
+    const result = await conn.query('DELETE FROM tournaments WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Register a player in a tournament
+   */
+  static async addPlayer(tournamentId, { name, rating, team }, conn = db) {
+    const result = await conn.query(
+      `INSERT INTO players (tournament_id, name, rating, team)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [tournamentId, name, rating, team || null]
+    );
+    return toPlayer(result.rows[0]);
+  }
+
+  /**
+   * Remove a player from a tournament
+   */
+  static async removePlayer(tournamentId, playerId, conn = db) {
+    const result = await conn.query(
+      'DELETE FROM players WHERE tournament_id = $1 AND id = $2',
+      [tournamentId, playerId]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Withdraw, pause or re-enter a player. A withdrawn player is no longer
+   * paired after `withdrawnAfterRound`; a paused one sits out every round
+   * up to and including `pausedThroughRound`. Null clears either.
+   */
+  static async setPlayerAvailability(tournamentId, playerId, { withdrawnAfterRound, pausedThroughRound }, conn = db) {
+    const result = await conn.query(
+      `UPDATE players SET withdrawn_after_round = $1, paused_through_round = $2
+       WHERE tournament_id = $3 AND id = $4
+       RETURNING *`,
+      [withdrawnAfterRound, pausedThroughRound, tournamentId, playerId]
+    );
+    return result.rows[0] ? toPlayer(result.rows[0]) : null;
+  }
+
+  /**
+   * Store pairing numbers (round robin lots, Swiss ranking order)
+   */
+  static async setPairingNumbers(tournamentId, players, conn = db) {
+    for (const player of players) {
+      await conn.query(
+        'UPDATE players SET pairing_number = $1 WHERE tournament_id = $2 AND id = $3',
+        [player.pairingNumber, tournamentId, player.id]
+      );
+    }
+  }
+
+  /**
+   * Insert a round together with its pairings
+   */
+  static async addRound(tournamentId, round, conn = db) {
+    const roundResult = await conn.query(
+      `INSERT INTO rounds
+         (tournament_id, round_number, forced_repeat, repeat_count, pairing_timed_out, completed, virtual_points)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id`,
+      [
+        tournamentId,
+        round.roundNumber,
+        !!round.forcedRepeat,
+        round.repeatCount || 0,
+        !!round.pairingTimedOut,
+        !!round.completed,
+        round.virtualPoints ? JSON.stringify(round.virtualPoints) : null,
+      ]
+    );
+    const roundId = roundResult.rows[0].id;
+
+    for (const pairing of round.pairings) {
+      await insertPairing(conn, roundId, pairing);
+    }
+  }
+
+  /**
+   * Give a late entrant a bye of `byeType` on a new board at the end of
+   * every round paired before they arrived
+   */
+  static async addMissedRoundByes(tournamentId, player, byeType, conn = db) {
+    const rounds = await conn.query(
+      'SELECT id FROM rounds WHERE tournament_id = $1 ORDER BY round_number',
+      [tournamentId]
+    );
+
+    for (const { id: roundId } of rounds.rows) {
+      const lastBoard = await conn.query(
+        'SELECT MAX(board_number) AS last_board FROM pairings WHERE round_id = $1',
+        [roundId]
+      );
+      await insertPairing(conn, roundId, {
+        boardNumber: (lastBoard.rows[0].last_board || 0) + 1,
+        player1: player,
+        player2: null,
+        whitePlayerId: player.id,
+        blackPlayerId: null,
+        isBye: true,
+        byeType,
+      });
+    }
+  }
+
+  /**
+   * Replace the pairings of a round that is still being played
+   */
+  static async replacePairings(tournamentId, roundNumber, pairings, conn = db) {
+    const round = await conn.query(
+      'SELECT id FROM rounds WHERE tournament_id = $1 AND round_number = $2',
+      [tournamentId, roundNumber]
+    );
+    const roundId = round.rows[0].id;
+
+    await conn.query('DELETE FROM pairings WHERE round_id = $1', [roundId]);
+    for (const pairing of pairings) {
+      await insertPairing(conn, roundId, pairing);
+    }
+  }
+
+  /**
+   * Record the result of a board
+   */
+  static async setResult(tournamentId, roundNumber, boardNumber, result, conn = db) {
+    await conn.query(
+      `UPDATE pairings SET result = $1
+       WHERE board_number = $2
+         AND round_id = (SELECT id FROM rounds WHERE tournament_id = $3 AND round_number = $4)`,
+      [result, boardNumber, tournamentId, roundNumber]
+    );
+  }
+
+  /**
+   * Mark a round as not completed and delete every round after it
+   */
+  static async reopenRound(tournamentId, roundNumber, conn = db) {
+    await conn.query(
+      `DELETE FROM pairings WHERE round_id IN
+         (SELECT id FROM rounds WHERE tournament_id = $1 AND round_number > $2)`,
+      [tournamentId, roundNumber]
+    );
+    await conn.query(
+      'DELETE FROM rounds WHERE tournament_id = $1 AND round_number > $2',
+      [tournamentId, roundNumber]
+    );
+    await conn.query(
+      `UPDATE rounds SET completed = $1, completed_at = $2
+       WHERE tournament_id = $3 AND round_number = $4`,
+      [false, null, tournamentId, roundNumber]
+    );
+  }
+
+  /**
+   * Mark a round as completed
+   */
+  static async completeRound(tournamentId, roundNumber, completedAt, conn = db) {
+    await conn.query(
+      `UPDATE rounds SET completed = $1, completed_at = $2
+       WHERE tournament_id = $3 AND round_number = $4`,
+      [true, completedAt, tournamentId, roundNumber]
+    );
+  }
+}
+
+Tournament.isAvailableForRound = isAvailableForRound;
+
+module.exports = Tournament;
@@ -0,0 +1,115 @@
+/**
+ * Per-tournament role assignments with database operations
+ *
+ * The user who created a tournament (tournaments.owner_id) is always its
+ * owner. Other users are granted a role through tournament_roles; the
+ * permissions each role carries are defined here so routes only ask
+ * whether a role can perform an action.
+ */
+
+const db = require('../db');
+
+// What each role may do, from most to least privileged
+const ROLE_PERMISSIONS = {
+  owner: ['manageStaff', 'deleteTournament', 'managePlayers', 'manageRounds', 'enterResults', 'viewAudit'],
+  arbiter: ['managePlayers', 'manageRounds', 'enterResults', 'viewAudit'],
+  result_entry: ['enterResults', 'viewAudit'],
+  viewer: ['viewAudit'],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function toAssignment(row) {
+  return {
+    userId: row.user_id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+  };
+}
+
+class TournamentRole {
+  /**
+   * Whether a role grants a permission
+   */
+  static can(role, permission) {
+    return !!role && ROLE_PERMISSIONS[role].includes(permission);
+  }
+
+  /**
+   * Permissions granted by a role
+   */
+  static permissionsFor(role) {
+    return role ? [...ROLE_PERMISSIONS[role]] : [];
+  }
+
+  /**
+   * Resolve a user's role in a tournament, or null if they have none.
+   * Tournaments created before ownership was tracked, or whose owner's
+   * account was deleted, have no owner: they are read-only to everyone
+   * without an assigned role until one is given (see db/assignOwner.js).
+   */
+  static async findRole(tournament, userId) {
+    if (!userId) return null;
+    if (tournament.ownerId === userId) return 'owner';
+
+    const result = await db.query(
+      'SELECT role FROM tournament_roles WHERE tournament_id = $1 AND user_id = $2',
+      [tournament.id, userId]
+    );
+    return result.rows[0] ? result.rows[0].role : null;
+  }
+
+  /**
+   * Map of tournament ID to role for every tournament a user has been assigned to
+   */
+  static async findByUser(userId) {
+    const result = await db.query(
+      'SELECT tournament_id, role FROM tournament_roles WHERE user_id = $1',
+      [userId]
+    );
+    return new Map(result.rows.map((row) => [row.tournament_id, row.role]));
+  }
+
+  /**
+   * List the staff assigned to a tournament
+   */
+  static async findByTournament(tournamentId) {
+    const result = await db.query(
+      `SELECT r.user_id, r.role, u.email, u.name
+       FROM tournament_roles r
+       JOIN users u ON u.id = r.user_id
+       WHERE r.tournament_id = $1
+       ORDER BY r.id`,
+      [tournamentId]
+    );
+    return result.rows.map(toAssignment);
+  }
+
+  /**
+   * Assign a role to a user, replacing any role they already have
+   */
+  static async assign(tournamentId, userId, role, conn = db) {
+    await conn.query(
+      `INSERT INTO tournament_roles (tournament_id, user_id, role)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (tournament_id, user_id) DO UPDATE SET role = excluded.role`,
+      [tournamentId, userId, role]
+    );
+  }
+
+  /**
+   * Remove a user's role from a tournament
+   */
+  static async remove(tournamentId, userId, conn = db) {
+    const result = await conn.query(
+      'DELETE FROM tournament_roles WHERE tournament_id = $1 AND user_id = $2',
+      [tournamentId, userId]
+    );
+    return result.rowCount > 0;
+  }
+}
+
+TournamentRole.ROLES = ROLES;
+
+module.exports = TournamentRole;
@@ -1,589 +1,2054 @@
 const express = require('express');
 const router = express.Router();
+const db = require('../db');
+const Tournament = require('../models/Tournament');
+const TournamentRole = require('../models/TournamentRole');
+const User = require('../models/User');
+const ByeRequest = require('../models/ByeRequest');
+const AuditLog = require('../models/AuditLog');
+const { requireAuth, requireTournamentPermission } = require('../middleware/auth');
 const SwissPairing = require('../utils/swissPairing');
+const RoundRobinPairing = require('../utils/roundRobinPairing');
 const SwissUSCF = require('../utils/swissUscf');
-const SwissFideDutch = require('../utils/swissFideDutch');
 const SwissAccelerated = require('../utils/swissAccelerated');
-const RoundRobinPairing = require('../utils/roundRobinPairing');
+const { defaultTiebreaks, resolveTiebreaks, validateTiebreaks } = require('../utils/tiebreaks');
+const { SWISS_TYPES, MONRAD_TYPES, isRoundRobinType } = require('../utils/tournamentTypes');
+const { completedRoundNumbers } = require('../utils/standings');
+const { buildWallchart, buildGrid } = require('../utils/crosstable');
+const {
+  RESULT_VALUES, isValidResult, resolveScoring, validateScoring,
+} = require('../utils/results');
+const { assignRankingNumbers, floatMarkers } = require('../utils/swissEngine');
+const { pairingPool, describeJob } = require('../utils/pairingPool');
+const {
+  swapPlayers,
+  swapColors,
+  checkPairings,
+  newWarnings,
+  renumberBoards,
+  markRepeats,
+} = require('../utils/pairingEdits');
+
+// Standings come from the engine matching the tournament type
+const standingsEngine = (tournament) => (
+  isRoundRobinType(tournament.tournamentType) ? RoundRobinPairing : SwissPairing
+);
+
+/**
+ * The pairing rule variations chosen for a US Chess Swiss, with the
+ * defaults filled in; other types have none
+ */
+const resolvePairingVariations = (tournament) => (
+  tournament.tournamentType === 'swiss_uscf'
+    ? SwissUSCF.resolveVariations(tournament.pairingVariations)
+    : null
+);
+
+/**
+ * The acceleration of an accelerated Swiss, with its scheme's defaults
+ * filled in; other types have none
+ */
+const resolveTournamentAcceleration = (tournament) => (
+  tournament.tournamentType === 'swiss_accelerated'
+    ? SwissAccelerated.resolveAcceleration(tournament.acceleration, tournament.numberOfRounds)
+    : null
+);
+
+/**
+ * A round to pair, as the plain data the pairing workers take (see
+ * utils/pairingEngines.js)
+ * @param {Array} players - Players with their current score, colours and opponents
+ */
+const pairingRequest = (tournament, roundNumber, players) => ({
+  tournamentType: tournament.tournamentType || 'swiss',
+  roundNumber,
+  players,
+  allPlayers: tournament.players,
+  rounds: tournament.rounds,
+  numberOfRounds: tournament.numberOfRounds,
+  winPoints: resolveScoring(tournament).win,
+  scoring: resolveScoring(tournament),
+  tiebreaks: resolveTiebreaks(tournament),
+  variations: resolvePairingVariations(tournament),
+  acceleration: resolveTournamentAcceleration(tournament),
+  unavailableIds: tournament.players
+    .filter(p => !Tournament.isAvailableForRound(p, roundNumber))
+    .map(p => p.id),
+});
+
+/**
+ * A new round from an engine's pairings
+ */
+const newRound = (roundNumber, pairingResult, timedOut) => ({
+  roundNumber,
+  pairings: pairingResult.pairings,
+  forcedRepeat: pairingResult.forcedRepeat || false,
+  repeatCount: pairingResult.repeatCount || 0,
+  pairingTimedOut: timedOut,
+  completed: false,
+  // Virtual points the round was paired with, for arbiters to check
+  ...(pairingResult.virtualPoints && Object.keys(pairingResult.virtualPoints).length > 0 && {
+    virtualPoints: pairingResult.virtualPoints,
+  }),
+});
+
+// How long a request waits for its pairing before answering with the job
+const DEFAULT_PAIRING_WAIT_MS = 5000;
+
+/**
+ * Answer with the job's response if pairing finishes within
+ * PAIRING_WAIT_MS, otherwise with 202 and the job for the client to poll
+ * at GET /:id/pairing-jobs/:jobId
+ * @param {string} failure - Error message if the job fails
+ */
+const respondWhenPaired = async (res, job, failure) => {
+  const configured = parseInt(process.env.PAIRING_WAIT_MS, 10);
+  const waitMs = Number.isNaN(configured) ? DEFAULT_PAIRING_WAIT_MS : configured;
+  let timer;
+  const waited = new Promise((resolve) => {
+    timer = setTimeout(resolve, waitMs, null);
+  });
+  const finished = await Promise.race([job.done, waited]);
+  clearTimeout(timer);
+
+  if (!finished) {
+    return res.status(202).json({ success: true, job: describeJob(job) });
+  }
+  if (job.status === 'completed') {
+    return res.json(job.response);
+  }
+  return res.status(job.status === 'cancelled' ? 409 : 500).json({
+    success: false,
+    error: job.status === 'cancelled' ? 'Pairing was cancelled' : failure,
+    job: describeJob(job),
+  });
+};
+
+/**
+ * Changes to a tournament wait until the round being paired for it has
+ * been stored
+ */
+const rejectWhilePairing = (req, res, next) => {
+  const job = pairingPool.activeJobFor(req.tournament.id);
+  if (!job) return next();
+  return res.status(409).json({
+    success: false,
+    error: 'A round is being paired for this tournament; try again when it is done',
+    job: describeJob(job),
+  });
+};
+
+/**
+ * Players in the shape the pairing engines take, with their score, colours
+ * and opponents from the standings
+ */
+const playersForPairing = (tournament, standings, requestedByes = new Map()) => tournament.players.map(p => {
+  const standing = standings.find(s => s.id === p.id);
+  return {
+    id: p.id,
+    name: p.name,
+    rating: p.rating || null,
+    team: p.team || null,
+    pairingNumber: p.pairingNumber || null,
+    score: standing ? standing.score : 0,
+    colorBalance: standing ? standing.colorBalance : 0,
+    colorHistory: standing ? (standing.colorHistory || []) : [],
+    previousOpponents: standing ? (standing.previousOpponents || []) : [],
+    ...(requestedByes.has(p.id) && { requestedBye: requestedByes.get(p.id) }),
+  };
+});
+
+/**
+ * Record a change in the tournament's audit log as the signed-in user
+ * @param {Object} [values] - { oldValue, newValue }
+ */
+const audit = (req, tournamentId, action, values, conn) => (
+  AuditLog.record(tournamentId, req.session.userId, action, values, conn)
+);
+
+/**
+ * Change the tournament's settings and log it as `action`, together
+ * @param {Object} fields - As Tournament.update takes them
+ * @param {Object} values - { oldValue, newValue } for the audit log
+ */
+const updateSettings = (req, fields, action, values) => db.transaction(async (conn) => {
+  await Tournament.update(req.tournament.id, fields, conn);
+  await audit(req, req.tournament.id, action, values, conn);
+});
+
+/**
+ * Summary of a board for the audit log
+ */
+const boardSummary = (pairing) => ({
+  boardNumber: pairing.boardNumber,
+  white: pairing.player1.name,
+  black: pairing.player2 ? pairing.player2.name : null,
+  ...(pairing.isBye && { bye: pairing.byeType || 'full' }),
+  ...(pairing.result && { result: pairing.result }),
+});
+
+/**
+ * Byes requested for a round, as a map of player ID to bye type. Round
+ * robins keep their fixed schedule, so only Swiss events take requests.
+ */
+const requestedByesFor = async (tournament, roundNumber) => {
+  if (isRoundRobinType(tournament.tournamentType)) return new Map();
+  return ByeRequest.findForRound(tournament.id, roundNumber);
+};
+
+/**
+ * Validate organizer limits on requested byes
+ * @returns {string|null} An error message, or null when the limits are valid
+ */
+const validateByeRules = ({ maxHalfByes, noHalfByesInLastRounds }) => {
+  if (maxHalfByes !== undefined && maxHalfByes !== null
+    && (!Number.isInteger(maxHalfByes) || maxHalfByes < 0)) {
+    return 'Maximum half-point byes must be a whole number of 0 or more, or empty for no limit';
+  }
+  if (noHalfByesInLastRounds !== undefined
+    && (!Number.isInteger(noHalfByesInLastRounds) || noHalfByesInLastRounds < 0 || noHalfByesInLastRounds > 20)) {
+    return 'Rounds closed to half-point byes must be a whole number between 0 and 20';
+  }
+  return null;
+};
+
+/**
+ * GET /api/tournaments
+ * Get all tournaments (?mine=true for those the signed-in user owns or has a role in)
+ */
+router.get('/', async (req, res) => {
+  const userId = req.session ? req.session.userId : undefined;
+  const mineOnly = req.query.mine === 'true';
+
+  if (mineOnly && !userId) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+    });
+  }
+
+  try {
+    const tournaments = await Tournament.findAll(mineOnly ? { memberId: userId } : {});
+    const assignedRoles = userId ? await TournamentRole.findByUser(userId) : new Map();
+
+    // Mirrors TournamentRole.findRole without a query per tournament
+    const roleFor = (t) => {
+      if (!userId) return null;
+      if (t.ownerId === userId) return 'owner';
+      return assignedRoles.get(t.id) || null;
+    };
+
+    res.json({
+      success: true,
+      tournaments: tournaments.map(t => ({
+        id: t.id,
+        name: t.name,
+        tournamentType: t.tournamentType || 'swiss',
+        numberOfRounds: t.numberOfRounds,
+        currentRound: t.currentRound,
+        status: t.status,
+        createdAt: t.createdAt,
+        playerCount: t.playerCount,
+        role: roleFor(t),
+      })),
+    });
+  } catch (error) {
+    console.error('List tournaments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load tournaments',
+    });
+  }
+});
+
+/**
+ * GET /api/tournaments/:id
+ * Get tournament by ID
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament not found',
+      });
+    }
+
+    const standings = standingsEngine(tournament).calculateStandings(tournament);
+
+    const userId = req.session ? req.session.userId : undefined;
+    const role = await TournamentRole.findRole(tournament, userId);
+    const activeJob = pairingPool.activeJobFor(tournament.id);
+
+    res.json({
+      success: true,
+      tournament: {
+        ...tournament,
+        tiebreaks: resolveTiebreaks(tournament),
+        scoring: resolveScoring(tournament),
+        pairingVariations: resolvePairingVariations(tournament),
+        acceleration: resolveTournamentAcceleration(tournament),
+        standings,
+        // Which way each player floated in each round, for the pairings
+        floats: isRoundRobinType(tournament.tournamentType) ? {} : floatMarkers(tournament.rounds, resolveScoring(tournament)),
+        pairingJob: activeJob ? describeJob(activeJob) : null,
+        role,
+        permissions: TournamentRole.permissionsFor(role),
+      },
+    });
+  } catch (error) {
+    console.error('Get tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load tournament',
+    });
+  }
+});
+
+/**
+ * POST /api/tournaments
+ * Create a new tournament
+ */
+router.post('/', requireAuth, async (req, res) => {
+  const {
+    name, numberOfRounds, tournamentType, tiebreaks, maxHalfByes, noHalfByesInLastRounds, scoring,
+    pairingVariations, acceleration,
+  } = req.body;
+
+  if (!name) {
+    return res.status(400).json({
+      success: false,
+      error: 'Tournament name is required',
+    });
+  }
+
+  const type = tournamentType || 'swiss';
+  let rounds = parseInt(numberOfRounds) || 0;
+
+  // Validate and calculate rounds based on type
+  if (SWISS_TYPES.has(type)) {
+    if (!rounds || rounds < 1 || rounds > 20) {
+      return res.status(400).json({
+        success: false,
+        error: 'Number of rounds must be between 1 and 20 for Swiss tournaments',
+      });
+    }
+  } else if (MONRAD_TYPES.has(type)) {
+    if (!rounds || rounds < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Number of rounds must be at least 1 for Monrad and Danish tournaments',
+      });
+    }
+  } else if (isRoundRobinType(type)) {
+    // Rounds will be calculated when tournament starts based on number of players
+    rounds = 0; // Placeholder, will be calculated
+  } else {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid tournament type. Must be a Swiss, Monrad, Danish, round robin, or double round robin format',
+    });
+  }
+
+  if (tiebreaks !== undefined) {
+    const tiebreakError = validateTiebreaks(tiebreaks);
+    if (tiebreakError) {
+      return res.status(400).json({
+        success: false,
+        error: tiebreakError,
+      });
+    }
+  }
+
+  const byeRulesError = validateByeRules({ maxHalfByes, noHalfByesInLastRounds });
+  if (byeRulesError) {
+    return res.status(400).json({
+      success: false,
+      error: byeRulesError,
+    });
+  }
+
+  if (scoring !== undefined && scoring !== null) {
+    const scoringError = validateScoring(scoring);
+    if (scoringError) {
+      return res.status(400).json({
+        success: false,
+        error: scoringError,
+      });
+    }
+  }
+
+  if (pairingVariations !== undefined && pairingVariations !== null) {
+    if (type !== 'swiss_uscf') {
+      return res.status(400).json({
+        success: false,
+        error: 'Pairing variations only apply to US Chess Swiss tournaments',
+      });
+    }
+    const variationsError = SwissUSCF.validateVariations(pairingVariations);
+    if (variationsError) {
+      return res.status(400).json({
+        success: false,
+        error: variationsError,
+      });
+    }
+  }
+
+  if (acceleration !== undefined && acceleration !== null) {
+    if (type !== 'swiss_accelerated') {
+      return res.status(400).json({
+        success: false,
+        error: 'Acceleration only applies to accelerated Swiss tournaments',
+      });
+    }
+    const accelerationError = SwissAccelerated.validateAcceleration(acceleration, rounds);
+    if (accelerationError) {
+      return res.status(400).json({
+        success: false,
+        error: accelerationError,
+      });
+    }
+  }
+
+  try {
+    const tournament = await db.transaction(async (conn) => {
+      const created = await Tournament.create({
+        name,
+        tournamentType: type,
+        numberOfRounds: rounds,
+        ownerId: req.session.userId,
+        tiebreaks: tiebreaks && tiebreaks.length > 0 ? tiebreaks : defaultTiebreaks(type),
+        maxHalfByes,
+        noHalfByesInLastRounds,
+        scoring,
+        pairingVariations,
+        acceleration,
+      }, conn);
+      await audit(req, created.id, 'create_tournament', {
+        newValue: { name: created.name, tournamentType: created.tournamentType, numberOfRounds: created.numberOfRounds },
+      }, conn);
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      tournament: {
+        ...tournament,
+        scoring: resolveScoring(tournament),
+        pairingVariations: resolvePairingVariations(tournament),
+        acceleration: resolveTournamentAcceleration(tournament),
+      },
+    });
+  } catch (error) {
+    console.error('Create tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create tournament',
+    });
+  }
+});
+
+/**
+ * POST /api/tournaments/:id/players
+ * Add a player to tournament. Swiss tournaments take late entries while in
+ * progress: the rounds already paired count as byes of `missedRoundBye`
+ * ('zero' or 'half') and the player is paired from the next round.
+ */
+router.post('/:id/players', requireAuth, requireTournamentPermission('managePlayers'), rejectWhilePairing, async (req, res) => {
+  try {
+    const tournament = req.tournament;
+
+    const lateEntry = tournament.status === 'in_progress';
+
+    if (tournament.status !== 'registration' && !lateEntry) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot add players after tournament has finished',
+      });
+    }
+
+    if (lateEntry && isRoundRobinType(tournament.tournamentType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot add players to a round robin after it has started',
+      });
+    }
+
+    if (lateEntry && tournament.rounds.length >= tournament.numberOfRounds) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every round has already been paired',
+      });
+    }
+
+    const {
+      name, rating, team, missedRoundBye = 'zero',
+    } = req.body;
+
+    if (lateEntry && !ByeRequest.BYE_TYPES.includes(missedRoundBye)) {
+      return res.status(400).json({
+        success: false,
+        error: `missedRoundBye must be one of: ${ByeRequest.BYE_TYPES.join(', ')}`,
+      });
+    }
+
+    if (!name || name.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Player name is required',
+      });
+    }
+
+    // Check for duplicate names
+    if (tournament.players.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Player with this name already exists',
+      });
+    }
+
+    // Validate rating if provided
+    let playerRating = null;
+    if (rating !== undefined && rating !== null && rating !== '') {
+      const ratingNum = parseInt(rating);
+      if (isNaN(ratingNum) || ratingNum < 0 || ratingNum > 3000) {
+        return res.status(400).json({
+          success: false,
+          error: 'Rating must be a number between 0 and 3000',
+        });
+      }
+      playerRating = ratingNum;
+    }
+
+    // Team or club, so team-mates can be kept apart (US Chess 28N1)
+    if (team !== undefined && team !== null && (typeof team !== 'string' || team.length > 100)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Team must be text of at most 100 characters',
+      });
+    }
+    const playerTeam = team ? team.trim() || null : null;
+
+    let player;
+    if (lateEntry) {
+      player = await db.transaction(async (conn) => {
+        const added = await Tournament.addPlayer(tournament.id, {
+          name: name.trim(),
+          rating: playerRating,
+          team: playerTeam,
+        }, conn);
+        await Tournament.addMissedRoundByes(tournament.id, added, missedRoundBye, conn);
+
+        const numbered = assignRankingNumbers([...tournament.players, added]);
+        await Tournament.setPairingNumbers(tournament.id, numbered, conn);
+        await audit(req, tournament.id, 'add_player', {
+          newValue: {
+            id: added.id, name: added.name, rating: added.rating, team: added.team, lateEntry: true, missedRoundBye,
+          },
+        }, conn);
+        return numbered.find(p => p.id === added.id);
+      });
+    } else {
+      player = await db.transaction(async (conn) => {
+        const added = await Tournament.addPlayer(tournament.id, {
+          name: name.trim(),
+          rating: playerRating, // null for unrated players
+          team: playerTeam,
+        }, conn);
+        await audit(req, tournament.id, 'add_player', {
+          newValue: {
+            id: added.id, name: added.name, rating: added.rating, team: added.team,
+          },
+        }, conn);
+        return added;
+      });
+    }
+
+    res.json({
+      success: true,
+      player,
+      tournament: {
+        id: tournament.id,
+        name: tournament.name,
+        playerCount: tournament.players.length + 1,
+      },
+    });
+  } catch (error) {
+    console.error('Add player error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add player',
+    });
+  }
+});
+
+/**
+ * DELETE /api/tournaments/:id/players/:playerId
+ * Remove a player from tournament
+ */
+router.delete('/:id/players/:playerId', requireAuth, requireTournamentPermission('managePlayers'), rejectWhilePairing, async (req, res) => {
+  try {
+    const tournament = req.tournament;
+
+    if (tournament.status !== 'registration') {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot remove players after tournament has started. Withdraw them instead',
+      });
+    }
+
+    const playerId = req.params.playerId;
+    const player = tournament.players.find(p => p.id.toString() === playerId);
+
+    if (!player) {
+      return res.status(404).json({
+        success: false,
+        error: 'Player not found',
+      });
+    }
+
+    await db.transaction(async (conn) => {
+      await Tournament.removePlayer(tournament.id, player.id, conn);
+      await audit(req, tournament.id, 'remove_player', {
+        oldValue: { id: player.id, name: player.name, rating: player.rating },
+      }, conn);
+    });
+
+    res.json({
+      success: true,
+      message: 'Player removed',
+    });
+  } catch (error) {
+    console.error('Remove player error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove player',
+    });
+  }
+});
+
+// Old and new withdrawal state of a player for the audit log
+const availabilityChange = (player, updated) => ({
+  oldValue: { player: player.name, withdrawnAfterRound: player.withdrawnAfterRound, pausedThroughRound: player.pausedThroughRound },
+  newValue: { player: player.name, withdrawnAfterRound: updated.withdrawnAfterRound, pausedThroughRound: updated.pausedThroughRound },
+});
+
+/**
+ * Withdraw, pause or re-enter a player and log it as `action`, together
+ * @returns The updated player
+ */
+const changeAvailability = (req, player, availability, action) => db.transaction(async (conn) => {
+  const updated = await Tournament.setPlayerAvailability(req.tournament.id, player.id, availability, conn);
+  await audit(req, req.tournament.id, action, availabilityChange(player, updated), conn);
+  return updated;
+});
+
+/**
+ * Find the player in :playerId for the withdrawal routes, which only apply
+ * while the tournament is running. Sends the error response and returns
+ * null when the request can't go ahead.
+ */
+const playerInRunningTournament = (req, res) => {
+  const tournament = req.tournament;
+
+  if (tournament.status !== 'in_progress') {
+    res.status(400).json({
+      success: false,
+      error: 'Players can only be withdrawn or paused while the tournament is in progress',
+    });
+    return null;
+  }
+
+  const player = tournament.players.find(p => p.id.toString() === req.params.playerId);
+  if (!player) {
+    res.status(404).json({
+      success: false,
+      error: 'Player not found',
+    });
+    return null;
+  }
+
+  return player;
+};
+
+/**
+ * POST /api/tournaments/:id/players/:playerId/withdraw
+ * Withdraw a player from all rounds not yet paired. Their games so far stay
+ * in the standings.
+ */
+router.post('/:id/players/:playerId/withdraw', requireAuth, requireTournamentPermission('managePlayers'), rejectWhilePairing, async (req, res) => {
+  try {
+    const player = playerInRunningTournament(req, res);
+    if (!player) return;
+
+    if (player.withdrawnAfterRound !== null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Player has already withdrawn',
+      });
+    }
+
+    const updated = await changeAvailability(req, player, {
+      withdrawnAfterRound: req.tournament.rounds.length,
+      pausedThroughRound: null,
+    }, 'withdraw_player');
+
+    res.json({
+      success: true,
+      player: updated,
+    });
+  } catch (error) {
+    console.error('Withdraw player error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to withdraw player',
+    });
+  }
+});
+
+/**
+ * POST /api/tournaments/:id/players/:playerId/pause
+ * Leave a player out of the next `rounds` rounds to be paired, after which
+ * they are paired again automatically
+ */
+router.post('/:id/players/:playerId/pause', requireAuth, requireTournamentPermission('managePlayers'), rejectWhilePairing, async (req, res) => {
+  try {
+    const player = playerInRunningTournament(req, res);
+    if (!player) return;
+
+    const tournament = req.tournament;
+    const rounds = parseInt(req.body.rounds);
+    const nextRound = tournament.rounds.length + 1;
+    const remaining = tournament.numberOfRounds - tournament.rounds.length;
+
+    if (player.withdrawnAfterRound !== null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Player has withdrawn. Re-enter them first',
+      });
+    }
+
+    if (remaining < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every round has already been paired',
+      });
+    }
+
+    if (Number.isNaN(rounds) || rounds < 1 || rounds > remaining) {
+      return res.status(400).json({
+        success: false,
+        error: `Rounds to pause must be between 1 and ${remaining}`,
+      });
+    }
+
+    const updated = await changeAvailability(req, player, {
+      withdrawnAfterRound: null,
+      pausedThroughRound: nextRound + rounds - 1,
+    }, 'pause_player');
+
+    res.json({
+      success: true,
+      player: updated,
+    });
+  } catch (error) {
+    console.error('Pause player error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pause player',
+    });
+  }
+});
+
+/**
+ * POST /api/tournaments/:id/players/:playerId/reenter
+ * Bring a withdrawn or paused player back from the next round to be paired
+ */
+router.post('/:id/players/:playerId/reenter', requireAuth, requireTournamentPermission('managePlayers'), rejectWhilePairing, async (req, res) => {
+  try {
+    const player = playerInRunningTournament(req, res);
+    if (!player) return;
+
+    const nextRound = req.tournament.rounds.length + 1;
+    if (Tournament.isAvailableForRound(player, nextRound)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Player is neither withdrawn nor paused',
+      });
+    }
+
+    const updated = await changeAvailability(req, player, {
+      withdrawnAfterRound: null,
+      pausedThroughRound: null,
+    }, 'reenter_player');
+
+    res.json({
+      success: true,
+      player: updated,
+    });
+  } catch (error) {
+    console.error('Re-enter player error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to re-enter player',
+    });
+  }
+});
+
+/**
+ * GET /api/tournaments/:id/byes
+ * List requested half-point and zero-point byes with the tournament's limits
+ */
+router.get('/:id/byes', async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      byeRules: {
+        maxHalfByes: tournament.maxHalfByes,
+        noHalfByesInLastRounds: tournament.noHalfByesInLastRounds,
+      },
+      byeRequests: await ByeRequest.findByTournament(tournament.id),
+    });
+  } catch (error) {
+    console.error('Get bye requests error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load bye requests',
+    });
+  }
+});
+
+/**
+ * PUT /api/tournaments/:id/byes/rules
+ * Set how many half-point byes a player may take and how many final rounds
+ * are closed to them
+ */
+router.put('/:id/byes/rules', requireAuth, requireTournamentPermission('managePlayers'), rejectWhilePairing, async (req, res) => {
+  const { maxHalfByes = null, noHalfByesInLastRounds = 0 } = req.body;
+
+  const byeRulesError = validateByeRules({ maxHalfByes, noHalfByesInLastRounds });
+  if (byeRulesError) {
+    return res.status(400).json({
+      success: false,
+      error: byeRulesError,
+    });
+  }
+
+  try {
+    await updateSettings(req, { maxHalfByes, noHalfByesInLastRounds }, 'update_bye_rules', {
+      oldValue: { maxHalfByes: req.tournament.maxHalfByes, noHalfByesInLastRounds: req.tournament.noHalfByesInLastRounds },
+      newValue: { maxHalfByes, noHalfByesInLastRounds },
+    });
+
+    res.json({
+      success: true,
+      byeRules: { maxHalfByes, noHalfByesInLastRounds },
+    });
+  } catch (error) {
+    console.error('Update bye rules error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update bye rules',
+    });
+  }
+});
+
+/**
+ * POST /api/tournaments/:id/byes
+ * Request a half-point or zero-point bye for a player in a round that has
+ * not been paired yet
+ */
+router.post('/:id/byes', requireAuth, requireTournamentPermission('managePlayers'), rejectWhilePairing, async (req, res) => {
+  try {
+    const tournament = req.tournament;
+
+    if (isRoundRobinType(tournament.tournamentType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Byes can only be requested in Swiss tournaments',
+      });
+    }
+
+    const playerId = parseInt(req.body.playerId);
+    const roundNumber = parseInt(req.body.roundNumber);
+    const { byeType } = req.body;
+
+    if (!tournament.players.some(p => p.id === playerId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Player not found',
+      });
+    }
+
+    if (!ByeRequest.BYE_TYPES.includes(byeType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Bye type must be one of: ${ByeRequest.BYE_TYPES.join(', ')}`,
+      });
+    }
+
+    if (!Number.isInteger(roundNumber) || roundNumber < 1 || roundNumber > tournament.numberOfRounds) {
+      return res.status(400).json({
+        success: false,
+        error: `Round number must be between 1 and ${tournament.numberOfRounds}`,
+      });
+    }
+
+    if (tournament.rounds.some(r => r.roundNumber >= roundNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: `Round ${roundNumber} has already been paired`,
+      });
+    }
+
+    if (byeType === 'half') {
+      const closedFrom = tournament.numberOfRounds - tournament.noHalfByesInLastRounds;
+      if (roundNumber > closedFrom) {
+        return res.status(400).json({
+          success: false,
+          error: `Half-point byes are not allowed in the last ${tournament.noHalfByesInLastRounds} rounds`,
+        });
+      }
+
+      if (tournament.maxHalfByes !== null) {
+        const halfByes = (await ByeRequest.findByTournament(tournament.id)).filter(request => (
+          request.playerId === playerId && request.byeType === 'half' && request.roundNumber !== roundNumber
+        ));
+        if (halfByes.length >= tournament.maxHalfByes) {
+          return res.status(400).json({
+            success: false,
+            error: `Each player may take at most ${tournament.maxHalfByes} half-point byes`,
+          });
+        }
+      }
+    }
+
+    const byeRequest = await db.transaction(async (conn) => {
+      const requested = await ByeRequest.request(tournament.id, { playerId, roundNumber, byeType }, conn);
+      await audit(req, tournament.id, 'request_bye', {
+        newValue: { player: tournament.players.find(p => p.id === playerId).name, roundNumber, byeType },
+      }, conn);
+      return requested;
+    });
+
+    res.json({
+      success: true,
+      byeRequest,
+    });
+  } catch (error) {
+    console.error('Request bye error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to request bye',
+    });
+  }
+});
+
+/**
+ * DELETE /api/tournaments/:id/byes/:requestId
+ * Cancel a bye request for a round that has not been paired yet
+ */
+router.delete('/:id/byes/:requestId', requireAuth, requireTournamentPermission('managePlayers'), rejectWhilePairing, async (req, res) => {
+  try {
+    const tournament = req.tournament;
+    const requestId = parseInt(req.params.requestId);
+    const byeRequest = (await ByeRequest.findByTournament(tournament.id)).find(r => r.id === requestId);
+
+    if (!byeRequest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Bye request not found',
+      });
+    }
+
+    if (tournament.rounds.some(r => r.roundNumber >= byeRequest.roundNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: `Round ${byeRequest.roundNumber} has already been paired`,
+      });
+    }
+
+    await db.transaction(async (conn) => {
+      await ByeRequest.remove(tournament.id, requestId, conn);
+      await audit(req, tournament.id, 'cancel_bye', {
+        oldValue: {
+          player: (tournament.players.find(p => p.id === byeRequest.playerId) || {}).name,
+          roundNumber: byeRequest.roundNumber,
+          byeType: byeRequest.byeType,
+        },
+      }, conn);
+    });
+
+    res.json({
+      success: true,
+      message: 'Bye request cancelled',
+    });
+  } catch (error) {
+    console.error('Cancel bye error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel bye request',
+    });
+  }
+});
+
+/**
+ * PUT /api/tournaments/:id/scoring
+ * Set the points for each outcome (any of win, draw, loss, forfeitWin,
+ * fullBye, halfBye, zeroBye). Only before the tournament starts, so that
+ * the scores the early rounds were paired on stay valid.
+ */
+router.put('/:id/scoring', requireAuth, requireTournamentPermission('manageRounds'), rejectWhilePairing, async (req, res) => {
+  const { scoring } = req.body;
+
+  const scoringError = validateScoring(scoring);
+  if (scoringError) {
+    return res.status(400).json({
+      success: false,
+      error: scoringError,
+    });
+  }
+
+  if (req.tournament.status !== 'registration') {
+    return res.status(400).json({
+      success: false,
+      error: 'Scoring can only be changed before the tournament starts',
+    });
+  }
+
+  try {
+    await updateSettings(req, { scoring }, 'update_scoring', {
+      oldValue: resolveScoring(req.tournament),
+      newValue: resolveScoring({ scoring }),
+    });
+
+    res.json({
+      success: true,
+      scoring: resolveScoring({ scoring }),
+    });
+  } catch (error) {
+    console.error('Update scoring error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update scoring',
+    });
+  }
+});
+
+/**
+ * PUT /api/tournaments/:id/acceleration
+ * Set an accelerated Swiss's acceleration (any of scheme, rounds, groups,
+ * decay). Only before the tournament starts, as the groups are fixed from
+ * the ratings before round 1.
+ */
+router.put('/:id/acceleration', requireAuth, requireTournamentPermission('manageRounds'), rejectWhilePairing, async (req, res) => {
+  const { acceleration } = req.body;
+
+  if (req.tournament.tournamentType !== 'swiss_accelerated') {
+    return res.status(400).json({
+      success: false,
+      error: 'Acceleration only applies to accelerated Swiss tournaments',
+    });
+  }
+
+  const accelerationError = SwissAccelerated.validateAcceleration(acceleration, req.tournament.numberOfRounds);
+  if (accelerationError) {
+    return res.status(400).json({
+      success: false,
+      error: accelerationError,
+    });
+  }
+
+  if (req.tournament.status !== 'registration') {
+    return res.status(400).json({
+      success: false,
+      error: 'Acceleration can only be changed before the tournament starts',
+    });
+  }
+
+  try {
+    const updated = { ...req.tournament, acceleration };
+    await updateSettings(req, { acceleration }, 'update_acceleration', {
+      oldValue: resolveTournamentAcceleration(req.tournament),
+      newValue: resolveTournamentAcceleration(updated),
+    });
+
+    res.json({
+      success: true,
+      acceleration: resolveTournamentAcceleration(updated),
+    });
+  } catch (error) {
+    console.error('Update acceleration error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update acceleration',
+    });
+  }
+});
+
+/**
+ * PUT /api/tournaments/:id/pairing-variations
+ * Choose the US Chess pairing rule variations (any of teamAvoidance,
+ * transpositionLimit). They apply to the rounds paired from then on.
+ */
+router.put('/:id/pairing-variations', requireAuth, requireTournamentPermission('manageRounds'), rejectWhilePairing, async (req, res) => {
+  const { pairingVariations } = req.body;
+
+  if (req.tournament.tournamentType !== 'swiss_uscf') {
+    return res.status(400).json({
+      success: false,
+      error: 'Pairing variations only apply to US Chess Swiss tournaments',
+    });
+  }
+
+  const variationsError = SwissUSCF.validateVariations(pairingVariations);
+  if (variationsError) {
+    return res.status(400).json({
+      success: false,
+      error: variationsError,
+    });
+  }
+
+  if (req.tournament.status === 'completed') {
+    return res.status(400).json({
+      success: false,
+      error: 'Cannot change pairing variations after the tournament has finished',
+    });
+  }
+
+  try {
+    const updated = { ...req.tournament, pairingVariations };
+    await updateSettings(req, { pairingVariations }, 'update_pairing_variations', {
+      oldValue: resolvePairingVariations(req.tournament),
+      newValue: resolvePairingVariations(updated),
+    });
+
+    res.json({
+      success: true,
+      pairingVariations: resolvePairingVariations(updated),
+    });
+  } catch (error) {
+    console.error('Update pairing variations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update pairing variations',
+    });
+  }
+});
+
+/**
+ * DELETE /api/tournaments/:id
+ * Delete a tournament
+ */
+router.delete('/:id', requireAuth, requireTournamentPermission('deleteTournament'), rejectWhilePairing, async (req, res) => {
+  try {
+    const tournament = req.tournament;
+
+    // Players, rounds and pairings are removed by cascade; the audit log is
+    // kept, for the owner to read (see GET /:id/audit)
+    await db.transaction(async (conn) => {
+      await Tournament.delete(tournament.id, conn);
+      await audit(req, tournament.id, 'delete_tournament', {
+        oldValue: { name: tournament.name, status: tournament.status, players: tournament.players.length },
+      }, conn);
+    });
+
+    res.json({
+      success: true,
+      message: 'Tournament deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete tournament',
+    });
+  }
+});
+
+/**
+ * POST /api/tournaments/:id/start
+ * Start the tournament (generate first round)
+ */
+router.post('/:id/start', requireAuth, requireTournamentPermission('manageRounds'), rejectWhilePairing, async (req, res) => {
+  try {
+    const tournament = req.tournament;
+
+    if (tournament.players.length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tournament needs at least 2 players',
+      });
+    }
+
+    if (tournament.status !== 'registration') {
+      return res.status(400).json({
+        success: false,
+        error: 'Tournament has already started',
+      });
+    }
+
+    tournament.status = 'in_progress';
+    tournament.currentRound = 1;
+
+    const tournamentType = tournament.tournamentType || 'swiss';
+    const isDoubleRoundRobin = tournamentType === 'double_round_robin';
+    const isRoundRobin = isRoundRobinType(tournamentType);
+
+    // Calculate number of rounds for round robin
+    if (isRoundRobin) {
+      tournament.numberOfRounds = RoundRobinPairing.calculateRounds(
+        tournament.players.length,
+        isDoubleRoundRobin
+      );
+    }
+
+    // Assign pairing numbers: by lot for round robin, by ranking for Swiss
+    tournament.players = isRoundRobin
+      ? RoundRobinPairing.assignPairingNumbers(tournament.players)
+      : assignRankingNumbers(tournament.players);
+
+    // Generate first round pairings
+    const requestedByes = await requestedByesFor(tournament, 1);
+    const players = tournament.players.map(p => ({
+      id: p.id,
+      name: p.name,
+      rating: p.rating || null,
+      team: p.team || null,
+      pairingNumber: p.pairingNumber || null,
+      score: 0,
+      colorBalance: 0,
+      colorHistory: [],
+      previousOpponents: [],
+      ...(requestedByes.has(p.id) && { requestedBye: requestedByes.get(p.id) }),
+    }));
+
+    const job = pairingPool.submit(pairingRequest(tournament, 1, players), {
+      tournamentId: tournament.id,
+      roundNumber: 1,
+      onResult: async (pairingResult, { timedOut }) => {
+        const round = newRound(1, pairingResult, timedOut);
+
+        await db.transaction(async (conn) => {
+          await Tournament.setPairingNumbers(tournament.id, tournament.players, conn);
+          await Tournament.addRound(tournament.id, round, conn);
+          await Tournament.update(tournament.id, {
+            status: tournament.status,
+            currentRound: tournament.currentRound,
+            numberOfRounds: tournament.numberOfRounds,
+          }, conn);
+          await audit(req, tournament.id, 'start_tournament', {
+            oldValue: { status: 'registration' },
+            newValue: { status: tournament.status, numberOfRounds: tournament.numberOfRounds, pairings: round.pairings.map(boardSummary) },
+          }, conn);
+        });
+
+        return {
+          success: true,
+          tournament: {
+            id: tournament.id,
+            currentRound: tournament.currentRound,
+            round,
+          },
+        };
+      },
+    });
+
+    await respondWhenPaired(res, job, 'Failed to start tournament');
+  } catch (error) {
+    console.error('Start tournament error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start tournament',
+    });
+  }
+});
+
+/**
+ * GET /api/tournaments/:id/rounds/:roundNumber
+ * Get round details
+ */
+router.get('/:id/rounds/:roundNumber', async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament not found',
+      });
+    }
+
+    const roundNumber = parseInt(req.params.roundNumber);
+    const round = tournament.rounds.find(r => r.roundNumber === roundNumber);
+
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        error: 'Round not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      round,
+    });
+  } catch (error) {
+    console.error('Get round error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load round',
+    });
+  }
+});
+
+/**
+ * POST /api/tournaments/:id/rounds/:roundNumber/pairings/:pairingIndex/result
+ * Record result for a pairing. Results of completed rounds can be corrected
+ * by staff who manage rounds; standings are always computed from the stored
+ * results, so they follow the correction.
+ */
+router.post('/:id/rounds/:roundNumber/pairings/:pairingIndex/result', requireAuth, requireTournamentPermission('enterResults'), rejectWhilePairing, async (req, res) => {
+  try {
+    const tournament = req.tournament;
+
+    const roundNumber = parseInt(req.params.roundNumber);
+    const pairingIndex = parseInt(req.params.pairingIndex);
+    const round = tournament.rounds.find(r => r.roundNumber === roundNumber);
+
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        error: 'Round not found',
+      });
+    }
+
+    if (pairingIndex < 0 || pairingIndex >= round.pairings.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pairing index',
+      });
+    }
+
+    const { result } = req.body;
+
+    if (!result || !isValidResult(result)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid result. Must be one of: ${RESULT_VALUES.join(', ')}`,
+      });
+    }
+
+    if (round.completed && !TournamentRole.can(req.tournamentRole, 'manageRounds')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only staff who manage rounds can correct results of a completed round',
+      });
+    }
+
+    const pairing = round.pairings[pairingIndex];
+    const oldResult = pairing.result || null;
+    await db.transaction(async (conn) => {
+      await Tournament.setResult(tournament.id, roundNumber, pairing.boardNumber, result, conn);
+      await audit(req, tournament.id, 'set_result', {
+        oldValue: { roundNumber, boardNumber: pairing.boardNumber, result: oldResult },
+        newValue: { roundNumber, boardNumber: pairing.boardNumber, result, ...(round.completed && { correction: true }) },
+      }, conn);
+    });
+    pairing.result = result;
+
+    // Later rounds were paired from the old result; re-opening this round
+    // pairs them again from the corrected one
+    const laterRoundsPaired = round.completed
+      && tournament.rounds.some(r => r.roundNumber > roundNumber);
+
+    res.json({
+      success: true,
+      pairing,
+      ...(round.completed && { corrected: true, laterRoundsPaired }),
+    });
+  } catch (error) {
+    console.error('Record result error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record result',
+    });
+  }
+});
+
+/**
+ * Pair the players on boards without a result again, keeping the finished
+ * boards and requested byes
+ * @returns {{pairings: Array}|{error: string}}
+ */
+const repairUnfinished = async (tournament, roundNumber, pairings, players) => {
+  const unfinished = pairings.filter(p => !p.result && (!p.isBye || (p.byeType || 'full') === 'full'));
+  if (unfinished.length === 0) {
+    return { error: 'Every board already has a result' };
+  }
+
+  const unfinishedIds = new Set(unfinished.flatMap(p => (p.player2 ? [p.player1.id, p.player2.id] : [p.player1.id])));
+  const kept = pairings.filter(p => !unfinished.includes(p));
+  const pool = players.filter(p => unfinishedIds.has(p.id));
+
+  // The round being edited mustn't count as history
+  const previous = { ...tournament, rounds: tournament.rounds.filter(r => r.roundNumber < roundNumber) };
+  const job = pairingPool.submit(pairingRequest(previous, roundNumber, pool), {
+    tournamentId: tournament.id,
+    roundNumber,
+  });
+  await job.done;
+  if (job.status !== 'completed') {
+    return { error: job.status === 'cancelled' ? 'Pairing was cancelled' : job.error };
+  }
+
+  return { pairings: [...kept, ...job.response.pairings] };
+};
+
+/**
+ * POST /api/tournaments/:id/rounds/:roundNumber/pairings/edit
+ * Change the pairings of a round in progress:
+ *   { action: 'swap_players', playerIds: [a, b] }  swap two seats (or a seat and the bye)
+ *   { action: 'swap_colors', boardNumber }          swap the colours on a board
+ *   { action: 'repair' }                            pair the unfinished boards again
+ * Edits that break pairing rules are refused with 409 and the list of
+ * warnings unless `acknowledgeWarnings` is set.
+ */
+router.post('/:id/rounds/:roundNumber/pairings/edit', requireAuth, requireTournamentPermission('manageRounds'), rejectWhilePairing, async (req, res) => {
+  try {
+    const tournament = req.tournament;
+
+    const roundNumber = parseInt(req.params.roundNumber);
+    const round = tournament.rounds.find(r => r.roundNumber === roundNumber);
+
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        error: 'Round not found',
+      });
+    }
+
+    if (round.completed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round has already been completed',
+      });
+    }
+
+    if (isRoundRobinType(tournament.tournamentType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Round robin pairings follow the fixed schedule',
+      });
+    }
+
+    const { action, playerIds, boardNumber, acknowledgeWarnings } = req.body;
+    const standings = standingsEngine(tournament).calculateStandings(tournament, { afterRound: roundNumber - 1 });
+    const players = playersForPairing(tournament, standings);
+
+    let edit;
+    if (action === 'swap_players') {
+      if (!Array.isArray(playerIds) || playerIds.length !== 2) {
+        return res.status(400).json({
+          success: false,
+          error: 'playerIds must list the two players to swap',
+        });
+      }
+      edit = swapPlayers(round.pairings, parseInt(playerIds[0]), parseInt(playerIds[1]));
+    } else if (action === 'swap_colors') {
+      edit = swapColors(round.pairings, parseInt(boardNumber));
+    } else if (action === 'repair') {
+      edit = await repairUnfinished(tournament, roundNumber, round.pairings, players);
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'action must be one of: swap_players, swap_colors, repair',
+      });
+    }
+
+    if (edit.error) {
+      return res.status(400).json({
+        success: false,
+        error: edit.error,
+      });
+    }
 
-// In-memory storage (in production, use a database)
-let tournaments = [];
-let tournamentIdCounter = 1;
+    const previousRounds = tournament.rounds.filter(r => r.roundNumber < roundNumber);
+    const pairings = markRepeats(renumberBoards(edit.pairings), previousRounds);
+    const warnings = newWarnings(
+      checkPairings(round.pairings, players, previousRounds),
+      checkPairings(pairings, players, previousRounds)
+    );
 
-/**
- * GET /api/tournaments
- * Get all tournaments
- */
-router.get('/', (req, res) => {
-  res.json({
-    success: true,
-    tournaments: tournaments.map(t => ({
-      id: t.id,
-      name: t.name,
-      tournamentType: t.tournamentType || 'swiss',
-      numberOfRounds: t.numberOfRounds,
-      currentRound: t.currentRound,
-      status: t.status,
-      createdAt: t.createdAt,
-      playerCount: t.players.length,
-    })),
-  });
-});
+    if (warnings.length > 0 && !acknowledgeWarnings) {
+      return res.status(409).json({
+        success: false,
+        error: 'The edited pairings break pairing rules',
+        warnings,
+        pairings,
+      });
+    }
 
-/**
- * GET /api/tournaments/:id
- * Get tournament by ID
- */
-router.get('/:id', (req, res) => {
-  const tournament = tournaments.find(t => t.id === parseInt(req.params.id));
-  
-  if (!tournament) {
-    return res.status(404).json({
+    await db.transaction(async (conn) => {
+      await Tournament.replacePairings(tournament.id, roundNumber, pairings, conn);
+      await audit(req, tournament.id, 'edit_pairings', {
+        oldValue: { roundNumber, pairings: round.pairings.map(boardSummary) },
+        newValue: {
+          roundNumber,
+          action,
+          pairings: pairings.map(boardSummary),
+          ...(warnings.length > 0 && { acknowledgedWarnings: warnings.map(w => w.message) }),
+        },
+      }, conn);
+    });
+
+    res.json({
+      success: true,
+      round: {
+        ...round,
+        pairings,
+      },
+      warnings,
+    });
+  } catch (error) {
+    console.error('Edit pairings error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Tournament not found',
+      error: 'Failed to edit pairings',
     });
   }
-
-  // Use appropriate pairing algorithm based on tournament type
-  const tournamentType = tournament.tournamentType || 'swiss';
-  const standings = tournamentType === 'swiss'
-    ? SwissPairing.calculateStandings(tournament)
-    : RoundRobinPairing.calculateStandings(tournament);
-
-  res.json({
-    success: true,
-    tournament: {
-      ...tournament,
-      standings,
-    },
-  });
 });
 
 /**
- * POST /api/tournaments
- * Create a new tournament
+ * POST /api/tournaments/:id/rounds/:roundNumber/reopen
+ * Re-open a completed round so its results can be corrected: later rounds
+ * are discarded and paired again when the round is completed. Refused with
+ * 409 if a later round already has results, unless `discardResults` is set.
  */
-router.post('/', (req, res) => {
-  const { name, numberOfRounds, tournamentType } = req.body;
+router.post('/:id/rounds/:roundNumber/reopen', requireAuth, requireTournamentPermission('manageRounds'), rejectWhilePairing, async (req, res) => {
+  try {
+    const tournament = req.tournament;
 
-  if (!name) {
-    return res.status(400).json({
-      success: false,
-      error: 'Tournament name is required',
-    });
-  }
+    const roundNumber = parseInt(req.params.roundNumber);
+    const round = tournament.rounds.find(r => r.roundNumber === roundNumber);
 
-  const type = tournamentType || 'swiss';
-  let rounds = parseInt(numberOfRounds) || 0;
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        error: 'Round not found',
+      });
+    }
 
-  // Validate and calculate rounds based on type
-  const swissTypes = new Set([
-    'swiss',
-    'swiss_uscf',
-    'swiss_fide_dutch',
-    'swiss_accelerated',
-  ]);
-
-  if (swissTypes.has(type)) {
-    if (!rounds || rounds < 1 || rounds > 20) {
+    if (!round.completed) {
       return res.status(400).json({
         success: false,
-        error: 'Number of rounds must be between 1 and 20 for Swiss tournaments',
+        error: 'Round is still open',
       });
     }
-  } else if (type === 'round_robin' || type === 'double_round_robin') {
-    // Rounds will be calculated when tournament starts based on number of players
-    rounds = 0; // Placeholder, will be calculated
-  } else {
-    return res.status(400).json({
-      success: false,
-      error: 'Invalid tournament type. Must be a Swiss, round robin, or double round robin format',
-    });
-  }
-
-  const tournament = {
-    id: tournamentIdCounter++,
-    name,
-    tournamentType: type,
-    numberOfRounds: rounds,
-    players: [],
-    rounds: [],
-    currentRound: 0,
-    status: 'registration', // registration, in_progress, completed
-    createdAt: new Date().toISOString(),
-  };
 
-  tournaments.push(tournament);
+    const laterRounds = tournament.rounds.filter(r => r.roundNumber > roundNumber);
+    const roundsWithResults = laterRounds
+      .filter(r => r.pairings.some(p => !p.isBye && p.result))
+      .map(r => r.roundNumber)
+      .sort((a, b) => a - b);
 
-  res.status(201).json({
-    success: true,
-    tournament,
-  });
-});
+    if (roundsWithResults.length > 0 && !req.body.discardResults) {
+      return res.status(409).json({
+        success: false,
+        error: `Results have been entered in round${roundsWithResults.length === 1 ? '' : 's'} ${roundsWithResults.join(', ')}. They will be lost if round ${roundNumber} is re-opened`,
+        roundsWithResults,
+      });
+    }
 
-/**
- * POST /api/tournaments/:id/players
- * Add a player to tournament
- */
-router.post('/:id/players', (req, res) => {
-  const tournament = tournaments.find(t => t.id === parseInt(req.params.id));
-  
-  if (!tournament) {
-    return res.status(404).json({
-      success: false,
-      error: 'Tournament not found',
+    await db.transaction(async (conn) => {
+      await Tournament.reopenRound(tournament.id, roundNumber, conn);
+      await Tournament.update(tournament.id, {
+        status: 'in_progress',
+        currentRound: roundNumber,
+      }, conn);
+      await audit(req, tournament.id, 'reopen_round', {
+        oldValue: {
+          status: tournament.status,
+          currentRound: tournament.currentRound,
+          discardedRounds: laterRounds.map(r => ({ roundNumber: r.roundNumber, pairings: r.pairings.map(boardSummary) })),
+        },
+        newValue: { status: 'in_progress', currentRound: roundNumber },
+      }, conn);
     });
-  }
 
-  if (tournament.status !== 'registration') {
-    return res.status(400).json({
+    res.json({
+      success: true,
+      tournament: {
+        id: tournament.id,
+        status: 'in_progress',
+        currentRound: roundNumber,
+      },
+      discardedRounds: laterRounds.map(r => r.roundNumber).sort((a, b) => a - b),
+    });
+  } catch (error) {
+    console.error('Reopen round error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Cannot add players after tournament has started',
+      error: 'Failed to re-open round',
     });
   }
+});
 
-  const { name, rating } = req.body;
+/**
+ * POST /api/tournaments/:id/rounds/:roundNumber/complete
+ * Complete a round and generate next round
+ */
+router.post('/:id/rounds/:roundNumber/complete', requireAuth, requireTournamentPermission('manageRounds'), rejectWhilePairing, async (req, res) => {
+  try {
+    const tournament = req.tournament;
 
-  if (!name || name.trim() === '') {
-    return res.status(400).json({
-      success: false,
-      error: 'Player name is required',
-    });
-  }
+    const roundNumber = parseInt(req.params.roundNumber);
+    const round = tournament.rounds.find(r => r.roundNumber === roundNumber);
 
-  // Check for duplicate names
-  if (tournament.players.some(p => p.name.toLowerCase() === name.toLowerCase())) {
-    return res.status(400).json({
-      success: false,
-      error: 'Player with this name already exists',
-    });
-  }
+    if (!round) {
+      return res.status(404).json({
+        success: false,
+        error: 'Round not found',
+      });
+    }
 
-  // Validate rating if provided
-  let playerRating = null;
-  if (rating !== undefined && rating !== null && rating !== '') {
-    const ratingNum = parseInt(rating);
-    if (isNaN(ratingNum) || ratingNum < 0 || ratingNum > 3000) {
+    if (round.completed) {
       return res.status(400).json({
         success: false,
-        error: 'Rating must be a number between 0 and 3000',
+        error: 'Round has already been completed',
       });
     }
-    playerRating = ratingNum;
-  }
 
-  const player = {
-    id: Date.now() + Math.random(), // Simple ID generation
-    name: name.trim(),
-    rating: playerRating, // null for unrated players
-  };
+    // Check if all pairings have results
+    const incompletePairings = round.pairings.filter(
+      p => !p.isBye && !p.result
+    );
 
-  tournament.players.push(player);
+    if (incompletePairings.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'All pairings must have results before completing the round',
+        incompletePairings: incompletePairings.length,
+      });
+    }
 
-  res.json({
-    success: true,
-    player,
-    tournament: {
-      id: tournament.id,
-      name: tournament.name,
-      playerCount: tournament.players.length,
-    },
-  });
-});
+    round.completed = true;
+    round.completedAt = new Date().toISOString();
+
+    // Check if tournament is complete
+    if (roundNumber >= tournament.numberOfRounds) {
+      tournament.status = 'completed';
+      tournament.currentRound = roundNumber;
+
+      await db.transaction(async (conn) => {
+        await Tournament.completeRound(tournament.id, roundNumber, round.completedAt, conn);
+        await Tournament.update(tournament.id, {
+          status: tournament.status,
+          currentRound: tournament.currentRound,
+        }, conn);
+        await audit(req, tournament.id, 'complete_round', {
+          newValue: { roundNumber, status: tournament.status },
+        }, conn);
+      });
 
-/**
- * DELETE /api/tournaments/:id/players/:playerId
- * Remove a player from tournament
- */
-router.delete('/:id/players/:playerId', (req, res) => {
-  const tournament = tournaments.find(t => t.id === parseInt(req.params.id));
-  
-  if (!tournament) {
-    return res.status(404).json({
-      success: false,
-      error: 'Tournament not found',
-    });
-  }
+      const standings = standingsEngine(tournament).calculateStandings(tournament);
 
-  if (tournament.status !== 'registration') {
-    return res.status(400).json({
-      success: false,
-      error: 'Cannot remove players after tournament has started',
-    });
-  }
+      return res.json({
+        success: true,
+        tournament: {
+          id: tournament.id,
+          status: tournament.status,
+          standings,
+        },
+        message: 'Tournament completed!',
+      });
+    }
 
-  const playerId = req.params.playerId;
-  const playerIndex = tournament.players.findIndex(p => p.id.toString() === playerId);
+    // Generate next round
+    const nextRoundNumber = roundNumber + 1;
+    const standings = standingsEngine(tournament).calculateStandings(tournament);
+    const requestedByes = await requestedByesFor(tournament, nextRoundNumber);
+
+    const players = playersForPairing(tournament, standings, requestedByes);
+
+    const job = pairingPool.submit(pairingRequest(tournament, nextRoundNumber, players), {
+      tournamentId: tournament.id,
+      roundNumber: nextRoundNumber,
+      onResult: async (pairingResult, { timedOut }) => {
+        const nextRound = newRound(nextRoundNumber, pairingResult, timedOut);
+        tournament.currentRound = nextRoundNumber;
+
+        await db.transaction(async (conn) => {
+          await Tournament.completeRound(tournament.id, roundNumber, round.completedAt, conn);
+          await Tournament.addRound(tournament.id, nextRound, conn);
+          await Tournament.update(tournament.id, { currentRound: tournament.currentRound }, conn);
+          await audit(req, tournament.id, 'complete_round', {
+            newValue: { roundNumber, nextRound: nextRoundNumber, pairings: nextRound.pairings.map(boardSummary) },
+          }, conn);
+        });
+
+        return {
+          success: true,
+          tournament: {
+            id: tournament.id,
+            currentRound: tournament.currentRound,
+          },
+          nextRound,
+          standings,
+        };
+      },
+    });
 
-  if (playerIndex === -1) {
-    return res.status(404).json({
+    await respondWhenPaired(res, job, 'Failed to complete round');
+  } catch (error) {
+    console.error('Complete round error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Player not found',
+      error: 'Failed to complete round',
     });
   }
-
-  tournament.players.splice(playerIndex, 1);
-
-  res.json({
-    success: true,
-    message: 'Player removed',
-  });
 });
 
 /**
- * DELETE /api/tournaments/:id
- * Delete a tournament
+ * GET /api/tournaments/:id/pairing-jobs/:jobId
+ * Status of a round being paired; once completed it carries the same
+ * response the start or complete request would have given
  */
-router.delete('/:id', (req, res) => {
-  const tournamentId = parseInt(req.params.id);
-  const tournamentIndex = tournaments.findIndex(t => t.id === tournamentId);
-  
-  if (tournamentIndex === -1) {
-    return res.status(404).json({
+router.get('/:id/pairing-jobs/:jobId', requireAuth, requireTournamentPermission('manageRounds'), async (req, res) => {
+  try {
+    const job = pairingPool.find(req.params.jobId);
+
+    if (!job || job.tournamentId !== req.tournament.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pairing job not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      job: describeJob(job),
+      ...(job.status === 'completed' && { response: job.response }),
+    });
+  } catch (error) {
+    console.error('Get pairing job error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Tournament not found',
+      error: 'Failed to load pairing job',
     });
   }
-
-  // Remove tournament from array
-  tournaments.splice(tournamentIndex, 1);
-
-  res.json({
-    success: true,
-    message: 'Tournament deleted successfully',
-  });
 });
 
 /**
- * POST /api/tournaments/:id/start
- * Start the tournament (generate first round)
+ * POST /api/tournaments/:id/pairing-jobs/:jobId/cancel
+ * Stop a round being paired. Nothing is stored: the round stays as it was
+ * before the start or complete request.
  */
-router.post('/:id/start', (req, res) => {
-  const tournament = tournaments.find(t => t.id === parseInt(req.params.id));
-  
-  if (!tournament) {
-    return res.status(404).json({
-      success: false,
-      error: 'Tournament not found',
-    });
-  }
+router.post('/:id/pairing-jobs/:jobId/cancel', requireAuth, requireTournamentPermission('manageRounds'), async (req, res) => {
+  try {
+    const job = pairingPool.find(req.params.jobId);
 
-  if (tournament.players.length < 2) {
-    return res.status(400).json({
-      success: false,
-      error: 'Tournament needs at least 2 players',
+    if (!job || job.tournamentId !== req.tournament.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pairing job not found',
+      });
+    }
+
+    if (!pairingPool.cancel(job.id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Pairing has already finished',
+        job: describeJob(job),
+      });
+    }
+
+    await audit(req, req.tournament.id, 'cancel_pairing', {
+      newValue: { roundNumber: job.roundNumber },
     });
-  }
 
-  if (tournament.status !== 'registration') {
-    return res.status(400).json({
+    res.json({
+      success: true,
+      job: describeJob(job),
+    });
+  } catch (error) {
+    console.error('Cancel pairing job error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Tournament has already started',
+      error: 'Failed to cancel pairing',
     });
   }
-
-  tournament.status = 'in_progress';
-  tournament.currentRound = 1;
-
-  const tournamentType = tournament.tournamentType || 'swiss';
-  const isDoubleRoundRobin = tournamentType === 'double_round_robin';
-  const isRoundRobin = tournamentType === 'round_robin' || isDoubleRoundRobin;
-  const isSwissUSCF = tournamentType === 'swiss_uscf';
-  const isSwissFideDutch = tournamentType === 'swiss_fide_dutch';
-  const isSwissAccelerated = tournamentType === 'swiss_accelerated';
-
-  // Calculate number of rounds for round robin
-  if (isRoundRobin) {
-    tournament.numberOfRounds = RoundRobinPairing.calculateRounds(
-      tournament.players.length,
-      isDoubleRoundRobin
-    );
-  }
-
-  // Assign pairing numbers for round robin (by lot)
-  if (isRoundRobin) {
-    const playersWithNumbers = RoundRobinPairing.assignPairingNumbers(tournament.players);
-    tournament.players = playersWithNumbers;
-  }
-
-  // Generate first round pairings
-  const players = tournament.players.map(p => ({
-    id: p.id,
-    name: p.name,
-    rating: p.rating || null,
-    pairingNumber: p.pairingNumber || null,
-    score: 0,
-    colorBalance: 0,
-    colorHistory: [],
-    previousOpponents: [],
-  }));
-
-  let pairingResult;
-  if (isRoundRobin) {
-    pairingResult = { pairings: RoundRobinPairing.generatePairings(players, 1, isDoubleRoundRobin) };
-  } else if (isSwissUSCF) {
-    pairingResult = SwissUSCF.generatePairings(players, 1, tournament.players, tournament.rounds);
-  } else if (isSwissFideDutch) {
-    pairingResult = SwissFideDutch.generatePairings(players, 1, tournament.players, tournament.rounds);
-  } else if (isSwissAccelerated) {
-    pairingResult = SwissAccelerated.generatePairings(
-      players,
-      1,
-      tournament.players,
-      tournament.rounds,
-      tournament.numberOfRounds
-    );
-  } else {
-    pairingResult = SwissPairing.generatePairings(players, 1, tournament.players, tournament.rounds);
-  }
-
-  tournament.rounds.push({
-    roundNumber: 1,
-    pairings: pairingResult.pairings,
-    forcedRepeat: pairingResult.forcedRepeat || false,
-    repeatCount: pairingResult.repeatCount || 0,
-    completed: false,
-  });
-
-  res.json({
-    success: true,
-    tournament: {
-      id: tournament.id,
-      currentRound: tournament.currentRound,
-      round: tournament.rounds[0],
-    },
-  });
 });
 
 /**
- * GET /api/tournaments/:id/rounds/:roundNumber
- * Get round details
+ * GET /api/tournaments/:id/crosstable
+ * Get the crosstable: the N×N grid for round robins, otherwise the wallchart
+ * of each player's rounds as colour, opponent and result
  */
-router.get('/:id/rounds/:roundNumber', (req, res) => {
-  const tournament = tournaments.find(t => t.id === parseInt(req.params.id));
-  
-  if (!tournament) {
-    return res.status(404).json({
-      success: false,
-      error: 'Tournament not found',
-    });
-  }
+router.get('/:id/crosstable', async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament not found',
+      });
+    }
 
-  const roundNumber = parseInt(req.params.roundNumber);
-  const round = tournament.rounds.find(r => r.roundNumber === roundNumber);
+    const crosstable = standingsEngine(tournament) === RoundRobinPairing
+      ? buildGrid(tournament)
+      : buildWallchart(tournament);
 
-  if (!round) {
-    return res.status(404).json({
+    res.json({
+      success: true,
+      crosstable,
+    });
+  } catch (error) {
+    console.error('Get crosstable error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Round not found',
+      error: 'Failed to load crosstable',
     });
   }
-
-  res.json({
-    success: true,
-    round,
-  });
 });
 
 /**
- * POST /api/tournaments/:id/rounds/:roundNumber/pairings/:pairingIndex/result
- * Record result for a pairing
+ * GET /api/tournaments/:id/roles
+ * List the owner and the staff assigned to a tournament
  */
-router.post('/:id/rounds/:roundNumber/pairings/:pairingIndex/result', (req, res) => {
-  const tournament = tournaments.find(t => t.id === parseInt(req.params.id));
-  
-  if (!tournament) {
-    return res.status(404).json({
+router.get('/:id/roles', requireAuth, requireTournamentPermission('manageStaff'), async (req, res) => {
+  try {
+    const tournament = req.tournament;
+    const owner = tournament.ownerId !== null ? await User.findById(tournament.ownerId) : null;
+    const staff = await TournamentRole.findByTournament(tournament.id);
+
+    res.json({
+      success: true,
+      owner: owner ? { userId: owner.id, email: owner.email, name: owner.name, role: 'owner' } : null,
+      roles: staff,
+    });
+  } catch (error) {
+    console.error('List roles error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Tournament not found',
+      error: 'Failed to load tournament staff',
     });
   }
+});
 
-  const roundNumber = parseInt(req.params.roundNumber);
-  const pairingIndex = parseInt(req.params.pairingIndex);
-  const round = tournament.rounds.find(r => r.roundNumber === roundNumber);
+/**
+ * POST /api/tournaments/:id/roles
+ * Invite an existing user by email, or change their role
+ */
+router.post('/:id/roles', requireAuth, requireTournamentPermission('manageStaff'), async (req, res) => {
+  const { email, role } = req.body;
 
-  if (!round) {
-    return res.status(404).json({
+  if (!email) {
+    return res.status(400).json({
       success: false,
-      error: 'Round not found',
+      error: 'Email is required',
     });
   }
 
-  if (pairingIndex < 0 || pairingIndex >= round.pairings.length) {
+  if (!TournamentRole.ROLES.includes(role)) {
     return res.status(400).json({
       success: false,
-      error: 'Invalid pairing index',
+      error: `Role must be one of: ${TournamentRole.ROLES.join(', ')}`,
     });
   }
 
-  const { result } = req.body;
-  const validResults = ['1-0', '0-1', '1/2-1/2'];
-  
-  if (!result || !validResults.includes(result)) {
-    return res.status(400).json({
+  try {
+    const tournament = req.tournament;
+    const user = await User.findByEmail(email);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'No user found with that email',
+      });
+    }
+
+    if (user.id === tournament.ownerId) {
+      return res.status(400).json({
+        success: false,
+        error: 'The tournament owner already has full access',
+      });
+    }
+
+    const previousRole = await TournamentRole.findRole(tournament, user.id);
+    await db.transaction(async (conn) => {
+      await TournamentRole.assign(tournament.id, user.id, role, conn);
+      await audit(req, tournament.id, 'assign_role', {
+        oldValue: previousRole ? { email: user.email, role: previousRole } : undefined,
+        newValue: { email: user.email, role },
+      }, conn);
+    });
+
+    res.json({
+      success: true,
+      role: { userId: user.id, email: user.email, name: user.name, role },
+    });
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Invalid result. Must be one of: 1-0, 0-1, 1/2-1/2',
+      error: 'Failed to assign role',
     });
   }
-
-  round.pairings[pairingIndex].result = result;
-
-  res.json({
-    success: true,
-    pairing: round.pairings[pairingIndex],
-  });
 });
 
 /**
- * POST /api/tournaments/:id/rounds/:roundNumber/complete
- * Complete a round and generate next round
+ * DELETE /api/tournaments/:id/roles/:userId
+ * Remove a user's role from a tournament
  */
-router.post('/:id/rounds/:roundNumber/complete', (req, res) => {
-  const tournament = tournaments.find(t => t.id === parseInt(req.params.id));
-  
-  if (!tournament) {
-    return res.status(404).json({
-      success: false,
-      error: 'Tournament not found',
+router.delete('/:id/roles/:userId', requireAuth, requireTournamentPermission('manageStaff'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const previousRole = await TournamentRole.findRole(req.tournament, userId);
+    const removed = await db.transaction(async (conn) => {
+      if (!(await TournamentRole.remove(req.tournament.id, userId, conn))) return false;
+      await audit(req, req.tournament.id, 'remove_role', {
+        oldValue: { userId, role: previousRole },
+      }, conn);
+      return true;
     });
-  }
 
-  const roundNumber = parseInt(req.params.roundNumber);
-  const round = tournament.rounds.find(r => r.roundNumber === roundNumber);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'User has no role in this tournament',
+      });
+    }
 
-  if (!round) {
-    return res.status(404).json({
+    res.json({
+      success: true,
+      message: 'Role removed',
+    });
+  } catch (error) {
+    console.error('Remove role error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Round not found',
+      error: 'Failed to remove role',
     });
   }
+});
+
+/**
+ * The audit log outlives its tournament. Only an owner can delete a
+ * tournament, so whoever deleted it can still read its log; for everyone
+ * else it is gone along with the tournament.
+ */
+const serveDeletedAuditLog = async (req, res, next) => {
+  try {
+    const deletion = await AuditLog.findDeletion(req.params.id);
+    if (!deletion) return next();
 
-  // Check if all pairings have results
-  const incompletePairings = round.pairings.filter(
-    p => !p.isBye && !p.result
-  );
+    if (!deletion.user || deletion.user.id !== req.session.userId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament not found',
+      });
+    }
 
-  if (incompletePairings.length > 0) {
-    return res.status(400).json({
+    res.json({
+      success: true,
+      deleted: true,
+      entries: await AuditLog.findByTournament(req.params.id),
+    });
+  } catch (error) {
+    console.error('Get deleted audit log error:', error);
+    res.status(500).json({
       success: false,
-      error: 'All pairings must have results before completing the round',
-      incompletePairings: incompletePairings.length,
+      error: 'Failed to load audit log',
     });
   }
+};
 
-  round.completed = true;
-  round.completedAt = new Date().toISOString();
-
-  // Check if tournament is complete
-  if (roundNumber >= tournament.numberOfRounds) {
-    tournament.status = 'completed';
-    tournament.currentRound = roundNumber;
-
-    const tournamentType = tournament.tournamentType || 'swiss';
-    const standings = tournamentType === 'swiss'
-      ? SwissPairing.calculateStandings(tournament)
-      : RoundRobinPairing.calculateStandings(tournament);
+/**
+ * GET /api/tournaments/:id/audit
+ * The tournament's audit log, oldest entry first (staff only). Once the
+ * tournament is deleted, the owner who deleted it can still read it,
+ * flagged with `deleted`.
+ */
+router.get('/:id/audit', requireAuth, serveDeletedAuditLog, requireTournamentPermission('viewAudit'), async (req, res) => {
+  try {
+    const entries = await AuditLog.findByTournament(req.tournament.id);
 
-    return res.json({
+    res.json({
       success: true,
-      tournament: {
-        id: tournament.id,
-        status: tournament.status,
-        standings,
-      },
-      message: 'Tournament completed!',
-    });
-  }
-
-  // Generate next round
-  const tournamentType = tournament.tournamentType || 'swiss';
-  const isDoubleRoundRobin = tournamentType === 'double_round_robin';
-  const isRoundRobin = tournamentType === 'round_robin' || isDoubleRoundRobin;
-  const isSwissUSCF = tournamentType === 'swiss_uscf';
-  const isSwissFideDutch = tournamentType === 'swiss_fide_dutch';
-  const isSwissAccelerated = tournamentType === 'swiss_accelerated';
-  
-  const standings = isRoundRobin
-    ? RoundRobinPairing.calculateStandings(tournament)
-    : SwissPairing.calculateStandings(tournament);
-  
-  const players = tournament.players.map(p => {
-    const standing = standings.find(s => s.id === p.id);
-    return {
-      id: p.id,
-      name: p.name,
-      rating: p.rating || null,
-      pairingNumber: p.pairingNumber || null,
-      score: standing ? standing.score : 0,
-      colorBalance: standing ? standing.colorBalance : 0,
-      colorHistory: standing ? (standing.colorHistory || []) : [],
-      previousOpponents: standing ? (standing.previousOpponents || []) : [],
-    };
-  });
-
-  const nextRoundNumber = roundNumber + 1;
-  let nextPairingResult;
-  if (isRoundRobin) {
-    nextPairingResult = { pairings: RoundRobinPairing.generatePairings(players, nextRoundNumber, isDoubleRoundRobin) };
-  } else if (isSwissUSCF) {
-    nextPairingResult = SwissUSCF.generatePairings(players, nextRoundNumber, tournament.players, tournament.rounds);
-  } else if (isSwissFideDutch) {
-    nextPairingResult = SwissFideDutch.generatePairings(players, nextRoundNumber, tournament.players, tournament.rounds);
-  } else if (isSwissAccelerated) {
-    nextPairingResult = SwissAccelerated.generatePairings(
-      players,
-      nextRoundNumber,
-      tournament.players,
-      tournament.rounds,
-      tournament.numberOfRounds
-    );
-  } else {
-    nextPairingResult = SwissPairing.generatePairings(players, nextRoundNumber, tournament.players, tournament.rounds);
+      entries,
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load audit log',
+    });
   }
-
-  tournament.rounds.push({
-    roundNumber: nextRoundNumber,
-    pairings: nextPairingResult.pairings,
-    forcedRepeat: nextPairingResult.forcedRepeat || false,
-    repeatCount: nextPairingResult.repeatCount || 0,
-    completed: false,
-  });
-
-  tournament.currentRound = nextRoundNumber;
-
-  res.json({
-    success: true,
-    tournament: {
-      id: tournament.id,
-      currentRound: tournament.currentRound,
-    },
-    nextRound: tournament.rounds[tournament.rounds.length - 1],
-    standings,
-  });
 });
 
 /**
  * GET /api/tournaments/:id/standings
- * Get tournament standings
+ * Get tournament standings, with each player's rank after every round
+ * (?afterRound=N for the standings as they stood after round N)
  */
-router.get('/:id/standings', (req, res) => {
-  const tournament = tournaments.find(t => t.id === parseInt(req.params.id));
-  
-  if (!tournament) {
-    return res.status(404).json({
+router.get('/:id/standings', async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tournament not found',
+      });
+    }
+
+    const completedRounds = completedRoundNumbers(tournament);
+    let afterRound = completedRounds.length ? completedRounds[completedRounds.length - 1] : 0;
+
+    if (req.query.afterRound !== undefined) {
+      afterRound = parseInt(req.query.afterRound);
+      if (!completedRounds.includes(afterRound)) {
+        return res.status(400).json({
+          success: false,
+          error: 'afterRound must be the number of a completed round',
+        });
+      }
+    }
+
+    const engine = standingsEngine(tournament);
+    const standings = engine.calculateStandings(tournament, { afterRound });
+    const rankHistory = engine.calculateRankHistory(tournament, { afterRound });
+
+    res.json({
+      success: true,
+      afterRound,
+      tiebreaks: resolveTiebreaks(tournament),
+      scoring: resolveScoring(tournament),
+      standings: standings.map(standing => ({
+        ...standing,
+        rankHistory: rankHistory.get(standing.id) || [],
+      })),
+    });
+  } catch (error) {
+    console.error('Get standings error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Tournament not found',
+      error: 'Failed to load standings',
     });
   }
-
-  const standings = SwissPairing.calculateStandings(tournament);
-
-  res.json({
-    success: true,
-    standings,
-  });
 });
 
 module.exports = router;
-
@@ -6,8 +6,8 @@ const session = require('express-session');
 const pgSession = require('connect-pg-simple')(session);
 require('dotenv').config();
 
-// Initialize database (creates tables if needed)
-require('./db');
+// Initialize database (applies pending migrations)
+const db = require('./db');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -145,11 +145,20 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📱 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔗 API base: http://localhost:${PORT}/api`);
-});
+// Start server once the schema is up to date (skipped when required by tests)
+if (require.main === module) {
+  db.ready
+    .then(() => {
+      app.listen(PORT, () => {
+        console.log(`🚀 Server running on port ${PORT}`);
+        console.log(`📱 Health check: http://localhost:${PORT}/health`);
+        console.log(`🔗 API base: http://localhost:${PORT}/api`);
+      });
+    })
+    .catch((error) => {
+      console.error('❌ Database migration failed, not starting server:', error);
+      process.exit(1);
+    });
+}
 
 module.exports = app;
@@ -0,0 +1,158 @@
+const { buildWallchart, buildGrid } = require('../utils/crosstable');
+
+const players = [
+  { id: 1, name: 'A', rating: 2000 },
+  { id: 2, name: 'B', rating: 1900 },
+  { id: 3, name: 'C', rating: 1800 },
+  { id: 4, name: 'D', rating: 1700 },
+  { id: 5, name: 'E', rating: 1600 },
+];
+
+const game = (board, white, black, result) => ({
+  player1: players[white - 1],
+  player2: players[black - 1],
+  boardNumber: board,
+  whitePlayerId: white,
+  blackPlayerId: black,
+  result,
+});
+
+const bye = (board, id) => ({
+  player1: players[id - 1],
+  player2: null,
+  boardNumber: board,
+  isBye: true,
+});
+
+// Final order: E 2, D 1.5, A 1.5 (Buchholz), C 1, B 0
+const buildTournament = (overrides = {}) => ({
+  tournamentType: 'swiss',
+  players,
+  rounds: [
+    { roundNumber: 1, completed: true, pairings: [game(1, 1, 2, '1-0'), game(2, 3, 4, '1/2-1/2'), bye(3, 5)] },
+    { roundNumber: 2, completed: true, pairings: [game(1, 3, 1, '1/2-1/2'), game(2, 2, 5, '0-1'), bye(3, 4)] },
+    { roundNumber: 3, completed: false, pairings: [game(1, 1, 5)] },
+  ],
+  ...overrides,
+});
+
+const rowFor = (crosstable, name) => crosstable.rows.find((row) => row.name === name);
+
+describe('Wallchart crosstable', () => {
+  test('Lists players in standings order with completed rounds only', () => {
+    const crosstable = buildWallchart(buildTournament());
+
+    expect(crosstable.format).toBe('wallchart');
+    expect(crosstable.rounds).toEqual([1, 2]);
+    expect(crosstable.rows.map((row) => [row.position, row.name, row.score])).toEqual([
+      [1, 'E', 2],
+      [2, 'D', 1.5],
+      [3, 'A', 1.5],
+      [4, 'C', 1],
+      [5, 'B', 0],
+    ]);
+  });
+
+  test('Writes each round as colour, opponent position and result', () => {
+    const crosstable = buildWallchart(buildTournament());
+
+    expect(rowFor(crosstable, 'A').cells.map((cell) => cell.notation)).toEqual(['W5+', 'B4=']);
+    expect(rowFor(crosstable, 'C').cells.map((cell) => cell.notation)).toEqual(['W2=', 'W3=']);
+    expect(rowFor(crosstable, 'B').cells.map((cell) => cell.notation)).toEqual(['B3-', 'W1-']);
+  });
+
+  test('Shows byes and keeps running totals', () => {
+    const crosstable = buildWallchart(buildTournament());
+    const e = rowFor(crosstable, 'E');
+
+    expect(e.cells.map((cell) => cell.notation)).toEqual(['BYE+', 'B5+']);
+    expect(e.cells.map((cell) => cell.total)).toEqual([1, 2]);
+    expect(e.cells[0]).toMatchObject({ type: 'bye', opponentId: null, color: null });
+    expect(rowFor(crosstable, 'D').cells.map((cell) => cell.total)).toEqual([0.5, 1.5]);
+  });
+
+  test('Marks floats in games against a different score', () => {
+    const crosstable = buildWallchart(buildTournament());
+
+    // Round 2: A (1) met C (½), E (1) met B (0)
+    expect(rowFor(crosstable, 'A').cells.map((cell) => cell.float)).toEqual([null, 'down']);
+    expect(rowFor(crosstable, 'C').cells.map((cell) => cell.float)).toEqual([null, 'up']);
+    expect(rowFor(crosstable, 'B').cells.map((cell) => cell.float)).toEqual([null, 'up']);
+    expect(rowFor(crosstable, 'E').cells.map((cell) => cell.float)).toEqual([null, 'down']);
+  });
+
+  test('Marks rounds a player was not paired in', () => {
+    const late = { id: 6, name: 'F', rating: 1500 };
+    const crosstable = buildWallchart(buildTournament({ players: [...players, late] }));
+    const f = rowFor(crosstable, 'F');
+
+    expect(f.cells.map((cell) => cell.notation)).toEqual(['---', '---']);
+    expect(f.cells.every((cell) => cell.type === 'absent')).toBe(true);
+    expect(f.score).toBe(0);
+  });
+});
+
+describe('Round robin grid crosstable', () => {
+  // Pairing numbers deliberately differ from ID order
+  const rrPlayers = [
+    { id: 1, name: 'P1', rating: 2000, pairingNumber: 3 },
+    { id: 2, name: 'P2', rating: 1900, pairingNumber: 1 },
+    { id: 3, name: 'P3', rating: 1800, pairingNumber: 4 },
+    { id: 4, name: 'P4', rating: 1700, pairingNumber: 2 },
+  ];
+
+  const rrGame = (white, black, result) => ({
+    player1: rrPlayers[white - 1],
+    player2: rrPlayers[black - 1],
+    whitePlayerId: white,
+    blackPlayerId: black,
+    result,
+  });
+
+  test('Orders rows and columns by pairing number and blacks out the diagonal', () => {
+    const grid = buildGrid({
+      tournamentType: 'round_robin',
+      players: rrPlayers,
+      rounds: [
+        { roundNumber: 1, completed: true, pairings: [rrGame(2, 3, '1-0'), rrGame(4, 1, '1/2-1/2')] },
+        { roundNumber: 2, completed: true, pairings: [rrGame(3, 4, '0-1'), rrGame(1, 2, '1-0')] },
+        { roundNumber: 3, completed: false, pairings: [rrGame(2, 4), rrGame(1, 3)] },
+      ],
+    });
+
+    expect(grid.format).toBe('grid');
+    expect(grid.double).toBe(false);
+    expect(grid.rows.map((row) => row.name)).toEqual(['P2', 'P4', 'P1', 'P3']);
+    grid.rows.forEach((row, index) => {
+      expect(row.cells.map((cell) => cell.opponentId)).toEqual([2, 4, 1, 3]);
+      expect(row.cells[index].self).toBe(true);
+    });
+
+    const p1 = grid.rows[2];
+    expect(p1.cells.map((cell) => cell.games.map((g) => g.result))).toEqual([['1'], ['½'], [], []]);
+    expect(p1.score).toBe(1.5);
+    expect(p1.rank).toBe(1);
+    // P2 on 1 point and P4 on 1.5: 1 × 1 + 0.5 × 1.5
+    expect(p1.sonnebornBerger).toBe(1.75);
+  });
+
+  test('Shows both games of a double round robin in one cell', () => {
+    const grid = buildGrid({
+      tournamentType: 'double_round_robin',
+      players: rrPlayers.slice(0, 2),
+      rounds: [
+        { roundNumber: 1, completed: true, pairings: [rrGame(1, 2, '1-0')] },
+        { roundNumber: 2, completed: true, pairings: [rrGame(2, 1, '1/2-1/2')] },
+      ],
+    });
+
+    expect(grid.double).toBe(true);
+    const p1 = grid.rows.find((row) => row.name === 'P1');
+    const p2Cell = p1.cells.find((cell) => cell.opponentId === 2);
+    expect(p2Cell.games).toEqual([
+      { round: 1, color: 'white', points: 1, played: true, result: '1' },
+      { round: 2, color: 'black', points: 0.5, played: true, result: '½' },
+    ]);
+    expect(p1.score).toBe(1.5);
+  });
+});
@@ -0,0 +1,98 @@
+const SwissUSCF = require('../utils/swissUscf');
+const { buildHistory, floatIn, floatMarkers } = require('../utils/swissEngine');
+
+const player = (id, score = 0, colorHistory = []) => ({
+  id,
+  name: `Player ${id}`,
+  rating: 2000 - id * 10,
+  score,
+  colorHistory,
+  colorBalance: colorHistory.reduce((total, color) => total + (color === 'white' ? 1 : -1), 0),
+  previousOpponents: [],
+});
+
+const game = (white, black, result) => ({
+  player1: { id: white },
+  player2: { id: black },
+  result,
+  isBye: false,
+});
+
+const bye = (id) => ({ player1: { id }, player2: null, isBye: true, byeType: 'full', result: '1-0' });
+
+describe('Float history', () => {
+  const rounds = [
+    { roundNumber: 1, pairings: [game(1, 2, '1-0'), game(3, 4, '0-1'), bye(5)] },
+    { roundNumber: 2, pairings: [game(1, 4, '1/2-1/2'), game(5, 2, '1-0'), game(3, 6, '+/-')] },
+  ];
+
+  test('the higher score floats down and the lower score up', () => {
+    const history = buildHistory(rounds);
+
+    expect(floatIn(history, 5, 2)).toBe('down');
+    expect(floatIn(history, 2, 2)).toBe('up');
+    expect(floatIn(history, 1, 2)).toBeUndefined();
+    expect(floatIn(history, 4, 2)).toBeUndefined();
+  });
+
+  test('byes and forfeits count as floating down', () => {
+    const history = buildHistory(rounds);
+
+    expect(floatIn(history, 5, 1)).toBe('down');
+    expect(floatIn(history, 3, 2)).toBe('down');
+    expect(floatIn(history, 6, 2)).toBe('down');
+  });
+
+  test('players missing from a round float down only when the player list is given', () => {
+    const players = [1, 2, 3, 4, 5, 6].map((id) => player(id));
+
+    expect(floatIn(buildHistory(rounds), 6, 1)).toBeUndefined();
+    expect(floatIn(buildHistory(rounds, players), 6, 1)).toBe('down');
+  });
+
+  test('scores are added up under the tournament\'s scoring', () => {
+    // A win and a loss equal two draws under 1-½-0, but not under 3-1-0
+    const leagueRounds = [
+      { roundNumber: 1, pairings: [game(1, 2, '1-0'), game(3, 4, '1/2-1/2')] },
+      { roundNumber: 2, pairings: [game(2, 1, '1-0'), game(4, 3, '1/2-1/2')] },
+      { roundNumber: 3, pairings: [game(1, 3, '1-0'), game(4, 2, '0-1')] },
+    ];
+    const league = { win: 3, draw: 1, loss: 0, forfeitWin: 3, fullBye: 3, halfBye: 1, zeroBye: 0 };
+
+    expect(floatIn(buildHistory(leagueRounds), 1, 3)).toBeUndefined();
+    expect(floatIn(buildHistory(leagueRounds, null, league), 1, 3)).toBe('down');
+    expect(floatIn(buildHistory(leagueRounds, null, league), 3, 3)).toBe('up');
+    expect(floatMarkers(leagueRounds, league)[3]).toEqual({ 1: 'down', 2: 'down', 3: 'up', 4: 'up' });
+  });
+
+  test('byes score what the tournament gives for them', () => {
+    const byeRounds = [
+      { roundNumber: 1, pairings: [game(1, 2, '1/2-1/2'), bye(3)] },
+      { roundNumber: 2, pairings: [game(3, 1, '1/2-1/2')] },
+    ];
+    const halfPointByes = { win: 1, draw: 0.5, loss: 0, forfeitWin: 1, fullBye: 0.5, halfBye: 0.5, zeroBye: 0 };
+
+    expect(floatIn(buildHistory(byeRounds), 3, 2)).toBe('down');
+    expect(floatIn(buildHistory(byeRounds, null, halfPointByes), 3, 2)).toBeUndefined();
+  });
+
+  test('markers are listed by round and player', () => {
+    expect(floatMarkers(rounds)).toEqual({
+      1: { 5: 'down' },
+      2: { 5: 'down', 2: 'up', 3: 'down', 6: 'down' },
+    });
+  });
+
+  test('a player who floated down last round is not floated down again', () => {
+    // Player 3 had the bye in round 1, so one of the three leaders has to
+    // meet a player on 0 and it shouldn't be 3 again
+    const history = [{ roundNumber: 1, pairings: [game(1, 5, '1-0'), game(2, 6, '1-0'), bye(3)] }];
+    const players = [player(1, 1), player(2, 1), player(3, 1), player(4, 0), player(5, 0), player(6, 0)];
+    const result = SwissUSCF.generatePairings(players, 2, players, history);
+    const board = result.pairings.find((p) => p.player1.id === 3 || (p.player2 && p.player2.id === 3));
+    const opponent = board.player1.id === 3 ? board.player2 : board.player1;
+
+    expect(result.forcedRepeat).toBe(false);
+    expect(players.find((p) => p.id === opponent.id).score).toBe(1);
+  });
+});
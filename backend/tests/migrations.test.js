@@ -0,0 +1,86 @@
+const { loadMigrations, migrate, rollback, status } = require('../db/migrate');
+
+const silent = () => {};
+
+const tableNames = (db) =>
+  db.raw
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")
+    .all()
+    .map((row) => row.name)
+    .sort();
+
+describe('Schema migrations', () => {
+  let db;
+  let originalDbPath;
+
+  beforeEach(() => {
+    originalDbPath = process.env.DB_PATH;
+    process.env.DB_PATH = ':memory:';
+    jest.isolateModules(() => {
+      db = require('../db/connection');
+    });
+  });
+
+  afterEach(() => {
+    db.close();
+    if (originalDbPath === undefined) {
+      delete process.env.DB_PATH;
+    } else {
+      process.env.DB_PATH = originalDbPath;
+    }
+  });
+
+  test('migrations are numbered uniquely and in order', () => {
+    const versions = loadMigrations().map((m) => m.version);
+    expect(versions.length).toBeGreaterThan(0);
+    expect([...versions].sort((a, b) => a - b)).toEqual(versions);
+    expect(new Set(versions).size).toBe(versions.length);
+  });
+
+  test('up applies every pending migration once', async () => {
+    const applied = await migrate(db, { log: silent });
+    expect(applied.map((m) => m.version)).toEqual(loadMigrations().map((m) => m.version));
+    expect(tableNames(db)).toEqual(
+      expect.arrayContaining(['users', 'tournaments', 'players', 'rounds', 'pairings', 'schema_migrations'])
+    );
+
+    const again = await migrate(db, { log: silent });
+    expect(again).toEqual([]);
+    expect((await status(db)).every((m) => m.applied)).toBe(true);
+  });
+
+  test('down rolls back the latest migrations and up re-applies them', async () => {
+    await migrate(db, { log: silent });
+    const total = loadMigrations().length;
+
+    const rolledBack = await rollback(db, total, { log: silent });
+    expect(rolledBack).toHaveLength(total);
+    expect(tableNames(db)).toEqual(['schema_migrations']);
+    expect((await status(db)).some((m) => m.applied)).toBe(false);
+
+    await migrate(db, { log: silent });
+    expect(tableNames(db)).toEqual(expect.arrayContaining(['users', 'tournaments']));
+  });
+
+  test('a failing migration is rolled back and not recorded', async () => {
+    const migrations = [
+      ...loadMigrations(),
+      {
+        version: 9999,
+        name: 'broken',
+        up: async (conn) => {
+          await conn.query('CREATE TABLE half_done (id INTEGER)');
+          await conn.query('INSERT INTO missing_table VALUES (1)');
+        },
+        down: async () => {},
+      },
+    ];
+
+    await expect(migrate(db, { migrations, log: silent })).rejects.toMatchObject({
+      message: expect.stringContaining('missing_table'),
+    });
+    expect(tableNames(db)).not.toContain('half_done');
+    const broken = (await status(db, { migrations })).find((m) => m.version === 9999);
+    expect(broken.applied).toBe(false);
+  });
+});
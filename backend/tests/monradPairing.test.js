@@ -0,0 +1,72 @@
+const MonradPairing = require('../utils/monradPairing');
+const DanishPairing = require('../utils/danishPairing');
+const { player, game, boards } = require('./pairingHarness');
+
+describe('MonradPairing', () => {
+  test('pairs 1 against 2, 3 against 4 in the first round', () => {
+    const players = [1, 2, 3, 4, 5, 6].map((id) => player(id));
+    const result = MonradPairing.generatePairings(players, 1, players, []);
+
+    expect(boards(result)).toEqual(['1-2', '3-4', '5-6']);
+  });
+
+  test('follows the tournament tiebreaks down the standings', () => {
+    const scores = { 1: 1, 2: 0, 3: 0.5, 4: 0.5 };
+    const players = [1, 2, 3, 4].map((id) => player(id, scores[id]));
+    const rounds = [{ roundNumber: 1, completed: true, pairings: [game(1, 2, '1-0'), game(3, 4, '1/2-1/2')] }];
+
+    // Tied on every default tiebreak, 3 is placed above 4 on rating
+    expect(boards(MonradPairing.generatePairings(players, 2, players, rounds))).toEqual(['1-3', '2-4']);
+    // 4 had black, so is placed above 3 on games with black
+    const byBlack = MonradPairing.generatePairings(players, 2, players, rounds, { tiebreaks: ['games_with_black'] });
+    expect(boards(byBlack)).toEqual(['1-4', '2-3']);
+  });
+
+  test('skips opponents already met', () => {
+    const players = [1, 2, 3, 4].map((id) => player(id, 0.5));
+    const rounds = [{ roundNumber: 1, completed: true, pairings: [game(1, 2, '1/2-1/2'), game(3, 4, '1/2-1/2')] }];
+    const result = MonradPairing.generatePairings(players, 2, players, rounds);
+
+    expect(boards(result)).toEqual(['1-3', '2-4']);
+    expect(result.forcedRepeat).toBe(false);
+  });
+
+  test('repeats as few games as it can once everyone has met', () => {
+    const players = [1, 2, 3, 4].map((id) => player(id, 1.5));
+    const rounds = [
+      { roundNumber: 1, completed: true, pairings: [game(1, 2, '1/2-1/2'), game(3, 4, '1/2-1/2')] },
+      { roundNumber: 2, completed: true, pairings: [game(3, 1, '1/2-1/2'), game(4, 2, '1/2-1/2')] },
+      { roundNumber: 3, completed: true, pairings: [game(1, 4, '1/2-1/2'), game(2, 3, '1/2-1/2')] },
+    ];
+    const result = MonradPairing.generatePairings(players, 4, players, rounds);
+
+    expect(result.forcedRepeat).toBe(true);
+    expect(result.repeatCount).toBe(2);
+  });
+
+  test('gives the bye to the lowest placed player who has not had one', () => {
+    const players = [1, 2, 3, 4, 5].map((id) => player(id));
+    const afterBye = (byeType) => [{
+      roundNumber: 1,
+      completed: true,
+      pairings: [game(1, 4, '1-0'), game(2, 3, '1-0'), { player1: { id: 5 }, player2: null, isBye: true, byeType }],
+    }];
+
+    const bye = (result) => result.pairings.find((p) => p.isBye).player1.id;
+    // A requested zero-point bye doesn't use up the pairing bye
+    expect(bye(MonradPairing.generatePairings(players, 2, players, afterBye('zero')))).toBe(5);
+    expect(bye(MonradPairing.generatePairings(players, 2, players, afterBye('full')))).toBe(4);
+  });
+});
+
+describe('DanishPairing', () => {
+  test('pairs straight down the standings, repeats and all', () => {
+    const players = [1, 2, 3, 4].map((id) => player(id, 0.5));
+    const rounds = [{ roundNumber: 1, completed: true, pairings: [game(1, 2, '1/2-1/2'), game(3, 4, '1/2-1/2')] }];
+    const result = DanishPairing.generatePairings(players, 2, players, rounds);
+
+    expect(boards(result)).toEqual(['1-2', '3-4']);
+    expect(result.pairings.every((p) => p.isRepeat)).toBe(true);
+    expect(result.repeatCount).toBe(2);
+  });
+});
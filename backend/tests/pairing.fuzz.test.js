@@ -10,6 +10,11 @@ const SwissPairing = require('../utils/swissPairing');
 const SwissUSCF = require('../utils/swissUscf');
 const SwissFideDutch = require('../utils/swissFideDutch');
 const SwissAccelerated = require('../utils/swissAccelerated');
+const SwissBurstein = require('../utils/swissBurstein');
+const SwissDubov = require('../utils/swissDubov');
+const SwissLim = require('../utils/swissLim');
+const MonradPairing = require('../utils/monradPairing');
+const DanishPairing = require('../utils/danishPairing');
 const RoundRobinPairing = require('../utils/roundRobinPairing');
 
 const methods = [
@@ -17,10 +22,18 @@ const methods = [
   ['swiss_uscf', SwissUSCF],
   ['swiss_fide_dutch', SwissFideDutch],
   ['swiss_accelerated', SwissAccelerated],
+  ['swiss_burstein', SwissBurstein],
+  ['swiss_dubov', SwissDubov],
+  ['swiss_lim', SwissLim],
+  ['monrad', MonradPairing],
+  ['danish', DanishPairing],
   ['round_robin', RoundRobinPairing],
   ['double_round_robin', RoundRobinPairing],
 ];
 
+// Engines that also take the total number of rounds
+const takesTotalRounds = (name) => name === 'swiss_accelerated' || name === 'swiss_burstein';
+
 /**
  * Format metrics for summary output
  */
@@ -62,7 +75,7 @@ describe('Pairing Methods - Property/Fuzz Tests', () => {
         if (isRoundRobin) {
           return method.generatePairings(players, roundNumber, isDouble);
         }
-        if (name === 'swiss_accelerated') {
+        if (takesTotalRounds(name)) {
           return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam || totalRounds);
         }
         return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds);
@@ -143,7 +156,7 @@ describe('Pairing Methods - Property/Fuzz Tests', () => {
         if (isRoundRobin) {
           return method.generatePairings(players, roundNumber, isDouble);
         }
-        if (name === 'swiss_accelerated') {
+        if (takesTotalRounds(name)) {
           return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam || totalRounds);
         }
         return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds);
@@ -205,13 +218,17 @@ describe('Pairing Methods - Property/Fuzz Tests', () => {
         ['swiss_uscf', SwissUSCF],
         ['swiss_fide_dutch', SwissFideDutch],
         ['swiss_accelerated', SwissAccelerated],
+        ['swiss_burstein', SwissBurstein],
+        ['swiss_dubov', SwissDubov],
+        ['swiss_lim', SwissLim],
+        ['monrad', MonradPairing],
       ];
 
       const results = [];
       for (const [name, method] of swissMethods) {
         const { metrics } = runTournament({
           generatePairings: (players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam) => {
-            if (name === 'swiss_accelerated') {
+            if (takesTotalRounds(name)) {
               return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam || rounds);
             }
             return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds);
@@ -251,7 +268,7 @@ describe('Pairing Methods - Property/Fuzz Tests', () => {
         if (isRoundRobin) {
           return method.generatePairings(players, roundNumber, name === 'double_round_robin');
         }
-        if (name === 'swiss_accelerated') {
+        if (takesTotalRounds(name)) {
           return method.generatePairings(players, roundNumber, players, [], rounds);
         }
         return method.generatePairings(players, roundNumber, players, []);
@@ -282,7 +299,7 @@ describe('Pairing Methods - Property/Fuzz Tests', () => {
         if (isRoundRobin) {
           return method.generatePairings(players, roundNumber, isDouble);
         }
-        if (name === 'swiss_accelerated') {
+        if (takesTotalRounds(name)) {
           return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam || rounds);
         }
         return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds);
@@ -315,7 +332,7 @@ describe('Pairing Methods - Property/Fuzz Tests', () => {
         if (isRoundRobin) {
           return method.generatePairings(players, roundNumber, isDouble);
         }
-        if (name === 'swiss_accelerated') {
+        if (takesTotalRounds(name)) {
           return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam || rounds);
         }
         return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds);
@@ -9,6 +9,11 @@ const SwissPairing = require('../utils/swissPairing');
 const SwissUSCF = require('../utils/swissUscf');
 const SwissFideDutch = require('../utils/swissFideDutch');
 const SwissAccelerated = require('../utils/swissAccelerated');
+const SwissBurstein = require('../utils/swissBurstein');
+const SwissDubov = require('../utils/swissDubov');
+const SwissLim = require('../utils/swissLim');
+const MonradPairing = require('../utils/monradPairing');
+const DanishPairing = require('../utils/danishPairing');
 const RoundRobinPairing = require('../utils/roundRobinPairing');
 
 const methods = [
@@ -16,10 +21,18 @@ const methods = [
   ['swiss_uscf', SwissUSCF],
   ['swiss_fide_dutch', SwissFideDutch],
   ['swiss_accelerated', SwissAccelerated],
+  ['swiss_burstein', SwissBurstein],
+  ['swiss_dubov', SwissDubov],
+  ['swiss_lim', SwissLim],
+  ['monrad', MonradPairing],
+  ['danish', DanishPairing],
   ['round_robin', RoundRobinPairing],
   ['double_round_robin', RoundRobinPairing],
 ];
 
+// Engines that also take the total number of rounds
+const takesTotalRounds = (name) => name === 'swiss_accelerated' || name === 'swiss_burstein';
+
 /**
  * Scripted results for deterministic testing
  */
@@ -70,7 +83,7 @@ describe('Pairing Methods - Deterministic Scenarios', () => {
         if (isRoundRobin) {
           return method.generatePairings(players, roundNumber, isDouble);
         }
-        if (name === 'swiss_accelerated') {
+        if (takesTotalRounds(name)) {
           return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam || totalRounds);
         }
         return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds);
@@ -101,7 +114,7 @@ describe('Pairing Methods - Deterministic Scenarios', () => {
 
       const { allRounds } = runTournament({
         generatePairings: (players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam) => {
-          if (name === 'swiss_accelerated') {
+          if (takesTotalRounds(name)) {
             return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam || rounds);
           }
           return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds);
@@ -139,6 +152,10 @@ describe('Pairing Methods - Deterministic Scenarios', () => {
       ['swiss_uscf', SwissUSCF],
       ['swiss_fide_dutch', SwissFideDutch],
       ['swiss_accelerated', SwissAccelerated],
+      ['swiss_burstein', SwissBurstein],
+      ['swiss_dubov', SwissDubov],
+      ['swiss_lim', SwissLim],
+      ['monrad', MonradPairing],
     ];
 
     test.each(swissMethods)('%s: no repeats when alternatives exist', (name, method) => {
@@ -147,7 +164,7 @@ describe('Pairing Methods - Deterministic Scenarios', () => {
 
       const { allRounds } = runTournament({
         generatePairings: (players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam) => {
-          if (name === 'swiss_accelerated') {
+          if (takesTotalRounds(name)) {
             return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam || rounds);
           }
           return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds);
@@ -172,7 +189,7 @@ describe('Pairing Methods - Deterministic Scenarios', () => {
 
       const { allRounds } = runTournament({
         generatePairings: (players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam) => {
-          if (name === 'swiss_accelerated') {
+          if (takesTotalRounds(name)) {
             return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam || rounds);
           }
           return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds);
@@ -197,7 +214,7 @@ describe('Pairing Methods - Deterministic Scenarios', () => {
 
       const { allRounds } = runTournament({
         generatePairings: (players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam) => {
-          if (name === 'swiss_accelerated') {
+          if (takesTotalRounds(name)) {
             return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam || rounds);
           }
           return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds);
@@ -350,4 +367,232 @@ describe('Pairing Methods - Deterministic Scenarios', () => {
       }
     });
   });
+
+  describe('Golden pairings', () => {
+    // Each round as white-black boards in board order. swiss and the round
+    // robins pair exactly as they did before the Swiss search became a
+    // matching. The US Chess, FIDE Dutch and accelerated rules have been
+    // rewritten since (and the matching finds pairings without repeats that
+    // the old score group search missed), so those, like the engines added
+    // later, are pinned as they pair now
+    const golden = {
+      swiss: {
+        '1000/8': [
+          '1-2 3-4 5-7 6-8',
+          '2-6 4-7 8-1 3-5',
+          '4-2 5-8 1-6 7-3',
+          '2-3 7-8 1-4 6-5',
+          '5-2 3-1 6-7 8-4',
+        ],
+        '2000/7': [
+          '1-2 3-5 4-7 6-bye',
+          '5-1 6-4 2-3 7-bye',
+          '1-4 2-5 7-6 3-bye',
+          '3-1 5-7 4-2 6-bye',
+          '5-4 1-6 7-2 3-bye',
+          '7-1 2-5 4-3 6-bye',
+        ],
+      },
+      swiss_uscf: {
+        '1000/8': [
+          '2-7 1-5 4-6 3-8',
+          '4-2 3-1 7-6 5-8',
+          '2-1 6-8 7-4 5-3',
+          '3-2 6-5 1-4 8-7',
+          '2-5 8-4 7-1 6-3',
+        ],
+        '2000/7': [
+          '1-3 4-5 2-7 6-bye',
+          '6-1 5-2 3-4 7-bye',
+          '1-5 2-6 7-3 4-bye',
+          '5-7 4-6 2-1 3-bye',
+          '1-4 6-7 3-5 2-bye',
+          '7-1 4-2 6-3 5-bye',
+        ],
+      },
+      swiss_fide_dutch: {
+        '1000/8': [
+          '1-5 6-2 3-7 8-4',
+          '4-1 2-3 5-8 7-6',
+          '1-2 3-5 7-4 6-8',
+          '2-4 3-1 5-6 8-7',
+          '5-2 1-7 4-6 8-3',
+        ],
+        '2000/7': [
+          '1-4 5-2 3-6 7-bye',
+          '5-1 7-3 2-4 6-bye',
+          '1-3 2-7 6-5 4-bye',
+          '1-2 4-5 7-6 3-bye',
+          '7-1 3-2 6-4 5-bye',
+          '6-1 5-3 4-7 2-bye',
+        ],
+      },
+      swiss_accelerated: {
+        '1000/8': [
+          '2-4 1-3 6-7 5-8',
+          '7-2 1-5 4-6 3-8',
+          '2-1 8-6 7-4 5-3',
+          '3-2 6-5 4-1 8-7',
+          '2-5 4-8 1-7 6-3',
+        ],
+        '2000/7': [
+          '1-2 3-5 4-7 6-bye',
+          '5-1 2-4 6-3 7-bye',
+          '1-6 7-5 3-2 4-bye',
+          '4-1 2-5 6-7 3-bye',
+          '7-1 4-3 5-6 2-bye',
+          '1-3 6-4 2-7 5-bye',
+        ],
+      },
+      swiss_burstein: {
+        '1000/8': [
+          '1-5 2-6 3-7 4-8',
+          '1-3 2-4 5-7 6-8',
+          '1-2 7-4 3-6 8-5',
+          '2-3 5-6 4-1 7-8',
+          '2-7 8-1 6-4 3-5',
+        ],
+        '2000/7': [
+          '1-4 2-5 3-7 6-bye',
+          '5-1 6-3 4-2 7-bye',
+          '3-1 2-6 7-5 4-bye',
+          '5-4 1-2 6-7 3-bye',
+          '7-1 5-3 4-6 2-bye',
+          '1-6 2-3 4-7 5-bye',
+        ],
+      },
+      swiss_dubov: {
+        '1000/8': [
+          '2-7 1-5 4-6 3-8',
+          '3-2 4-1 5-6 7-8',
+          '2-1 6-7 5-3 8-4',
+          '1-7 3-4 2-5 6-8',
+          '1-6 7-3 4-2 8-5',
+        ],
+        '2000/7': [
+          '1-3 4-5 2-7 6-bye',
+          '5-2 6-1 3-4 7-bye',
+          '1-5 2-3 7-6 4-bye',
+          '5-7 1-2 4-6 3-bye',
+          '6-5 3-7 4-1 2-bye',
+          '3-6 7-1 2-4 5-bye',
+        ],
+      },
+      swiss_lim: {
+        '1000/8': [
+          '1-5 2-6 3-7 4-8',
+          '1-3 2-4 5-7 6-8',
+          '4-1 3-6 7-2 8-5',
+          '1-2 7-8 5-3 6-4',
+          '2-3 8-1 4-7 5-6',
+        ],
+        '2000/7': [
+          '1-4 2-5 3-7 6-bye',
+          '5-1 6-3 4-2 7-bye',
+          '3-1 2-6 7-5 4-bye',
+          '1-2 5-4 6-7 3-bye',
+          '7-1 5-3 4-6 2-bye',
+          '1-6 2-7 3-4 5-bye',
+        ],
+      },
+      monrad: {
+        '1000/8': [
+          '1-2 3-4 5-7 6-8',
+          '2-4 7-6 1-3 8-5',
+          '7-2 4-1 5-6 3-8',
+          '2-5 1-7 4-8 6-3',
+          '3-2 5-1 8-7 6-4',
+        ],
+        '2000/7': [
+          '1-5 2-3 4-7 6-bye',
+          '1-2 6-4 3-5 7-bye',
+          '4-1 5-6 7-2 3-bye',
+          '6-1 2-5 3-7 4-bye',
+          '1-3 5-4 7-6 2-bye',
+          '7-1 2-4 3-6 5-bye',
+        ],
+      },
+      danish: {
+        '1000/8': [
+          '1-2 3-4 5-7 6-8',
+          '2-4 7-6 1-3 8-5',
+          '7-2 4-1 5-6 3-8',
+          '2-7 1-5 6-4 8-3',
+          '2-1 4-7 5-3 8-6',
+        ],
+        '2000/7': [
+          '1-5 2-3 4-7 6-bye',
+          '1-2 6-4 3-5 7-bye',
+          '4-1 5-6 7-2 3-bye',
+          '5-1 2-6 3-7 4-bye',
+          '1-4 2-3 6-7 5-bye',
+          '4-1 3-5 7-6 2-bye',
+        ],
+      },
+      round_robin: {
+        '1000/8': [
+          '2-1 8-3 7-4 6-5',
+          '1-3 2-4 5-8 6-7',
+          '4-1 5-3 6-2 8-7',
+          '1-5 4-6 3-7 2-8',
+          '6-1 7-5 8-4 3-2',
+          '1-7 6-8 2-5 3-4',
+          '8-1 7-2 6-3 5-4',
+        ],
+      },
+      double_round_robin: {
+        '1000/8': [
+          '2-1 8-3 7-4 6-5',
+          '1-3 2-4 5-8 6-7',
+          '4-1 5-3 6-2 8-7',
+          '1-5 4-6 3-7 2-8',
+          '6-1 7-5 8-4 3-2',
+          '1-7 6-8 2-5 3-4',
+          '8-1 7-2 6-3 5-4',
+          '1-2 3-8 4-7 5-6',
+          '3-1 4-2 8-5 7-6',
+          '1-4 3-5 2-6 7-8',
+          '5-1 6-4 7-3 8-2',
+          '1-6 5-7 4-8 2-3',
+          '7-1 8-6 5-2 4-3',
+          '1-8 2-7 3-6 4-5',
+        ],
+      },
+    };
+
+    const cases = Object.entries(golden).flatMap(([name, fixtures]) => Object.entries(fixtures)
+      .map(([fixture, expected]) => [name, fixture, expected]));
+    const methodByName = new Map(methods);
+
+    test.each(cases)('%s on seed/players %s', (name, fixture, expected) => {
+      const method = methodByName.get(name);
+      const [seed, count] = fixture.split('/').map(Number);
+      const players = makeRandomPlayers(seed, count);
+      const rounds = expected.length;
+      const isRoundRobin = name.includes('round_robin');
+
+      const { allRounds } = runTournament({
+        generatePairings: (players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam) => {
+          if (isRoundRobin) {
+            return method.generatePairings(players, roundNumber, name === 'double_round_robin');
+          }
+          if (takesTotalRounds(name)) {
+            return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds, totalRoundsParam || rounds);
+          }
+          return method.generatePairings(players, roundNumber, allPlayers, tournamentRounds);
+        },
+        players,
+        rounds,
+        seed,
+        resultFn: scriptedResults,
+        allPlayers: players,
+        totalRounds: rounds,
+      });
+
+      const played = allRounds.map(({ pairing }) => (pairing.pairings || pairing)
+        .map((p) => (p.isBye ? `${p.player1.id}-bye` : `${p.player1.id}-${p.player2.id}`))
+        .join(' '));
+      expect(played).toEqual(expected);
+    });
+  });
 });
@@ -0,0 +1,101 @@
+const {
+  swapPlayers,
+  swapColors,
+  checkPairings,
+  newWarnings,
+  renumberBoards,
+} = require('../utils/pairingEdits');
+const { byePairing } = require('../utils/swissEngine');
+
+const players = [
+  { id: 1, name: 'A', rating: 2000, score: 2, colorHistory: ['white', 'white'] },
+  { id: 2, name: 'B', rating: 1900, score: 2, colorHistory: ['black', 'white'] },
+  { id: 3, name: 'C', rating: 1800, score: 1, colorHistory: ['white', 'black'] },
+  { id: 4, name: 'D', rating: 1700, score: 1, colorHistory: ['black', 'black'] },
+  { id: 5, name: 'E', rating: 1600, score: 0, colorHistory: ['black', 'white'] },
+];
+
+const game = (board, white, black, result) => ({
+  player1: players[white - 1],
+  player2: players[black - 1],
+  boardNumber: board,
+  whitePlayerId: white,
+  blackPlayerId: black,
+  ...(result && { result }),
+});
+
+// Round 1, in which A met C, B met D and E had the bye
+const previousRounds = [
+  { roundNumber: 1, completed: true, pairings: [game(1, 1, 3, '1-0'), game(2, 4, 2, '0-1'), byePairing(players[4], 3, 'full')] },
+];
+
+const round = [game(1, 2, 1), game(2, 3, 4), byePairing(players[4], 3, 'full')];
+
+describe('Manual pairing edits', () => {
+  test('Swapping players keeps each board\'s colours', () => {
+    const { pairings } = swapPlayers(round, 1, 4);
+
+    expect(pairings[0]).toMatchObject({ whitePlayerId: 2, blackPlayerId: 4 });
+    expect(pairings[1]).toMatchObject({ whitePlayerId: 3, blackPlayerId: 1 });
+    expect(pairings[2]).toEqual(round[2]);
+  });
+
+  test('Swapping with the bye player moves a player to the bye', () => {
+    const { pairings } = swapPlayers(round, 3, 5);
+
+    expect(pairings[1]).toMatchObject({ whitePlayerId: 5, blackPlayerId: 4 });
+    expect(pairings[2]).toMatchObject({ isBye: true, byeType: 'full', whitePlayerId: 3 });
+  });
+
+  test('Boards with a result and requested byes cannot be changed', () => {
+    const finished = [game(1, 2, 1, '1-0'), game(2, 3, 4), byePairing(players[4], 3, 'half')];
+
+    expect(swapPlayers(finished, 1, 3).error).toMatch(/Board 1 already has a result/);
+    expect(swapPlayers(finished, 3, 5).error).toMatch(/Requested byes/);
+    expect(swapPlayers(finished, 3, 4).error).toMatch(/same board/);
+    expect(swapColors(finished, 1).error).toMatch(/already has a result/);
+    expect(swapColors(finished, 3).error).toMatch(/no colours/);
+  });
+
+  test('Swapping colours gives the other player white', () => {
+    const { pairings } = swapColors(round, 2);
+
+    expect(pairings[1]).toMatchObject({
+      player1: { id: 4 },
+      player2: { id: 3 },
+      whitePlayerId: 4,
+      blackPlayerId: 3,
+    });
+  });
+
+  test('Warnings list only the problems an edit introduces', () => {
+    const before = checkPairings(round, players, previousRounds);
+    const { pairings } = swapPlayers(round, 2, 3);
+    const after = checkPairings(pairings, players, previousRounds);
+    const types = newWarnings(before, after).map((warning) => warning.type).sort();
+
+    // Both new boards are repeats across score groups. D's third black
+    // was already in the original pairings.
+    expect(types).toEqual(['repeat', 'repeat', 'score_group', 'score_group']);
+    expect(newWarnings(before, before)).toEqual([]);
+  });
+
+  test('A second full-point bye is flagged', () => {
+    const { pairings } = swapPlayers(round, 5, 4);
+    const warnings = checkPairings(pairings, players, [
+      { roundNumber: 1, completed: true, pairings: [byePairing(players[3], 1, 'full')] },
+    ]);
+
+    expect(warnings.map((warning) => warning.type)).toContain('bye');
+  });
+
+  test('Boards are renumbered with games first', () => {
+    const renumbered = renumberBoards([byePairing(players[4], 1, 'full'), game(2, 2, 1), game(3, 3, 4)]);
+
+    expect(renumbered.map((pairing) => [pairing.boardNumber, !!pairing.isBye])).toEqual([
+      [1, false],
+      [2, false],
+      [3, true],
+    ]);
+  });
+});
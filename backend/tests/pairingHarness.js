@@ -213,9 +213,8 @@ function updatePlayerState(players, round, results) {
     if (pairing.isBye) {
       const player = playerMap.get(pairing.player1.id);
       if (player) {
+        // A bye is no game, so it gives no colour
         player.score = (player.score || 0) + 1;
-        player.colorHistory = [...(player.colorHistory || []), 'white'];
-        player.colorBalance = (player.colorBalance || 0) + 1;
       }
       continue;
     }
@@ -414,6 +413,52 @@ function checkRepeats({ pairing, previousOpponents }) {
   return { errors, warnings };
 }
 
+/**
+ * A player in the shape the engines take, rated 2000 - 10 per ID so that
+ * IDs follow rating order. `extra` overrides any field.
+ */
+const player = (id, score = 0, colorHistory = [], extra = {}) => ({
+  id,
+  name: `Player ${id}`,
+  rating: 2000 - id * 10,
+  pairingNumber: id,
+  score,
+  colorBalance: colorHistory.reduce((total, color) => total + (color === 'white' ? 1 : -1), 0),
+  colorHistory,
+  previousOpponents: [],
+  ...extra,
+});
+
+/**
+ * Players 1 to `count`
+ */
+const field = (count) => Array.from({ length: count }, (_, index) => player(index + 1));
+
+/**
+ * A game of a past round, as the engines read it
+ */
+const game = (white, black, result) => ({
+  player1: { id: white },
+  player2: { id: black },
+  whitePlayerId: white,
+  blackPlayerId: black,
+  result,
+  isBye: false,
+});
+
+/**
+ * The board numbers' pairs in board order, as "low-high" IDs
+ */
+const boards = (result) => result.pairings
+  .filter((p) => !p.isBye)
+  .map((p) => [p.player1.id, p.player2.id].sort((a, b) => a - b).join('-'));
+
+/**
+ * The pairs, as "low-high" IDs in sorted order, for when the board order
+ * doesn't matter
+ */
+const unordered = (result) => boards(result).sort();
+
 module.exports = {
   runTournament,
   makeRandomPlayers,
@@ -422,4 +467,9 @@ module.exports = {
   checkRepeats,
   calculateMetrics,
   pairKey,
+  player,
+  field,
+  game,
+  boards,
+  unordered,
 };
@@ -0,0 +1,193 @@
+const path = require('path');
+const { PairingPool, describeJob } = require('../utils/pairingPool');
+const { quickSwissRound } = require('../utils/swissEngine');
+const { quickPairing } = require('../utils/pairingEngines');
+const { player, game, unordered } = require('./pairingHarness');
+
+const STALLING_WORKER = path.join(__dirname, 'stallingPairingWorker.js');
+
+describe('PairingPool', () => {
+  let pool;
+
+  afterEach(async () => {
+    await pool.close();
+  });
+
+  test('pairs a round in a worker thread', async () => {
+    pool = new PairingPool();
+    const players = [1, 2, 3, 4, 5].map((id) => player(id));
+    const job = pool.submit({
+      tournamentType: 'swiss_uscf',
+      roundNumber: 1,
+      players,
+      allPlayers: players,
+      rounds: [],
+      unavailableIds: [5],
+    }, { tournamentId: 1, roundNumber: 1 });
+
+    expect(pool.activeJobFor(1)).toBe(job);
+    await job.done;
+
+    expect(job.status).toBe('completed');
+    expect(job.timedOut).toBe(false);
+    expect(job.response.pairings).toHaveLength(2);
+    expect(job.response.pairings.some((p) => p.isBye)).toBe(false);
+    expect(pool.activeJobFor(1)).toBeNull();
+  });
+
+  test('stores the result through onResult before completing', async () => {
+    pool = new PairingPool({ workerFile: STALLING_WORKER });
+    const onResult = jest.fn(async (result, { timedOut }) => ({ stored: result.source, timedOut }));
+    const job = pool.submit({ doneAfterMs: 0 }, { tournamentId: 1, onResult });
+    await job.done;
+
+    expect(job.status).toBe('completed');
+    expect(job.response).toEqual({ stored: 'engine', timedOut: false });
+  });
+
+  test('falls back to the quick pairing when the time budget runs out', async () => {
+    pool = new PairingPool({ workerFile: STALLING_WORKER, timeBudgetMs: 100 });
+    const onResult = jest.fn(async (result, { timedOut }) => ({ stored: result.source, timedOut }));
+    const job = pool.submit({}, { tournamentId: 1, onResult });
+    await job.done;
+
+    expect(job.status).toBe('completed');
+    expect(job.timedOut).toBe(true);
+    expect(job.response).toEqual({ stored: 'quick', timedOut: true });
+    expect(describeJob(job)).toMatchObject({ status: 'completed', timedOut: true });
+  });
+
+  test('falls back to the best pairing the worker had sent by then', async () => {
+    pool = new PairingPool({ workerFile: STALLING_WORKER, timeBudgetMs: 200 });
+    const onResult = jest.fn(async (result, { timedOut }) => ({ stored: result.source, timedOut }));
+    const job = pool.submit({ improveAfterMs: 0 }, { tournamentId: 1, onResult });
+    await job.done;
+
+    expect(job.timedOut).toBe(true);
+    expect(job.response).toEqual({ stored: 'improved', timedOut: true });
+  });
+
+  test('fails when the budget runs out before there is anything to fall back on', async () => {
+    pool = new PairingPool({ workerFile: STALLING_WORKER, timeBudgetMs: 100 });
+    const onResult = jest.fn();
+    const job = pool.submit({ noFallback: true }, { tournamentId: 1, onResult });
+    await job.done;
+
+    expect(job.status).toBe('failed');
+    expect(job.error).toBe('Pairing ran out of time');
+    expect(onResult).not.toHaveBeenCalled();
+  });
+
+  test('cancels a running job without storing anything', async () => {
+    pool = new PairingPool({ workerFile: STALLING_WORKER });
+    const onResult = jest.fn();
+    const job = pool.submit({}, { tournamentId: 1, onResult });
+
+    expect(pool.cancel(job.id)).toBe(true);
+    await job.done;
+
+    expect(job.status).toBe('cancelled');
+    expect(onResult).not.toHaveBeenCalled();
+    expect(pool.cancel(job.id)).toBe(false);
+  });
+
+  test('cancels a queued job and runs the next one', async () => {
+    pool = new PairingPool({ workerFile: STALLING_WORKER, size: 1 });
+    const running = pool.submit({ doneAfterMs: 50 }, { tournamentId: 1 });
+    const queued = pool.submit({ doneAfterMs: 0 }, { tournamentId: 2 });
+    const next = pool.submit({ doneAfterMs: 0 }, { tournamentId: 3 });
+
+    expect(queued.status).toBe('queued');
+    expect(pool.cancel(queued.id)).toBe(true);
+    await Promise.all([running.done, next.done]);
+
+    expect(queued.status).toBe('cancelled');
+    expect(running.status).toBe('completed');
+    expect(next.status).toBe('completed');
+  });
+
+  test('reports engine errors as a failed job and keeps working', async () => {
+    pool = new PairingPool({ workerFile: STALLING_WORKER });
+    const failing = pool.submit({ error: 'No pairing possible' }, { tournamentId: 1 });
+    await failing.done;
+
+    expect(failing.status).toBe('failed');
+    expect(failing.error).toBe('No pairing possible');
+
+    const next = pool.submit({ doneAfterMs: 0 }, { tournamentId: 1 });
+    await next.done;
+    expect(next.status).toBe('completed');
+  });
+
+  test('fails the job when storing the result fails', async () => {
+    pool = new PairingPool({ workerFile: STALLING_WORKER });
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const job = pool.submit({ doneAfterMs: 0 }, {
+      tournamentId: 1,
+      onResult: async () => {
+        throw new Error('Database unavailable');
+      },
+    });
+    await job.done;
+    consoleError.mockRestore();
+
+    expect(job.status).toBe('failed');
+    expect(job.error).toBe('Failed to save the pairings');
+  });
+});
+
+describe('quickSwissRound', () => {
+  test('pairs down the score order, skipping opponents already met', () => {
+    const rounds = [{ roundNumber: 1, pairings: [game(1, 2, '1/2-1/2'), game(3, 4, '1/2-1/2')] }];
+    const players = [player(1, 0.5), player(2, 0.5), player(3, 0.5), player(4, 0.5)];
+    const result = quickSwissRound(players, 2, rounds);
+
+    expect(unordered(result)).toEqual(['1-3', '2-4']);
+    expect(result.forcedRepeat).toBe(false);
+  });
+
+  test('gives the bye and requested byes like the full engines', () => {
+    const players = [player(1), player(2), player(3), { ...player(4), requestedBye: 'half' }];
+    const result = quickSwissRound(players, 1, []);
+
+    const byes = result.pairings.filter((p) => p.isBye).map((p) => [p.player1.id, p.byeType]);
+    expect(byes).toEqual([[3, 'full'], [4, 'half']]);
+  });
+});
+
+describe('quickPairing', () => {
+  const quick = (tournamentType, players, rounds = [], extra = {}) => quickPairing({
+    tournamentType,
+    roundNumber: rounds.length + 1,
+    players,
+    allPlayers: players,
+    rounds,
+    numberOfRounds: 6,
+    winPoints: 1,
+    ...extra,
+  });
+
+  test('keeps US Chess team-mates apart', () => {
+    const players = [{ ...player(1), team: 'Knights' }, { ...player(2), team: 'Knights' }, player(3), player(4)];
+
+    expect(unordered(quick('swiss_uscf', players))).toEqual(['1-3', '2-4']);
+    expect(unordered(quick('swiss_uscf', players, [], { variations: { teamAvoidance: false } })))
+      .toEqual(['1-2', '3-4']);
+  });
+
+  test('gives accelerated Swiss its virtual points', () => {
+    const players = [1, 2, 3, 4, 5, 6, 7, 8].map((id) => player(id));
+
+    expect(quick('swiss_accelerated', players).virtualPoints).toEqual({ 1: 1, 2: 1, 3: 1, 4: 1 });
+  });
+
+  test('pairs Monrad down the standings and Danish straight down them', () => {
+    const rounds = [{ roundNumber: 1, pairings: [game(1, 2, '1/2-1/2'), game(3, 4, '1/2-1/2')] }];
+    const players = [player(1, 0.5), player(2, 0.5), player(3, 0.5), player(4, 0.5)];
+
+    expect(unordered(quick('monrad', players, rounds))).toEqual(['1-3', '2-4']);
+    const danish = quick('danish', players, rounds);
+    expect(unordered(danish)).toEqual(['1-2', '3-4']);
+    expect(danish.forcedRepeat).toBe(true);
+  });
+});
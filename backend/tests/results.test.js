@@ -0,0 +1,170 @@
+const SwissPairing = require('../utils/swissPairing');
+const SwissUSCF = require('../utils/swissUscf');
+const { buildHistory } = require('../utils/swissEngine');
+const { buildWallchart } = require('../utils/crosstable');
+const { calculateTiebreak } = require('../utils/tiebreaks');
+const { buildPlayerRecords } = require('../utils/standings');
+const { validateScoring, resultPoints } = require('../utils/results');
+
+const players = [
+  { id: 1, name: 'A', rating: 2000 },
+  { id: 2, name: 'B', rating: 1900 },
+  { id: 3, name: 'C', rating: 1800 },
+  { id: 4, name: 'D', rating: 1700 },
+];
+
+const game = (board, white, black, result) => ({
+  player1: players[white - 1],
+  player2: players[black - 1],
+  boardNumber: board,
+  whitePlayerId: white,
+  blackPlayerId: black,
+  result,
+});
+
+const standingFor = (standings, id) => standings.find((s) => s.id === id);
+
+describe('Forfeits and unplayed results', () => {
+  const tournament = {
+    tournamentType: 'swiss',
+    players,
+    rounds: [
+      { roundNumber: 1, completed: true, pairings: [game(1, 1, 2, '+/-'), game(2, 3, 4, '-/-')] },
+      { roundNumber: 2, completed: true, pairings: [game(1, 4, 1, '-/+'), game(2, 2, 3, '0-0')] },
+    ],
+  };
+
+  test('Forfeits score without colour or opponent', () => {
+    const standings = SwissPairing.calculateStandings(tournament);
+    const a = standingFor(standings, 1);
+    const b = standingFor(standings, 2);
+
+    expect(a).toMatchObject({ score: 2, wins: 2, gamesPlayed: 0, colorBalance: 0 });
+    expect(a.colorHistory).toEqual([]);
+    expect(a.previousOpponents).toEqual([]);
+    expect(b).toMatchObject({ score: 0, losses: 2, gamesPlayed: 0 });
+    expect(standingFor(standings, 3).score).toBe(0);
+    expect(standingFor(standings, 4).score).toBe(0);
+  });
+
+  test('A 0-0 is a loss for both, without colour or opponent', () => {
+    const standings = SwissPairing.calculateStandings(tournament);
+    const history = buildHistory(tournament.rounds);
+
+    for (const id of [2, 3]) {
+      expect(standingFor(standings, id)).toMatchObject({ gamesPlayed: 0, colorBalance: 0 });
+      expect(standingFor(standings, id).colorHistory).toEqual([]);
+      expect(standingFor(standings, id).previousOpponents).toEqual([]);
+    }
+    expect(standingFor(standings, 3).losses).toBe(2);
+    expect(history.playedPairs.has('2|3')).toBe(false);
+    expect(history.opponentsMap.has(2)).toBe(false);
+    expect(history.byeCounts.has(3)).toBe(false);
+  });
+
+  test('Pairing history ignores forfeits and counts forfeit wins as byes', () => {
+    const history = buildHistory(tournament.rounds);
+
+    expect(history.playedPairs.has('1|2')).toBe(false);
+    expect(history.playedPairs.has('3|4')).toBe(false);
+    expect(history.byeCounts.get(1)).toBe(2);
+    expect(history.byeCounts.has(2)).toBe(false);
+  });
+
+  test('Players whose game was forfeited can be paired again', () => {
+    const pair = players.slice(0, 2);
+    const rounds = [
+      { roundNumber: 1, completed: true, pairings: [{ ...game(1, 1, 2, '+/-') }] },
+    ];
+    const standings = SwissPairing.calculateStandings({ players: pair, rounds });
+    const next = pair.map((p) => ({ ...standingFor(standings, p.id), name: p.name }));
+
+    for (const engine of [SwissPairing, SwissUSCF]) {
+      const result = engine.generatePairings(next, 2, pair, rounds);
+      expect(result.forcedRepeat).toBe(false);
+      expect(result.pairings[0].isRepeat).toBe(false);
+    }
+  });
+
+  test('Wallchart writes forfeits as X / F', () => {
+    const crosstable = buildWallchart(tournament);
+    const a = crosstable.rows.find((row) => row.id === 1);
+    const b = crosstable.rows.find((row) => row.id === 2);
+
+    expect(a.cells.map((cell) => cell.type)).toEqual(['forfeit', 'forfeit']);
+    expect(a.cells[0].notation).toBe(`X${b.position}`);
+    expect(b.cells[0].notation).toBe(`F${a.position}`);
+  });
+});
+
+describe('Scoring systems', () => {
+  const football = { win: 3, draw: 1, loss: 0, forfeitWin: 3, fullBye: 3, halfBye: 1 };
+  const tournament = {
+    tournamentType: 'swiss',
+    scoring: football,
+    players,
+    rounds: [
+      { roundNumber: 1, completed: true, pairings: [game(1, 1, 2, '1-0'), game(2, 3, 4, '1/2-1/2')] },
+      { roundNumber: 2, completed: true, pairings: [game(1, 3, 1, '1/2-1/2'), game(2, 4, 2, '-/+')] },
+    ],
+  };
+
+  test('Results score under the tournament\'s system', () => {
+    const standings = SwissPairing.calculateStandings(tournament);
+
+    expect(standingFor(standings, 1)).toMatchObject({ rank: 1, score: 4, wins: 1, draws: 1 });
+    expect(standingFor(standings, 2)).toMatchObject({ score: 3, wins: 1, losses: 1 });
+    expect(standingFor(standings, 3)).toMatchObject({ score: 2, draws: 2 });
+    expect(standingFor(standings, 4)).toMatchObject({ score: 1, draws: 1, losses: 1 });
+  });
+
+  test('Forfeits and byes use their own values', () => {
+    expect(resultPoints('+/-', football)).toEqual([3, 0]);
+    expect(resultPoints('-/-', football)).toEqual([0, 0]);
+    expect(resultPoints('0-0', { ...football, loss: 1 })).toEqual([1, 1]);
+
+    const withBye = {
+      ...tournament,
+      rounds: [{
+        roundNumber: 1,
+        completed: true,
+        pairings: [
+          game(1, 1, 2, '0-1'),
+          { player1: players[2], isBye: true, byeType: 'full', boardNumber: 2 },
+          { player1: players[3], isBye: true, byeType: 'half', boardNumber: 3 },
+        ],
+      }],
+    };
+    const standings = SwissPairing.calculateStandings(withBye);
+
+    expect(standingFor(standings, 3)).toMatchObject({ score: 3, wins: 1, gamesPlayed: 0, colorBalance: 0 });
+    expect(standingFor(standings, 3).colorHistory).toEqual([]);
+    expect(standingFor(standings, 4)).toMatchObject({ score: 1, wins: 0, gamesPlayed: 0 });
+  });
+
+  test('Tiebreaks and the wallchart follow the outcome, not the points', () => {
+    const records = buildPlayerRecords(tournament);
+    const wins = calculateTiebreak(records, 'wins', football);
+    // A's opponents: B, whose forfeit win counts as a draw (1), and C (2).
+    // B's: A (4) and a virtual opponent for the forfeit, starting on B's
+    // 0 points and losing
+    const buchholz = calculateTiebreak(records, 'buchholz', football);
+
+    expect(wins.get(1)).toBe(1);
+    expect(wins.get(2)).toBe(0);
+    expect(buchholz.get(1)).toBe(1 + 2);
+    expect(buchholz.get(2)).toBe(4 + 0);
+
+    const a = buildWallchart(tournament).rows.find((row) => row.id === 1);
+    expect(a.cells.map((cell) => cell.notation.slice(-1))).toEqual(['+', '=']);
+    expect(a.cells.map((cell) => cell.total)).toEqual([3, 4]);
+  });
+
+  test('Scoring systems are validated', () => {
+    expect(validateScoring(football)).toBeNull();
+    expect(validateScoring({ draw: 0.5, win: 0.5 })).toMatch(/more than a draw/);
+    expect(validateScoring({ win: -1 })).toMatch(/between 0 and 100/);
+    expect(validateScoring({ points: 2 })).toMatch(/Unknown scoring key "points"/);
+    expect(validateScoring([1, 0.5, 0])).toMatch(/must be an object/);
+  });
+});
@@ -0,0 +1,27 @@
+// Stands in for utils/pairingWorker.js in tests: sends a quick pairing unless
+// told not to, an improved one when the request says after how long, and
+// only finishes when it says so too. Requests for a real tournament get the
+// real quick pairing.
+const { parentPort } = require('worker_threads');
+const { quickPairing } = require('../utils/pairingEngines');
+
+parentPort.on('message', ({ jobId, request }) => {
+  if (request.error) {
+    parentPort.postMessage({ jobId, type: 'error', message: request.error });
+    return;
+  }
+  if (!request.noFallback) {
+    const result = request.tournamentType ? quickPairing(request) : { pairings: [], source: 'quick' };
+    parentPort.postMessage({ jobId, type: 'best', result });
+  }
+  if (request.improveAfterMs !== undefined) {
+    setTimeout(() => {
+      parentPort.postMessage({ jobId, type: 'best', result: { pairings: [], source: 'improved' } });
+    }, request.improveAfterMs);
+  }
+  if (request.doneAfterMs !== undefined) {
+    setTimeout(() => {
+      parentPort.postMessage({ jobId, type: 'done', result: { pairings: [], source: 'engine' } });
+    }, request.doneAfterMs);
+  }
+});
@@ -0,0 +1,66 @@
+const SwissAccelerated = require('../utils/swissAccelerated');
+const { field, unordered } = require('./pairingHarness');
+
+describe('SwissAccelerated', () => {
+  test('gives the top half a virtual win for two rounds by default', () => {
+    const players = field(8);
+    const round1 = SwissAccelerated.generatePairings(players, 1, players, [], 6);
+
+    expect(round1.virtualPoints).toEqual({ 1: 1, 2: 1, 3: 1, 4: 1 });
+    expect(unordered(round1)).toEqual(['1-3', '2-4', '5-7', '6-8']);
+    expect(SwissAccelerated.generatePairings(players, 3, players, [], 6).virtualPoints).toEqual({});
+  });
+
+  test('rounds each group up to an even number of players', () => {
+    const players = field(10);
+    const result = SwissAccelerated.generatePairings(players, 1, players, [], 6);
+
+    expect(Object.keys(result.virtualPoints).map(Number)).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  test('slides Baku virtual points to half in the second half of the accelerated rounds', () => {
+    const baku = SwissAccelerated.resolveAcceleration({ scheme: 'baku' }, 9);
+    expect(baku).toMatchObject({ rounds: 5, decay: 'sliding' });
+    expect([1, 2, 3, 4, 5, 6].map((round) => SwissAccelerated.roundFactor(baku, round)))
+      .toEqual([1, 1, 1, 0.5, 0.5, 0]);
+
+    const players = field(8);
+    const round4 = SwissAccelerated.generatePairings(players, 4, players, [], 9, 3, { scheme: 'baku' });
+    expect(round4.virtualPoints[1]).toBe(1.5);
+  });
+
+  test('pairs sixths against each other in the first round', () => {
+    const players = field(12);
+    const result = SwissAccelerated.generatePairings(players, 1, players, [], 5, 1, { scheme: 'sixths' });
+
+    expect(result.virtualPoints[1]).toBe(2);
+    expect(result.virtualPoints[5]).toBe(1);
+    expect(result.virtualPoints[9]).toBeUndefined();
+    expect(unordered(result)).toEqual(['1-3', '10-12', '2-4', '5-7', '6-8', '9-11']);
+  });
+
+  test('takes custom groups, points and rounds', () => {
+    const players = field(8);
+    const acceleration = {
+      scheme: 'custom',
+      rounds: 1,
+      groups: [{ fraction: 0.25, points: 1.5 }, { fraction: 0.25, points: 0.5 }],
+    };
+    const result = SwissAccelerated.generatePairings(players, 1, players, [], 5, 1, acceleration);
+
+    expect(result.virtualPoints).toEqual({ 1: 1.5, 2: 1.5, 3: 0.5, 4: 0.5 });
+    expect(SwissAccelerated.generatePairings(players, 2, players, [], 5, 1, acceleration).virtualPoints).toEqual({});
+  });
+
+  test('validates accelerations', () => {
+    expect(SwissAccelerated.validateAcceleration({ scheme: 'baku', rounds: 3 }, 7)).toBeNull();
+    expect(SwissAccelerated.validateAcceleration({ scheme: 'fast' }, 7)).toMatch(/scheme must be one of/);
+    expect(SwissAccelerated.validateAcceleration({ rounds: 8 }, 7)).toMatch(/between 0 and 7/);
+    expect(SwissAccelerated.validateAcceleration({ decay: 'linear' }, 7)).toMatch(/decay/);
+    expect(SwissAccelerated.validateAcceleration({ groups: [{ fraction: 0.7, points: 1 }, { fraction: 0.5, points: 0.5 }] }, 7))
+      .toMatch(/whole field/);
+    expect(SwissAccelerated.validateAcceleration({ groups: [{ fraction: 0.3, points: 1 }, { fraction: 0.3, points: 1 }] }, 7))
+      .toMatch(/fewer virtual points/);
+    expect(SwissAccelerated.validateAcceleration({ speed: 2 }, 7)).toMatch(/Unknown acceleration setting/);
+  });
+});
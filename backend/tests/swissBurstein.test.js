@@ -0,0 +1,64 @@
+const SwissBurstein = require('../utils/swissBurstein');
+const { player, game, unordered } = require('./pairingHarness');
+
+describe('SwissBurstein', () => {
+  test('seeding rounds are half the rounds, rounded down, and at most four', () => {
+    expect(SwissBurstein.seedingRounds(3)).toBe(1);
+    expect(SwissBurstein.seedingRounds(7)).toBe(3);
+    expect(SwissBurstein.seedingRounds(9)).toBe(4);
+    expect(SwissBurstein.seedingRounds(13)).toBe(4);
+  });
+
+  test('pairs the top half against the bottom half in a seeding round', () => {
+    const players = [1, 2, 3, 4, 5, 6, 7, 8].map((id) => player(id));
+    const result = SwissBurstein.generatePairings(players, 1, players, [], 7);
+
+    expect(unordered(result)).toEqual(['1-5', '2-6', '3-7', '4-8']);
+  });
+
+  test('pairs first against last by index after the seeding rounds', () => {
+    const scores = { 1: 1.5, 3: 1.5, 6: 1.5, 8: 1.5, 2: 0.5, 4: 0.5, 5: 0.5, 7: 0.5 };
+    const players = [1, 2, 3, 4, 5, 6, 7, 8].map((id) => player(id, scores[id]));
+    const rounds = [
+      { roundNumber: 1, completed: true, pairings: [game(4, 8, '1/2-1/2'), game(3, 6, '1/2-1/2'), game(1, 5, '1/2-1/2'), game(7, 2, '1/2-1/2')] },
+      { roundNumber: 2, completed: true, pairings: [game(6, 5, '1-0'), game(4, 3, '0-1'), game(7, 8, '0-1'), game(2, 1, '0-1')] },
+    ];
+    const index = SwissBurstein.pairingIndex(players, rounds);
+    expect(index.get(3)).toEqual({ sonnebornBerger: 1.25, buchholz: 2 });
+    expect(index.get(1)).toEqual({ sonnebornBerger: 0.75, buchholz: 1 });
+
+    // By index the groups are 3, 6, 1, 8 and 4, 5, 2, 7
+    const result = SwissBurstein.generatePairings(players, 3, players, rounds, 4);
+
+    expect(SwissBurstein.seedingRounds(4)).toBe(2);
+    expect(unordered(result)).toEqual(['1-6', '2-5', '3-8', '4-7']);
+    expect(result.forcedRepeat).toBe(false);
+  });
+
+  test('orders by Sonneborn-Berger before Buchholz', () => {
+    const players = [1, 2, 3, 4].map((id) => player(id));
+    const rounds = [
+      { roundNumber: 1, completed: true, pairings: [game(1, 2, '1-0'), game(3, 4, '1/2-1/2')] },
+      { roundNumber: 2, completed: true, pairings: [game(1, 3, '1/2-1/2'), game(2, 4, '1-0')] },
+    ];
+    const index = SwissBurstein.pairingIndex(players, rounds);
+
+    // 1: beat 2 (1 point) and drew 3 (1 point): SB 1 + 0.5, Buchholz 2
+    expect(index.get(1)).toEqual({ sonnebornBerger: 1.5, buchholz: 2 });
+    // 2: lost to 1 and beat 4: SB 0.5, Buchholz 2
+    expect(index.get(2)).toEqual({ sonnebornBerger: 0.5, buchholz: 2 });
+  });
+
+  test('floats players rather than repeating a game inside a score group', () => {
+    const players = [1, 2, 3, 4].map((id) => player(id, 1));
+    const rounds = [
+      { roundNumber: 1, completed: true, pairings: [game(1, 4, '1-0'), game(2, 3, '1-0')] },
+      { roundNumber: 2, completed: true, pairings: [game(4, 1, '1-0'), game(3, 2, '1-0')] },
+    ];
+    const result = SwissBurstein.generatePairings(players, 3, players, rounds, 4);
+
+    expect(result.forcedRepeat).toBe(false);
+    expect(unordered(result)).not.toContain('1-4');
+    expect(unordered(result)).not.toContain('2-3');
+  });
+});
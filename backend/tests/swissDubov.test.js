@@ -0,0 +1,88 @@
+const SwissDubov = require('../utils/swissDubov');
+const { player, game, unordered } = require('./pairingHarness');
+
+// Dubov pairs by rating, so each player is given one
+const rated = (id, rating, score = 0, colorHistory = []) => player(id, score, colorHistory, { rating });
+
+describe('SwissDubov', () => {
+  test('pairs the top half against the bottom half in the first round', () => {
+    const players = [1, 2, 3, 4, 5, 6, 7, 8].map((id) => rated(id, 2100 - id * 100));
+    const result = SwissDubov.generatePairings(players, 1, players, []);
+
+    expect(unordered(result)).toEqual(['1-5', '2-6', '3-7', '4-8']);
+  });
+
+  test('averages the ratings of opponents in played games', () => {
+    const players = [rated(1, 2000), rated(2, 1800), rated(3, 1600), rated(4, 1400)];
+    const rounds = [
+      { roundNumber: 1, completed: true, pairings: [game(1, 4, '1-0'), game(2, 3, '+/-')] },
+      { roundNumber: 2, completed: true, pairings: [game(3, 1, '0-1'), game(4, 2, '0-1')] },
+    ];
+    const aro = SwissDubov.averageRatings(players, rounds);
+
+    expect(aro.get(1)).toBe(1500);
+    // The forfeit isn't a game played
+    expect(aro.get(2)).toBe(1400);
+    expect(aro.get(3)).toBe(2000);
+  });
+
+  test('moves the weakest colour preferences over to balance the sides', () => {
+    const group = [
+      rated(1, 2000, 1, ['black']),
+      rated(2, 1900, 1, ['black']),
+      rated(3, 1800, 1, ['white', 'black']),
+      rated(4, 1700, 1, ['white', 'black']),
+    ];
+    const { white, black } = SwissDubov.splitBySeekers(group, new Map());
+
+    expect(white.map((p) => p.id)).toEqual([1, 2]);
+    expect(black.map((p) => p.id)).toEqual([3, 4]);
+  });
+
+  test('gives the white seeker with the lowest ARO the highest-rated black seeker', () => {
+    const pairFor = (ratingOf7, ratingOf8) => {
+      const players = [
+        rated(1, 2000, 1, ['white']),
+        rated(2, 1900, 1, ['white']),
+        rated(3, 1800, 1, ['black']),
+        rated(4, 1700, 1, ['black']),
+      ];
+      const opponents = [rated(5, 1600), rated(6, 1500), rated(7, ratingOf7), rated(8, ratingOf8)];
+      const rounds = [{
+        roundNumber: 1,
+        completed: true,
+        pairings: [game(1, 5, '1-0'), game(2, 6, '1-0'), game(7, 3, '0-1'), game(8, 4, '0-1')],
+      }];
+      return SwissDubov.generatePairings(players, 2, [...players, ...opponents], rounds);
+    };
+
+    const result = pairFor(1300, 1400);
+    expect(unordered(result)).toEqual(['1-3', '2-4']);
+    // White seekers keep white
+    expect(result.pairings.map((p) => p.whitePlayerId).sort()).toEqual([3, 4]);
+
+    expect(unordered(pairFor(1400, 1300))).toEqual(['1-4', '2-3']);
+  });
+
+  test('takes the upfloater from the next group', () => {
+    const players = [
+      rated(1, 2000, 1, ['white']),
+      rated(2, 1900, 1, ['black']),
+      rated(3, 1800, 1, ['white']),
+      rated(4, 1700, 0, ['black']),
+      rated(5, 1600, 0, ['white']),
+      rated(6, 1500, 0, ['black']),
+    ];
+    const rounds = [{
+      roundNumber: 1,
+      completed: true,
+      pairings: [game(1, 4, '1-0'), game(5, 2, '0-1'), game(3, 6, '1-0')],
+    }];
+    const result = SwissDubov.generatePairings(players, 2, players, rounds);
+
+    // 4, the highest rated on 0, floats up; white seekers 2 and 4 then
+    // meet black seekers 1 and 3
+    expect(result.forcedRepeat).toBe(false);
+    expect(unordered(result)).toEqual(['1-2', '3-4', '5-6']);
+  });
+});
@@ -0,0 +1,275 @@
+const SwissFideDutch = require('../utils/swissFideDutch');
+const { maximumMatching, matchingSize, maximumWeightMatching } = require('../utils/matching');
+
+const player = (id, score = 0, colorHistory = []) => ({
+  id,
+  name: `Player ${id}`,
+  rating: 2000 - id * 10,
+  pairingNumber: id,
+  score,
+  colorHistory,
+  previousOpponents: [],
+});
+
+const game = (white, black, result) => ({
+  player1: { id: white },
+  player2: { id: black },
+  result,
+  isBye: false,
+});
+
+const bye = (id) => ({ player1: { id }, player2: null, isBye: true, byeType: 'full', result: '1-0' });
+
+const pairs = (result) => result.pairings
+  .filter((p) => !p.isBye)
+  .map((p) => [p.player1.id, p.player2.id]);
+
+const unordered = (result) => pairs(result)
+  .map((pair) => [...pair].sort((a, b) => a - b).join('-'))
+  .sort();
+
+const byeFor = (result) => {
+  const pairing = result.pairings.find((p) => p.isBye);
+  return pairing ? pairing.player1.id : null;
+};
+
+describe('SwissFideDutch', () => {
+  test('round 1 pairs the top half against the bottom half with alternating colours', () => {
+    const players = [1, 2, 3, 4, 5, 6, 7, 8].map((id) => player(id));
+    const result = SwissFideDutch.generatePairings(players, 1, players, []);
+
+    expect(pairs(result)).toEqual([[1, 5], [6, 2], [3, 7], [8, 4]]);
+    expect(result.forcedRepeat).toBe(false);
+  });
+
+  test('transposes S2 to meet colour preferences', () => {
+    const rounds = [{
+      roundNumber: 1,
+      pairings: [game(1, 5, '1-0'), game(6, 2, '0-1'), game(3, 7, '1-0'), game(8, 4, '0-1')],
+    }];
+    const players = [
+      player(1, 1, ['white']), player(2, 1, ['black']), player(3, 1, ['white']), player(4, 1, ['black']),
+      player(5, 0, ['black']), player(6, 0, ['white']), player(7, 0, ['black']), player(8, 0, ['white']),
+    ];
+    const result = SwissFideDutch.generatePairings(players, 2, players, rounds);
+
+    // 1-3 and 5-7 would give both players the colour they had last time
+    expect(pairs(result)).toEqual([[4, 1], [2, 3], [5, 8], [7, 6]]);
+  });
+
+  test('floats the lowest player down and pairs them with the top of the next bracket', () => {
+    const players = [player(1, 1), player(2, 1), player(3, 1), player(4, 0), player(5, 0), player(6, 0)];
+    const result = SwissFideDutch.generatePairings(players, 2, players, []);
+
+    expect(unordered(result)).toEqual(['1-2', '3-4', '5-6']);
+  });
+
+  test('reports the whole round after each bracket while it searches', () => {
+    const players = [
+      player(1, 1), player(2, 1), player(3, 1), player(4, 0.5), player(5, 0.5),
+      player(6, 0), player(7, 0), { ...player(8, 0), requestedBye: 'half' },
+    ];
+    const reported = [];
+    const result = SwissFideDutch.generatePairings(players, 2, players, [], 0, 1, {
+      onImprovement: (round) => reported.push(round),
+    });
+
+    expect(reported).toHaveLength(2);
+    for (const round of reported) {
+      const seated = round.pairings.flatMap((p) => (p.isBye ? [p.player1.id] : [p.player1.id, p.player2.id]));
+      expect(seated.sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+      expect(round.pairings.map((p) => p.boardNumber)).toEqual([1, 2, 3, 4, 5]);
+    }
+    // The top bracket is settled once it has been paired
+    expect(unordered(reported[0])).toEqual(expect.arrayContaining(['1-2']));
+    expect(unordered(reported[1])).toEqual(unordered(result));
+  });
+
+  test('floats a different player when the natural pair has already met', () => {
+    const rounds = [{ roundNumber: 1, pairings: [game(1, 2, '1/2-1/2')] }];
+    const players = [player(1, 1), player(2, 1), player(3, 1), player(4, 0), player(5, 0), player(6, 0)];
+    const result = SwissFideDutch.generatePairings(players, 2, players, rounds);
+
+    expect(unordered(result)).toEqual(['1-3', '2-4', '5-6']);
+  });
+
+  test('keeps players with the same absolute colour preference apart (C.3)', () => {
+    const players = [
+      player(1, 1, ['white', 'white']), player(2, 1, ['white', 'white']),
+      player(3, 0, ['black', 'black']), player(4, 0, ['black', 'black']),
+    ];
+    const result = SwissFideDutch.generatePairings(players, 3, players, []);
+
+    expect(pairs(result)).toEqual([[3, 1], [4, 2]]);
+    expect(result.notes.relaxedCriteria).toBeUndefined();
+  });
+
+  test('lets topscorers with the same absolute preference meet in the last round', () => {
+    const players = [
+      player(1, 2, ['white', 'white']), player(2, 2, ['white', 'white']),
+      player(3, 0, ['black', 'white']), player(4, 0, ['white', 'black']),
+    ];
+    const result = SwissFideDutch.generatePairings(players, 3, players, [], 3);
+
+    expect(unordered(result)).toEqual(['1-2', '3-4']);
+  });
+
+  test('pairs a bracket so that the rest of the round can be completed (C.4)', () => {
+    const rounds = [{ roundNumber: 1, pairings: [game(3, 4, '1/2-1/2')] }];
+    const players = [player(1, 1), player(2, 1), player(3, 0.5), player(4, 0.5)];
+    const result = SwissFideDutch.generatePairings(players, 2, players, rounds);
+
+    expect(unordered(result)).toEqual(['1-3', '2-4']);
+  });
+
+  test('gives the bye to the lowest player who has not had one (C.2)', () => {
+    const rounds = [{ roundNumber: 1, pairings: [game(1, 2, '1/2-1/2'), bye(3)] }];
+    const players = [player(1, 0.5), player(2, 0.5), player(3, 1)];
+    const result = SwissFideDutch.generatePairings(players, 2, players, rounds);
+
+    expect(byeFor(result)).toBe(2);
+    expect(unordered(result)).toEqual(['1-3']);
+  });
+
+  test('relaxes C.3 when the round cannot be completed otherwise', () => {
+    const players = [player(1, 1, ['white', 'white']), player(2, 1, ['white', 'white'])];
+    const result = SwissFideDutch.generatePairings(players, 3, players, []);
+
+    expect(unordered(result)).toEqual(['1-2']);
+    expect(result.notes.relaxedCriteria).toEqual(['C3']);
+  });
+
+  test('flags a round whose search ran out of budget short of every criterion', () => {
+    // Everyone wants black, so no candidate meets C.10 and the search would
+    // go through every transposition of S2
+    const crowd = (count) => Array.from({ length: count }, (_, index) => player(index + 1, 1, ['white']));
+    const searched = SwissFideDutch.generatePairings(crowd(8), 2, crowd(8), []);
+    const cutShort = SwissFideDutch.generatePairings(crowd(20), 2, crowd(20), []);
+
+    expect(searched.notes.searchBudgetExhausted).toBeUndefined();
+    expect(cutShort.notes.searchBudgetExhausted).toBe(true);
+    expect(cutShort.pairings).toHaveLength(10);
+  });
+
+  test('falls back to a forced repeat when no other pairing exists', () => {
+    const rounds = [{ roundNumber: 1, pairings: [game(1, 2, '1-0')] }];
+    const players = [player(1, 1, ['white']), player(2, 0, ['black'])];
+    const result = SwissFideDutch.generatePairings(players, 2, players, rounds);
+
+    expect(unordered(result)).toEqual(['1-2']);
+    expect(result.forcedRepeat).toBe(true);
+  });
+
+  test('colour preferences follow the colour difference and the last two colours', () => {
+    const { colourPreference } = SwissFideDutch;
+
+    expect(colourPreference(player(1))).toMatchObject({ color: null, strength: 'none' });
+    expect(colourPreference(player(1, 0, ['white', 'black']))).toMatchObject({ color: 'white', strength: 'mild' });
+    expect(colourPreference(player(1, 0, ['white']))).toMatchObject({ color: 'black', strength: 'strong' });
+    expect(colourPreference(player(1, 0, ['white', 'black', 'black']))).toMatchObject({ color: 'white', strength: 'absolute' });
+    expect(colourPreference(player(1, 0, ['black', 'white', 'black', 'black', 'white']))).toMatchObject({ color: 'white', strength: 'strong' });
+  });
+
+  test('records downfloats and upfloats from earlier rounds', () => {
+    const rounds = [
+      { roundNumber: 1, pairings: [game(1, 2, '1-0'), game(3, 4, '0-1'), bye(5)] },
+      { roundNumber: 2, pairings: [game(1, 4, '1/2-1/2'), game(5, 2, '1-0'), game(3, 6, '1-0')] },
+    ];
+    const floats = SwissFideDutch.floatHistory(rounds, [1, 2, 3, 4, 5, 6].map((id) => player(id)));
+
+    expect(floats.get(5).get(1)).toBe('down');
+    expect(floats.get(6).get(1)).toBe('down');
+    expect(floats.get(5).get(2)).toBe('down');
+    expect(floats.get(2).get(2)).toBe('up');
+    expect(floats.get(1).get(2)).toBeUndefined();
+  });
+
+  test('does not float down the player who floated down last round (C.12)', () => {
+    const scores = [1, 1, 1, 0, 0, 0];
+    const players = scores.map((score, index) => player(index + 1, score));
+    const played = [{ roundNumber: 1, pairings: [game(1, 4, '1-0'), game(2, 5, '1-0'), game(3, 6, '1-0')] }];
+    const forfeited = [{ roundNumber: 1, pairings: [game(1, 4, '1-0'), game(2, 5, '1-0'), game(3, 6, '+/-')] }];
+
+    expect(unordered(SwissFideDutch.generatePairings(players, 2, players, played, 5))).toEqual(['1-2', '3-4', '5-6']);
+    // A forfeit win counts as a downfloat, so player 2 floats instead of 3
+    expect(unordered(SwissFideDutch.generatePairings(players, 2, players, forfeited, 5))).toEqual(['1-3', '2-4', '5-6']);
+  });
+});
+
+describe('maximumMatching', () => {
+  test('finds augmenting paths through odd cycles', () => {
+    // A five-cycle with a pendant vertex on each of two cycle vertices
+    const edges = [[0, 1], [1, 2], [2, 3], [3, 4], [4, 0], [0, 5], [2, 6]];
+    const adjacency = Array.from({ length: 7 }, () => []);
+    edges.forEach(([a, b]) => {
+      adjacency[a].push(b);
+      adjacency[b].push(a);
+    });
+    const mate = maximumMatching(7, adjacency);
+
+    expect(matchingSize(7, adjacency)).toBe(3);
+    mate.forEach((m, v) => {
+      if (m !== -1) expect(mate[m]).toBe(v);
+    });
+  });
+});
+
+describe('maximumWeightMatching', () => {
+  // Exhaustive search over all matchings of a small graph
+  const bestWeight = (n, edges, maxCardinality) => {
+    let best = { size: 0, weight: 0 };
+    const search = (used, start, size, weight) => {
+      const better = maxCardinality
+        ? size > best.size || (size === best.size && weight > best.weight)
+        : weight > best.weight;
+      if (better) best = { size, weight };
+      for (let k = start; k < edges.length; k += 1) {
+        const [i, j, w] = edges[k];
+        if (!used[i] && !used[j]) {
+          used[i] = used[j] = true;
+          search(used, k + 1, size + 1, weight + w);
+          used[i] = used[j] = false;
+        }
+      }
+    };
+    search(new Array(n).fill(false), 0, 0, 0);
+    return best;
+  };
+
+  const weightOf = (mate, edges) => edges
+    .filter(([i, j]) => mate[i] === j)
+    .reduce((sum, [, , w]) => sum + w, 0);
+
+  test('prefers two light edges over one heavy edge when their sum is larger', () => {
+    const mate = maximumWeightMatching(4, [[0, 1, 5], [1, 2, 8], [2, 3, 5]]);
+
+    expect(mate).toEqual([1, 0, 3, 2]);
+  });
+
+  test('matches the exhaustive optimum on random graphs', () => {
+    let seed = 7;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+
+    for (let trial = 0; trial < 200; trial += 1) {
+      const n = 2 + Math.floor(random() * 7);
+      const edges = [];
+      for (let i = 0; i < n; i += 1) {
+        for (let j = i + 1; j < n; j += 1) {
+          if (random() < 0.6) edges.push([i, j, Math.floor(random() * 20)]);
+        }
+      }
+      const maxCardinality = trial % 2 === 0;
+      const mate = maximumWeightMatching(n, edges, maxCardinality);
+      const best = bestWeight(n, edges, maxCardinality);
+
+      mate.forEach((m, v) => {
+        if (m !== -1) expect(mate[m]).toBe(v);
+      });
+      expect(weightOf(mate, edges)).toBe(best.weight);
+      if (maxCardinality) expect(mate.filter((m) => m !== -1).length / 2).toBe(best.size);
+    }
+  });
+});
@@ -0,0 +1,51 @@
+const SwissLim = require('../utils/swissLim');
+const { player, game, unordered } = require('./pairingHarness');
+
+const ids = (groups) => groups.map((group) => group.map((p) => p.id));
+
+describe('SwissLim', () => {
+  test('pairs the top half against the bottom half in the first round', () => {
+    const players = [1, 2, 3, 4, 5, 6, 7, 8].map((id) => player(id));
+    const result = SwissLim.generatePairings(players, 1, players, []);
+
+    expect(unordered(result)).toEqual(['1-5', '2-6', '3-7', '4-8']);
+  });
+
+  test('floats players towards the median group and pairs it last', () => {
+    const scores = [2, 2, 2, 1, 1, 0, 0, 0];
+    const players = scores.map((score, index) => player(index + 1, score));
+    const groups = SwissLim.pairingGroups(players, 1, () => false);
+
+    // 3 drops from the top group and 6 moves up from the bottom one
+    expect(ids(groups)).toEqual([[1, 2], [3, 4, 5, 6], [7, 8]]);
+  });
+
+  test("doesn't float the same player the same way twice running", () => {
+    const scores = [2, 2, 2, 1, 1, 0, 0, 0];
+    const players = scores.map((score, index) => player(index + 1, score));
+    const floatedLastRound = new Set([3, 6]);
+    const groups = SwissLim.pairingGroups(players, 1, (p) => floatedLastRound.has(p.id));
+
+    expect(ids(groups)).toEqual([[1, 3], [2, 4, 5, 7], [6, 8]]);
+  });
+
+  test('exchanges in the bottom half to meet colour preferences', () => {
+    const players = [
+      player(1, 1, ['black']),
+      player(2, 1, ['white']),
+      player(3, 1, ['black']),
+      player(4, 1, ['white']),
+    ];
+    const opponents = [5, 6, 7, 8].map((id) => player(id));
+    const rounds = [{
+      roundNumber: 1,
+      completed: true,
+      pairings: [game(5, 1, '0-1'), game(2, 6, '1-0'), game(7, 3, '0-1'), game(4, 8, '1-0')],
+    }];
+    const result = SwissLim.generatePairings(players, 2, [...players, ...opponents], rounds);
+
+    // 1 and 3 both want white: 1-4 and 2-3 rather than 1-3 and 2-4
+    expect(unordered(result)).toEqual(['1-4', '2-3']);
+    expect(result.pairings.map((p) => p.whitePlayerId).sort()).toEqual([1, 3]);
+  });
+});
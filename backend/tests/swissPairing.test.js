@@ -170,3 +170,35 @@ describe('SwissPairing repeat constraints', () => {
     }
   });
 });
+
+describe('SwissPairing on a large field', () => {
+  // The search it replaced took exponential time; a matching pairs even a
+  // big open in seconds. The limit is generous for slow CI machines
+  test('pairs 300 players round after round in bounded time', () => {
+    const tournament = buildTournament(buildPlayers(300));
+
+    for (let roundNumber = 1; roundNumber <= 3; roundNumber += 1) {
+      const players = getPlayersForNextRound(tournament);
+      const started = Date.now();
+      const pairingResult = SwissPairing.generatePairings(
+        players,
+        roundNumber,
+        tournament.players,
+        tournament.rounds
+      );
+      expect(Date.now() - started).toBeLessThan(15000);
+      expect(pairingResult.forcedRepeat).toBe(false);
+      expect(pairingResult.pairings).toHaveLength(150);
+
+      const round = {
+        roundNumber,
+        pairings: pairingResult.pairings,
+        forcedRepeat: pairingResult.forcedRepeat,
+        repeatCount: pairingResult.repeatCount,
+        completed: false,
+      };
+      tournament.rounds.push(round);
+      completeRound(round);
+    }
+  }, 120000);
+});
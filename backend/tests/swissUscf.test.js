@@ -0,0 +1,110 @@
+const SwissUSCF = require('../utils/swissUscf');
+const { player, unordered } = require('./pairingHarness');
+
+describe('SwissUSCF', () => {
+  test('pairs the top half against the bottom half in the first round', () => {
+    const players = [1, 2, 3, 4, 5, 6, 7, 8].map((id) => player(id));
+    const result = SwissUSCF.generatePairings(players, 1, players, []);
+
+    expect(unordered(result)).toEqual(['1-5', '2-6', '3-7', '4-8']);
+  });
+
+  test('drops the lowest-rated odd man to the highest rated of the next group', () => {
+    const scores = [1, 1, 1, 0, 0, 0, 0, 0];
+    const players = scores.map((score, index) => player(index + 1, score));
+    const result = SwissUSCF.generatePairings(players, 2, players, []);
+
+    expect(unordered(result)).toEqual(['1-2', '3-4', '5-7', '6-8']);
+  });
+
+  test('transposes for colours within the 200-point limit', () => {
+    const players = [
+      player(1, 1, ['white']),
+      player(2, 1, ['black']),
+      player(3, 1, ['white']),
+      player(4, 1, ['black']),
+    ];
+    const result = SwissUSCF.generatePairings(players, 2, players, []);
+
+    expect(unordered(result)).toEqual(['1-4', '2-3']);
+  });
+
+  test('keeps the natural pairing when a transposition would pass the limit', () => {
+    const players = [
+      player(1, 1, ['white']),
+      player(2, 1, ['black']),
+      player(3, 1, ['white'], { rating: 1800 }),
+      player(4, 1, ['black'], { rating: 1500 }),
+    ];
+
+    expect(unordered(SwissUSCF.generatePairings(players, 2, players, []))).toEqual(['1-3', '2-4']);
+    expect(unordered(SwissUSCF.generatePairings(players, 2, players, [], { transpositionLimit: 400 })))
+      .toEqual(['1-4', '2-3']);
+  });
+
+  test('keeps team-mates apart unless the variation is turned off', () => {
+    const players = [
+      player(1, 0, [], { team: 'Knights' }),
+      player(2),
+      player(3, 0, [], { team: 'knights ' }),
+      player(4),
+    ];
+
+    expect(unordered(SwissUSCF.generatePairings(players, 1, players, []))).toEqual(['1-4', '2-3']);
+    expect(unordered(SwissUSCF.generatePairings(players, 1, players, [], { teamAvoidance: false })))
+      .toEqual(['1-3', '2-4']);
+  });
+
+  test('gives the bye to the lowest rated of the lowest score group', () => {
+    const players = [player(1, 1), player(2, 0), player(3, 0)];
+    const result = SwissUSCF.generatePairings(players, 2, players, []);
+
+    expect(result.pairings.find((p) => p.isBye).player1.id).toBe(3);
+  });
+
+  describe('colours (29E)', () => {
+    test('a player is due the colour that equalizes, then the one that alternates', () => {
+      expect(SwissUSCF.dueColour(player(1, 0, ['white', 'white', 'black'])))
+        .toMatchObject({ color: 'black', reason: 'equalize' });
+      expect(SwissUSCF.dueColour(player(1, 0, ['white', 'black'])))
+        .toMatchObject({ color: 'white', reason: 'alternate' });
+      expect(SwissUSCF.dueColour(player(1))).toMatchObject({ color: null });
+    });
+
+    test('equalization comes before alternation', () => {
+      const equalizing = player(2, 1, ['white', 'white', 'black']);
+      const alternating = player(1, 1, ['black', 'white']);
+      const { white, black } = SwissUSCF.allocateColours(alternating, equalizing, 4);
+
+      expect(black.id).toBe(2);
+      expect(white.id).toBe(1);
+    });
+
+    test('looks back to the last round the players had different colours', () => {
+      const higher = player(1, 2, ['black', 'white', 'black', 'white']);
+      const lower = player(2, 2, ['white', 'black', 'black', 'white']);
+      const { white, black } = SwissUSCF.allocateColours(higher, lower, 5);
+
+      // Both are due black; in round 2 the lower-ranked player had black
+      expect(white.id).toBe(2);
+      expect(black.id).toBe(1);
+    });
+
+    test('with identical histories the higher-ranked player gets their due colour', () => {
+      const higher = player(1, 1, ['white']);
+      const lower = player(2, 1, ['white']);
+      const { white, black } = SwissUSCF.allocateColours(lower, higher, 2);
+
+      expect(black.id).toBe(1);
+      expect(white.id).toBe(2);
+    });
+  });
+
+  test('validates variations', () => {
+    expect(SwissUSCF.validateVariations({ teamAvoidance: false, transpositionLimit: 100 })).toBeNull();
+    expect(SwissUSCF.validateVariations({ acceleration: true })).toMatch(/Unknown pairing variation/);
+    expect(SwissUSCF.validateVariations({ teamAvoidance: 'yes' })).toMatch(/teamAvoidance/);
+    expect(SwissUSCF.validateVariations({ transpositionLimit: -5 })).toMatch(/transpositionLimit/);
+    expect(SwissUSCF.validateVariations([])).toMatch(/must be an object/);
+  });
+});
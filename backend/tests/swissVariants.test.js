@@ -2,6 +2,9 @@ const SwissPairing = require('../utils/swissPairing');
 const SwissUSCF = require('../utils/swissUscf');
 const SwissFideDutch = require('../utils/swissFideDutch');
 const SwissAccelerated = require('../utils/swissAccelerated');
+const SwissBurstein = require('../utils/swissBurstein');
+const SwissDubov = require('../utils/swissDubov');
+const SwissLim = require('../utils/swissLim');
 
 const buildPlayers = (count) =>
   Array.from({ length: count }, (_, idx) => ({
@@ -61,7 +64,7 @@ const roundPairs = (round) =>
 const runRound = (engine, tournament, roundNumber) => {
   const players = getPlayersForNextRound(tournament);
   let result;
-  if (engine === SwissAccelerated) {
+  if (engine === SwissAccelerated || engine === SwissBurstein) {
     result = engine.generatePairings(
       players,
       roundNumber,
@@ -91,6 +94,9 @@ describe('Swiss variant pairing constraints', () => {
     { name: 'USCF', engine: SwissUSCF },
     { name: 'FIDE Dutch', engine: SwissFideDutch },
     { name: 'Accelerated', engine: SwissAccelerated },
+    { name: 'Burstein', engine: SwissBurstein },
+    { name: 'Dubov', engine: SwissDubov },
+    { name: 'Lim', engine: SwissLim },
   ];
 
   test('No consecutive repeat pairing', () => {
@@ -120,6 +126,24 @@ describe('Swiss variant pairing constraints', () => {
     }
   });
 
+  test('Requested byes leave the pool without using up the full-point bye', () => {
+    for (const variant of [...variants, { name: 'Swiss', engine: SwissPairing }]) {
+      const tournament = buildTournament(buildPlayers(6), 3);
+      runRound(variant.engine, tournament, 1);
+
+      const players = getPlayersForNextRound(tournament);
+      players[0].requestedBye = 'half';
+      players[5].requestedBye = 'zero';
+      const result = variant.engine.generatePairings(players, 2, tournament.players, tournament.rounds, 3);
+
+      const byes = result.pairings.filter((pairing) => pairing.isBye);
+      expect(byes.map((pairing) => [pairing.player1.id, pairing.byeType])).toEqual([[1, 'half'], [6, 'zero']]);
+      const paired = result.pairings.filter((pairing) => !pairing.isBye).flatMap((p) => [p.player1.id, p.player2.id]);
+      expect(paired.sort()).toEqual([2, 3, 4, 5]);
+      expect(result.pairings.map((pairing) => pairing.boardNumber)).toEqual([1, 2, 3, 4]);
+    }
+  });
+
   test('Repeat only when mathematically forced', () => {
     for (const variant of variants) {
       const tournament = buildTournament(buildPlayers(4), 4);
@@ -0,0 +1,124 @@
+const SwissPairing = require('../utils/swissPairing');
+const RoundRobinPairing = require('../utils/roundRobinPairing');
+const { defaultTiebreaks, validateTiebreaks } = require('../utils/tiebreaks');
+
+const players = [
+  { id: 1, name: 'A', rating: 2000 },
+  { id: 2, name: 'B', rating: 1900 },
+  { id: 3, name: 'C', rating: 1800 },
+  { id: 4, name: 'D', rating: 1700 },
+  { id: 5, name: 'E', rating: 1600 },
+];
+
+const game = (board, white, black, result) => ({
+  player1: players[white - 1],
+  player2: players[black - 1],
+  boardNumber: board,
+  whitePlayerId: white,
+  blackPlayerId: black,
+  result,
+});
+
+const bye = (board, id) => ({
+  player1: players[id - 1],
+  player2: null,
+  boardNumber: board,
+  isBye: true,
+});
+
+// Round 1: A-B 1-0, C-D draw, E bye. Round 2: C-A draw, B-E 0-1, D bye.
+// Final scores: E 2, A 1.5, D 1.5, C 1, B 0
+const buildTournament = (tiebreaks) => ({
+  tournamentType: 'swiss',
+  tiebreaks,
+  players,
+  rounds: [
+    { roundNumber: 1, completed: true, pairings: [game(1, 1, 2, '1-0'), game(2, 3, 4, '1/2-1/2'), bye(3, 5)] },
+    { roundNumber: 2, completed: true, pairings: [game(1, 3, 1, '1/2-1/2'), game(2, 2, 5, '0-1'), bye(3, 4)] },
+  ],
+});
+
+const byName = (standings) => Object.fromEntries(standings.map((s) => [s.name, s]));
+
+describe('Tiebreaks', () => {
+  test('Buchholz and Sonneborn-Berger use virtual opponents for unplayed rounds', () => {
+    const standings = byName(SwissPairing.calculateStandings(
+      buildTournament(['buchholz', 'sonneborn_berger', 'progressive'])
+    ));
+
+    // D's bye in the last round: virtual opponent on 0.5 + (1 - 1) = 0.5
+    expect(standings.D.tiebreaks).toEqual({ buchholz: 1.5, sonneborn_berger: 1, progressive: 1 });
+    // E's bye in round 1: virtual opponent on 0 + (1 - 1) + 0.5 = 0.5
+    expect(standings.E.tiebreaks).toEqual({ buchholz: 0.5, sonneborn_berger: 0.5, progressive: 2 });
+    // B's opponents A and E: E's bye counts as a draw for opponents
+    expect(standings.B.tiebreaks.buchholz).toBe(3);
+    expect(standings.A.tiebreaks).toEqual({ buchholz: 1, sonneborn_berger: 0.5, progressive: 2.5 });
+  });
+
+  test('Ranks by score and then each tiebreak in order', () => {
+    const standings = SwissPairing.calculateStandings(buildTournament(['buchholz']));
+
+    expect(standings.map((s) => [s.rank, s.name])).toEqual([
+      [1, 'E'],
+      [2, 'D'],
+      [3, 'A'],
+      [4, 'C'],
+      [5, 'B'],
+    ]);
+  });
+
+  test('Players still tied after every tiebreak share a rank', () => {
+    // A and D never met, so direct encounter does not separate them
+    const standings = SwissPairing.calculateStandings(buildTournament(['direct_encounter']));
+
+    expect(standings.map((s) => [s.rank, s.name])).toEqual([
+      [1, 'E'],
+      [2, 'A'],
+      [2, 'D'],
+      [4, 'C'],
+      [5, 'B'],
+    ]);
+    expect(standings[1].tiebreaks.direct_encounter).toBeNull();
+  });
+
+  test('Direct encounter separates tied players who met', () => {
+    const tournament = {
+      tournamentType: 'swiss',
+      tiebreaks: ['direct_encounter', 'buchholz'],
+      players: players.slice(0, 4),
+      rounds: [
+        { roundNumber: 1, completed: true, pairings: [game(1, 2, 1, '0-1'), game(2, 3, 4, '1-0')] },
+        { roundNumber: 2, completed: true, pairings: [game(1, 1, 3, '0-1'), game(2, 2, 4, '1-0')] },
+      ],
+    };
+    const standings = SwissPairing.calculateStandings(tournament);
+
+    expect(standings.map((s) => s.name)).toEqual(['C', 'A', 'B', 'D']);
+    expect(standings[1].tiebreaks.direct_encounter).toBe(1);
+    expect(standings[2].tiebreaks.direct_encounter).toBe(0);
+  });
+
+  test('Counts wins, games with black, AROC and Koya from played games', () => {
+    const standings = byName(RoundRobinPairing.calculateStandings(
+      buildTournament(['wins', 'games_with_black', 'aroc', 'koya'])
+    ));
+
+    expect(standings.A.tiebreaks).toEqual({ wins: 1, games_with_black: 1, aroc: 1900, koya: 0.5 });
+    expect(standings.D.tiebreaks).toEqual({ wins: 0, games_with_black: 1, aroc: 1800, koya: 0.5 });
+    expect(standings.E.tiebreaks).toEqual({ wins: 1, games_with_black: 1, aroc: 1900, koya: 0 });
+  });
+
+  test('Falls back to the defaults for the tournament type', () => {
+    const standings = SwissPairing.calculateStandings({ ...buildTournament(null), tournamentType: 'round_robin' });
+
+    expect(Object.keys(standings[0].tiebreaks)).toEqual(defaultTiebreaks('round_robin'));
+    expect(defaultTiebreaks('swiss_uscf')).toEqual(defaultTiebreaks('swiss'));
+  });
+
+  test('Validates tiebreak lists', () => {
+    expect(validateTiebreaks(['buchholz', 'koya'])).toBeNull();
+    expect(validateTiebreaks('buchholz')).toMatch(/list/);
+    expect(validateTiebreaks(['rating'])).toMatch(/Unknown tiebreak "rating"/);
+    expect(validateTiebreaks(['wins', 'wins'])).toMatch(/only be used once/);
+  });
+});
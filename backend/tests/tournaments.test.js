@@ -0,0 +1,999 @@
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const { pairingPool } = require('../utils/pairingPool');
+const db = require('../db');
+const AuditLog = require('../models/AuditLog');
+const { assignOwnerless } = require('../db/assignOwner');
+
+let userCount = 0;
+
+// Sign up a fresh user and return an agent that carries their session
+const signIn = async () => {
+  const agent = request.agent(app);
+  userCount += 1;
+  const email = `organizer-${Date.now()}-${userCount}@example.com`;
+  const response = await agent
+    .post('/api/auth/signup')
+    .send({
+      email,
+      password: 'password123',
+      name: `Organizer ${userCount}`,
+    })
+    .expect(201);
+  agent.email = email;
+  agent.userId = response.body.user.id;
+  return agent;
+};
+
+let owner;
+
+const createTournament = async (overrides = {}, agent = owner) => {
+  const response = await agent
+    .post('/api/tournaments')
+    .send({
+      name: 'Test Open',
+      tournamentType: 'swiss_uscf',
+      numberOfRounds: 3,
+      ...overrides,
+    })
+    .expect(201);
+  return response.body.tournament;
+};
+
+const addPlayers = async (tournamentId, count) => {
+  for (let i = 1; i <= count; i += 1) {
+    await owner
+      .post(`/api/tournaments/${tournamentId}/players`)
+      .send({ name: `Player ${i}`, rating: 2000 - i * 10 })
+      .expect(200);
+  }
+};
+
+const enterAllResults = async (tournamentId, round) => {
+  for (let index = 0; index < round.pairings.length; index += 1) {
+    if (round.pairings[index].isBye) continue;
+    await owner
+      .post(`/api/tournaments/${tournamentId}/rounds/${round.roundNumber}/pairings/${index}/result`)
+      .send({ result: '1-0' })
+      .expect(200);
+  }
+};
+
+describe('Tournaments', () => {
+  const createdIds = [];
+
+  beforeAll(async () => {
+    owner = await signIn();
+  });
+
+  afterAll(async () => {
+    for (const id of createdIds) {
+      await owner.delete(`/api/tournaments/${id}`);
+    }
+  });
+
+  test('should create a tournament and list it', async () => {
+    const tournament = await createTournament();
+    createdIds.push(tournament.id);
+
+    expect(tournament.id).toEqual(expect.any(Number));
+    expect(tournament.status).toBe('registration');
+
+    const response = await request(app).get('/api/tournaments').expect(200);
+    const listed = response.body.tournaments.find((t) => t.id === tournament.id);
+    expect(listed).toMatchObject({ name: 'Test Open', playerCount: 0 });
+  });
+
+  test('should persist players, rounds and results across a restart', async () => {
+    const tournament = await createTournament();
+    createdIds.push(tournament.id);
+    await addPlayers(tournament.id, 5);
+
+    const startResponse = await owner
+      .post(`/api/tournaments/${tournament.id}/start`)
+      .expect(200);
+    const round1 = startResponse.body.tournament.round;
+    expect(round1.pairings).toHaveLength(3);
+
+    await enterAllResults(tournament.id, round1);
+    const completeResponse = await owner
+      .post(`/api/tournaments/${tournament.id}/rounds/1/complete`)
+      .expect(200);
+    expect(completeResponse.body.tournament.currentRound).toBe(2);
+
+    // Load the tournament through a fresh database connection
+    let reloaded;
+    await jest.isolateModulesAsync(async () => {
+      const FreshTournament = require('../models/Tournament');
+      reloaded = await FreshTournament.findById(tournament.id);
+    });
+
+    expect(reloaded.status).toBe('in_progress');
+    expect(reloaded.currentRound).toBe(2);
+    expect(reloaded.players).toHaveLength(5);
+    expect(reloaded.rounds).toHaveLength(2);
+    expect(reloaded.rounds[0].completed).toBe(true);
+    expect(reloaded.rounds[0].pairings.map((p) => p.result)).toEqual(
+      round1.pairings.map((p) => (p.isBye ? undefined : '1-0'))
+    );
+    expect(reloaded.rounds[1].pairings).toEqual(completeResponse.body.nextRound.pairings);
+  });
+
+  test('should store round robin pairing numbers when starting', async () => {
+    const tournament = await createTournament({ tournamentType: 'round_robin', numberOfRounds: 0 });
+    createdIds.push(tournament.id);
+    await addPlayers(tournament.id, 4);
+
+    await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+
+    const response = await request(app).get(`/api/tournaments/${tournament.id}`).expect(200);
+    expect(response.body.tournament.numberOfRounds).toBe(3);
+    const numbers = response.body.tournament.players.map((p) => p.pairingNumber).sort();
+    expect(numbers).toEqual([1, 2, 3, 4]);
+
+    const crosstable = await request(app).get(`/api/tournaments/${tournament.id}/crosstable`).expect(200);
+    expect(crosstable.body.crosstable.format).toBe('grid');
+    expect(crosstable.body.crosstable.rows.map((row) => row.pairingNumber)).toEqual([1, 2, 3, 4]);
+  });
+
+  test('should pair Monrad events down the standings for any number of rounds', async () => {
+    await owner
+      .post('/api/tournaments')
+      .send({ name: 'Long Swiss', tournamentType: 'swiss_uscf', numberOfRounds: 30 })
+      .expect(400);
+
+    const tournament = await createTournament({ tournamentType: 'monrad', numberOfRounds: 30 });
+    createdIds.push(tournament.id);
+    expect(tournament.numberOfRounds).toBe(30);
+    await addPlayers(tournament.id, 4);
+
+    const response = await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+    const boards = response.body.tournament.round.pairings
+      .map((p) => [p.player1.name, p.player2.name].sort());
+    expect(boards).toEqual([['Player 1', 'Player 2'], ['Player 3', 'Player 4']]);
+  });
+
+  test('should record forfeits as unplayed games', async () => {
+    const tournament = await createTournament();
+    createdIds.push(tournament.id);
+    await addPlayers(tournament.id, 2);
+
+    await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+    const resultUrl = `/api/tournaments/${tournament.id}/rounds/1/pairings/0/result`;
+
+    const invalid = await owner.post(resultUrl).send({ result: '2-0' }).expect(400);
+    expect(invalid.body.error).toMatch(/\+\/-, -\/\+, -\/-/);
+
+    await owner.post(resultUrl).send({ result: '+/-' }).expect(200);
+    await owner.post(`/api/tournaments/${tournament.id}/rounds/1/complete`).expect(200);
+
+    const response = await request(app).get(`/api/tournaments/${tournament.id}`).expect(200);
+    const { standings } = response.body.tournament;
+    expect(standings.map((s) => s.score)).toEqual([1, 0]);
+    expect(standings.every((s) => s.colorHistory.length === 0 && s.previousOpponents.length === 0)).toBe(true);
+    expect(response.body.tournament.rounds[0].pairings[0].result).toBe('+/-');
+  });
+
+  test('should store the chosen tiebreak order', async () => {
+    const tournament = await createTournament({ tiebreaks: ['sonneborn_berger', 'buchholz'] });
+    createdIds.push(tournament.id);
+
+    const response = await request(app).get(`/api/tournaments/${tournament.id}`).expect(200);
+    expect(response.body.tournament.tiebreaks).toEqual(['sonneborn_berger', 'buchholz']);
+
+    const defaults = await createTournament({ tournamentType: 'round_robin', numberOfRounds: 0 });
+    createdIds.push(defaults.id);
+    expect(defaults.tiebreaks).toEqual(['direct_encounter', 'sonneborn_berger', 'wins', 'koya']);
+
+    const invalid = await owner
+      .post('/api/tournaments')
+      .send({ name: 'Bad Tiebreaks', numberOfRounds: 3, tiebreaks: ['rating'] })
+      .expect(400);
+    expect(invalid.body.error).toMatch(/Unknown tiebreak/);
+  });
+
+  test('should return standings as of an earlier round with rank history', async () => {
+    const tournament = await createTournament({ tournamentType: 'round_robin', numberOfRounds: 0 });
+    createdIds.push(tournament.id);
+    await addPlayers(tournament.id, 4);
+
+    const startResponse = await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+    await enterAllResults(tournament.id, startResponse.body.tournament.round);
+    const round1Response = await owner.post(`/api/tournaments/${tournament.id}/rounds/1/complete`).expect(200);
+    await enterAllResults(tournament.id, round1Response.body.nextRound);
+    await owner.post(`/api/tournaments/${tournament.id}/rounds/2/complete`).expect(200);
+
+    const current = await request(app).get(`/api/tournaments/${tournament.id}/standings`).expect(200);
+    expect(current.body.afterRound).toBe(2);
+    expect(current.body.standings.every((s) => s.rankHistory.length === 2)).toBe(true);
+    for (const standing of current.body.standings) {
+      expect(standing.rankHistory[1]).toEqual({ round: 2, rank: standing.rank });
+    }
+
+    const afterRound1 = await request(app)
+      .get(`/api/tournaments/${tournament.id}/standings?afterRound=1`)
+      .expect(200);
+    expect(afterRound1.body.afterRound).toBe(1);
+    expect(afterRound1.body.standings.map((s) => s.score).sort()).toEqual([0, 0, 1, 1]);
+    for (const standing of afterRound1.body.standings) {
+      expect(standing.rankHistory).toEqual([{ round: 1, rank: standing.rank }]);
+      const later = current.body.standings.find((s) => s.id === standing.id);
+      expect(later.rankHistory[0]).toEqual(standing.rankHistory[0]);
+    }
+
+    await request(app).get(`/api/tournaments/${tournament.id}/standings?afterRound=3`).expect(400);
+    await request(app).get(`/api/tournaments/${tournament.id}/standings?afterRound=abc`).expect(400);
+  });
+
+  test('should delete a tournament with its players and rounds', async () => {
+    const tournament = await createTournament();
+    await addPlayers(tournament.id, 2);
+    await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+
+    await owner.delete(`/api/tournaments/${tournament.id}`).expect(200);
+    await request(app).get(`/api/tournaments/${tournament.id}`).expect(404);
+  });
+
+  describe('ownership', () => {
+    test('should record the creating user as owner', async () => {
+      const tournament = await createTournament();
+      createdIds.push(tournament.id);
+
+      const response = await owner.get(`/api/tournaments/${tournament.id}`).expect(200);
+      expect(response.body.tournament.ownerId).toEqual(expect.any(Number));
+      expect(response.body.tournament.role).toBe('owner');
+    });
+
+    test('should require sign-in to create or change tournaments', async () => {
+      await request(app)
+        .post('/api/tournaments')
+        .send({ name: 'Anonymous Open', numberOfRounds: 3 })
+        .expect(401);
+
+      const tournament = await createTournament();
+      createdIds.push(tournament.id);
+
+      await request(app)
+        .post(`/api/tournaments/${tournament.id}/players`)
+        .send({ name: 'Intruder' })
+        .expect(401);
+      await request(app).delete(`/api/tournaments/${tournament.id}`).expect(401);
+    });
+
+    test('should reject changes from users who do not own the tournament', async () => {
+      const tournament = await createTournament();
+      createdIds.push(tournament.id);
+      await addPlayers(tournament.id, 2);
+      const stranger = await signIn();
+
+      const response = await stranger
+        .post(`/api/tournaments/${tournament.id}/players`)
+        .send({ name: 'Intruder' })
+        .expect(403);
+      expect(response.body.success).toBe(false);
+
+      await stranger.post(`/api/tournaments/${tournament.id}/start`).expect(403);
+      await stranger.delete(`/api/tournaments/${tournament.id}`).expect(403);
+      await owner.get(`/api/tournaments/${tournament.id}`).expect(200);
+    });
+
+    test('should leave tournaments without an owner read-only until one is assigned', async () => {
+      const tournament = await createTournament();
+      await db.query('UPDATE tournaments SET owner_id = NULL WHERE id = $1', [tournament.id]);
+      const stranger = await signIn();
+
+      await stranger
+        .post(`/api/tournaments/${tournament.id}/players`)
+        .send({ name: 'Intruder' })
+        .expect(403);
+      await stranger.post(`/api/tournaments/${tournament.id}/start`).expect(403);
+      await stranger.delete(`/api/tournaments/${tournament.id}`).expect(403);
+      const response = await stranger.get(`/api/tournaments/${tournament.id}`).expect(200);
+      expect(response.body.tournament.role).toBeNull();
+
+      const assigned = await assignOwnerless(db, stranger.email, [tournament.id]);
+      expect(assigned).toEqual([tournament.id]);
+      await stranger
+        .post(`/api/tournaments/${tournament.id}/players`)
+        .send({ name: 'New Owner' })
+        .expect(200);
+      expect(await assignOwnerless(db, owner.email, [tournament.id])).toEqual([]);
+      await stranger.delete(`/api/tournaments/${tournament.id}`).expect(200);
+    });
+
+    test('should keep tournaments publicly viewable', async () => {
+      const tournament = await createTournament();
+      createdIds.push(tournament.id);
+      await addPlayers(tournament.id, 2);
+      await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+
+      const response = await request(app).get(`/api/tournaments/${tournament.id}`).expect(200);
+      expect(response.body.tournament.players).toHaveLength(2);
+      expect(response.body.tournament.role).toBeNull();
+      expect(response.body.tournament.permissions).toEqual([]);
+
+      await request(app).get(`/api/tournaments/${tournament.id}/rounds/1`).expect(200);
+      await request(app).get(`/api/tournaments/${tournament.id}/standings`).expect(200);
+      await request(app).get(`/api/tournaments/${tournament.id}/crosstable`).expect(200);
+    });
+
+    test('should list only my tournaments with ?mine=true', async () => {
+      const mine = await createTournament({ name: 'My Open' });
+      createdIds.push(mine.id);
+      const stranger = await signIn();
+      const theirs = await createTournament({ name: 'Their Open' }, stranger);
+
+      const response = await owner.get('/api/tournaments?mine=true').expect(200);
+      const ids = response.body.tournaments.map((t) => t.id);
+      expect(ids).toContain(mine.id);
+      expect(ids).not.toContain(theirs.id);
+      expect(response.body.tournaments.every((t) => t.role === 'owner')).toBe(true);
+
+      await request(app).get('/api/tournaments?mine=true').expect(401);
+      await stranger.delete(`/api/tournaments/${theirs.id}`).expect(200);
+    });
+  });
+
+  describe('roles', () => {
+    let tournament;
+    let staff;
+
+    const invite = (email, role, agent = owner) => agent
+      .post(`/api/tournaments/${tournament.id}/roles`)
+      .send({ email, role });
+
+    beforeEach(async () => {
+      tournament = await createTournament();
+      createdIds.push(tournament.id);
+      await addPlayers(tournament.id, 4);
+      staff = await signIn();
+    });
+
+    test('should invite an existing user and list them as staff', async () => {
+      const response = await invite(staff.email, 'arbiter').expect(200);
+      expect(response.body.role).toMatchObject({ email: staff.email, role: 'arbiter' });
+
+      const list = await owner.get(`/api/tournaments/${tournament.id}/roles`).expect(200);
+      expect(list.body.owner.role).toBe('owner');
+      expect(list.body.roles).toEqual([expect.objectContaining({ email: staff.email, role: 'arbiter' })]);
+
+      const view = await staff.get(`/api/tournaments/${tournament.id}`).expect(200);
+      expect(view.body.tournament.role).toBe('arbiter');
+      expect(view.body.tournament.permissions).toContain('manageRounds');
+    });
+
+    test('should reject unknown users, invalid roles and the owner', async () => {
+      await invite('nobody@example.com', 'arbiter').expect(404);
+      await invite(staff.email, 'chief').expect(400);
+      await invite(owner.email, 'viewer').expect(400);
+    });
+
+    test('should let result-entry staff post results but not manage the event', async () => {
+      await invite(staff.email, 'result_entry').expect(200);
+
+      await staff.post(`/api/tournaments/${tournament.id}/start`).expect(403);
+      const startResponse = await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+      const round = startResponse.body.tournament.round;
+
+      for (let index = 0; index < round.pairings.length; index += 1) {
+        await staff
+          .post(`/api/tournaments/${tournament.id}/rounds/1/pairings/${index}/result`)
+          .send({ result: '1/2-1/2' })
+          .expect(200);
+      }
+
+      await staff.post(`/api/tournaments/${tournament.id}/rounds/1/complete`).expect(403);
+      await staff.delete(`/api/tournaments/${tournament.id}`).expect(403);
+      await staff.get(`/api/tournaments/${tournament.id}/roles`).expect(403);
+    });
+
+    test('should let arbiters manage players and rounds but not staff', async () => {
+      await invite(staff.email, 'arbiter').expect(200);
+
+      await staff
+        .post(`/api/tournaments/${tournament.id}/players`)
+        .send({ name: 'Late Arrival' })
+        .expect(200);
+      await staff.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+      await staff.delete(`/api/tournaments/${tournament.id}`).expect(403);
+
+      const other = await signIn();
+      await invite(other.email, 'viewer', staff).expect(403);
+    });
+
+    test('should let viewers read but not change anything', async () => {
+      await invite(staff.email, 'viewer').expect(200);
+
+      await staff
+        .post(`/api/tournaments/${tournament.id}/players`)
+        .send({ name: 'Intruder' })
+        .expect(403);
+
+      const response = await staff.get('/api/tournaments?mine=true').expect(200);
+      const listed = response.body.tournaments.find((t) => t.id === tournament.id);
+      expect(listed.role).toBe('viewer');
+    });
+
+    test('should let co-owners manage staff and remove roles', async () => {
+      await invite(staff.email, 'owner').expect(200);
+      const other = await signIn();
+
+      await invite(other.email, 'result_entry', staff).expect(200);
+      await staff.delete(`/api/tournaments/${tournament.id}/roles/${staff.userId}`).expect(200);
+      await staff.get(`/api/tournaments/${tournament.id}/roles`).expect(403);
+    });
+  });
+
+  describe('bye requests', () => {
+    let tournament;
+    let players;
+
+    const requestBye = (player, roundNumber, byeType) => owner
+      .post(`/api/tournaments/${tournament.id}/byes`)
+      .send({ playerId: player.id, roundNumber, byeType });
+
+    beforeEach(async () => {
+      tournament = await createTournament({ numberOfRounds: 4, maxHalfByes: 1, noHalfByesInLastRounds: 2 });
+      createdIds.push(tournament.id);
+      await addPlayers(tournament.id, 5);
+      const response = await request(app).get(`/api/tournaments/${tournament.id}`).expect(200);
+      players = response.body.tournament.players;
+    });
+
+    test('should take players out of the pairing and record their byes', async () => {
+      await requestBye(players[0], 1, 'half').expect(200);
+      await requestBye(players[1], 1, 'zero').expect(200);
+
+      const startResponse = await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+      const { round } = startResponse.body.tournament;
+      const byes = round.pairings.filter((p) => p.isBye);
+      expect(byes.map((p) => [p.player1.id, p.byeType])).toEqual([
+        [expect.any(Number), 'full'],
+        [players[0].id, 'half'],
+        [players[1].id, 'zero'],
+      ]);
+      expect(round.pairings.filter((p) => !p.isBye)).toHaveLength(1);
+
+      await enterAllResults(tournament.id, round);
+      const complete = await owner.post(`/api/tournaments/${tournament.id}/rounds/1/complete`).expect(200);
+      const scoreOf = (id) => complete.body.standings.find((s) => s.id === id).score;
+      expect(scoreOf(players[0].id)).toBe(0.5);
+      expect(scoreOf(players[1].id)).toBe(0);
+      expect(complete.body.standings.find((s) => s.id === players[0].id).colorHistory).toEqual([]);
+
+      const reloaded = await request(app).get(`/api/tournaments/${tournament.id}`).expect(200);
+      expect(reloaded.body.tournament.rounds[0].pairings.filter((p) => p.isBye)).toEqual(byes);
+    });
+
+    test('should enforce the half-point bye limits', async () => {
+      await requestBye(players[0], 1, 'half').expect(200);
+      const overLimit = await requestBye(players[0], 2, 'half').expect(400);
+      expect(overLimit.body.error).toMatch(/at most 1 half-point bye/);
+
+      const lateRound = await requestBye(players[1], 3, 'half').expect(400);
+      expect(lateRound.body.error).toMatch(/last 2 rounds/);
+      await requestBye(players[1], 3, 'zero').expect(200);
+
+      await owner
+        .put(`/api/tournaments/${tournament.id}/byes/rules`)
+        .send({ maxHalfByes: null, noHalfByesInLastRounds: 0 })
+        .expect(200);
+      await requestBye(players[0], 4, 'half').expect(200);
+
+      const list = await request(app).get(`/api/tournaments/${tournament.id}/byes`).expect(200);
+      expect(list.body.byeRules).toEqual({ maxHalfByes: null, noHalfByesInLastRounds: 0 });
+      expect(list.body.byeRequests.map((r) => [r.roundNumber, r.byeType])).toEqual([
+        [1, 'half'],
+        [3, 'zero'],
+        [4, 'half'],
+      ]);
+    });
+
+    test('should refuse requests for rounds already paired', async () => {
+      const pending = await requestBye(players[0], 2, 'half').expect(200);
+      await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+
+      const paired = await requestBye(players[1], 1, 'zero').expect(400);
+      expect(paired.body.error).toMatch(/already been paired/);
+      await requestBye(players[1], 2, 'sometimes').expect(400);
+
+      await owner
+        .delete(`/api/tournaments/${tournament.id}/byes/${pending.body.byeRequest.id}`)
+        .expect(200);
+    });
+  });
+
+  describe('withdrawals', () => {
+    let tournament;
+    let players;
+
+    const playerAction = (player, action, body = {}) => owner
+      .post(`/api/tournaments/${tournament.id}/players/${player.id}/${action}`)
+      .send(body);
+
+    const startWith = async (overrides) => {
+      tournament = await createTournament(overrides);
+      createdIds.push(tournament.id);
+      await addPlayers(tournament.id, 4);
+      const response = await request(app).get(`/api/tournaments/${tournament.id}`).expect(200);
+      players = response.body.tournament.players;
+      const startResponse = await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+      return startResponse.body.tournament.round;
+    };
+
+    const pairedIds = (round) => round.pairings.flatMap((p) => (p.isBye ? [p.player1.id] : [p.player1.id, p.player2.id]));
+
+    test('should leave withdrawn players out of later rounds but keep their games', async () => {
+      const round1 = await startWith();
+
+      const withdrawn = await playerAction(players[0], 'withdraw').expect(200);
+      expect(withdrawn.body.player.withdrawnAfterRound).toBe(1);
+      await playerAction(players[0], 'withdraw').expect(400);
+      await playerAction(players[0], 'pause', { rounds: 1 }).expect(400);
+
+      await enterAllResults(tournament.id, round1);
+      const complete = await owner.post(`/api/tournaments/${tournament.id}/rounds/1/complete`).expect(200);
+      expect(pairedIds(complete.body.nextRound)).not.toContain(players[0].id);
+      expect(complete.body.nextRound.pairings.filter((p) => p.isBye)).toHaveLength(1);
+
+      await enterAllResults(tournament.id, complete.body.nextRound);
+      await owner.post(`/api/tournaments/${tournament.id}/rounds/2/complete`).expect(200);
+
+      const standings = await request(app).get(`/api/tournaments/${tournament.id}/standings`).expect(200);
+      const standing = standings.body.standings.find((s) => s.id === players[0].id);
+      expect(standing.withdrawn).toBe(true);
+      expect(standing.gamesPlayed).toBe(1);
+
+      const crosstable = await request(app).get(`/api/tournaments/${tournament.id}/crosstable`).expect(200);
+      const row = crosstable.body.crosstable.rows.find((r) => r.id === players[0].id);
+      expect(row.withdrawn).toBe(true);
+      expect(row.cells.map((cell) => cell.type)).toEqual(['game', 'absent']);
+    });
+
+    test('should pair paused players again once their pause is over', async () => {
+      const round1 = await startWith();
+
+      await playerAction(players[1], 'pause', { rounds: 3 }).expect(400);
+      const paused = await playerAction(players[1], 'pause', { rounds: 1 }).expect(200);
+      expect(paused.body.player.pausedThroughRound).toBe(2);
+
+      await enterAllResults(tournament.id, round1);
+      const round2 = await owner.post(`/api/tournaments/${tournament.id}/rounds/1/complete`).expect(200);
+      expect(pairedIds(round2.body.nextRound)).not.toContain(players[1].id);
+
+      await enterAllResults(tournament.id, round2.body.nextRound);
+      const round3 = await owner.post(`/api/tournaments/${tournament.id}/rounds/2/complete`).expect(200);
+      expect(pairedIds(round3.body.nextRound)).toContain(players[1].id);
+      await playerAction(players[1], 'reenter').expect(400);
+    });
+
+    test('should re-enter a withdrawn player', async () => {
+      const round1 = await startWith();
+
+      await playerAction(players[2], 'withdraw').expect(200);
+      const reentered = await playerAction(players[2], 'reenter').expect(200);
+      expect(reentered.body.player.withdrawnAfterRound).toBeNull();
+
+      await enterAllResults(tournament.id, round1);
+      const complete = await owner.post(`/api/tournaments/${tournament.id}/rounds/1/complete`).expect(200);
+      expect(pairedIds(complete.body.nextRound)).toContain(players[2].id);
+    });
+
+    test('should forfeit round robin games against a withdrawn player', async () => {
+      const round1 = await startWith({ tournamentType: 'round_robin' });
+
+      await playerAction(players[3], 'withdraw').expect(200);
+      await enterAllResults(tournament.id, round1);
+      const complete = await owner.post(`/api/tournaments/${tournament.id}/rounds/1/complete`).expect(200);
+
+      const forfeited = complete.body.nextRound.pairings.find((p) => (
+        p.player1.id === players[3].id || p.player2.id === players[3].id
+      ));
+      expect(forfeited.result).toBe(forfeited.player1.id === players[3].id ? '-/+' : '+/-');
+    });
+  });
+
+  describe('late entries', () => {
+    const lateEntry = (tournamentId, body) => owner
+      .post(`/api/tournaments/${tournamentId}/players`)
+      .send({ name: 'Late Arrival', ...body });
+
+    test('should score missed rounds as byes and pair the newcomer from the next round', async () => {
+      const tournament = await createTournament({ numberOfRounds: 4 });
+      createdIds.push(tournament.id);
+      await addPlayers(tournament.id, 4);
+      const startResponse = await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+      await enterAllResults(tournament.id, startResponse.body.tournament.round);
+      const round2 = await owner.post(`/api/tournaments/${tournament.id}/rounds/1/complete`).expect(200);
+
+      await lateEntry(tournament.id, { rating: 2100, missedRoundBye: 'sometimes' }).expect(400);
+      const added = await lateEntry(tournament.id, { rating: 2100, missedRoundBye: 'half' }).expect(200);
+      const newcomer = added.body.player;
+      expect(newcomer.pairingNumber).toBe(1);
+
+      const reloaded = await request(app).get(`/api/tournaments/${tournament.id}`).expect(200);
+      expect(reloaded.body.tournament.players.map((p) => p.pairingNumber).sort()).toEqual([1, 2, 3, 4, 5]);
+      for (const round of reloaded.body.tournament.rounds) {
+        const bye = round.pairings.find((p) => p.player1.id === newcomer.id);
+        expect(bye).toMatchObject({ isBye: true, byeType: 'half', boardNumber: round.pairings.length });
+      }
+
+      await enterAllResults(tournament.id, round2.body.nextRound);
+      const round3 = await owner.post(`/api/tournaments/${tournament.id}/rounds/2/complete`).expect(200);
+      const standing = round3.body.standings.find((s) => s.id === newcomer.id);
+      expect(standing.score).toBe(1);
+      expect(standing.colorHistory).toEqual([]);
+      expect(standing.gamesPlayed).toBe(0);
+
+      const game = round3.body.nextRound.pairings.find((p) => (
+        !p.isBye && (p.player1.id === newcomer.id || p.player2.id === newcomer.id)
+      ));
+      expect(game).toBeDefined();
+    });
+
+    test('should not take late entries into a round robin', async () => {
+      const tournament = await createTournament({ tournamentType: 'round_robin' });
+      createdIds.push(tournament.id);
+      await addPlayers(tournament.id, 4);
+      await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+
+      const response = await lateEntry(tournament.id, {}).expect(400);
+      expect(response.body.error).toMatch(/round robin/);
+    });
+  });
+
+  describe('pairing edits', () => {
+    test('should ask for warnings to be acknowledged before saving an edit', async () => {
+      const tournament = await createTournament();
+      createdIds.push(tournament.id);
+      await addPlayers(tournament.id, 4);
+      const startResponse = await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+      await enterAllResults(tournament.id, startResponse.body.tournament.round);
+      const complete = await owner.post(`/api/tournaments/${tournament.id}/rounds/1/complete`).expect(200);
+      const [board1, board2] = complete.body.nextRound.pairings;
+      const edit = (body) => owner.post(`/api/tournaments/${tournament.id}/rounds/2/pairings/edit`).send(body);
+
+      // One round of colours can't make a third in a row
+      const colors = await edit({ action: 'swap_colors', boardNumber: 1 }).expect(200);
+      expect(colors.body.round.pairings[0].whitePlayerId).toBe(board1.blackPlayerId);
+
+      // Pairing a round 1 winner with a loser crosses score groups
+      const swap = { action: 'swap_players', playerIds: [board1.player1.id, board2.player1.id] };
+      const refused = await edit(swap).expect(409);
+      expect(refused.body.warnings.map((w) => w.type)).toContain('score_group');
+
+      let reloaded = await request(app).get(`/api/tournaments/${tournament.id}/rounds/2`).expect(200);
+      const before = reloaded.body.round.pairings.map((p) => [p.whitePlayerId, p.blackPlayerId]);
+
+      const saved = await edit({ ...swap, acknowledgeWarnings: true }).expect(200);
+      expect(saved.body.warnings.length).toBeGreaterThan(0);
+      reloaded = await request(app).get(`/api/tournaments/${tournament.id}/rounds/2`).expect(200);
+      expect(reloaded.body.round.pairings.map((p) => [p.whitePlayerId, p.blackPlayerId])).not.toEqual(before);
+
+      const repaired = await edit({ action: 'repair', acknowledgeWarnings: true }).expect(200);
+      expect(repaired.body.round.pairings).toHaveLength(2);
+
+      await edit({ action: 'shuffle' }).expect(400);
+    });
+  });
+
+  describe('corrections', () => {
+    let tournament;
+
+    const setResult = (roundNumber, index, result, agent = owner) => agent
+      .post(`/api/tournaments/${tournament.id}/rounds/${roundNumber}/pairings/${index}/result`)
+      .send({ result });
+
+    const playThroughRound2 = async () => {
+      tournament = await createTournament();
+      createdIds.push(tournament.id);
+      await addPlayers(tournament.id, 4);
+      const startResponse = await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+      const round1 = startResponse.body.tournament.round;
+      await enterAllResults(tournament.id, round1);
+      const complete = await owner.post(`/api/tournaments/${tournament.id}/rounds/1/complete`).expect(200);
+      return { round1, round2: complete.body.nextRound };
+    };
+
+    test('should correct a completed round and recompute the standings', async () => {
+      const { round1 } = await playThroughRound2();
+      const { player1, player2 } = round1.pairings[0];
+
+      const staff = await signIn();
+      await owner.post(`/api/tournaments/${tournament.id}/roles`).send({ email: staff.email, role: 'result_entry' }).expect(200);
+      await setResult(1, 0, '0-1', staff).expect(403);
+
+      const corrected = await setResult(1, 0, '0-1').expect(200);
+      expect(corrected.body).toMatchObject({ corrected: true, laterRoundsPaired: true });
+
+      const standings = await request(app).get(`/api/tournaments/${tournament.id}/standings`).expect(200);
+      const scoreOf = (id) => standings.body.standings.find((s) => s.id === id).score;
+      expect(scoreOf(player1.id)).toBe(0);
+      expect(scoreOf(player2.id)).toBe(1);
+
+      await owner.post(`/api/tournaments/${tournament.id}/rounds/1/complete`).expect(400);
+    });
+
+    test('should re-open a round, discard later rounds and pair them again', async () => {
+      const { round2 } = await playThroughRound2();
+
+      await owner.post(`/api/tournaments/${tournament.id}/rounds/2/reopen`).expect(400);
+      await setResult(2, 0, '1-0').expect(200);
+
+      const refused = await owner.post(`/api/tournaments/${tournament.id}/rounds/1/reopen`).expect(409);
+      expect(refused.body.roundsWithResults).toEqual([2]);
+
+      const reopened = await owner
+        .post(`/api/tournaments/${tournament.id}/rounds/1/reopen`)
+        .send({ discardResults: true })
+        .expect(200);
+      expect(reopened.body.discardedRounds).toEqual([2]);
+
+      let reloaded = await request(app).get(`/api/tournaments/${tournament.id}`).expect(200);
+      expect(reloaded.body.tournament.currentRound).toBe(1);
+      expect(reloaded.body.tournament.rounds.map((r) => [r.roundNumber, r.completed])).toEqual([[1, false]]);
+
+      await setResult(1, 0, '0-1').expect(200);
+      const complete = await owner.post(`/api/tournaments/${tournament.id}/rounds/1/complete`).expect(200);
+      expect(complete.body.nextRound.roundNumber).toBe(2);
+      expect(complete.body.nextRound.pairings).not.toEqual(round2.pairings);
+
+      reloaded = await request(app).get(`/api/tournaments/${tournament.id}`).expect(200);
+      expect(reloaded.body.tournament.rounds.map((r) => r.roundNumber)).toEqual([1, 2]);
+    });
+  });
+
+  describe('scoring', () => {
+    test('should score rounds with the tournament\'s points per outcome', async () => {
+      await owner.post('/api/tournaments').send({ name: 'Bad', numberOfRounds: 3, scoring: { win: 1, draw: 2 } }).expect(400);
+
+      const tournament = await createTournament({ scoring: { win: 3, draw: 1 } });
+      createdIds.push(tournament.id);
+      expect(tournament.scoring).toMatchObject({ win: 3, draw: 1, loss: 0, fullBye: 1 });
+
+      await owner.put(`/api/tournaments/${tournament.id}/scoring`).send({ scoring: { win: 3, draw: 1, fullBye: 3 } }).expect(200);
+      await addPlayers(tournament.id, 3);
+      const startResponse = await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+      const { round } = startResponse.body.tournament;
+
+      const locked = await owner.put(`/api/tournaments/${tournament.id}/scoring`).send({ scoring: { win: 2 } }).expect(400);
+      expect(locked.body.error).toMatch(/before the tournament starts/);
+
+      await enterAllResults(tournament.id, round);
+      const complete = await owner.post(`/api/tournaments/${tournament.id}/rounds/1/complete`).expect(200);
+      expect(complete.body.standings.map((s) => s.score)).toEqual([3, 3, 0]);
+
+      const standings = await request(app).get(`/api/tournaments/${tournament.id}/standings`).expect(200);
+      expect(standings.body.scoring).toMatchObject({ win: 3, draw: 1, fullBye: 3 });
+    });
+  });
+
+  describe('pairing variations', () => {
+    test('should keep team-mates apart in a US Chess Swiss unless the TD turns it off', async () => {
+      const bad = await owner.post('/api/tournaments')
+        .send({ name: 'Bad', tournamentType: 'swiss_fide_dutch', numberOfRounds: 3, pairingVariations: { teamAvoidance: false } })
+        .expect(400);
+      expect(bad.body.error).toMatch(/only apply to US Chess/);
+      await owner.post('/api/tournaments').send({ name: 'Bad', numberOfRounds: 3, pairingVariations: { acceleration: true } }).expect(400);
+
+      const tournament = await createTournament();
+      createdIds.push(tournament.id);
+      expect(tournament.pairingVariations).toEqual({ teamAvoidance: true, transpositionLimit: 200 });
+
+      const teams = ['Knights', null, 'Knights', null];
+      for (let i = 1; i <= 4; i += 1) {
+        await owner
+          .post(`/api/tournaments/${tournament.id}/players`)
+          .send({ name: `Player ${i}`, rating: 2000 - i * 10, team: teams[i - 1] })
+          .expect(200);
+      }
+      const loaded = await request(app).get(`/api/tournaments/${tournament.id}`).expect(200);
+      expect(loaded.body.tournament.players.map((p) => p.team)).toEqual(teams);
+
+      const boards = (round) => round.pairings.map((p) => [p.player1.name, p.player2.name].sort().join(' - ')).sort();
+      const start = await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+      expect(boards(start.body.tournament.round)).toEqual(['Player 1 - Player 4', 'Player 2 - Player 3']);
+
+      const updated = await owner.put(`/api/tournaments/${tournament.id}/pairing-variations`)
+        .send({ pairingVariations: { teamAvoidance: false } })
+        .expect(200);
+      expect(updated.body.pairingVariations).toEqual({ teamAvoidance: false, transpositionLimit: 200 });
+      await owner.put(`/api/tournaments/${tournament.id}/pairing-variations`)
+        .send({ pairingVariations: { transpositionLimit: 'far' } })
+        .expect(400);
+    });
+  });
+
+  describe('acceleration', () => {
+    test('should pair with the chosen acceleration and keep its virtual points with the round', async () => {
+      await owner.post('/api/tournaments')
+        .send({ name: 'Bad', tournamentType: 'swiss_accelerated', numberOfRounds: 5, acceleration: { rounds: 6 } })
+        .expect(400);
+      await owner.post('/api/tournaments').send({ name: 'Bad', numberOfRounds: 5, acceleration: { scheme: 'baku' } }).expect(400);
+
+      const tournament = await createTournament({ tournamentType: 'swiss_accelerated', numberOfRounds: 5 });
+      createdIds.push(tournament.id);
+      expect(tournament.acceleration).toMatchObject({ scheme: 'added_score', rounds: 1, decay: 'none' });
+
+      const updated = await owner.put(`/api/tournaments/${tournament.id}/acceleration`)
+        .send({ acceleration: { scheme: 'baku' } })
+        .expect(200);
+      expect(updated.body.acceleration).toMatchObject({ scheme: 'baku', rounds: 3, decay: 'sliding' });
+
+      await addPlayers(tournament.id, 8);
+      const start = await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+      const { round } = start.body.tournament;
+      const names = new Map(round.pairings.flatMap((p) => [p.player1, p.player2]).map((p) => [String(p.id), p.name]));
+      const accelerated = Object.keys(round.virtualPoints).map((id) => names.get(id)).sort();
+      expect(accelerated).toEqual(['Player 1', 'Player 2', 'Player 3', 'Player 4']);
+      expect(Object.values(round.virtualPoints)).toEqual([1, 1, 1, 1]);
+
+      const loaded = await request(app).get(`/api/tournaments/${tournament.id}/rounds/1`).expect(200);
+      expect(loaded.body.round.virtualPoints).toEqual(round.virtualPoints);
+
+      const locked = await owner.put(`/api/tournaments/${tournament.id}/acceleration`)
+        .send({ acceleration: { scheme: 'sixths' } })
+        .expect(400);
+      expect(locked.body.error).toMatch(/before the tournament starts/);
+    });
+  });
+
+  describe('pairing jobs', () => {
+    const defaults = { workerFile: pairingPool.workerFile, timeBudgetMs: pairingPool.timeBudgetMs };
+
+    // Pair with a worker that never finishes unless the budget runs out
+    const stallPairing = async (timeBudgetMs = defaults.timeBudgetMs) => {
+      await pairingPool.close();
+      pairingPool.workerFile = path.join(__dirname, 'stallingPairingWorker.js');
+      pairingPool.timeBudgetMs = timeBudgetMs;
+    };
+
+    afterEach(async () => {
+      delete process.env.PAIRING_WAIT_MS;
+      await pairingPool.close();
+      Object.assign(pairingPool, defaults);
+    });
+
+    const pollUntilFinished = async (tournamentId, jobId) => {
+      for (let attempt = 0; attempt < 100; attempt += 1) {
+        const response = await owner.get(`/api/tournaments/${tournamentId}/pairing-jobs/${jobId}`).expect(200);
+        if (!['queued', 'running', 'saving'].includes(response.body.job.status)) return response.body;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      throw new Error('Pairing job did not finish');
+    };
+
+    test('should answer with a job to poll and store the quick pairing when out of time', async () => {
+      await stallPairing(1000);
+      process.env.PAIRING_WAIT_MS = '0';
+      const tournament = await createTournament();
+      createdIds.push(tournament.id);
+      await addPlayers(tournament.id, 4);
+
+      const started = await owner.post(`/api/tournaments/${tournament.id}/start`).expect(202);
+      const { job } = started.body;
+      expect(job).toMatchObject({ tournamentId: tournament.id, roundNumber: 1 });
+
+      const stranger = await signIn();
+      await stranger.get(`/api/tournaments/${tournament.id}/pairing-jobs/${job.id}`).expect(403);
+      await owner.get(`/api/tournaments/${tournament.id}/pairing-jobs/unknown`).expect(404);
+
+      const polled = await pollUntilFinished(tournament.id, job.id);
+      expect(polled.job).toMatchObject({ status: 'completed', timedOut: true });
+      expect(polled.response.tournament.round.pairings).toHaveLength(2);
+
+      const loaded = await request(app).get(`/api/tournaments/${tournament.id}`).expect(200);
+      expect(loaded.body.tournament.status).toBe('in_progress');
+      expect(loaded.body.tournament.rounds[0].pairingTimedOut).toBe(true);
+      expect(loaded.body.tournament.pairingJob).toBeNull();
+
+      await owner.post(`/api/tournaments/${tournament.id}/pairing-jobs/${job.id}/cancel`).expect(409);
+    });
+
+    test('should hold changes while pairing and store nothing when cancelled', async () => {
+      await stallPairing();
+      process.env.PAIRING_WAIT_MS = '0';
+      const tournament = await createTournament();
+      createdIds.push(tournament.id);
+      await addPlayers(tournament.id, 4);
+
+      const { job } = (await owner.post(`/api/tournaments/${tournament.id}/start`).expect(202)).body;
+
+      const held = await owner.post(`/api/tournaments/${tournament.id}/players`).send({ name: 'Late' }).expect(409);
+      expect(held.body.job.id).toBe(job.id);
+      await owner.post(`/api/tournaments/${tournament.id}/start`).expect(409);
+      await owner.delete(`/api/tournaments/${tournament.id}`).expect(409);
+      const loading = await request(app).get(`/api/tournaments/${tournament.id}`).expect(200);
+      expect(loading.body.tournament.pairingJob).toMatchObject({ id: job.id, status: 'running' });
+
+      const cancelled = await owner.post(`/api/tournaments/${tournament.id}/pairing-jobs/${job.id}/cancel`).expect(200);
+      expect(cancelled.body.job.status).toBe('cancelled');
+
+      const loaded = await request(app).get(`/api/tournaments/${tournament.id}`).expect(200);
+      expect(loaded.body.tournament.status).toBe('registration');
+      expect(loaded.body.tournament.rounds).toHaveLength(0);
+      expect(loaded.body.tournament.pairingJob).toBeNull();
+
+      const audit = await owner.get(`/api/tournaments/${tournament.id}/audit`).expect(200);
+      expect(audit.body.entries.map((e) => e.action)).toContain('cancel_pairing');
+    });
+  });
+
+  describe('audit log', () => {
+    test('should record who changed what, with old and new values', async () => {
+      const tournament = await createTournament();
+      createdIds.push(tournament.id);
+      await addPlayers(tournament.id, 2);
+      const startResponse = await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+      const { round } = startResponse.body.tournament;
+
+      const staff = await signIn();
+      await owner.post(`/api/tournaments/${tournament.id}/roles`).send({ email: staff.email, role: 'result_entry' }).expect(200);
+      await staff.post(`/api/tournaments/${tournament.id}/rounds/1/pairings/0/result`).send({ result: '1-0' }).expect(200);
+      await owner.post(`/api/tournaments/${tournament.id}/rounds/1/pairings/0/result`).send({ result: '0-1' }).expect(200);
+
+      await request(app).get(`/api/tournaments/${tournament.id}/audit`).expect(401);
+      const stranger = await signIn();
+      await stranger.get(`/api/tournaments/${tournament.id}/audit`).expect(403);
+
+      const response = await staff.get(`/api/tournaments/${tournament.id}/audit`).expect(200);
+      const { entries } = response.body;
+      expect(entries.map((e) => e.action)).toEqual([
+        'create_tournament',
+        'add_player',
+        'add_player',
+        'start_tournament',
+        'assign_role',
+        'set_result',
+        'set_result',
+      ]);
+
+      const [first, second] = entries.filter((e) => e.action === 'set_result');
+      expect(first.user).toMatchObject({ id: staff.userId, email: staff.email });
+      expect(first.oldValue).toEqual({ roundNumber: 1, boardNumber: round.pairings[0].boardNumber, result: null });
+      expect(first.newValue.result).toBe('1-0');
+      expect(second.user.id).toBe(owner.userId);
+      expect(second).toMatchObject({ oldValue: { result: '1-0' }, newValue: { result: '0-1' } });
+      expect(Date.parse(second.createdAt)).not.toBeNaN();
+    });
+
+    test('should keep a change and its audit entry together', async () => {
+      const tournament = await createTournament();
+      createdIds.push(tournament.id);
+      await addPlayers(tournament.id, 2);
+      await owner.post(`/api/tournaments/${tournament.id}/start`).expect(200);
+
+      const record = jest.spyOn(AuditLog, 'record').mockRejectedValueOnce(new Error('disk full'));
+      try {
+        await owner.post(`/api/tournaments/${tournament.id}/rounds/1/pairings/0/result`).send({ result: '1-0' }).expect(500);
+      } finally {
+        record.mockRestore();
+      }
+
+      const round = await request(app).get(`/api/tournaments/${tournament.id}/rounds/1`).expect(200);
+      expect(round.body.round.pairings[0].result).toBeFalsy();
+      const audit = await owner.get(`/api/tournaments/${tournament.id}/audit`).expect(200);
+      expect(audit.body.entries.map((e) => e.action)).not.toContain('set_result');
+    });
+
+    test('should let the owner read the log of a tournament they deleted', async () => {
+      const tournament = await createTournament();
+      await addPlayers(tournament.id, 2);
+      const staff = await signIn();
+      await owner.post(`/api/tournaments/${tournament.id}/roles`).send({ email: staff.email, role: 'arbiter' }).expect(200);
+
+      await owner.delete(`/api/tournaments/${tournament.id}`).expect(200);
+      await request(app).get(`/api/tournaments/${tournament.id}`).expect(404);
+
+      const response = await owner.get(`/api/tournaments/${tournament.id}/audit`).expect(200);
+      expect(response.body.deleted).toBe(true);
+      const actions = response.body.entries.map((e) => e.action);
+      expect(actions[0]).toBe('create_tournament');
+      expect(actions[actions.length - 1]).toBe('delete_tournament');
+
+      await staff.get(`/api/tournaments/${tournament.id}/audit`).expect(404);
+      await request(app).get(`/api/tournaments/${tournament.id}/audit`).expect(401);
+    });
+  });
+});
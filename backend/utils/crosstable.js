@@ -0,0 +1,168 @@
+/**
+ * Crosstables built from the completed rounds
+ *
+ * The wallchart (Swiss) has one row per player in standings order and one
+ * cell per round, written the usual way: colour, opponent's rank and result,
+ * e.g. "W12+ B5= W3-". Unplayed rounds use "X12" / "F12" for a win / loss by
+ * forfeit, "BYE+" for a bye and "---" for a round the player was not
+ * paired in (late entries and withdrawals). Rows of players who have
+ * withdrawn are flagged `withdrawn`. Symbols show the outcome; `points` is
+ * what it scored under the tournament's scoring system. A game against a
+ * different score carries the way the player floated, `float`: 'up' or
+ * 'down'.
+ *
+ * The grid (round robin) is the N×N all-play-all table in pairing number
+ * order, with the result of each game against every opponent.
+ */
+
+const { buildPlayerRecords, isWithdrawn } = require('./standings');
+const { compareIds, floatMarkers } = require('./swissEngine');
+const { resolveTiebreaks, rankPlayers, calculateTiebreak } = require('./tiebreaks');
+const { resolveScoring } = require('./results');
+
+const resultSymbol = (outcome) => {
+  if (outcome === 1) return '+';
+  if (outcome === 0.5) return '=';
+  return '-';
+};
+
+const cellType = (game) => {
+  if (game.played) return 'game';
+  if (game.bye) return 'bye';
+  if (game.opponentId !== null) return 'forfeit';
+  return 'absent';
+};
+
+const cellNotation = (type, game, opponentRank) => {
+  if (type === 'game') {
+    return `${game.color === 'white' ? 'W' : 'B'}${opponentRank}${resultSymbol(game.outcome)}`;
+  }
+  if (type === 'forfeit') {
+    return `${game.outcome > 0 ? 'X' : 'F'}${opponentRank}`;
+  }
+  if (type === 'bye') {
+    return `BYE${resultSymbol(game.outcome)}`;
+  }
+  return '---';
+};
+
+/**
+ * Swiss-style wallchart: rows in standings order, a cell per completed round
+ * with a running total
+ */
+const buildWallchart = (tournament) => {
+  const players = buildPlayerRecords(tournament);
+  const scoring = resolveScoring(tournament);
+  const ranked = rankPlayers(players, resolveTiebreaks(tournament), scoring);
+
+  // Opponents are referred to by their position in the table
+  const positionById = new Map(ranked.map(({ player }, index) => [player.id, index + 1]));
+  const floats = floatMarkers(tournament.rounds, scoring);
+
+  const rows = ranked.map(({ player, rank }) => {
+    let total = 0;
+    const cells = player.games.map((game) => {
+      total += game.points;
+      const type = cellType(game);
+      const opponentRank = game.opponentId !== null ? positionById.get(game.opponentId) : null;
+      return {
+        round: game.roundNumber,
+        type,
+        opponentId: game.opponentId,
+        opponentRank,
+        color: game.played ? game.color : null,
+        float: type === 'game' ? (floats[game.roundNumber] || {})[player.id] || null : null,
+        points: game.points,
+        total,
+        notation: cellNotation(type, game, opponentRank),
+      };
+    });
+
+    return {
+      position: positionById.get(player.id),
+      rank,
+      id: player.id,
+      name: player.name,
+      rating: player.rating || null,
+      score: player.score,
+      tiebreaks: player.tiebreaks,
+      withdrawn: isWithdrawn(player),
+      cells,
+    };
+  });
+
+  const rounds = rows.length ? rows[0].cells.map((cell) => cell.round) : [];
+
+  return {
+    format: 'wallchart',
+    rounds,
+    tiebreaks: resolveTiebreaks(tournament),
+    scoring,
+    rows,
+  };
+};
+
+const gridResult = (game) => {
+  if (!game.played) return game.outcome > 0 ? '+' : '-';
+  if (game.outcome === 1) return '1';
+  if (game.outcome === 0.5) return '½';
+  return '0';
+};
+
+/**
+ * Round robin grid: rows and columns in pairing number order, each cell
+ * holding the games against that opponent (two in a double round robin)
+ */
+const buildGrid = (tournament) => {
+  const players = buildPlayerRecords(tournament);
+  const ranked = rankPlayers(players, resolveTiebreaks(tournament), resolveScoring(tournament));
+  const rankById = new Map(ranked.map(({ player, rank }) => [player.id, rank]));
+  const sonnebornBerger = calculateTiebreak(players, 'sonneborn_berger', resolveScoring(tournament));
+
+  const ordered = [...players].sort((a, b) => {
+    if (a.pairingNumber && b.pairingNumber) return a.pairingNumber - b.pairingNumber;
+    if (a.pairingNumber || b.pairingNumber) return a.pairingNumber ? -1 : 1;
+    return compareIds(a.id, b.id);
+  });
+
+  const rows = ordered.map((player) => ({
+    pairingNumber: player.pairingNumber || null,
+    id: player.id,
+    name: player.name,
+    rating: player.rating || null,
+    rank: rankById.get(player.id),
+    score: player.score,
+    sonnebornBerger: sonnebornBerger.get(player.id),
+    withdrawn: isWithdrawn(player),
+    cells: ordered.map((opponent) => {
+      if (opponent.id === player.id) {
+        return { opponentId: opponent.id, self: true, games: [] };
+      }
+      return {
+        opponentId: opponent.id,
+        self: false,
+        games: player.games
+          .filter((game) => game.opponentId === opponent.id)
+          .map((game) => ({
+            round: game.roundNumber,
+            color: game.played ? game.color : null,
+            points: game.points,
+            played: game.played,
+            result: gridResult(game),
+          })),
+      };
+    }),
+  }));
+
+  return {
+    format: 'grid',
+    double: tournament.tournamentType === 'double_round_robin',
+    scoring: resolveScoring(tournament),
+    rows,
+  };
+};
+
+module.exports = {
+  buildWallchart,
+  buildGrid,
+};
@@ -0,0 +1,11 @@
+const MonradPairing = require('./monradPairing');
+
+/**
+ * Danish system: Monrad pairing straight down the standings, 1 against 2,
+ * 3 against 4, whether or not they have met before
+ */
+class DanishPairing extends MonradPairing {}
+
+DanishPairing.allowRepeats = true;
+
+module.exports = DanishPairing;
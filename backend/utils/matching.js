@@ -0,0 +1,574 @@
+/**
+ * Matching in general (non-bipartite) graphs
+ *
+ * maximumMatching checks whether a set of players can all be paired with
+ * each other, e.g. the FIDE completion criterion (C.04.3 C.4).
+ * maximumWeightMatching finds the best pairing of a whole round at once,
+ * with each possible pair weighted by how good it is.
+ */
+
+/**
+ * Maximum cardinality matching (Edmonds' blossom algorithm)
+ * @param {number} vertexCount
+ * @param {Array<Array<number>>} adjacency - Neighbours of each vertex
+ * @returns {Array<number>} The vertex each vertex is matched to, or -1
+ */
+const maximumMatching = (vertexCount, adjacency) => {
+  const mate = new Array(vertexCount).fill(-1);
+  const parent = new Array(vertexCount);
+  const base = new Array(vertexCount);
+  const inQueue = new Array(vertexCount);
+  const inBlossom = new Array(vertexCount);
+
+  // Lowest common ancestor of two vertices in the alternating tree
+  const commonBase = (a, b) => {
+    const seen = new Array(vertexCount).fill(false);
+    let v = a;
+    for (;;) {
+      v = base[v];
+      seen[v] = true;
+      if (mate[v] === -1) break;
+      v = parent[mate[v]];
+    }
+    let w = b;
+    for (;;) {
+      w = base[w];
+      if (seen[w]) return w;
+      w = parent[mate[w]];
+    }
+  };
+
+  const markBlossom = (from, blossomBase, child) => {
+    let v = from;
+    let next = child;
+    while (base[v] !== blossomBase) {
+      inBlossom[base[v]] = true;
+      inBlossom[base[mate[v]]] = true;
+      parent[v] = next;
+      next = mate[v];
+      v = parent[mate[v]];
+    }
+  };
+
+  // Breadth-first search for an augmenting path from root; returns its
+  // free end, or -1
+  const findPath = (root) => {
+    inQueue.fill(false);
+    parent.fill(-1);
+    for (let v = 0; v < vertexCount; v += 1) base[v] = v;
+
+    inQueue[root] = true;
+    const queue = [root];
+    for (let head = 0; head < queue.length; head += 1) {
+      const v = queue[head];
+      for (const to of adjacency[v]) {
+        if (base[v] === base[to] || mate[v] === to) continue;
+        if (to === root || (mate[to] !== -1 && parent[mate[to]] !== -1)) {
+          const blossomBase = commonBase(v, to);
+          inBlossom.fill(false);
+          markBlossom(v, blossomBase, to);
+          markBlossom(to, blossomBase, v);
+          for (let u = 0; u < vertexCount; u += 1) {
+            if (inBlossom[base[u]]) {
+              base[u] = blossomBase;
+              if (!inQueue[u]) {
+                inQueue[u] = true;
+                queue.push(u);
+              }
+            }
+          }
+        } else if (parent[to] === -1) {
+          parent[to] = v;
+          if (mate[to] === -1) return to;
+          inQueue[mate[to]] = true;
+          queue.push(mate[to]);
+        }
+      }
+    }
+    return -1;
+  };
+
+  // Greedy start, then augment from each free vertex
+  for (let v = 0; v < vertexCount; v += 1) {
+    if (mate[v] !== -1) continue;
+    const free = adjacency[v].find((to) => mate[to] === -1);
+    if (free !== undefined) {
+      mate[v] = free;
+      mate[free] = v;
+    }
+  }
+
+  for (let v = 0; v < vertexCount; v += 1) {
+    if (mate[v] !== -1) continue;
+    let end = findPath(v);
+    while (end !== -1) {
+      const previous = parent[end];
+      const next = mate[previous];
+      mate[end] = previous;
+      mate[previous] = end;
+      end = next;
+    }
+  }
+
+  return mate;
+};
+
+/**
+ * Number of pairs in a maximum matching
+ */
+const matchingSize = (vertexCount, adjacency) => (
+  maximumMatching(vertexCount, adjacency).filter((m) => m !== -1).length / 2
+);
+
+/**
+ * Maximum weight matching (Edmonds' blossom algorithm with dual variables,
+ * O(n³)), after Galil, "Efficient algorithms for finding maximum matching
+ * in graphs" (1986) and Van Rantwijk's implementation of it. Integer
+ * weights keep the arithmetic exact.
+ * @param {number} vertexCount
+ * @param {Array<Array<number>>} edges - [i, j, weight] for each edge
+ * @param {boolean} [maxCardinality] - Only consider matchings with as many
+ *   pairs as possible, and find the heaviest of those
+ * @returns {Array<number>} The vertex each vertex is matched to, or -1
+ */
+const maximumWeightMatching = (vertexCount, edges, maxCardinality = false) => {
+  const n = vertexCount;
+  if (edges.length === 0 || n === 0) return new Array(n).fill(-1);
+
+  const edgeCount = edges.length;
+  const maxWeight = edges.reduce((max, edge) => Math.max(max, edge[2]), 0);
+
+  // Edge k has endpoints 2k (its first vertex) and 2k + 1 (its second);
+  // p ^ 1 is the other end of the same edge
+  const endpoint = new Int32Array(2 * edgeCount);
+  const weight = new Float64Array(edgeCount);
+  const degree = new Int32Array(n);
+  edges.forEach(([i, j, w], k) => {
+    endpoint[2 * k] = i;
+    endpoint[2 * k + 1] = j;
+    weight[k] = w;
+    degree[i] += 1;
+    degree[j] += 1;
+  });
+  const neighbourEnds = Array.from({ length: n }, (_, v) => new Int32Array(degree[v]));
+  degree.fill(0);
+  for (let k = 0; k < edgeCount; k += 1) {
+    const i = endpoint[2 * k];
+    const j = endpoint[2 * k + 1];
+    neighbourEnds[i][degree[i]++] = 2 * k + 1;
+    neighbourEnds[j][degree[j]++] = 2 * k;
+  }
+
+  // mate[v] is the endpoint of the matched edge at the other end from v
+  const mate = new Array(n).fill(-1);
+  // Top-level blossom labels: 0 free, 1 S (outer), 2 T (inner); 5 marks
+  // a blossom while scanning for a common base
+  const label = new Int8Array(2 * n);
+  const labelEnd = new Array(2 * n).fill(-1);
+  const inBlossom = Int32Array.from({ length: n }, (_, v) => v);
+  const blossomParent = new Array(2 * n).fill(-1);
+  const blossomChildren = new Array(2 * n).fill(null);
+  const blossomBase = [...Array.from({ length: n }, (_, v) => v), ...new Array(n).fill(-1)];
+  const blossomEnds = new Array(2 * n).fill(null);
+  // Least-slack edge from each free vertex / S-blossom to a different S-blossom
+  const bestEdge = new Array(2 * n).fill(-1);
+  const blossomBestEdges = new Array(2 * n).fill(null);
+  const unusedBlossoms = Array.from({ length: n }, (_, i) => n + i);
+  const dual = new Float64Array(2 * n);
+  dual.fill(maxWeight, 0, n);
+  const allowEdge = new Uint8Array(edgeCount);
+  let queue = [];
+
+  const slack = (k) => dual[endpoint[2 * k]] + dual[endpoint[2 * k + 1]] - 2 * weight[k];
+
+  const blossomLeaves = (b, leaves = []) => {
+    if (b < n) {
+      leaves.push(b);
+    } else {
+      for (const child of blossomChildren[b]) blossomLeaves(child, leaves);
+    }
+    return leaves;
+  };
+
+  const assignLabel = (w, t, p) => {
+    const b = inBlossom[w];
+    label[w] = t;
+    label[b] = t;
+    labelEnd[w] = p;
+    labelEnd[b] = p;
+    bestEdge[w] = -1;
+    bestEdge[b] = -1;
+    if (t === 1) {
+      queue.push(...blossomLeaves(b));
+    } else if (t === 2) {
+      const base = blossomBase[b];
+      assignLabel(endpoint[mate[base]], 1, mate[base] ^ 1);
+    }
+  };
+
+  // Trace back from v and w to find a new blossom's base, or -1 when the
+  // paths reach different roots (an augmenting path)
+  const scanBlossom = (startV, startW) => {
+    let v = startV;
+    let w = startW;
+    const path = [];
+    let base = -1;
+    while (v !== -1 || w !== -1) {
+      let b = inBlossom[v];
+      if (label[b] & 4) {
+        base = blossomBase[b];
+        break;
+      }
+      path.push(b);
+      label[b] = 5;
+      if (labelEnd[b] === -1) {
+        v = -1;
+      } else {
+        v = endpoint[labelEnd[b]];
+        b = inBlossom[v];
+        v = endpoint[labelEnd[b]];
+      }
+      if (w !== -1) [v, w] = [w, v];
+    }
+    for (const b of path) label[b] = 1;
+    return base;
+  };
+
+  const addBlossom = (base, k) => {
+    let [v, w] = edges[k];
+    const bb = inBlossom[base];
+    let bv = inBlossom[v];
+    let bw = inBlossom[w];
+    const b = unusedBlossoms.pop();
+    blossomBase[b] = base;
+    blossomParent[b] = -1;
+    blossomParent[bb] = b;
+
+    const path = [];
+    const ends = [];
+    while (bv !== bb) {
+      blossomParent[bv] = b;
+      path.push(bv);
+      ends.push(labelEnd[bv]);
+      v = endpoint[labelEnd[bv]];
+      bv = inBlossom[v];
+    }
+    path.push(bb);
+    path.reverse();
+    ends.reverse();
+    ends.push(2 * k);
+    while (bw !== bb) {
+      blossomParent[bw] = b;
+      path.push(bw);
+      ends.push(labelEnd[bw] ^ 1);
+      w = endpoint[labelEnd[bw]];
+      bw = inBlossom[w];
+    }
+    blossomChildren[b] = path;
+    blossomEnds[b] = ends;
+
+    label[b] = 1;
+    labelEnd[b] = labelEnd[bb];
+    dual[b] = 0;
+    for (const leaf of blossomLeaves(b)) {
+      if (label[inBlossom[leaf]] === 2) queue.push(leaf);
+      inBlossom[leaf] = b;
+    }
+
+    const bestEdgeTo = new Array(2 * n).fill(-1);
+    for (const child of path) {
+      const edgeLists = blossomBestEdges[child] === null
+        ? blossomLeaves(child).map((leaf) => Array.from(neighbourEnds[leaf], (p) => p >> 1))
+        : [blossomBestEdges[child]];
+      for (const list of edgeLists) {
+        for (const edge of list) {
+          let j = endpoint[2 * edge + 1];
+          if (inBlossom[j] === b) j = endpoint[2 * edge];
+          const bj = inBlossom[j];
+          if (bj !== b && label[bj] === 1
+            && (bestEdgeTo[bj] === -1 || slack(edge) < slack(bestEdgeTo[bj]))) {
+            bestEdgeTo[bj] = edge;
+          }
+        }
+      }
+      blossomBestEdges[child] = null;
+      bestEdge[child] = -1;
+    }
+    blossomBestEdges[b] = bestEdgeTo.filter((edge) => edge !== -1);
+    bestEdge[b] = -1;
+    for (const edge of blossomBestEdges[b]) {
+      if (bestEdge[b] === -1 || slack(edge) < slack(bestEdge[b])) bestEdge[b] = edge;
+    }
+  };
+
+  const expandBlossom = (b, endStage) => {
+    for (const child of blossomChildren[b]) {
+      blossomParent[child] = -1;
+      if (child < n) {
+        inBlossom[child] = child;
+      } else if (endStage && dual[child] === 0) {
+        expandBlossom(child, endStage);
+      } else {
+        for (const leaf of blossomLeaves(child)) inBlossom[leaf] = child;
+      }
+    }
+
+    // An expanded T-blossom leaves part of its children labelled on the
+    // alternating path through it
+    if (!endStage && label[b] === 2) {
+      const children = blossomChildren[b];
+      const entryChild = inBlossom[endpoint[labelEnd[b] ^ 1]];
+      let j = children.indexOf(entryChild);
+      let step;
+      let endTrick;
+      if (j & 1) {
+        j -= children.length;
+        step = 1;
+        endTrick = 0;
+      } else {
+        step = -1;
+        endTrick = 1;
+      }
+      const at = (index) => (index < 0 ? index + children.length : index);
+      const endAt = (index) => blossomEnds[b][at(index)];
+
+      let p = labelEnd[b];
+      while (j !== 0) {
+        label[endpoint[p ^ 1]] = 0;
+        label[endpoint[endAt(j - endTrick) ^ endTrick ^ 1]] = 0;
+        assignLabel(endpoint[p ^ 1], 2, p);
+        allowEdge[endAt(j - endTrick) >> 1] = 1;
+        j += step;
+        p = endAt(j - endTrick) ^ endTrick;
+        allowEdge[p >> 1] = 1;
+        j += step;
+      }
+      let bv = children[at(j)];
+      label[endpoint[p ^ 1]] = 2;
+      label[bv] = 2;
+      labelEnd[endpoint[p ^ 1]] = p;
+      labelEnd[bv] = p;
+      bestEdge[bv] = -1;
+      j += step;
+      while (children[at(j)] !== entryChild) {
+        bv = children[at(j)];
+        if (label[bv] === 1) {
+          j += step;
+          continue;
+        }
+        const labelled = blossomLeaves(bv).find((leaf) => label[leaf] !== 0);
+        if (labelled !== undefined) {
+          label[labelled] = 0;
+          label[endpoint[mate[blossomBase[bv]]]] = 0;
+          assignLabel(labelled, 2, labelEnd[labelled]);
+        }
+        j += step;
+      }
+    }
+
+    label[b] = -1;
+    labelEnd[b] = -1;
+    blossomChildren[b] = null;
+    blossomEnds[b] = null;
+    blossomBase[b] = -1;
+    blossomBestEdges[b] = null;
+    bestEdge[b] = -1;
+    unusedBlossoms.push(b);
+  };
+
+  // Swap matched and unmatched edges along the path through blossom b
+  // from vertex v to its base
+  const augmentBlossom = (b, v) => {
+    let t = v;
+    while (blossomParent[t] !== b) t = blossomParent[t];
+    if (t >= n) augmentBlossom(t, v);
+
+    const children = blossomChildren[b];
+    const i = children.indexOf(t);
+    let j = i;
+    let step;
+    let endTrick;
+    if (i & 1) {
+      j -= children.length;
+      step = 1;
+      endTrick = 0;
+    } else {
+      step = -1;
+      endTrick = 1;
+    }
+    const at = (index) => (index < 0 ? index + children.length : index);
+
+    while (j !== 0) {
+      j += step;
+      t = children[at(j)];
+      const p = blossomEnds[b][at(j - endTrick)] ^ endTrick;
+      if (t >= n) augmentBlossom(t, endpoint[p]);
+      j += step;
+      t = children[at(j)];
+      if (t >= n) augmentBlossom(t, endpoint[p ^ 1]);
+      mate[endpoint[p]] = p ^ 1;
+      mate[endpoint[p ^ 1]] = p;
+    }
+    blossomChildren[b] = [...children.slice(i), ...children.slice(0, i)];
+    blossomEnds[b] = [...blossomEnds[b].slice(i), ...blossomEnds[b].slice(0, i)];
+    blossomBase[b] = blossomBase[blossomChildren[b][0]];
+  };
+
+  const augmentMatching = (k) => {
+    const [v, w] = edges[k];
+    for (let [s, p] of [[v, 2 * k + 1], [w, 2 * k]]) {
+      for (;;) {
+        const bs = inBlossom[s];
+        if (bs >= n) augmentBlossom(bs, s);
+        mate[s] = p;
+        if (labelEnd[bs] === -1) break;
+        const t = endpoint[labelEnd[bs]];
+        const bt = inBlossom[t];
+        s = endpoint[labelEnd[bt]];
+        const j = endpoint[labelEnd[bt] ^ 1];
+        if (bt >= n) augmentBlossom(bt, j);
+        mate[j] = labelEnd[bt];
+        p = labelEnd[bt] ^ 1;
+      }
+    }
+  };
+
+  // Each stage grows alternating trees until it finds an augmenting path
+  for (let stage = 0; stage < n; stage += 1) {
+    label.fill(0);
+    bestEdge.fill(-1);
+    for (let b = n; b < 2 * n; b += 1) blossomBestEdges[b] = null;
+    allowEdge.fill(0);
+    queue = [];
+
+    for (let v = 0; v < n; v += 1) {
+      if (mate[v] === -1 && label[inBlossom[v]] === 0) assignLabel(v, 1, -1);
+    }
+
+    let augmented = false;
+    for (;;) {
+      while (queue.length > 0 && !augmented) {
+        const v = queue.pop();
+        for (const p of neighbourEnds[v]) {
+          const k = p >> 1;
+          const w = endpoint[p];
+          if (inBlossom[v] === inBlossom[w]) continue;
+          let kSlack = 0;
+          if (!allowEdge[k]) {
+            kSlack = slack(k);
+            if (kSlack <= 0) allowEdge[k] = 1;
+          }
+          if (allowEdge[k]) {
+            if (label[inBlossom[w]] === 0) {
+              assignLabel(w, 2, p ^ 1);
+            } else if (label[inBlossom[w]] === 1) {
+              const base = scanBlossom(v, w);
+              if (base >= 0) {
+                addBlossom(base, k);
+              } else {
+                augmentMatching(k);
+                augmented = true;
+                break;
+              }
+            } else if (label[w] === 0) {
+              label[w] = 2;
+              labelEnd[w] = p ^ 1;
+            }
+          } else if (label[inBlossom[w]] === 1) {
+            const b = inBlossom[v];
+            if (bestEdge[b] === -1 || kSlack < slack(bestEdge[b])) bestEdge[b] = k;
+          } else if (label[w] === 0) {
+            if (bestEdge[w] === -1 || kSlack < slack(bestEdge[w])) bestEdge[w] = k;
+          }
+        }
+      }
+      if (augmented) break;
+
+      // No tight edge left to follow: change the duals by the largest
+      // amount that keeps them feasible
+      let deltaType = -1;
+      let delta = 0;
+      let deltaEdge = -1;
+      let deltaBlossom = -1;
+      if (!maxCardinality) {
+        deltaType = 1;
+        delta = Math.min(...dual.subarray(0, n));
+      }
+      for (let v = 0; v < n; v += 1) {
+        if (label[inBlossom[v]] === 0 && bestEdge[v] !== -1) {
+          const d = slack(bestEdge[v]);
+          if (deltaType === -1 || d < delta) {
+            delta = d;
+            deltaType = 2;
+            deltaEdge = bestEdge[v];
+          }
+        }
+      }
+      for (let b = 0; b < 2 * n; b += 1) {
+        if (blossomParent[b] === -1 && label[b] === 1 && bestEdge[b] !== -1) {
+          const d = slack(bestEdge[b]) / 2;
+          if (deltaType === -1 || d < delta) {
+            delta = d;
+            deltaType = 3;
+            deltaEdge = bestEdge[b];
+          }
+        }
+      }
+      for (let b = n; b < 2 * n; b += 1) {
+        if (blossomBase[b] >= 0 && blossomParent[b] === -1 && label[b] === 2
+          && (deltaType === -1 || dual[b] < delta)) {
+          delta = dual[b];
+          deltaType = 4;
+          deltaBlossom = b;
+        }
+      }
+      if (deltaType === -1) {
+        // No further improvement possible; the optimum is reached
+        deltaType = 1;
+        delta = Math.max(0, Math.min(...dual.subarray(0, n)));
+      }
+
+      for (let v = 0; v < n; v += 1) {
+        if (label[inBlossom[v]] === 1) dual[v] -= delta;
+        else if (label[inBlossom[v]] === 2) dual[v] += delta;
+      }
+      for (let b = n; b < 2 * n; b += 1) {
+        if (blossomBase[b] >= 0 && blossomParent[b] === -1) {
+          if (label[b] === 1) dual[b] += delta;
+          else if (label[b] === 2) dual[b] -= delta;
+        }
+      }
+
+      if (deltaType === 1) {
+        break;
+      } else if (deltaType === 2) {
+        allowEdge[deltaEdge] = 1;
+        const i = endpoint[2 * deltaEdge];
+        queue.push(label[inBlossom[i]] === 0 ? endpoint[2 * deltaEdge + 1] : i);
+      } else if (deltaType === 3) {
+        allowEdge[deltaEdge] = 1;
+        queue.push(endpoint[2 * deltaEdge]);
+      } else {
+        expandBlossom(deltaBlossom, false);
+      }
+    }
+
+    if (!augmented) break;
+
+    // Blossoms whose dual has reached zero are taken apart at the end of
+    // each stage
+    for (let b = n; b < 2 * n; b += 1) {
+      if (blossomParent[b] === -1 && blossomBase[b] >= 0 && label[b] === 1 && dual[b] === 0) {
+        expandBlossom(b, true);
+      }
+    }
+  }
+
+  return mate.map((p) => (p >= 0 ? endpoint[p] : -1));
+};
+
+module.exports = {
+  maximumMatching,
+  matchingSize,
+  maximumWeightMatching,
+};
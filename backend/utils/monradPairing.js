@@ -0,0 +1,158 @@
+/**
+ * Monrad system
+ *
+ * Players are listed in standings order: score, then the tournament's
+ * tiebreaks. Going down the list, each player still unpaired meets the
+ * next one: 1 against 2, 3 against 4, and so on. Opponents already met
+ * are skipped, and the first complete pairing in that order is taken.
+ * There are no score groups, so an event can run for as many rounds as
+ * the organizer likes; repeats come in only once the round can't be
+ * paired without them, and then as few as possible.
+ *
+ * With an odd number of players, the lowest placed who hasn't had the bye
+ * sits out.
+ *
+ * The Danish variant (see danishPairing.js) pairs straight down the list,
+ * meeting the same opponent again if that is who is next.
+ */
+
+const {
+  pairKey,
+  assignColors,
+  buildHistory,
+  splitRequestedByes,
+  buildPairingResult,
+  pairByMatching,
+  pairAvoidingRepeats,
+} = require('./swissEngine');
+const { calculateStandings } = require('./standings');
+
+// Search nodes spent going down the list before settling for the cheapest
+// matching instead
+const SEARCH_BUDGET = 20000;
+
+class MonradPairing {
+  /**
+   * The players in standings order
+   * @param {Object} [options] - { tiebreaks, scoring } of the tournament
+   */
+  static standingsOrder(players, allPlayers, rounds, { tiebreaks, scoring } = {}) {
+    const standings = calculateStandings({
+      players: allPlayers && allPlayers.length ? allPlayers : players,
+      rounds,
+      tiebreaks,
+      scoring,
+    });
+    const place = new Map(standings.map((standing, index) => [standing.id, index]));
+    return [...players].sort((a, b) => (
+      (place.has(a.id) ? place.get(a.id) : Infinity) - (place.has(b.id) ? place.get(b.id) : Infinity)
+      || (b.score - a.score)
+      || ((b.rating || 0) - (a.rating || 0))
+    ));
+  }
+
+  /**
+   * Pair down the list, each player against the next they haven't met
+   * @returns {Array|null} [player, opponent] pairs, or null when there is
+   *   no such pairing or it took too long to find
+   */
+  static pairDown(ordered, playedPairs) {
+    let nodes = 0;
+    const search = (remaining) => {
+      if (remaining.length === 0) return [];
+      nodes += 1;
+      if (nodes > SEARCH_BUDGET) return null;
+      const [player, ...rest] = remaining;
+      for (let i = 0; i < rest.length && nodes <= SEARCH_BUDGET; i += 1) {
+        if (playedPairs.has(pairKey(player.id, rest[i].id))) continue;
+        const others = search([...rest.slice(0, i), ...rest.slice(i + 1)]);
+        if (others) return [[player, rest[i]], ...others];
+      }
+      return null;
+    };
+    return search(ordered);
+  }
+
+  /**
+   * Pair straight down the list, 1 against 2, 3 against 4, or when
+   * `skipMet`, each player against the next they haven't met (the next one
+   * if they have met everyone left). No search: a pair, once made, stays.
+   * @returns {Array} [player, opponent] pairs
+   */
+  static pairStraightDown(ordered, playedPairs, skipMet) {
+    const queue = [...ordered];
+    const pairs = [];
+    while (queue.length > 1) {
+      const player = queue.shift();
+      const unmet = skipMet
+        ? queue.findIndex((opponent) => !playedPairs.has(pairKey(player.id, opponent.id)))
+        : 0;
+      pairs.push([player, ...queue.splice(Math.max(unmet, 0), 1)]);
+    }
+    return pairs;
+  }
+
+  /**
+   * @param {Object} [options] - { tiebreaks, scoring } of the tournament,
+   *   for the standings order
+   */
+  static generatePairings(players, roundNumber, allPlayers = null, rounds = [], options = {}) {
+    return this.pairRound(players, roundNumber, allPlayers, rounds, options, false);
+  }
+
+  /**
+   * Pair down the list without the search, for when generatePairings runs
+   * out of time
+   */
+  static quickPairings(players, roundNumber, allPlayers = null, rounds = [], options = {}) {
+    return this.pairRound(players, roundNumber, allPlayers, rounds, options, true);
+  }
+
+  static pairRound(players, roundNumber, allPlayers, rounds, options, quick) {
+    const { available, requestedByes } = splitRequestedByes(players);
+    const history = buildHistory(rounds);
+    const ordered = this.standingsOrder(available, allPlayers, rounds, options);
+
+    let byePlayer = null;
+    if (ordered.length % 2 === 1) {
+      const fromBottom = [...ordered].reverse();
+      byePlayer = fromBottom.find((player) => !history.byeCounts.get(player.id)) || fromBottom[0];
+    }
+    const pool = ordered.filter((player) => player !== byePlayer);
+
+    const toPair = ([player, opponent]) => ({
+      ...assignColors(player, opponent, roundNumber),
+      isRepeat: history.playedPairs.has(pairKey(player.id, opponent.id)),
+    });
+
+    if (this.allowRepeats || quick) {
+      const pairs = this.pairStraightDown(pool, history.playedPairs, !this.allowRepeats).map(toPair);
+      const repeatCount = pairs.filter((pair) => pair.isRepeat).length;
+      return buildPairingResult(
+        { pairs, repeatCount },
+        byePlayer,
+        repeatCount > 0,
+        repeatCount > 0 ? (this.allowRepeats ? 'repeats allowed' : 'quick pairing') : null,
+        requestedByes
+      );
+    }
+
+    const place = new Map(pool.map((player, index) => [player.id, index]));
+    const evaluate = (player, opponent) => ({
+      ...toPair([player, opponent]),
+      cost: Math.abs(place.get(opponent.id) - place.get(player.id)) - 1,
+    });
+    const pairWith = (allowRepeats) => {
+      if (allowRepeats) return pairByMatching(pool, evaluate, true);
+      const pairs = this.pairDown(pool, history.playedPairs);
+      if (pairs) return { pairs: pairs.map(toPair), repeatCount: 0 };
+      return pairByMatching(pool, evaluate, false);
+    };
+
+    return pairAvoidingRepeats(pairWith, { roundNumber, byePlayer, requestedByes });
+  }
+}
+
+MonradPairing.allowRepeats = false;
+
+module.exports = MonradPairing;
@@ -0,0 +1,198 @@
+/**
+ * Manual changes to a round's pairings
+ *
+ * Arbiters can swap the seats of two players or the colours on a board.
+ * Swapping with the player on the pairing-allocated bye moves a player to
+ * or from the bye. Boards that already have a result stay as they are.
+ *
+ * checkPairings lists the pairing rules a round breaks: repeat meetings,
+ * a third colour in a row, players paired outside their score group and a
+ * second full-point bye. An edit is judged by the problems it adds to the
+ * pairings it replaces, so the computer's own forced floats and repeats
+ * aren't reported again.
+ */
+
+const { buildHistory, pairKey, wouldCreateThreeSame, byePairing } = require('./swissEngine');
+
+const seatPlayer = (player) => ({ id: player.id, name: player.name, rating: player.rating || null });
+
+const isFullBye = (pairing) => pairing.isBye && (pairing.byeType || 'full') === 'full';
+
+const findSeat = (pairings, playerId) => {
+  for (let index = 0; index < pairings.length; index += 1) {
+    const pairing = pairings[index];
+    if (pairing.player1 && pairing.player1.id === playerId) return { index, slot: 'player1' };
+    if (pairing.player2 && pairing.player2.id === playerId) return { index, slot: 'player2' };
+  }
+  return null;
+};
+
+// Rebuild a board after its players changed, keeping who has white
+const reseat = (pairing, player1, player2, player1White) => {
+  if (pairing.isBye) {
+    return byePairing(player1, pairing.boardNumber, pairing.byeType || 'full');
+  }
+  const white = player1White ? player1 : player2;
+  const black = player1White ? player2 : player1;
+  return {
+    player1: seatPlayer(white),
+    player2: seatPlayer(black),
+    boardNumber: pairing.boardNumber,
+    whitePlayerId: white.id,
+    blackPlayerId: black.id,
+    isRepeat: false,
+  };
+};
+
+/**
+ * Swap the seats of two players, e.g. to keep siblings apart
+ * @returns {{pairings: Array}|{error: string}}
+ */
+const swapPlayers = (pairings, playerIdA, playerIdB) => {
+  const seatA = findSeat(pairings, playerIdA);
+  const seatB = findSeat(pairings, playerIdB);
+
+  if (!seatA || !seatB) return { error: 'Both players must be in this round' };
+  if (seatA.index === seatB.index) return { error: 'The players are already on the same board' };
+
+  for (const seat of [seatA, seatB]) {
+    const pairing = pairings[seat.index];
+    if (pairing.result) return { error: `Board ${pairing.boardNumber} already has a result` };
+    if (pairing.isBye && !isFullBye(pairing)) {
+      return { error: 'Requested byes cannot be swapped; cancel the request instead' };
+    }
+  }
+
+  const edited = [...pairings];
+  const playerA = pairings[seatA.index][seatA.slot];
+  const playerB = pairings[seatB.index][seatB.slot];
+
+  for (const [seat, incoming] of [[seatA, playerB], [seatB, playerA]]) {
+    const pairing = pairings[seat.index];
+    const player1 = seat.slot === 'player1' ? incoming : pairing.player1;
+    const player2 = seat.slot === 'player2' ? incoming : pairing.player2;
+    edited[seat.index] = reseat(pairing, player1, player2, pairing.whitePlayerId === pairing.player1.id);
+  }
+
+  return { pairings: edited };
+};
+
+/**
+ * Give the other player on a board the white pieces
+ * @returns {{pairings: Array}|{error: string}}
+ */
+const swapColors = (pairings, boardNumber) => {
+  const index = pairings.findIndex((pairing) => pairing.boardNumber === boardNumber);
+  const pairing = pairings[index];
+
+  if (!pairing) return { error: `Board ${boardNumber} not found` };
+  if (pairing.isBye) return { error: 'A bye has no colours' };
+  if (pairing.result) return { error: `Board ${boardNumber} already has a result` };
+
+  const edited = [...pairings];
+  // player1 is always White, so the players change places
+  edited[index] = reseat(pairing, pairing.player2, pairing.player1, true);
+  return { pairings: edited };
+};
+
+/**
+ * The pairing rules a round breaks
+ * @param {Array} pairings - The round's pairings
+ * @param {Array} players - Standings before the round (score, colorHistory)
+ * @param {Array} previousRounds - Rounds before this one
+ * @returns {Array<{type: string, key: string, boardNumber: number, message: string}>}
+ */
+const checkPairings = (pairings, players, previousRounds) => {
+  const { playedPairs, byeCounts } = buildHistory(previousRounds);
+  const playersById = new Map(players.map((player) => [player.id, player]));
+  const warnings = [];
+
+  for (const pairing of pairings) {
+    const { boardNumber } = pairing;
+
+    if (pairing.isBye) {
+      if (isFullBye(pairing) && (byeCounts.get(pairing.player1.id) || 0) > 0) {
+        warnings.push({
+          type: 'bye',
+          key: `bye|${pairing.player1.id}`,
+          boardNumber,
+          message: `${pairing.player1.name} has already had a full-point bye`,
+        });
+      }
+      continue;
+    }
+
+    const white = playersById.get(pairing.whitePlayerId) || pairing.player1;
+    const black = playersById.get(pairing.blackPlayerId) || pairing.player2;
+    const key = pairKey(white.id, black.id);
+
+    if (playedPairs.has(key)) {
+      warnings.push({
+        type: 'repeat',
+        key: `repeat|${key}`,
+        boardNumber,
+        message: `${white.name} and ${black.name} have already played each other`,
+      });
+    }
+
+    for (const [player, color] of [[white, 'white'], [black, 'black']]) {
+      if (wouldCreateThreeSame(player, color)) {
+        warnings.push({
+          type: 'color',
+          key: `color|${player.id}|${color}`,
+          boardNumber,
+          message: `${player.name} would have ${color} three times in a row`,
+        });
+      }
+    }
+
+    if ((white.score || 0) !== (black.score || 0)) {
+      warnings.push({
+        type: 'score_group',
+        key: `score_group|${key}`,
+        boardNumber,
+        message: `${white.name} (${white.score || 0}) and ${black.name} (${black.score || 0}) are in different score groups`,
+      });
+    }
+  }
+
+  return warnings;
+};
+
+/**
+ * Problems in the edited pairings that the original pairings didn't have
+ */
+const newWarnings = (before, after) => {
+  const known = new Set(before.map((warning) => warning.key));
+  return after.filter((warning) => !known.has(warning.key));
+};
+
+/**
+ * Number boards from 1: games first, then the full-point bye, then
+ * requested byes, as the engines do
+ */
+const renumberBoards = (pairings) => {
+  const games = pairings.filter((pairing) => !pairing.isBye);
+  const byes = pairings.filter(isFullBye);
+  const requested = pairings.filter((pairing) => pairing.isBye && !isFullBye(pairing));
+  return [...games, ...byes, ...requested].map((pairing, index) => ({ ...pairing, boardNumber: index + 1 }));
+};
+
+/**
+ * Mark the boards whose players have met before
+ */
+const markRepeats = (pairings, previousRounds) => {
+  const { playedPairs } = buildHistory(previousRounds);
+  return pairings.map((pairing) => (pairing.isBye
+    ? pairing
+    : { ...pairing, isRepeat: playedPairs.has(pairKey(pairing.player1.id, pairing.player2.id)) }));
+};
+
+module.exports = {
+  swapPlayers,
+  swapColors,
+  checkPairings,
+  newWarnings,
+  renumberBoards,
+  markRepeats,
+};
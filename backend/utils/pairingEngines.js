@@ -0,0 +1,156 @@
+/**
+ * Pairing engines by tournament type. Everything here works on plain data
+ * so that a round can be paired in a worker thread (see pairingPool.js).
+ *
+ * A pairing request is:
+ *   { tournamentType, roundNumber, players, allPlayers, rounds,
+ *     numberOfRounds, winPoints, scoring, tiebreaks, variations,
+ *     acceleration, unavailableIds }
+ * where `players` are in the shape the engines take, `variations` are the
+ * US Chess rule variations chosen, `acceleration` is an accelerated
+ * Swiss's and `unavailableIds` are the withdrawn and paused players.
+ */
+
+const SwissPairing = require('./swissPairing');
+const SwissUSCF = require('./swissUscf');
+const SwissFideDutch = require('./swissFideDutch');
+const SwissAccelerated = require('./swissAccelerated');
+const SwissBurstein = require('./swissBurstein');
+const SwissDubov = require('./swissDubov');
+const SwissLim = require('./swissLim');
+const MonradPairing = require('./monradPairing');
+const DanishPairing = require('./danishPairing');
+const RoundRobinPairing = require('./roundRobinPairing');
+const { quickSwissRound } = require('./swissEngine');
+const { isRoundRobinType } = require('./tournamentTypes');
+
+/**
+ * Round robins keep their schedule when a player is withdrawn or paused:
+ * games against them are forfeited and their byes dropped
+ */
+const forfeitUnavailable = (pairings, unavailable) => pairings
+  .filter(pairing => !(pairing.isBye && unavailable.has(pairing.player1.id)))
+  .map((pairing) => {
+    if (pairing.isBye) return pairing;
+    const whiteAbsent = unavailable.has(pairing.player1.id);
+    const blackAbsent = unavailable.has(pairing.player2.id);
+    if (!whiteAbsent && !blackAbsent) return pairing;
+    const result = whiteAbsent && blackAbsent ? '-/-' : (whiteAbsent ? '-/+' : '+/-');
+    return { ...pairing, result };
+  });
+
+/**
+ * Pair a round with the engine for the tournament's type
+ * @param {Object} request
+ * @param {Function} [onImprovement] - Called with each better pairing of
+ *   the whole round found while the engine searches; only the FIDE Dutch
+ *   search, which pairs bracket by bracket, has any to report
+ */
+const pairWithEngine = (request, onImprovement = null) => {
+  const tournamentType = request.tournamentType || 'swiss';
+  const { roundNumber, players, allPlayers, rounds } = request;
+  const unavailable = new Set(request.unavailableIds || []);
+
+  if (isRoundRobinType(tournamentType)) {
+    const isDoubleRoundRobin = tournamentType === 'double_round_robin';
+    const pairings = RoundRobinPairing.generatePairings(players, roundNumber, isDoubleRoundRobin);
+    return { pairings: forfeitUnavailable(pairings, unavailable) };
+  }
+
+  // Withdrawn and paused players are left out of Swiss pairings
+  const pool = players.filter(p => !unavailable.has(p.id));
+  if (tournamentType === 'swiss_uscf') {
+    return SwissUSCF.generatePairings(pool, roundNumber, allPlayers, rounds, request.variations || {}, request.scoring);
+  }
+  if (tournamentType === 'swiss_fide_dutch') {
+    return SwissFideDutch.generatePairings(
+      pool,
+      roundNumber,
+      allPlayers,
+      rounds,
+      request.numberOfRounds,
+      request.winPoints,
+      { onImprovement, scoring: request.scoring }
+    );
+  }
+  if (tournamentType === 'swiss_accelerated') {
+    return SwissAccelerated.generatePairings(
+      pool,
+      roundNumber,
+      allPlayers,
+      rounds,
+      request.numberOfRounds,
+      request.winPoints,
+      request.acceleration,
+      request.scoring
+    );
+  }
+  if (tournamentType === 'swiss_burstein') {
+    return SwissBurstein.generatePairings(
+      pool,
+      roundNumber,
+      allPlayers,
+      rounds,
+      request.numberOfRounds,
+      request.scoring
+    );
+  }
+  if (tournamentType === 'swiss_dubov') {
+    return SwissDubov.generatePairings(pool, roundNumber, allPlayers, rounds, request.scoring);
+  }
+  if (tournamentType === 'swiss_lim') {
+    return SwissLim.generatePairings(pool, roundNumber, allPlayers, rounds, request.winPoints, request.scoring);
+  }
+  if (tournamentType === 'monrad' || tournamentType === 'danish') {
+    const engine = tournamentType === 'monrad' ? MonradPairing : DanishPairing;
+    return engine.generatePairings(pool, roundNumber, allPlayers, rounds, {
+      tiebreaks: request.tiebreaks,
+      scoring: request.scoring,
+    });
+  }
+  return SwissPairing.generatePairings(pool, roundNumber, allPlayers, rounds);
+};
+
+/**
+ * A pairing that takes next to no time, to fall back on when the engine
+ * runs out of time before it has found anything better. It skips the
+ * engine's search but keeps what the tournament's system pairs by:
+ * standings order for Monrad and Danish, virtual points for accelerated
+ * Swiss, team avoidance and 29E colours for US Chess. Round robins have
+ * nothing quicker than their schedule.
+ */
+const quickPairing = (request) => {
+  const tournamentType = request.tournamentType || 'swiss';
+  const { roundNumber, players, allPlayers, rounds } = request;
+  if (isRoundRobinType(tournamentType)) return pairWithEngine(request);
+
+  const unavailable = new Set(request.unavailableIds || []);
+  const pool = players.filter(p => !unavailable.has(p.id));
+  if (tournamentType === 'swiss_uscf') {
+    return SwissUSCF.quickPairings(pool, roundNumber, rounds, request.variations || {});
+  }
+  if (tournamentType === 'swiss_accelerated') {
+    return SwissAccelerated.quickPairings(
+      pool,
+      roundNumber,
+      allPlayers,
+      rounds,
+      request.numberOfRounds,
+      request.winPoints,
+      request.acceleration
+    );
+  }
+  if (tournamentType === 'monrad' || tournamentType === 'danish') {
+    const engine = tournamentType === 'monrad' ? MonradPairing : DanishPairing;
+    return engine.quickPairings(pool, roundNumber, allPlayers, rounds, {
+      tiebreaks: request.tiebreaks,
+      scoring: request.scoring,
+    });
+  }
+  return quickSwissRound(pool, roundNumber, rounds);
+};
+
+module.exports = {
+  pairWithEngine,
+  quickPairing,
+};
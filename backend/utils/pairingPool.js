@@ -0,0 +1,275 @@
+/**
+ * Worker pool for pairing rounds off the main thread, so a long pairing
+ * doesn't hold up every other request.
+ *
+ * Each submitted request becomes a job with an ID that can be looked up
+ * while it runs and cancelled. The worker keeps the pool up to date with
+ * the best pairing it has so far: a quick pairing by the same system before
+ * the engine starts its search (see pairingEngines.quickPairing), then each
+ * better one the engine finds on the way. A job that takes longer than its
+ * time budget is stopped and settles on the latest of these, flagged with
+ * `timedOut`.
+ *
+ * Job status: 'queued' -> 'running' -> 'saving' -> 'completed', or
+ * 'failed' / 'cancelled'. 'saving' covers the job's `onResult` callback,
+ * which stores the pairings; a job can't be cancelled once it is saving.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+
+const DEFAULT_WORKER_FILE = path.join(__dirname, 'pairingWorker.js');
+const DEFAULT_TIME_BUDGET_MS = 30000;
+// Finished jobs can still be looked up for this long
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+const isFinished = (job) => ['completed', 'failed', 'cancelled'].includes(job.status);
+
+/**
+ * A job as the API shows it
+ */
+const describeJob = (job) => ({
+  id: job.id,
+  tournamentId: job.tournamentId,
+  roundNumber: job.roundNumber,
+  status: job.status,
+  timedOut: job.timedOut,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  ...(job.error && { error: job.error }),
+});
+
+class PairingPool {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.size] - Number of worker threads
+   * @param {number} [options.timeBudgetMs] - Default time budget per job
+   * @param {string} [options.workerFile] - Worker script
+   */
+  constructor({ size = 1, timeBudgetMs = DEFAULT_TIME_BUDGET_MS, workerFile = DEFAULT_WORKER_FILE } = {}) {
+    this.size = Math.max(1, size);
+    this.timeBudgetMs = timeBudgetMs;
+    this.workerFile = workerFile;
+    this.workers = [];
+    this.queue = [];
+    this.jobs = new Map();
+  }
+
+  /**
+   * Queue a pairing request (see pairingEngines.js)
+   * @param {Object} request
+   * @param {Object} [options]
+   * @param {number} [options.tournamentId]
+   * @param {number} [options.roundNumber]
+   * @param {number} [options.timeBudgetMs]
+   * @param {Function} [options.onResult] - async (result, { timedOut }) =>
+   *   response, run before the job completes; its return value becomes
+   *   `job.response`
+   * @returns {Object} The job; `job.done` resolves with it once it has
+   *   finished, whatever the outcome
+   */
+  submit(request, { tournamentId = null, roundNumber = null, timeBudgetMs, onResult } = {}) {
+    this.prune();
+
+    const job = {
+      id: crypto.randomUUID(),
+      tournamentId,
+      roundNumber,
+      status: 'queued',
+      timedOut: false,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      response: null,
+      request,
+      timeBudgetMs: timeBudgetMs || this.timeBudgetMs,
+      onResult,
+      bestResult: null,
+      worker: null,
+      timer: null,
+    };
+    job.done = new Promise((resolve) => {
+      job.resolve = resolve;
+    });
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    this.drain();
+    return job;
+  }
+
+  find(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * The job pairing a tournament right now, if any
+   */
+  activeJobFor(tournamentId) {
+    for (const job of this.jobs.values()) {
+      if (job.tournamentId === tournamentId && !isFinished(job)) return job;
+    }
+    return null;
+  }
+
+  /**
+   * Stop a queued or running job
+   * @returns {boolean} false when the job is already saving or finished
+   */
+  cancel(jobId) {
+    const job = this.find(jobId);
+    if (!job || job.status === 'saving' || isFinished(job)) return false;
+
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(queued => queued !== job);
+    } else {
+      this.discardWorker(job.worker);
+    }
+    this.finish(job, 'cancelled');
+    return true;
+  }
+
+  /**
+   * Stop every worker (for shutting down and tests)
+   */
+  async close() {
+    const workers = this.workers;
+    this.workers = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  drain() {
+    while (this.queue.length > 0) {
+      const worker = this.idleWorker();
+      if (!worker) return;
+      this.start(this.queue.shift(), worker);
+    }
+  }
+
+  idleWorker() {
+    const idle = this.workers.find(worker => !worker.job);
+    if (idle) return idle;
+    if (this.workers.length >= this.size) return null;
+
+    const worker = new Worker(this.workerFile);
+    worker.job = null;
+    worker.on('message', message => this.handleMessage(worker, message));
+    worker.on('error', error => this.handleExit(worker, error.message));
+    worker.on('exit', () => this.handleExit(worker, 'The pairing worker stopped unexpectedly'));
+    this.workers.push(worker);
+    return worker;
+  }
+
+  start(job, worker) {
+    worker.job = job;
+    worker.ref();
+    job.worker = worker;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.timer = setTimeout(() => this.expire(job), job.timeBudgetMs);
+    worker.postMessage({ jobId: job.id, request: job.request });
+  }
+
+  handleMessage(worker, { jobId, type, result, message }) {
+    const job = worker.job;
+    if (!job || job.id !== jobId) return;
+
+    if (type === 'best') {
+      job.bestResult = result;
+      return;
+    }
+
+    this.releaseWorker(worker);
+    if (type === 'done') {
+      this.save(job, result);
+    } else {
+      this.finish(job, 'failed', message);
+    }
+  }
+
+  handleExit(worker, message) {
+    if (!this.workers.includes(worker)) return;
+    const job = worker.job;
+    this.workers = this.workers.filter(w => w !== worker);
+    if (job) {
+      clearTimeout(job.timer);
+      this.finish(job, 'failed', message);
+    }
+    this.drain();
+  }
+
+  // Out of time: the worker is stopped and the best pairing it had sent
+  // used instead
+  expire(job) {
+    if (job.status !== 'running') return;
+    this.discardWorker(job.worker);
+    if (job.bestResult) {
+      job.timedOut = true;
+      this.save(job, job.bestResult);
+    } else {
+      this.finish(job, 'failed', 'Pairing ran out of time');
+    }
+  }
+
+  async save(job, result) {
+    clearTimeout(job.timer);
+    job.worker = null;
+    job.status = 'saving';
+    try {
+      job.response = job.onResult
+        ? await job.onResult(result, { timedOut: job.timedOut })
+        : { ...result, timedOut: job.timedOut };
+      this.finish(job, 'completed');
+    } catch (error) {
+      console.error('Pairing job error:', error);
+      this.finish(job, 'failed', 'Failed to save the pairings');
+    }
+  }
+
+  finish(job, status, error = null) {
+    clearTimeout(job.timer);
+    job.status = status;
+    job.error = error;
+    job.worker = null;
+    job.bestResult = null;
+    job.request = null;
+    job.finishedAt = new Date().toISOString();
+    job.resolve(job);
+  }
+
+  releaseWorker(worker) {
+    worker.job = null;
+    // An idle worker mustn't keep the process alive
+    worker.unref();
+    this.drain();
+  }
+
+  discardWorker(worker) {
+    if (!worker) return;
+    this.workers = this.workers.filter(w => w !== worker);
+    worker.job = null;
+    worker.terminate();
+    this.drain();
+  }
+
+  prune() {
+    const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+    for (const [id, job] of this.jobs) {
+      if (isFinished(job) && Date.parse(job.finishedAt) < cutoff) this.jobs.delete(id);
+    }
+  }
+}
+
+const pairingPool = new PairingPool({
+  size: parseInt(process.env.PAIRING_WORKERS, 10) || 1,
+  timeBudgetMs: parseInt(process.env.PAIRING_TIME_BUDGET_MS, 10) || DEFAULT_TIME_BUDGET_MS,
+});
+
+module.exports = {
+  PairingPool,
+  pairingPool,
+  describeJob,
+};
@@ -0,0 +1,25 @@
+/**
+ * Worker thread that pairs rounds for pairingPool.js. For each request it
+ * sends the best pairing it has so far as that improves: first the quick
+ * pairing, then whatever better the engine reports while it searches, and
+ * finally the engine's own.
+ */
+
+const { parentPort } = require('worker_threads');
+const { pairWithEngine, quickPairing } = require('./pairingEngines');
+
+parentPort.on('message', ({ jobId, request }) => {
+  const sendBest = (result) => parentPort.postMessage({ jobId, type: 'best', result });
+
+  try {
+    sendBest(quickPairing(request));
+  } catch (error) {
+    // Nothing to fall back on yet, but the engine may still manage
+  }
+
+  try {
+    parentPort.postMessage({ jobId, type: 'done', result: pairWithEngine(request, sendBest) });
+  } catch (error) {
+    parentPort.postMessage({ jobId, type: 'error', message: error.message });
+  }
+});
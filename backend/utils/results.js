@@ -0,0 +1,136 @@
+/**
+ * Game results
+ *
+ * Results are written from White's (player1's) side. Besides the three
+ * over-the-board results there are the unplayed ones:
+ *   +/-   White wins by forfeit
+ *   -/+   Black wins by forfeit
+ *   -/-   Double forfeit, neither player scores
+ *   0-0   Not played, or adjudicated, as a loss for both
+ *
+ * Unplayed games give no colour and do not make the players previous
+ * opponents, so they may still be paired against each other later
+ * (FIDE C.04.1, US Chess 28S).
+ *
+ * Byes are unplayed too: the full-point bye the pairing gives an odd player
+ * out, or a half- or zero-point bye the player requested.
+ *
+ * The points in RESULTS are the outcome (1 win, ½ draw, 0 loss). What each
+ * outcome scores comes from the tournament's scoring system, e.g. 3-1-0 for
+ * a league; DEFAULT_SCORING is the usual 1-½-0.
+ */
+
+const RESULTS = {
+  '1-0': { points: [1, 0], played: true },
+  '0-1': { points: [0, 1], played: true },
+  '1/2-1/2': { points: [0.5, 0.5], played: true },
+  '0-0': { points: [0, 0], played: false, forfeit: false },
+  '+/-': { points: [1, 0], played: false, forfeit: true },
+  '-/+': { points: [0, 1], played: false, forfeit: true },
+  '-/-': { points: [0, 0], played: false, forfeit: true },
+};
+
+const RESULT_VALUES = Object.keys(RESULTS);
+
+const DEFAULT_SCORING = {
+  win: 1,
+  draw: 0.5,
+  loss: 0,
+  forfeitWin: 1,
+  fullBye: 1,
+  halfBye: 0.5,
+  zeroBye: 0,
+};
+
+const SCORING_KEYS = Object.keys(DEFAULT_SCORING);
+
+// Scoring for each kind of bye: the pairing-allocated one, and the
+// half- and zero-point byes players request in advance
+const BYE_SCORING_KEYS = {
+  full: 'fullBye',
+  half: 'halfBye',
+  zero: 'zeroBye',
+};
+
+/**
+ * The tournament's scoring system, with the defaults for anything not set
+ */
+const resolveScoring = (tournament) => ({
+  ...DEFAULT_SCORING,
+  ...(tournament && tournament.scoring),
+});
+
+/**
+ * Validate a requested scoring system (any subset of SCORING_KEYS)
+ * @returns {string|null} An error message, or null when it is valid
+ */
+const validateScoring = (scoring) => {
+  if (!scoring || typeof scoring !== 'object' || Array.isArray(scoring)) {
+    return 'Scoring must be an object of points per outcome';
+  }
+  const unknown = Object.keys(scoring).find((key) => !SCORING_KEYS.includes(key));
+  if (unknown !== undefined) {
+    return `Unknown scoring key "${unknown}". Must be one of: ${SCORING_KEYS.join(', ')}`;
+  }
+  const invalid = Object.keys(scoring).find((key) => (
+    typeof scoring[key] !== 'number' || !Number.isFinite(scoring[key]) || scoring[key] < 0 || scoring[key] > 100
+  ));
+  if (invalid !== undefined) {
+    return `Points for ${invalid} must be a number between 0 and 100`;
+  }
+  const { win, draw, loss } = { ...DEFAULT_SCORING, ...scoring };
+  if (!(win > draw && draw >= loss)) {
+    return 'A win must score more than a draw, and a draw at least as much as a loss';
+  }
+  return null;
+};
+
+const isValidResult = (result) => Object.prototype.hasOwnProperty.call(RESULTS, result);
+
+/**
+ * Whether the game was played over the board. Boards without a result yet
+ * count as played so pairings made before the result is known stay intact.
+ */
+const isPlayedResult = (result) => !result || !isValidResult(result) || RESULTS[result].played;
+
+const isForfeitResult = (result) => isValidResult(result) && Boolean(RESULTS[result].forfeit);
+
+/**
+ * Outcome for [player1, player2] (1, ½ or 0), or [0, 0] when there is no
+ * result yet
+ */
+const resultOutcome = (result) => (isValidResult(result) ? [...RESULTS[result].points] : [0, 0]);
+
+/**
+ * Points for [player1, player2] under a scoring system. A forfeit loss and
+ * a double forfeit score nothing; a 0-0 scores a loss each.
+ */
+const resultPoints = (result, scoring = DEFAULT_SCORING) => {
+  if (!isValidResult(result)) return [0, 0];
+  const { forfeit } = RESULTS[result];
+  return resultOutcome(result).map((outcome) => {
+    if (outcome === 1) return forfeit ? scoring.forfeitWin : scoring.win;
+    if (outcome === 0.5) return scoring.draw;
+    return forfeit ? 0 : scoring.loss;
+  });
+};
+
+/**
+ * Points for a bye pairing (byes stored without a type are full-point byes)
+ */
+const byePoints = (pairing, scoring = DEFAULT_SCORING) => scoring[BYE_SCORING_KEYS[pairing.byeType || 'full']];
+
+module.exports = {
+  RESULTS,
+  RESULT_VALUES,
+  DEFAULT_SCORING,
+  SCORING_KEYS,
+  resolveScoring,
+  validateScoring,
+  isValidResult,
+  isPlayedResult,
+  isForfeitResult,
+  resultOutcome,
+  resultPoints,
+  byePoints,
+};
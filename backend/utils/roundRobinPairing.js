@@ -9,6 +9,8 @@
  * - Handles color equalization
  */
 
+const { calculateStandings, calculateRankHistory } = require('./standings');
+
 class RoundRobinPairing {
   /**
    * Generate round robin pairings for a round
@@ -64,6 +66,7 @@ class RoundRobinPairing {
         whitePlayerId: byePlayer.id,
         blackPlayerId: null,
         isBye: true,
+        byeType: 'full',
       });
     } else {
       // Even number of players
@@ -211,110 +214,21 @@ class RoundRobinPairing {
   }
 
   /**
-   * Calculate standings from tournament data (same as Swiss for scoring)
+   * Calculate standings from tournament data, ranked by score and the
+   * tournament's tiebreaks
+   * @param {Object} [options] - { afterRound } to stop after a given round
    */
-  static calculateStandings(tournament) {
-    const players = tournament.players.map(p => ({
-      ...p,
-      score: 0,
-      colorBalance: 0,
-      colorHistory: [],
-      previousOpponents: [],
-      wins: 0,
-      losses: 0,
-      draws: 0,
-      gamesPlayed: 0,
-    }));
-
-    // Process all completed rounds
-    for (const round of tournament.rounds || []) {
-      if (!round.completed) continue;
-
-      for (const pairing of round.pairings || []) {
-        if (pairing.isBye) {
-          const player = players.find(p => p.id === pairing.player1.id);
-          if (player) {
-            player.score += 1; // Bye = win
-            player.wins += 1;
-            player.gamesPlayed += 1;
-            player.colorHistory.push('white'); // Bye gets white
-          }
-          continue;
-        }
-
-        const player1 = players.find(p => p.id === pairing.player1.id);
-        const player2 = players.find(p => p.id === pairing.player2.id);
-
-        if (!player1 || !player2) continue;
-
-        // Record opponents
-        player1.previousOpponents.push(player2.id);
-        player2.previousOpponents.push(player1.id);
-
-        // Update color balance and history
-        if (pairing.whitePlayerId === player1.id) {
-          player1.colorBalance += 1;
-          player2.colorBalance -= 1;
-          player1.colorHistory.push('white');
-          player2.colorHistory.push('black');
-        } else {
-          player1.colorBalance -= 1;
-          player2.colorBalance += 1;
-          player1.colorHistory.push('black');
-          player2.colorHistory.push('white');
-        }
-
-        // Update scores based on result
-        if (pairing.result) {
-          player1.gamesPlayed += 1;
-          player2.gamesPlayed += 1;
-
-          if (pairing.result === '1-0') {
-            player1.score += 1;
-            player1.wins += 1;
-            player2.losses += 1;
-          } else if (pairing.result === '0-1') {
-            player2.score += 1;
-            player2.wins += 1;
-            player1.losses += 1;
-          } else if (pairing.result === '1/2-1/2') {
-            player1.score += 0.5;
-            player2.score += 0.5;
-            player1.draws += 1;
-            player2.draws += 1;
-          }
-        }
-      }
-    }
-
-    // Sort by score (descending), then by rating, then by color balance
-    players.sort((a, b) => {
-      if (b.score !== a.score) {
-        return b.score - a.score;
-      }
-      const ratingA = a.rating || 0;
-      const ratingB = b.rating || 0;
-      if (ratingB !== ratingA) {
-        return ratingB - ratingA;
-      }
-      return b.colorBalance - a.colorBalance;
-    });
+  static calculateStandings(tournament, options) {
+    return calculateStandings(tournament, options);
+  }
 
-    return players.map((p, index) => ({
-      rank: index + 1,
-      id: p.id,
-      name: p.name,
-      rating: p.rating || null,
-      pairingNumber: p.pairingNumber || null,
-      score: p.score,
-      wins: p.wins,
-      losses: p.losses,
-      draws: p.draws,
-      gamesPlayed: p.gamesPlayed,
-      colorBalance: p.colorBalance,
-      colorHistory: p.colorHistory || [],
-      previousOpponents: p.previousOpponents || [],
-    }));
+  /**
+   * Each player's rank after every completed round
+   * @param {Object} [options] - { afterRound } to stop after a given round
+   * @returns {Map} Player ID to [{round, rank}]
+   */
+  static calculateRankHistory(tournament, options) {
+    return calculateRankHistory(tournament, options);
   }
 }
 
@@ -0,0 +1,212 @@
+/**
+ * Standings calculation shared by the Swiss and round robin engines
+ *
+ * Scores, colour history and previous opponents are accumulated from the
+ * completed rounds, then players are ranked by score and the tournament's
+ * tiebreaks (see utils/tiebreaks.js). Forfeited games score but, like byes,
+ * are not played games (see utils/results.js). Points follow the
+ * tournament's scoring system; wins, draws and losses are counted from the
+ * outcome of each game whatever it scores.
+ */
+
+const { resolveTiebreaks, rankPlayers } = require('./tiebreaks');
+const {
+  isPlayedResult, resultOutcome, resultPoints, byePoints, resolveScoring,
+} = require('./results');
+
+const completedRoundNumbers = (tournament) => (tournament.rounds || [])
+  .filter(round => round.completed)
+  .map(round => round.roundNumber)
+  .sort((a, b) => a - b);
+
+/**
+ * Whether the player had withdrawn by the end of `afterRound`
+ */
+const isWithdrawn = (player, afterRound = Infinity) => (
+  player.withdrawnAfterRound !== null
+  && player.withdrawnAfterRound !== undefined
+  && player.withdrawnAfterRound <= afterRound
+);
+
+// A requested bye counts as the outcome its points stand for
+const byeOutcome = (points, scoring) => {
+  if (points >= scoring.win) return 1;
+  if (points >= scoring.draw && points > scoring.loss) return 0.5;
+  return 0;
+};
+
+/**
+ * Accumulate each player's score, colours and per-round `games` entries
+ * (see utils/tiebreaks.js) from the completed rounds
+ * @param {Object} tournament
+ * @param {Object} [options]
+ * @param {number} [options.afterRound] - Only count completed rounds up to this one
+ */
+const buildPlayerRecords = (tournament, { afterRound = Infinity } = {}) => {
+  const players = tournament.players.map(p => ({
+    ...p,
+    score: 0,
+    colorBalance: 0,
+    colorHistory: [],
+    previousOpponents: [],
+    wins: 0,
+    losses: 0,
+    draws: 0,
+    gamesPlayed: 0,
+    games: [],
+  }));
+  const playersById = new Map(players.map(p => [p.id, p]));
+  const scoring = resolveScoring(tournament);
+
+  const completedRounds = (tournament.rounds || [])
+    .filter(round => round.completed && round.roundNumber <= afterRound)
+    .sort((a, b) => a.roundNumber - b.roundNumber);
+
+  for (const round of completedRounds) {
+    const seen = new Set();
+
+    for (const pairing of round.pairings || []) {
+      if (pairing.isBye) {
+        const player = playersById.get(pairing.player1.id);
+        if (player) {
+          const points = byePoints(pairing, scoring);
+          const fullBye = (pairing.byeType || 'full') === 'full';
+          // No game was played, so no colour either; the pairing-allocated
+          // bye counts as a win when it scores like one
+          if (fullBye && points >= scoring.win) player.wins += 1;
+          player.score += points;
+          player.games.push({
+            roundNumber: round.roundNumber,
+            opponentId: null,
+            points,
+            outcome: fullBye ? 1 : byeOutcome(points, scoring),
+            color: null,
+            played: false,
+            bye: true,
+          });
+          seen.add(player.id);
+        }
+        continue;
+      }
+
+      const player1 = playersById.get(pairing.player1.id);
+      const player2 = playersById.get(pairing.player2.id);
+
+      if (!player1 || !player2) continue;
+
+      seen.add(player1.id);
+      seen.add(player2.id);
+
+      const played = isPlayedResult(pairing.result);
+      const player1Color = pairing.whitePlayerId === player1.id ? 'white' : 'black';
+      const player2Color = player1Color === 'white' ? 'black' : 'white';
+
+      // Unplayed games (forfeits, 0-0) give no colour and the players may
+      // meet again
+      if (played) {
+        // Record opponents (27A1)
+        player1.previousOpponents.push(player2.id);
+        player2.previousOpponents.push(player1.id);
+
+        // Update color balance and history (27A4, 27A5)
+        player1.colorBalance += player1Color === 'white' ? 1 : -1;
+        player2.colorBalance += player2Color === 'white' ? 1 : -1;
+        player1.colorHistory.push(player1Color);
+        player2.colorHistory.push(player2Color);
+      }
+
+      // Update scores based on result
+      const [outcome1, outcome2] = resultOutcome(pairing.result);
+      const [points1, points2] = resultPoints(pairing.result, scoring);
+      if (pairing.result) {
+        if (played) {
+          player1.gamesPlayed += 1;
+          player2.gamesPlayed += 1;
+        }
+
+        if (outcome1 > outcome2) {
+          player1.wins += 1;
+          player2.losses += 1;
+        } else if (outcome2 > outcome1) {
+          player2.wins += 1;
+          player1.losses += 1;
+        } else if (outcome1 === 0.5) {
+          player1.draws += 1;
+          player2.draws += 1;
+        } else {
+          player1.losses += 1;
+          player2.losses += 1;
+        }
+        player1.score += points1;
+        player2.score += points2;
+      }
+
+      player1.games.push({ roundNumber: round.roundNumber, opponentId: player2.id, points: points1, outcome: outcome1, color: played ? player1Color : null, played });
+      player2.games.push({ roundNumber: round.roundNumber, opponentId: player1.id, points: points2, outcome: outcome2, color: played ? player2Color : null, played });
+    }
+
+    // Players left out of a round count as an unplayed zero for tiebreaks
+    for (const player of players) {
+      if (!seen.has(player.id)) {
+        player.games.push({ roundNumber: round.roundNumber, opponentId: null, points: 0, outcome: 0, color: null, played: false });
+      }
+    }
+  }
+
+  return players;
+};
+
+/**
+ * @param {Object} tournament
+ * @param {Object} [options]
+ * @param {number} [options.afterRound] - Only count completed rounds up to this one
+ */
+const calculateStandings = (tournament, options = {}) => {
+  const players = buildPlayerRecords(tournament, options);
+  const afterRound = options.afterRound === undefined ? Infinity : options.afterRound;
+  const tiebreakOrder = resolveTiebreaks(tournament);
+
+  return rankPlayers(players, tiebreakOrder, resolveScoring(tournament)).map(({ player: p, rank }) => ({
+    rank,
+    id: p.id,
+    name: p.name,
+    rating: p.rating || null,
+    pairingNumber: p.pairingNumber || null,
+    score: p.score,
+    tiebreaks: p.tiebreaks,
+    wins: p.wins,
+    losses: p.losses,
+    draws: p.draws,
+    gamesPlayed: p.gamesPlayed,
+    colorBalance: p.colorBalance,
+    colorHistory: p.colorHistory || [],
+    previousOpponents: p.previousOpponents || [],
+    // Withdrawn players keep their games but are marked in the table
+    withdrawn: isWithdrawn(p, afterRound),
+  }));
+};
+
+/**
+ * Each player's rank after every completed round up to `afterRound`
+ * @returns {Map<*, Array<{round: number, rank: number}>>} Keyed by player ID
+ */
+const calculateRankHistory = (tournament, { afterRound = Infinity } = {}) => {
+  const history = new Map(tournament.players.map(p => [p.id, []]));
+
+  for (const roundNumber of completedRoundNumbers(tournament)) {
+    if (roundNumber > afterRound) break;
+    for (const standing of calculateStandings(tournament, { afterRound: roundNumber })) {
+      history.get(standing.id).push({ round: roundNumber, rank: standing.rank });
+    }
+  }
+
+  return history;
+};
+
+module.exports = {
+  completedRoundNumbers,
+  isWithdrawn,
+  buildPlayerRecords,
+  calculateStandings,
+  calculateRankHistory,
+};
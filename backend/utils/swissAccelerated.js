@@ -1,7 +1,149 @@
-const { generateSwissRound, compareIds } = require('./swissEngine');
+/**
+ * Accelerated Swiss
+ *
+ * In the first rounds the stronger players are given virtual points, so
+ * they meet each other sooner and the leaders separate in fewer rounds.
+ * The field is ranked by rating and split into groups from the top, each
+ * group's size rounded up to an even number of players. A group's players
+ * are paired as if they had its virtual points on top of their score.
+ * Virtual points only steer the pairing: standings never see them.
+ *
+ * An acceleration is { scheme, rounds, groups: [{ fraction, points }],
+ * decay }: for how many rounds, the share of the field in each group and
+ * its virtual points (in wins), and whether they slide to half in the
+ * second half of the accelerated rounds. Each scheme fills in the rest:
+ *   baku         FIDE C.04.5: the top half gets 1 point for the first half
+ *                of the rounds (rounded up), sliding to ½ halfway through
+ *   added_score  US Chess 28R: the top half gets 1 point for two rounds,
+ *                one in events shorter than six rounds
+ *   sixths       US Chess 28R: thirds of the field on 2, 1 and 0 points for
+ *                two rounds, so round 1 pairs the first sixth against the
+ *                second, the third against the fourth and the fifth
+ *                against the sixth
+ *   custom       as added_score, for the TD to change
+ */
+
+const { generateSwissRound, quickSwissRound, compareIds } = require('./swissEngine');
+const { DEFAULT_SCORING } = require('./results');
+
+const SCHEMES = ['baku', 'added_score', 'sixths', 'custom'];
+const DECAYS = ['none', 'sliding'];
+const ACCELERATION_KEYS = ['scheme', 'rounds', 'groups', 'decay'];
+const MAX_GROUPS = 5;
+
+/**
+ * The scheme's acceleration for a tournament of `totalRounds`
+ */
+const schemeDefaults = (scheme, totalRounds) => {
+  if (scheme === 'baku') {
+    return { rounds: Math.ceil(totalRounds / 2), groups: [{ fraction: 1 / 2, points: 1 }], decay: 'sliding' };
+  }
+  if (scheme === 'sixths') {
+    return {
+      rounds: Math.min(2, totalRounds),
+      groups: [{ fraction: 1 / 3, points: 2 }, { fraction: 1 / 3, points: 1 }],
+      decay: 'none',
+    };
+  }
+  return { rounds: Math.min(2, Math.floor(totalRounds / 3)), groups: [{ fraction: 1 / 2, points: 1 }], decay: 'none' };
+};
+
+/**
+ * The tournament's acceleration, filling in its scheme's defaults
+ * (added_score when none was chosen)
+ */
+const resolveAcceleration = (acceleration, totalRounds = 0) => {
+  const scheme = (acceleration && acceleration.scheme) || 'added_score';
+  return {
+    ...schemeDefaults(scheme, totalRounds || 0),
+    ...acceleration,
+    scheme,
+  };
+};
+
+/**
+ * Validate a requested acceleration (any subset of ACCELERATION_KEYS)
+ * @param {number} totalRounds - Rounds in the tournament
+ * @returns {string|null} An error message, or null when it is valid
+ */
+const validateAcceleration = (acceleration, totalRounds) => {
+  if (!acceleration || typeof acceleration !== 'object' || Array.isArray(acceleration)) {
+    return 'Acceleration must be an object';
+  }
+  const unknown = Object.keys(acceleration).find((key) => !ACCELERATION_KEYS.includes(key));
+  if (unknown !== undefined) {
+    return `Unknown acceleration setting "${unknown}". Must be one of: ${ACCELERATION_KEYS.join(', ')}`;
+  }
+  const { scheme, rounds, groups, decay } = acceleration;
+  if (scheme !== undefined && !SCHEMES.includes(scheme)) {
+    return `Acceleration scheme must be one of: ${SCHEMES.join(', ')}`;
+  }
+  if (rounds !== undefined && (!Number.isInteger(rounds) || rounds < 0 || rounds > totalRounds)) {
+    return `Accelerated rounds must be a whole number between 0 and ${totalRounds}`;
+  }
+  if (decay !== undefined && !DECAYS.includes(decay)) {
+    return `Acceleration decay must be one of: ${DECAYS.join(', ')}`;
+  }
+  if (groups !== undefined) {
+    if (!Array.isArray(groups) || groups.length === 0 || groups.length > MAX_GROUPS) {
+      return `Acceleration needs between 1 and ${MAX_GROUPS} groups`;
+    }
+    const invalid = groups.find((group) => (
+      !group || typeof group.fraction !== 'number' || typeof group.points !== 'number'
+      || !(group.fraction > 0 && group.fraction <= 1) || !(group.points > 0 && group.points <= 10)
+    ));
+    if (invalid !== undefined) {
+      return 'Each group needs a fraction of the field (above 0, up to 1) and virtual points (above 0, up to 10)';
+    }
+    if (groups.reduce((total, group) => total + group.fraction, 0) > 1 + 1e-9) {
+      return 'Groups can take up at most the whole field';
+    }
+    if (groups.some((group, index) => index > 0 && group.points >= groups[index - 1].points)) {
+      return 'Each group must have fewer virtual points than the one above it';
+    }
+  }
+  return null;
+};
 
 class SwissAccelerated {
-  static generatePairings(players, roundNumber, allPlayers = null, rounds = [], totalRounds = 0) {
+  /**
+   * The acceleration group of each player: player ID -> index into
+   * `groups`, for the players in one
+   * @param {Array} seeded - Players in rating order
+   */
+  static groupsOf(seeded, groups) {
+    const groupOf = new Map();
+    let start = 0;
+    groups.forEach(({ fraction }, index) => {
+      const size = Math.ceil(seeded.length * fraction - 1e-9);
+      const end = start + size + (size % 2);
+      seeded.slice(start, end).forEach((player) => groupOf.set(player.id, index));
+      start = end;
+    });
+    return groupOf;
+  }
+
+  /**
+   * The share of their group's virtual points players have in a round:
+   * all of them, half once a sliding acceleration is halfway through, and
+   * none after its last round
+   */
+  static roundFactor({ rounds, decay }, roundNumber) {
+    if (roundNumber > rounds) return 0;
+    if (decay === 'sliding' && roundNumber > Math.ceil(rounds / 2)) return 0.5;
+    return 1;
+  }
+
+  /**
+   * Virtual points of the players for a round
+   * @param {number} [winPoints] - A win under the tournament's scoring
+   *   system, the unit of virtual points
+   * @param {Object} [acceleration] - The tournament's acceleration, see
+   *   resolveAcceleration
+   * @returns {Object} player ID -> points added for the round
+   */
+  static virtualPointsFor(players, roundNumber, allPlayers, totalRounds, winPoints = 1, acceleration = null) {
+    const resolved = resolveAcceleration(acceleration, totalRounds);
     const seedingPool = allPlayers && allPlayers.length ? allPlayers : players;
     const seeded = [...seedingPool].sort((a, b) => {
       const ratingA = a.rating || 0;
@@ -12,22 +154,72 @@ class SwissAccelerated {
       return compareIds(a.id, b.id);
     });
 
-    const topCount = Math.ceil(seeded.length / 2);
-    const topIds = new Set(seeded.slice(0, topCount).map((player) => player.id));
-
-    const k = Math.min(2, Math.floor((totalRounds || 0) / 3));
-    const acceleratedRound = roundNumber <= k;
-
-    return generateSwissRound(players, roundNumber, rounds, {
-      getScore: (player) => {
-        if (!acceleratedRound) {
-          return player.score;
+    const groupOf = SwissAccelerated.groupsOf(seeded, resolved.groups);
+    const factor = SwissAccelerated.roundFactor(resolved, roundNumber);
+    const virtualPoints = {};
+    if (factor > 0) {
+      for (const player of players) {
+        if (groupOf.has(player.id) && !player.requestedBye) {
+          virtualPoints[player.id] = resolved.groups[groupOf.get(player.id)].points * factor * winPoints;
         }
-        return player.score + (topIds.has(player.id) ? 1 : 0);
-      },
+      }
+    }
+    return virtualPoints;
+  }
+
+  /**
+   * @param {Object} [scoring] - The tournament's points per outcome, for
+   *   telling who floated in earlier rounds
+   * @returns The pairings, with `virtualPoints` of player ID -> points
+   *   added for the round
+   */
+  static generatePairings(
+    players,
+    roundNumber,
+    allPlayers = null,
+    rounds = [],
+    totalRounds = 0,
+    winPoints = 1,
+    acceleration = null,
+    scoring = DEFAULT_SCORING
+  ) {
+    const virtualPoints = SwissAccelerated.virtualPointsFor(
+      players, roundNumber, allPlayers, totalRounds, winPoints, acceleration
+    );
+    const result = generateSwissRound(players, roundNumber, rounds, {
+      getScore: (player) => player.score + (virtualPoints[player.id] || 0),
       topBottomWeight: 10,
+      scoring,
+    });
+    return { ...result, virtualPoints };
+  }
+
+  /**
+   * Pair greedily on score plus virtual points, for when generatePairings
+   * runs out of time
+   */
+  static quickPairings(
+    players,
+    roundNumber,
+    allPlayers = null,
+    rounds = [],
+    totalRounds = 0,
+    winPoints = 1,
+    acceleration = null
+  ) {
+    const virtualPoints = SwissAccelerated.virtualPointsFor(
+      players, roundNumber, allPlayers, totalRounds, winPoints, acceleration
+    );
+    const result = quickSwissRound(players, roundNumber, rounds, {
+      getScore: (player) => player.score + (virtualPoints[player.id] || 0),
     });
+    return { ...result, virtualPoints };
   }
 }
 
+SwissAccelerated.SCHEMES = SCHEMES;
+SwissAccelerated.DECAYS = DECAYS;
+SwissAccelerated.resolveAcceleration = resolveAcceleration;
+SwissAccelerated.validateAcceleration = validateAcceleration;
+
 module.exports = SwissAccelerated;
@@ -0,0 +1,85 @@
+/**
+ * Burstein system (FIDE C.04.4.2)
+ *
+ * The first rounds are seeding rounds: half the rounds, rounded down, and
+ * no more than four. In them, players keep their pairing number order
+ * inside each score group and the top half meets the bottom half.
+ *
+ * After the seeding rounds, players in each score group are re-ranked by
+ * their index: Sonneborn-Berger, then Buchholz, then pairing number. The
+ * first then meets the last, the second the one before last, and so on.
+ * Tiebreaks for the index follow utils/tiebreaks.js, with unplayed rounds
+ * counted against virtual opponents.
+ */
+
+const { generateSwissRound, compareIds } = require('./swissEngine');
+const { buildPlayerRecords } = require('./standings');
+const { calculateTiebreak } = require('./tiebreaks');
+const { DEFAULT_SCORING } = require('./results');
+
+const MAX_SEEDING_ROUNDS = 4;
+// Cost per seat away from the preferred opponent in a score group
+const SEAT_WEIGHT = 10;
+
+// Pairing number order, by rating when players have no numbers yet
+const byPairingNumber = (a, b) => {
+  if (a.pairingNumber && b.pairingNumber) return a.pairingNumber - b.pairingNumber;
+  if ((b.rating || 0) !== (a.rating || 0)) return (b.rating || 0) - (a.rating || 0);
+  return compareIds(a.id, b.id);
+};
+
+class SwissBurstein {
+  /**
+   * Number of seeding rounds for an event of `totalRounds`
+   */
+  static seedingRounds(totalRounds) {
+    return Math.min(MAX_SEEDING_ROUNDS, Math.floor((totalRounds || 0) / 2));
+  }
+
+  /**
+   * Each player's index over the completed rounds
+   * @returns {Map} Player ID to { sonnebornBerger, buchholz }
+   */
+  static pairingIndex(players, rounds, scoring = DEFAULT_SCORING) {
+    const records = buildPlayerRecords({ players, rounds, scoring });
+    const sonnebornBerger = calculateTiebreak(records, 'sonneborn_berger', scoring);
+    const buchholz = calculateTiebreak(records, 'buchholz', scoring);
+    return new Map(records.map((player) => [player.id, {
+      sonnebornBerger: sonnebornBerger.get(player.id),
+      buchholz: buchholz.get(player.id),
+    }]));
+  }
+
+  /**
+   * @param {Object} [scoring] - The tournament's points per outcome, for
+   *   the index tiebreaks and telling who floated in earlier rounds
+   */
+  static generatePairings(players, roundNumber, allPlayers = null, rounds = [], totalRounds = 0, scoring = DEFAULT_SCORING) {
+    if (roundNumber <= SwissBurstein.seedingRounds(totalRounds)) {
+      return generateSwissRound(players, roundNumber, rounds, {
+        compareInGroup: byPairingNumber,
+        topBottomWeight: SEAT_WEIGHT,
+        scoring,
+      });
+    }
+
+    const index = SwissBurstein.pairingIndex(allPlayers && allPlayers.length ? allPlayers : players, rounds, scoring);
+    const indexOf = (player) => index.get(player.id) || { sonnebornBerger: 0, buchholz: 0 };
+    const byIndex = (a, b) => {
+      const indexA = indexOf(a);
+      const indexB = indexOf(b);
+      if (indexA.sonnebornBerger !== indexB.sonnebornBerger) return indexB.sonnebornBerger - indexA.sonnebornBerger;
+      if (indexA.buchholz !== indexB.buchholz) return indexB.buchholz - indexA.buchholz;
+      return byPairingNumber(a, b);
+    };
+
+    return generateSwissRound(players, roundNumber, rounds, {
+      compareInGroup: byIndex,
+      preferredSeat: (seat, size) => size - 1 - seat,
+      topBottomWeight: SEAT_WEIGHT,
+      scoring,
+    });
+  }
+}
+
+module.exports = SwissBurstein;
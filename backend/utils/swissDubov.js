@@ -0,0 +1,180 @@
+/**
+ * Dubov system (FIDE C.04.4.1)
+ *
+ * The aim is for every player to face the same average rating of opponents
+ * (ARO). Score groups are paired from the top down. A group with an odd
+ * number of players takes an upfloater from the next group: its
+ * highest-rated player who hasn't floated up before, if there is one.
+ *
+ * Inside a group players are split by the colour they are due. White
+ * seekers, in ascending order of ARO, meet black seekers in descending
+ * order of rating, so the lowest ARO gets the strongest opponent. When one
+ * side is bigger, its players with the weakest colour preference go over
+ * to the other, lowest-ranked first. Players with no colours yet fill the
+ * sides highest-ranked to white, which in the first round pairs the top
+ * half by rating against the bottom half.
+ *
+ * When that order would repeat a game, the cheapest departure from it is
+ * found by matching, as in swissEngine.js.
+ */
+
+const {
+  compareIds,
+  pairKey,
+  wouldCreateThreeSame,
+  assignColors,
+  buildHistory,
+  chooseBye,
+  splitRequestedByes,
+  pairByMatching,
+  pairAvoidingRepeats,
+} = require('./swissEngine');
+const { DEFAULT_SCORING } = require('./results');
+const { colourPreference } = require('./swissFideDutch');
+
+// Costs of departing from the system's pairing order
+const GROUP_WEIGHT = 1000;
+const SEAT_WEIGHT = 10;
+const SAME_SIDE_WEIGHT = 100;
+const ABSOLUTE_CLASH_WEIGHT = 10000;
+const STREAK_WEIGHT = 500;
+
+const STRENGTH = { none: 0, mild: 1, strong: 2, absolute: 3 };
+
+const byRating = (a, b) => ((b.rating || 0) - (a.rating || 0)) || compareIds(a.id, b.id);
+
+const scoreGroups = (players) => {
+  const groups = [];
+  for (const player of [...players].sort((a, b) => (b.score - a.score) || byRating(a, b))) {
+    const current = groups[groups.length - 1];
+    if (current && current[0].score === player.score) current.push(player);
+    else groups.push([player]);
+  }
+  return groups;
+};
+
+class SwissDubov {
+  /**
+   * Average rating of each player's opponents in played games
+   * @returns {Map} Player ID to ARO, 0 before the first game
+   */
+  static averageRatings(players, rounds) {
+    const { opponentsMap } = buildHistory(rounds);
+    const ratings = new Map(players.map((player) => [player.id, player.rating || 0]));
+    return new Map(players.map((player) => {
+      const opponents = [...(opponentsMap.get(player.id) || [])];
+      const total = opponents.reduce((sum, id) => sum + (ratings.get(id) || 0), 0);
+      return [player.id, opponents.length ? total / opponents.length : 0];
+    }));
+  }
+
+  /**
+   * Split a score group into white seekers and black seekers of equal size
+   * @returns {{white: Array, black: Array}} Each in pairing order
+   */
+  static splitBySeekers(group, aro) {
+    const half = group.length / 2;
+    const preferences = new Map(group.map((player) => [player.id, colourPreference(player)]));
+    const ranked = [...group].sort(byRating);
+    const white = ranked.filter((player) => preferences.get(player.id).color === 'white');
+    const black = ranked.filter((player) => preferences.get(player.id).color === 'black');
+
+    for (const player of ranked.filter((p) => !preferences.get(p.id).color)) {
+      (white.length < half ? white : black).push(player);
+    }
+
+    // Weakest preference first, then lowest ranked
+    const byWillingness = (a, b) => (
+      (STRENGTH[preferences.get(a.id).strength] - STRENGTH[preferences.get(b.id).strength])
+      || byRating(b, a)
+    );
+    const balance = (from, to) => {
+      const movers = [...from].sort(byWillingness).slice(0, from.length - half);
+      to.push(...movers);
+      return from.filter((player) => !movers.includes(player));
+    };
+    const sides = { white, black };
+    if (white.length > half) sides.white = balance(white, black);
+    if (black.length > half) sides.black = balance(black, white);
+
+    const aroOf = (player) => aro.get(player.id) || 0;
+    return {
+      white: sides.white.sort((a, b) => (aroOf(a) - aroOf(b)) || byRating(a, b)),
+      black: sides.black.sort(byRating),
+    };
+  }
+
+  /**
+   * @param {Object} [scoring] - The tournament's points per outcome, for
+   *   telling who has floated up
+   */
+  static generatePairings(players, roundNumber, allPlayers = null, rounds = [], scoring = DEFAULT_SCORING) {
+    const { available, requestedByes } = splitRequestedByes(players);
+    const everyone = allPlayers && allPlayers.length ? allPlayers : players;
+    const history = buildHistory(rounds, everyone, scoring);
+    const byePlayer = chooseBye(available, history);
+    const pool = available.filter((player) => !byePlayer || player.id !== byePlayer.id);
+
+    const hasUpfloated = (player) => [...(history.floats.get(player.id) || new Map()).values()].includes('up');
+
+    const groups = scoreGroups(pool);
+    groups.forEach((group, index) => {
+      const next = groups[index + 1];
+      if (group.length % 2 === 0 || !next || next.length === 0) return;
+      const upfloater = [...next].sort((a, b) => (hasUpfloated(a) - hasUpfloated(b)) || byRating(a, b))[0];
+      next.splice(next.indexOf(upfloater), 1);
+      group.push(upfloater);
+    });
+
+    const aro = SwissDubov.averageRatings(everyone, rounds);
+    const seats = new Map();
+    const ordered = [];
+    groups.filter((group) => group.length > 0).forEach((group, groupIndex) => {
+      const { white, black } = SwissDubov.splitBySeekers(group, aro);
+      white.forEach((player, index) => seats.set(player.id, { groupIndex, side: 'white', index }));
+      black.forEach((player, index) => seats.set(player.id, { groupIndex, side: 'black', index }));
+      ordered.push(...white, ...black);
+    });
+
+    const preferences = new Map(pool.map((player) => [player.id, colourPreference(player)]));
+
+    const evaluate = (player, opponent) => {
+      const seat = seats.get(player.id);
+      const opponentSeat = seats.get(opponent.id);
+      const preference = preferences.get(player.id);
+      const opponentPreference = preferences.get(opponent.id);
+
+      let colours;
+      if (seat.side !== opponentSeat.side && (preference.color || opponentPreference.color)) {
+        colours = seat.side === 'white'
+          ? { white: player, black: opponent }
+          : { white: opponent, black: player };
+      } else {
+        colours = assignColors(player, opponent, roundNumber);
+      }
+
+      let cost = Math.abs(seat.groupIndex - opponentSeat.groupIndex) * GROUP_WEIGHT;
+      cost += Math.abs(seat.index - opponentSeat.index) * SEAT_WEIGHT;
+      if (seat.side === opponentSeat.side) cost += SAME_SIDE_WEIGHT;
+      if (preference.strength === 'absolute' && opponentPreference.strength === 'absolute'
+        && preference.color === opponentPreference.color) {
+        cost += ABSOLUTE_CLASH_WEIGHT;
+      }
+      if (wouldCreateThreeSame(colours.white, 'white')) cost += STREAK_WEIGHT;
+      if (wouldCreateThreeSame(colours.black, 'black')) cost += STREAK_WEIGHT;
+
+      return {
+        ...colours,
+        isRepeat: history.playedPairs.has(pairKey(player.id, opponent.id)),
+        cost,
+      };
+    };
+
+    return pairAvoidingRepeats(
+      (allowRepeats) => pairByMatching(ordered, evaluate, allowRepeats),
+      { roundNumber, byePlayer, requestedByes }
+    );
+  }
+}
+
+module.exports = SwissDubov;
@@ -1,3 +1,12 @@
+const {
+  isPlayedResult,
+  resultOutcome,
+  resultPoints,
+  byePoints,
+  DEFAULT_SCORING,
+} = require('./results');
+const { maximumWeightMatching } = require('./matching');
+
 const compareIds = (a, b) => {
   const aNum = Number(a);
   const bNum = Number(b);
@@ -77,32 +86,89 @@ const assignColors = (player1, player2, roundNumber) => {
     : { white: player2, black: player1 };
 };
 
-const buildHistory = (rounds) => {
+/**
+ * What earlier rounds mean for pairing the next one. `floats` holds who
+ * floated in each round: in a game between different scores the higher
+ * player floats down and the lower one up, and a player who didn't play
+ * (a bye, a forfeit or a 0-0) counts as floating down. A round with no results
+ * yet is judged on the scores it was paired on.
+ * @param {Array} rounds
+ * @param {Array} [players] - When given, players missing from a round's
+ *   pairings (late entries, withdrawals) count as floating down too
+ * @param {Object} [scoring] - The tournament's points per outcome, which
+ *   the scores floats are judged on add up
+ * @returns {Object} { playedPairs, opponentsMap, byeCounts, lastRoundPairs, floats }
+ */
+const buildHistory = (rounds, players = null, scoring = DEFAULT_SCORING) => {
   const playedPairs = new Set();
   const opponentsMap = new Map();
   const byeCounts = new Map();
   const lastRoundPairs = new Set();
+  // Player ID -> round number -> 'up' | 'down'
+  const floats = new Map();
 
   if (!rounds || rounds.length === 0) {
-    return { playedPairs, opponentsMap, byeCounts, lastRoundPairs };
+    return { playedPairs, opponentsMap, byeCounts, lastRoundPairs, floats };
   }
 
   const sortedRounds = [...rounds].sort((a, b) => a.roundNumber - b.roundNumber);
   const lastRound = sortedRounds[sortedRounds.length - 1];
+  const scores = new Map();
+  const scoreOf = (id) => scores.get(id) || 0;
+  const markFloat = (id, roundNumber, direction) => {
+    if (!floats.has(id)) floats.set(id, new Map());
+    floats.get(id).set(roundNumber, direction);
+  };
 
   for (const round of sortedRounds) {
+    const earned = [];
+    const paired = new Set();
+
     for (const pairing of round.pairings || []) {
       if (pairing.isBye && pairing.player1) {
-        const count = byeCounts.get(pairing.player1.id) || 0;
-        byeCounts.set(pairing.player1.id, count + 1);
+        // Requested half- and zero-point byes don't use up the full-point one
+        if (!pairing.byeType || pairing.byeType === 'full') {
+          const count = byeCounts.get(pairing.player1.id) || 0;
+          byeCounts.set(pairing.player1.id, count + 1);
+        }
+        paired.add(pairing.player1.id);
+        markFloat(pairing.player1.id, round.roundNumber, 'down');
+        earned.push([pairing.player1.id, byePoints(pairing, scoring)]);
         continue;
       }
       if (!pairing.player1 || !pairing.player2) {
         continue;
       }
+      const [points1, points2] = resultPoints(pairing.result, scoring);
+      earned.push([pairing.player1.id, points1], [pairing.player2.id, points2]);
+      paired.add(pairing.player1.id);
+      paired.add(pairing.player2.id);
+
+      // Unplayed games don't count as meetings, and a forfeit win counts
+      // like a bye when choosing who gets the next one (FIDE C.04.1.d)
+      if (!isPlayedResult(pairing.result)) {
+        const [outcome1, outcome2] = resultOutcome(pairing.result);
+        for (const [player, outcome] of [[pairing.player1, outcome1], [pairing.player2, outcome2]]) {
+          if (outcome === 1) {
+            byeCounts.set(player.id, (byeCounts.get(player.id) || 0) + 1);
+          }
+          markFloat(player.id, round.roundNumber, 'down');
+        }
+        continue;
+      }
       const key = pairKey(pairing.player1.id, pairing.player2.id);
       playedPairs.add(key);
 
+      const score1 = scoreOf(pairing.player1.id);
+      const score2 = scoreOf(pairing.player2.id);
+      if (score1 !== score2) {
+        const [higher, lower] = score1 > score2
+          ? [pairing.player1, pairing.player2]
+          : [pairing.player2, pairing.player1];
+        markFloat(higher.id, round.roundNumber, 'down');
+        markFloat(lower.id, round.roundNumber, 'up');
+      }
+
       if (!opponentsMap.has(pairing.player1.id)) {
         opponentsMap.set(pairing.player1.id, new Set());
       }
@@ -116,9 +182,43 @@ const buildHistory = (rounds) => {
         lastRoundPairs.add(key);
       }
     }
+
+    for (const player of players || []) {
+      if (!paired.has(player.id)) markFloat(player.id, round.roundNumber, 'down');
+    }
+    for (const [id, points] of earned) {
+      scores.set(id, scoreOf(id) + points);
+    }
   }
 
-  return { playedPairs, opponentsMap, byeCounts, lastRoundPairs };
+  return { playedPairs, opponentsMap, byeCounts, lastRoundPairs, floats };
+};
+
+/**
+ * Which way a player floated in a round, if at all
+ * @returns {string|undefined} 'up' or 'down'
+ */
+const floatIn = (history, playerId, roundNumber) => {
+  const playerFloats = history.floats.get(playerId);
+  return playerFloats ? playerFloats.get(roundNumber) : undefined;
+};
+
+/**
+ * Float directions of every round, as { roundNumber: { playerId: 'up' | 'down' } },
+ * for showing next to pairings and crosstable entries
+ */
+const floatMarkers = (rounds, scoring = DEFAULT_SCORING) => {
+  const { floats } = buildHistory(rounds, null, scoring);
+  const markers = {};
+  for (const round of rounds || []) {
+    markers[round.roundNumber] = {};
+  }
+  for (const [playerId, byRound] of floats) {
+    for (const [roundNumber, direction] of byRound) {
+      markers[roundNumber][playerId] = direction;
+    }
+  }
+  return markers;
 };
 
 const chooseBye = (players, history) => {
@@ -138,16 +238,11 @@ const chooseBye = (players, history) => {
   return noByeCandidate || sorted[0];
 };
 
-const buildOrderMap = (players) => {
-  const orderMap = new Map();
-  players.forEach((player, index) => orderMap.set(player.id, index));
-  return orderMap;
-};
-
 const calculatePairCost = (player1, player2, context) => {
   const SCORE_GAP_WEIGHT = 1000;
   const COLOR_BALANCE_WEIGHT = 10;
   const STREAK_WEIGHT = 500;
+  const REPEAT_FLOAT_WEIGHT = 100;
   const REPEAT_WEIGHT = 1000000;
   const CONSECUTIVE_REPEAT_WEIGHT = 10000000;
 
@@ -157,11 +252,22 @@ const calculatePairCost = (player1, player2, context) => {
     isRepeat,
     isConsecutiveRepeat,
     topBottomPenalty,
+    history,
   } = context;
 
   let cost = 0;
   cost += scoreGap * SCORE_GAP_WEIGHT;
 
+  // Floating the same way as in the last two rounds (USCF 29E5, FIDE
+  // C.04.3 C.12 - C.15); the round before last counts half
+  if (scoreGap > 0 && history) {
+    const [higher, lower] = player1.score > player2.score ? [player1, player2] : [player2, player1];
+    for (const [roundsBefore, weight] of [[1, REPEAT_FLOAT_WEIGHT], [2, REPEAT_FLOAT_WEIGHT / 2]]) {
+      if (floatIn(history, higher.id, roundNumber - roundsBefore) === 'down') cost += weight;
+      if (floatIn(history, lower.id, roundNumber - roundsBefore) === 'up') cost += weight;
+    }
+  }
+
   const colorBalanceGap = Math.abs(player1.colorBalance + player2.colorBalance);
   cost += colorBalanceGap * COLOR_BALANCE_WEIGHT;
 
@@ -179,138 +285,128 @@ const calculatePairCost = (player1, player2, context) => {
   return cost;
 };
 
-const solveGroupPairings = (players, context) => {
-  if (players.length === 0) {
+/**
+ * The cheapest way to pair everyone, found as a maximum weight perfect
+ * matching (polynomial time, so a large open pairs in seconds). In repeat
+ * mode the fewest repeats come first and cost only decides between
+ * pairings with the same number of them.
+ *
+ * Pairings of equal cost are told apart the way the depth-first search
+ * this replaced did: each player down the list takes the first opponent
+ * they can, cheapest then lowest id, and the most constrained player's
+ * pair goes on the top board, with their colours.
+ * @param {Array} players - In standings order
+ * @param {Function} evaluate - (a, b) => { white, black, isRepeat, cost }
+ * @param {boolean} allowRepeats
+ * @returns {{pairs: Array, cost: number, repeatCount: number}|null} null
+ *   when the players can't all be paired
+ */
+const pairByMatching = (players, evaluate, allowRepeats) => {
+  const n = players.length;
+  if (n === 0) {
     return { pairs: [], cost: 0, repeatCount: 0 };
   }
+  if (n % 2 === 1) {
+    return null;
+  }
 
-  const {
-    roundNumber,
-    playedPairs,
-    opponentsMap,
-    lastRoundPairs,
-    allowRepeats,
-    orderMap,
-    halfSize,
-    topBottomWeight,
-  } = context;
-
-  let best = null;
-
-  const availableOpponents = (player, candidates) => {
-    if (allowRepeats) return candidates;
-    const opps = opponentsMap.get(player.id) || new Set();
-    return candidates.filter((candidate) => !opps.has(candidate.id));
-  };
-
-  const backtrack = (remaining, currentPairs, cost, repeatCount) => {
-    if (remaining.length === 0) {
-      if (!best) {
-        best = { pairs: currentPairs, cost, repeatCount };
-        return;
-      }
-      if (allowRepeats) {
-        if (
-          repeatCount < best.repeatCount ||
-          (repeatCount === best.repeatCount && cost < best.cost)
-        ) {
-          best = { pairs: currentPairs, cost, repeatCount };
-        }
-      } else if (cost < best.cost) {
-        best = { pairs: currentPairs, cost, repeatCount };
+  const options = [];
+  const optionAt = new Array(n * n);
+  for (let i = 0; i < n; i += 1) {
+    for (let j = i + 1; j < n; j += 1) {
+      const option = evaluate(players[i], players[j]);
+      if (allowRepeats || !option.isRepeat) {
+        const entry = { i, j, ...option, cost: Math.round(option.cost) };
+        options.push(entry);
+        optionAt[i * n + j] = entry;
+        optionAt[j * n + i] = entry;
       }
-      return;
     }
+  }
+  if (options.length === 0) {
+    return null;
+  }
 
-    let bestIndex = 0;
-    let bestOpponentCount = Infinity;
-    for (let i = 0; i < remaining.length; i += 1) {
-      const candidatePool = remaining.filter((_, idx) => idx !== i);
-      const available = availableOpponents(remaining[i], candidatePool);
-      if (available.length < bestOpponentCount) {
-        bestOpponentCount = available.length;
-        bestIndex = i;
-      }
+  // Weights are positive and a repeat costs more than any spread of the
+  // other costs over a whole round
+  let minCost = Infinity;
+  let maxCost = -Infinity;
+  for (const { cost } of options) {
+    minCost = Math.min(minCost, cost);
+    maxCost = Math.max(maxCost, cost);
+  }
+  const repeatPenalty = (n / 2) * (maxCost - minCost + 1);
+  const top = maxCost + repeatPenalty + 1;
+
+  // Each opponent's place in the order a player would try them in
+  const choice = new Int32Array(n * n);
+  for (let i = 0; i < n; i += 1) {
+    const later = [];
+    for (let j = i + 1; j < n; j += 1) {
+      if (optionAt[i * n + j]) later.push(optionAt[i * n + j]);
     }
+    later.sort((a, b) => (a.cost - b.cost) || compareIds(players[a.j].id, players[b.j].id));
+    later.forEach(({ j }, place) => { choice[i * n + j] = place; });
+  }
 
-    const player = remaining[bestIndex];
-    const rest = remaining.filter((_, idx) => idx !== bestIndex);
-    const available = availableOpponents(player, rest);
-
-    if (available.length === 0) {
-      return;
+  // Each player's choice counts four times the next player's, as far as
+  // the weights still add up exactly, and all of them together less than
+  // a unit of cost; further down the list they count alike
+  let tieBreak = 1;
+  const choiceWeights = new Array(n).fill(0);
+  const budget = Math.floor(Number.MAX_SAFE_INTEGER / 4 / top);
+  let choiceWeight = Math.floor(((budget - 1) / n - n) * 0.75);
+  if (choiceWeight >= 1) {
+    for (let i = 0; i < n; i += 1) {
+      choiceWeights[i] = Math.max(1, choiceWeight);
+      choiceWeight = Math.floor(choiceWeight / 4);
     }
+    tieBreak = choiceWeights.reduce((total, w) => total + w, 0) * n + 1;
+  }
+  const weight = ({ i, j, cost, isRepeat }) => (top - cost - (isRepeat ? repeatPenalty : 0)) * tieBreak
+    - choiceWeights[i] * choice[i * n + j];
 
-    const candidatePairs = available.map((opponent) => {
-      const isRepeat = playedPairs.has(pairKey(player.id, opponent.id));
-      const isConsecutiveRepeat = lastRoundPairs.has(pairKey(player.id, opponent.id));
-      const { white, black } = assignColors(player, opponent, roundNumber);
-
-      let topBottomPenalty = 0;
-      if (orderMap && halfSize && topBottomWeight) {
-        const playerIndex = orderMap.get(player.id);
-        const opponentIndex = orderMap.get(opponent.id);
-        if (playerIndex !== undefined && opponentIndex !== undefined) {
-          const preferred =
-            playerIndex < halfSize ? playerIndex + halfSize : playerIndex - halfSize;
-          topBottomPenalty =
-            Math.abs(opponentIndex - preferred) * topBottomWeight;
-        }
-      }
-
-      const scoreGap = Math.abs(player.score - opponent.score);
-      const pairCost = calculatePairCost(player, opponent, {
-        roundNumber,
-        scoreGap,
-        isRepeat,
-        isConsecutiveRepeat,
-        topBottomPenalty,
-      });
-
-      return { opponent, white, black, isRepeat, pairCost };
-    });
-
-    candidatePairs.sort((a, b) => {
-      if (a.pairCost !== b.pairCost) return a.pairCost - b.pairCost;
-      return compareIds(a.opponent.id, b.opponent.id);
-    });
-
-    for (const candidate of candidatePairs) {
-      const nextRepeatCount = repeatCount + (candidate.isRepeat ? 1 : 0);
-      const nextCost = cost + candidate.pairCost;
+  const mate = maximumWeightMatching(
+    n,
+    options.map((option) => [option.i, option.j, weight(option)]),
+    true
+  );
+  if (mate.some((m) => m === -1)) {
+    return null;
+  }
 
-      if (best) {
-        if (allowRepeats) {
-          if (nextRepeatCount > best.repeatCount) {
-            continue;
-          }
-          if (nextRepeatCount === best.repeatCount && nextCost >= best.cost) {
-            continue;
-          }
-        } else if (nextCost >= best.cost) {
-          continue;
-        }
+  // Boards in the order the search paired them: whoever has the fewest
+  // opponents left to choose from first
+  const left = new Int32Array(n);
+  for (const { i, j } of options) {
+    left[i] += 1;
+    left[j] += 1;
+  }
+  const paired = new Uint8Array(n);
+  const pairs = [];
+  let cost = 0;
+  for (let board = 0; board < n / 2; board += 1) {
+    let player = -1;
+    for (let k = 0; k < n; k += 1) {
+      if (!paired[k] && (player === -1 || left[k] < left[player])) player = k;
+    }
+    const opponent = mate[player];
+    for (const done of [player, opponent]) {
+      paired[done] = 1;
+      for (let k = 0; k < n; k += 1) {
+        if (!paired[k] && optionAt[done * n + k]) left[k] -= 1;
       }
-
-      const nextRemaining = rest.filter((p) => p.id !== candidate.opponent.id);
-      backtrack(
-        nextRemaining,
-        [
-          ...currentPairs,
-          {
-            white: candidate.white,
-            black: candidate.black,
-            isRepeat: candidate.isRepeat,
-          },
-        ],
-        nextCost,
-        nextRepeatCount
-      );
     }
-  };
+    const { white, black, isRepeat, cost: pairCost } = evaluate(players[player], players[opponent]);
+    pairs.push({ white, black, isRepeat });
+    cost += Math.round(pairCost);
+  }
 
-  backtrack(players, [], 0, 0);
-  return best;
+  return {
+    pairs,
+    cost,
+    repeatCount: pairs.filter(({ isRepeat }) => isRepeat).length,
+  };
 };
 
 const groupPlayersByScore = (players, getScore) => {
@@ -330,118 +426,102 @@ const groupPlayersByScore = (players, getScore) => {
   }));
 };
 
-const solveScoreGroups = (groups, context) => {
-  let best = null;
-
-  const solveGroupIndex = (index, carryOver, pairs, cost, repeatCount) => {
-    if (index >= groups.length) {
-      if (carryOver.length > 0) {
-        return;
-      }
-      const result = { pairs, cost, repeatCount };
-      if (!best) {
-        best = result;
-        return;
-      }
-      if (context.allowRepeats) {
-        if (
-          repeatCount < best.repeatCount ||
-          (repeatCount === best.repeatCount && cost < best.cost)
-        ) {
-          best = result;
-        }
-      } else if (cost < best.cost) {
-        best = result;
-      }
-      return;
-    }
-
-    const group = groups[index];
-    const groupOrdered = [...group.players].sort((a, b) => {
-      if (b.rating !== a.rating) return (b.rating || 0) - (a.rating || 0);
-      return compareIds(a.id, b.id);
-    });
-    const groupPlayers = [...carryOver, ...groupOrdered];
-
-    if (groupPlayers.length === 0) {
-      solveGroupIndex(index + 1, [], pairs, cost, repeatCount);
-      return;
-    }
-
-    const orderMap = buildOrderMap(groupPlayers);
-    const halfSize = Math.floor(groupPlayers.length / 2);
-    const baseContext = {
-      ...context,
-      orderMap,
-      halfSize,
-    };
-
-    const trySolve = (remainingPlayers, nextCarry) => {
-      if (remainingPlayers.length % 2 !== 0) {
-        return;
-      }
-      const orderForRemaining = buildOrderMap(remainingPlayers);
-      const contextForGroup = {
-        ...baseContext,
-        orderMap: orderForRemaining,
-        halfSize: Math.floor(remainingPlayers.length / 2),
-      };
-      const groupResult = solveGroupPairings(remainingPlayers, contextForGroup);
-      if (!groupResult) {
-        return;
-      }
-      solveGroupIndex(
-        index + 1,
-        nextCarry,
-        [...pairs, ...groupResult.pairs],
-        cost + groupResult.cost,
-        repeatCount + groupResult.repeatCount
-      );
-    };
-
-    if (groupPlayers.length % 2 === 0) {
-      trySolve(groupPlayers, []);
-    }
-
-    const floaterCandidates = [...groupOrdered].sort((a, b) => {
-      if (a.rating !== b.rating) return (a.rating || 0) - (b.rating || 0);
-      return compareIds(a.id, b.id);
-    });
-
-    for (const floater of floaterCandidates) {
-      const remaining = groupPlayers.filter((p) => p.id !== floater.id);
-      trySolve(remaining, [floater]);
-    }
-  };
+const byRating = (a, b) => {
+  if (b.rating !== a.rating) return (b.rating || 0) - (a.rating || 0);
+  return compareIds(a.id, b.id);
+};
 
-  solveGroupIndex(0, [], [], 0, 0);
-  return best;
+// Top half against bottom half: 1 meets 1 + half, 2 meets 2 + half, ...
+const foldSeat = (index, size) => {
+  const halfSize = Math.floor(size / 2);
+  return index < halfSize ? index + halfSize : index - halfSize;
 };
 
-const generateSwissPairings = (players, roundNumber, rounds, options) => {
+const generateSwissPairings = (players, roundNumber, options) => {
   const {
     getScore,
     allowRepeats,
     playedPairs,
-    opponentsMap,
     lastRoundPairs,
     topBottomWeight,
+    history,
+    compareInGroup = byRating,
+    preferredSeat = foldSeat,
   } = options;
 
-  const groups = groupPlayersByScore(players, getScore);
-  const result = solveScoreGroups(groups, {
-    roundNumber,
-    allowRepeats,
-    playedPairs,
-    opponentsMap,
-    lastRoundPairs,
-    topBottomWeight,
-  });
+  // Each player's seat in their score group, for the preferred opponent
+  // within the group
+  const seats = new Map();
+  const ordered = [];
+  for (const group of groupPlayersByScore(players, getScore)) {
+    const groupOrdered = [...group.players].sort(compareInGroup);
+    const size = groupOrdered.length;
+    groupOrdered.forEach((player, index) => seats.set(player.id, { index, size, score: group.score }));
+    ordered.push(...groupOrdered);
+  }
+
+  const evaluate = (player, opponent) => {
+    const key = pairKey(player.id, opponent.id);
+    const isRepeat = playedPairs.has(key);
+    const { white, black } = assignColors(player, opponent, roundNumber);
+
+    const seat = seats.get(player.id);
+    const opponentSeat = seats.get(opponent.id);
+    let topBottomPenalty = 0;
+    if (topBottomWeight && seat.score === opponentSeat.score && seat.size > 1) {
+      const preferred = preferredSeat(seat.index, seat.size);
+      topBottomPenalty = Math.abs(opponentSeat.index - preferred) * topBottomWeight;
+    }
+
+    const cost = calculatePairCost(player, opponent, {
+      roundNumber,
+      scoreGap: Math.abs(seat.score - opponentSeat.score),
+      isRepeat,
+      isConsecutiveRepeat: lastRoundPairs.has(key),
+      topBottomPenalty,
+      history,
+    });
+
+    return { white, black, isRepeat, cost };
+  };
 
-  return result;
+  return pairByMatching(ordered, evaluate, allowRepeats);
 };
 
-const buildPairingResult = (pairingResult, byePlayer, forcedRepeat, forcedReason) => {
+/**
+ * Swiss pairing numbers follow the initial ranking: rating, highest first,
+ * then order of entry. A late entrant is ranked in among the others, which
+ * moves everyone below them down a number.
+ */
+const assignRankingNumbers = (players) => [...players]
+  .sort((a, b) => {
+    const ratingA = a.rating || 0;
+    const ratingB = b.rating || 0;
+    if (ratingA !== ratingB) return ratingB - ratingA;
+    return compareIds(a.id, b.id);
+  })
+  .map((player, index) => ({ ...player, pairingNumber: index + 1 }));
+
+const byePairing = (player, boardNumber, byeType) => ({
+  player1: { id: player.id, name: player.name, rating: player.rating || null },
+  player2: null,
+  boardNumber,
+  whitePlayerId: player.id,
+  blackPlayerId: null,
+  isBye: true,
+  byeType,
+});
+
+/**
+ * Players who asked to sit the round out (`requestedBye` of 'half' or
+ * 'zero') leave the pairing pool and get a bye of that kind
+ */
+const splitRequestedByes = (players) => ({
+  available: players.filter((player) => !player.requestedBye),
+  requestedByes: players.filter((player) => player.requestedBye),
+});
+
+const buildPairingResult = (pairingResult, byePlayer, forcedRepeat, forcedReason, requestedByes = []) => {
   const pairings = [];
   let boardNumber = 1;
 
@@ -459,14 +539,11 @@ const buildPairingResult = (pairingResult, byePlayer, forcedRepeat, forcedReason
   }
 
   if (byePlayer) {
-    pairings.push({
-      player1: { id: byePlayer.id, name: byePlayer.name, rating: byePlayer.rating || null },
-      player2: null,
-      boardNumber: boardNumber,
-      whitePlayerId: byePlayer.id,
-      blackPlayerId: null,
-      isBye: true,
-    });
+    pairings.push(byePairing(byePlayer, boardNumber++, 'full'));
+  }
+
+  for (const player of requestedByes) {
+    pairings.push(byePairing(player, boardNumber++, player.requestedBye));
   }
 
   return {
@@ -479,40 +556,61 @@ const buildPairingResult = (pairingResult, byePlayer, forcedRepeat, forcedReason
   };
 };
 
+/**
+ * Pair a Swiss round: the bye, then everyone else by cheapest matching,
+ * with repeats only when the round can't be paired without them
+ * @param {Object} config
+ * @param {Function} [config.getScore] - Score players are grouped by
+ * @param {number} [config.topBottomWeight] - Cost per seat away from the
+ *   preferred opponent in the same score group
+ * @param {Function} [config.compareInGroup] - Order inside a score group
+ *   (default: rating, highest first)
+ * @param {Function} [config.preferredSeat] - (index, size) => the seat a
+ *   player would ideally meet in their group (default: top half against
+ *   bottom half)
+ * @param {Object} [config.scoring] - The tournament's points per outcome,
+ *   for telling who floated in earlier rounds
+ */
 const generateSwissRound = (players, roundNumber, rounds, config) => {
-  const shouldWarn = () =>
-    process.env.SWISS_PAIRING_WARN === '1' || process.env.NODE_ENV !== 'test';
-
-  const history = buildHistory(rounds);
-  const byePlayer = chooseBye(players, history);
+  const { available, requestedByes } = splitRequestedByes(players);
+  const history = buildHistory(rounds, null, config.scoring);
+  const byePlayer = chooseBye(available, history);
   const pairingPool = byePlayer
-    ? players.filter((p) => p.id !== byePlayer.id)
-    : [...players];
+    ? available.filter((p) => p.id !== byePlayer.id)
+    : [...available];
 
-  const getScore = config.getScore || ((player) => player.score);
-
-  const noRepeatResult = generateSwissPairings(pairingPool, roundNumber, rounds, {
-    getScore,
-    allowRepeats: false,
+  const pairingOptions = {
+    getScore: config.getScore || ((player) => player.score),
     playedPairs: history.playedPairs,
-    opponentsMap: history.opponentsMap,
     lastRoundPairs: history.lastRoundPairs,
     topBottomWeight: config.topBottomWeight || 0,
-  });
+    compareInGroup: config.compareInGroup,
+    preferredSeat: config.preferredSeat,
+    history,
+  };
 
+  return pairAvoidingRepeats(
+    (allowRepeats) => generateSwissPairings(pairingPool, roundNumber, { ...pairingOptions, allowRepeats }),
+    { roundNumber, byePlayer, requestedByes }
+  );
+};
+
+/**
+ * Pair without repeats if at all possible, otherwise with the fewest
+ * @param {Function} pairWith - allowRepeats => pairs as pairByMatching
+ *   returns them, or null
+ * @param {Object} round - { roundNumber, byePlayer, requestedByes }
+ */
+const pairAvoidingRepeats = (pairWith, { roundNumber, byePlayer, requestedByes = [] }) => {
+  const shouldWarn = () =>
+    process.env.SWISS_PAIRING_WARN === '1' || process.env.NODE_ENV !== 'test';
+
+  const noRepeatResult = pairWith(false);
   if (noRepeatResult) {
-    return buildPairingResult(noRepeatResult, byePlayer, false, null);
+    return buildPairingResult(noRepeatResult, byePlayer, false, null, requestedByes);
   }
 
-  const repeatResult = generateSwissPairings(pairingPool, roundNumber, rounds, {
-    getScore,
-    allowRepeats: true,
-    playedPairs: history.playedPairs,
-    opponentsMap: history.opponentsMap,
-    lastRoundPairs: history.lastRoundPairs,
-    topBottomWeight: config.topBottomWeight || 0,
-  });
-
+  const repeatResult = pairWith(true);
   if (repeatResult && repeatResult.repeatCount > 0 && shouldWarn()) {
     console.warn(
       `[SwissPairing] Round ${roundNumber}: no-repeat unsatisfiable, forced repeats=${repeatResult.repeatCount}`
@@ -523,13 +621,73 @@ const generateSwissRound = (players, roundNumber, rounds, config) => {
     repeatResult,
     byePlayer,
     true,
-    'no-repeat unsatisfiable'
+    'no-repeat unsatisfiable',
+    requestedByes
+  );
+};
+
+/**
+ * A greedy pairing that takes next to no time, for when the full search runs
+ * out of time: going down the players in score and rating order, each is
+ * paired with the highest remaining player they haven't met, or the next
+ * one if they have met everyone left.
+ * @param {Object} [options]
+ * @param {Function} [options.getScore] - player => score to order by
+ * @param {Function} [options.avoid] - (player, opponent) => whether to pass
+ *   over an opponent they haven't met while there is another
+ * @param {Function} [options.allocateColors] - (player, opponent,
+ *   roundNumber) => { white, black }, assignColors by default
+ */
+const quickSwissRound = (players, roundNumber, rounds, options = {}) => {
+  const {
+    getScore = (player) => player.score,
+    avoid = () => false,
+    allocateColors = assignColors,
+  } = options;
+  const { available, requestedByes } = splitRequestedByes(players);
+  const history = buildHistory(rounds);
+  const byePlayer = chooseBye(available, history);
+  const queue = available
+    .filter((p) => !byePlayer || p.id !== byePlayer.id)
+    .sort((a, b) => (getScore(b) - getScore(a)) || byRating(a, b));
+
+  const pairs = [];
+  while (queue.length > 0) {
+    const player = queue.shift();
+    const unmet = (opponent) => !history.playedPairs.has(pairKey(player.id, opponent.id));
+    let index = queue.findIndex((opponent) => unmet(opponent) && !avoid(player, opponent));
+    if (index === -1) index = queue.findIndex(unmet);
+    const isRepeat = index === -1;
+    if (isRepeat) index = 0;
+    const [opponent] = queue.splice(index, 1);
+    pairs.push({ ...allocateColors(player, opponent, roundNumber), isRepeat });
+  }
+
+  const repeatCount = pairs.filter((pair) => pair.isRepeat).length;
+  return buildPairingResult(
+    { pairs, repeatCount },
+    byePlayer,
+    repeatCount > 0,
+    repeatCount > 0 ? 'quick pairing' : null,
+    requestedByes
   );
 };
 
 module.exports = {
   compareIds,
   pairKey,
+  wouldCreateThreeSame,
+  assignColors,
   buildHistory,
+  floatIn,
+  floatMarkers,
+  chooseBye,
+  assignRankingNumbers,
+  byePairing,
+  splitRequestedByes,
+  buildPairingResult,
+  pairByMatching,
+  pairAvoidingRepeats,
   generateSwissRound,
+  quickSwissRound,
 };
@@ -1,12 +1,665 @@
-const { generateSwissRound } = require('./swissEngine');
+/**
+ * FIDE Dutch system (C.04.3)
+ *
+ * Players are ranked by score and then pairing number and paired bracket
+ * by bracket from the top score down. A bracket holds its resident players
+ * plus the players moved down from above (MDPs). Candidates are generated
+ * in the order the rules give: S1 against the transpositions of S2, then
+ * exchanges between S1 and S2; in a heterogeneous bracket the MDPs are
+ * paired first and the remaining residents form a homogeneous remainder.
+ * Whoever is left unpaired floats down to the next bracket, and the player
+ * left over in the last bracket gets the pairing-allocated bye.
+ *
+ * Absolute criteria (a candidate breaking one is not considered):
+ *   C.1 no repeat meetings
+ *   C.2 no second pairing-allocated bye (a forfeit win counts as one)
+ *   C.3 non-topscorers with the same absolute colour preference don't meet
+ *   C.4 the remaining players can still all be paired
+ * Quality criteria, in order of priority:
+ *   C.5 most pairs, C.6 lowest PSD (pairing score differences),
+ *   C.7 most pairs in the following bracket,
+ *   C.8 / C.9 topscorers' colour difference beyond ±2 / third colour in a row,
+ *   C.10 / C.11 colour preferences / strong preferences not met,
+ *   C.12 - C.19 repeated downfloats and upfloats from one and two rounds
+ *   before: how many, then by how many points
+ * These follow the 2017 text of the rules, where the quality criteria end
+ * at C.19. C.20 and C.21, found in other editions, are not applied:
+ * candidates still level after C.19 are told apart by the order they are
+ * generated in, as the rules do for any remaining tie.
+ *
+ * The first candidate meeting every criterion is taken, otherwise the best
+ * one, with earlier candidates winning ties. Brackets the rules would have
+ * us search exhaustively are cut off after SEARCH_BUDGET candidates; when
+ * that settles a bracket on a candidate that doesn't meet every criterion,
+ * the round is flagged with `notes.searchBudgetExhausted`.
+ *
+ * While it searches, the engine can report the round as it stands after
+ * each bracket: the brackets paired so far, with everyone below them paired
+ * quickly (see quickSwissRound), so a search cut short still has something
+ * better than a quick pairing to fall back on.
+ *
+ * When the round can't be completed under the absolute criteria, C.3 and
+ * then C.2 are dropped (reported in `notes.relaxedCriteria`); when it still
+ * can't, only repeat pairings are left and the general Swiss engine picks
+ * the fewest.
+ */
+
+const {
+  compareIds,
+  pairKey,
+  buildHistory,
+  floatIn,
+  assignRankingNumbers,
+  byePairing,
+  splitRequestedByes,
+  buildPairingResult,
+  generateSwissRound,
+  quickSwissRound,
+} = require('./swissEngine');
+const { maximumMatching, matchingSize } = require('./matching');
+const { DEFAULT_SCORING } = require('./results');
+
+// Search nodes spent on one bracket before settling for the best candidate
+const SEARCH_BUDGET = 20000;
+
+// Criteria dropped, in turn, when the round can't be completed otherwise
+const RELAXATIONS = [[], ['C3'], ['C3', 'C2']];
+
+const STRENGTH = { none: 0, mild: 1, strong: 2, absolute: 3 };
+
+// Positions in a candidate's criteria counts (C.8 - C.19)
+const TOPSCORER_DIFFERENCE = 0;
+const TOPSCORER_STREAK = 1;
+const PREFERENCE = 2;
+const STRONG_PREFERENCE = 3;
+const DOWNFLOAT_PREVIOUS = 4;
+const UPFLOAT_PREVIOUS = 5;
+const DOWNFLOAT_TWO_BEFORE = 6;
+const UPFLOAT_TWO_BEFORE = 7;
+const DOWNFLOAT_PREVIOUS_POINTS = 8;
+const UPFLOAT_PREVIOUS_POINTS = 9;
+const DOWNFLOAT_TWO_BEFORE_POINTS = 10;
+const UPFLOAT_TWO_BEFORE_POINTS = 11;
+const CRITERIA_COUNT = 12;
+
+const opposite = (color) => (color === 'white' ? 'black' : 'white');
+
+/**
+ * Colour difference and preference from the colours played so far (A.6):
+ * absolute when the difference is beyond ±1 or the last two colours were
+ * the same, strong at ±1, otherwise mild for the other colour to last time
+ */
+const colourPreference = (player) => {
+  const history = (player.colorHistory || []).filter(Boolean);
+  if (history.length === 0) {
+    return { color: null, strength: 'none', difference: 0, history };
+  }
+  const difference = history.reduce((total, color) => total + (color === 'white' ? 1 : -1), 0);
+  const last = history[history.length - 1];
+  const lastTwoSame = history.length >= 2 && history[history.length - 2] === last;
+
+  if (difference > 1) return { color: 'black', strength: 'absolute', difference, history };
+  if (difference < -1) return { color: 'white', strength: 'absolute', difference, history };
+  if (lastTwoSame) return { color: opposite(last), strength: 'absolute', difference, history };
+  if (difference !== 0) {
+    return { color: difference > 0 ? 'black' : 'white', strength: 'strong', difference, history };
+  }
+  return { color: opposite(last), strength: 'mild', difference, history };
+};
+
+/**
+ * Who floated in each earlier round (A.4), as the engine sees it: in a game
+ * between different scores the higher player floats down and the lower one
+ * up, and a player who didn't play (a bye, a forfeit or no pairing) counts
+ * as floating down
+ * @returns {Map<*, Map<number, string>>} Player ID to round number to 'down' or 'up'
+ */
+const floatHistory = (rounds, players, scoring = DEFAULT_SCORING) => {
+  const { floats } = buildHistory(rounds, players, scoring);
+  return new Map(players.map((player) => [player.id, floats.get(player.id) || new Map()]));
+};
+
+const compareLists = (a, b) => {
+  for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return a.length - b.length;
+};
+
+// Candidates are compared on [-pairs, PSD, -next pairs, -next MDP pairs,
+// ...criteria counts]: lower is better
+const compareVectors = (a, b) => {
+  for (let i = 0; i < a.length; i += 1) {
+    const difference = Array.isArray(a[i]) ? compareLists(a[i], b[i]) : a[i] - b[i];
+    if (difference !== 0) return difference;
+  }
+  return 0;
+};
+
+function* combinations(items, size, start = 0, chosen = []) {
+  if (chosen.length === size) {
+    yield chosen;
+    return;
+  }
+  for (let i = start; i <= items.length - (size - chosen.length); i += 1) {
+    yield* combinations(items, size, i + 1, [...chosen, items[i]]);
+  }
+}
+
+const binomial = (n, k) => {
+  let result = 1;
+  for (let i = 1; i <= k; i += 1) result = (result * (n - k + i)) / i;
+  return result;
+};
+
+// Exchanges past this many options per size are not generated
+const MAX_EXCHANGES = 50000;
+
+/**
+ * S1 / S2 splits in the order of D.2: no exchange, then by the number of
+ * players exchanged, the smallest difference between the BSN sums moved
+ * each way, the highest BSN leaving S1 and the lowest BSN leaving S2
+ */
+function* exchanges(s1, s2, bsn) {
+  yield [s1, s2];
+  const byBsn = (a, b) => bsn.get(a.id) - bsn.get(b.id);
+  const sum = (players) => players.reduce((total, player) => total + bsn.get(player.id), 0);
+
+  for (let size = 1; size <= Math.min(s1.length, s2.length); size += 1) {
+    if (binomial(s1.length, size) * binomial(s2.length, size) > MAX_EXCHANGES) return;
+    const options = [];
+    for (const out of combinations(s1, size)) {
+      for (const into of combinations(s2, size)) {
+        options.push({
+          out,
+          into,
+          difference: Math.abs(sum(into) - sum(out)),
+          outDescending: out.map((p) => bsn.get(p.id)).sort((a, b) => b - a),
+          intoAscending: into.map((p) => bsn.get(p.id)).sort((a, b) => a - b),
+        });
+      }
+    }
+    options.sort((a, b) => (
+      a.difference - b.difference
+      || compareLists(b.outDescending, a.outDescending)
+      || compareLists(a.intoAscending, b.intoAscending)
+    ));
+    for (const { out, into } of options) {
+      yield [
+        [...s1.filter((p) => !out.includes(p)), ...into].sort(byBsn),
+        [...s2.filter((p) => !into.includes(p)), ...out].sort(byBsn),
+      ];
+    }
+  }
+}
+
+/**
+ * Everything about the round the criteria need
+ */
+const buildContext = (players, roundNumber, allPlayers, rounds, totalRounds, winPoints, scoring) => {
+  // Not playing a round, e.g. entering late, counts as a downfloat (A.4)
+  const history = buildHistory(rounds, allPlayers && allPlayers.length ? allPlayers : players, scoring);
+  const everyoneNumbered = players.every((player) => player.pairingNumber);
+  const rankingNumbers = new Map(assignRankingNumbers(allPlayers && allPlayers.length ? allPlayers : players)
+    .map((player) => [player.id, player.pairingNumber]));
+  const pairingNumber = (player) => (everyoneNumbered
+    ? player.pairingNumber
+    : rankingNumbers.get(player.id) || Infinity);
+
+  // Topscorers (A.7): over 50% of the maximum score when pairing the last round
+  const finalRound = totalRounds > 0 && roundNumber >= totalRounds;
+  const topscorers = new Set(finalRound
+    ? players.filter((player) => player.score > ((roundNumber - 1) * winPoints) / 2).map((player) => player.id)
+    : []);
+
+  return {
+    roundNumber,
+    winPoints,
+    playedPairs: history.playedPairs,
+    byeCounts: history.byeCounts,
+    pairingNumbers: new Map(players.map((player) => [player.id, pairingNumber(player)])),
+    preferences: new Map(players.map((player) => [player.id, colourPreference(player)])),
+    history,
+    topscorers,
+    relaxed: new Set(),
+    pairCache: new Map(),
+  };
+};
+
+const tpn = (player, context) => context.pairingNumbers.get(player.id);
+
+// Ranking order (A.2): score, then pairing number
+const byRank = (context) => (a, b) => (b.score - a.score) || (tpn(a, context) - tpn(b, context));
+
+const floated = (player, roundsBefore, context) => (
+  floatIn(context.history, player.id, context.roundNumber - roundsBefore)
+);
+
+const canMeet = (a, b, context) => {
+  if (context.playedPairs.has(pairKey(a.id, b.id))) return false;
+  if (context.relaxed.has('C3')) return true;
+  const prefA = context.preferences.get(a.id);
+  const prefB = context.preferences.get(b.id);
+  return !(prefA.strength === 'absolute' && prefB.strength === 'absolute'
+    && prefA.color === prefB.color
+    && !context.topscorers.has(a.id) && !context.topscorers.has(b.id));
+};
+
+const canTakeBye = (player, context) => (
+  context.relaxed.has('C2') || (context.byeCounts.get(player.id) || 0) === 0
+);
+
+/**
+ * Graph of who may meet whom, with an extra bye vertex when the count is odd
+ */
+const pairingGraph = (players, context, { mayMeet = () => true } = {}) => {
+  const withBye = players.length % 2 === 1;
+  const adjacency = Array.from({ length: players.length + (withBye ? 1 : 0) }, () => []);
+  for (let i = 0; i < players.length; i += 1) {
+    for (let j = i + 1; j < players.length; j += 1) {
+      if (mayMeet(players[i], players[j]) && canMeet(players[i], players[j], context)) {
+        adjacency[i].push(j);
+        adjacency[j].push(i);
+      }
+    }
+    if (withBye && canTakeBye(players[i], context)) {
+      adjacency[i].push(players.length);
+      adjacency[players.length].push(i);
+    }
+  }
+  return adjacency;
+};
+
+/**
+ * Whether the players can all be paired, one of them taking the bye if
+ * there is an odd number (C.4)
+ */
+const canComplete = (players, context) => {
+  const adjacency = pairingGraph(players, context);
+  return matchingSize(adjacency.length, adjacency) * 2 === adjacency.length;
+};
+
+/**
+ * Colours for a pair (E.1 - E.5): both preferences, else the stronger one
+ * (the wider colour difference between two absolute ones), else alternate
+ * from the last round they had different colours, else the higher ranked
+ * player's preference, else by the higher ranked player's pairing number
+ */
+const allocateColours = (a, b, context) => {
+  const [high, low] = byRank(context)(a, b) <= 0 ? [a, b] : [b, a];
+  const highPref = context.preferences.get(high.id);
+  const lowPref = context.preferences.get(low.id);
+  const give = (player, color) => {
+    const other = player === high ? low : high;
+    return color === 'white' ? { white: player, black: other } : { white: other, black: player };
+  };
+
+  if (highPref.color && lowPref.color && highPref.color !== lowPref.color) {
+    return give(high, highPref.color);
+  }
+  if (STRENGTH[highPref.strength] !== STRENGTH[lowPref.strength]) {
+    return STRENGTH[highPref.strength] > STRENGTH[lowPref.strength]
+      ? give(high, highPref.color)
+      : give(low, lowPref.color);
+  }
+  if (highPref.strength === 'absolute' && Math.abs(highPref.difference) !== Math.abs(lowPref.difference)) {
+    return Math.abs(highPref.difference) > Math.abs(lowPref.difference)
+      ? give(high, highPref.color)
+      : give(low, lowPref.color);
+  }
+  const shared = Math.min(highPref.history.length, lowPref.history.length);
+  for (let back = 1; back <= shared; back += 1) {
+    const highColor = highPref.history[highPref.history.length - back];
+    const lowColor = lowPref.history[lowPref.history.length - back];
+    if (highColor !== lowColor) return give(high, opposite(highColor));
+  }
+  if (highPref.color) return give(high, highPref.color);
+  return give(high, tpn(high, context) % 2 === 1 ? 'white' : 'black');
+};
+
+/**
+ * Colours of a pair and the criteria counts it adds (C.8 - C.11 and the
+ * float criteria for the player floating up or down in it)
+ */
+const pairTerms = (a, b, context) => {
+  const key = pairKey(a.id, b.id);
+  if (context.pairCache.has(key)) return context.pairCache.get(key);
+
+  const { white, black } = allocateColours(a, b, context);
+  const counts = new Array(CRITERIA_COUNT).fill(0);
+  const topscorerPair = context.topscorers.has(a.id) || context.topscorers.has(b.id);
+
+  for (const [player, color] of [[white, 'white'], [black, 'black']]) {
+    const preference = context.preferences.get(player.id);
+    if (preference.color && preference.color !== color) {
+      counts[PREFERENCE] += 1;
+      if (STRENGTH[preference.strength] >= STRENGTH.strong) counts[STRONG_PREFERENCE] += 1;
+    }
+    if (topscorerPair) {
+      const difference = preference.difference + (color === 'white' ? 1 : -1);
+      if (Math.abs(difference) > 2) counts[TOPSCORER_DIFFERENCE] += 1;
+      const lastTwo = preference.history.slice(-2);
+      if (lastTwo.length === 2 && lastTwo.every((c) => c === color)) counts[TOPSCORER_STREAK] += 1;
+    }
+  }
+
+  if (a.score !== b.score) {
+    const [down, up] = a.score > b.score ? [a, b] : [b, a];
+    const points = down.score - up.score;
+    if (floated(down, 1, context) === 'down') counts[DOWNFLOAT_PREVIOUS_POINTS] += points;
+    if (floated(down, 2, context) === 'down') counts[DOWNFLOAT_TWO_BEFORE_POINTS] += points;
+    if (floated(up, 1, context) === 'up') {
+      counts[UPFLOAT_PREVIOUS] += 1;
+      counts[UPFLOAT_PREVIOUS_POINTS] += points;
+    }
+    if (floated(up, 2, context) === 'up') {
+      counts[UPFLOAT_TWO_BEFORE] += 1;
+      counts[UPFLOAT_TWO_BEFORE_POINTS] += points;
+    }
+  }
+
+  const terms = { white, black, counts };
+  context.pairCache.set(key, terms);
+  return terms;
+};
+
+const addCounts = (a, b) => a.map((value, index) => value + b[index]);
+
+/**
+ * Pair one bracket
+ * @param {Array} mdps - Players moved down from above, in ranking order
+ * @param {Array} residents - The bracket's own players, in ranking order
+ * @param {Array} lower - Everyone in the brackets below
+ * @param {Array|null} nextResidents - The following bracket, when C.7 applies
+ * @returns {{pairs: Array, floaters: Array, cutShort: boolean}|null} null
+ *   if only the last bracket's fallback can pair it; `cutShort` when the
+ *   search budget ran out before a candidate met every criterion
+ */
+const pairBracket = (mdps, residents, lower, nextResidents, context) => {
+  const bracketScore = residents[0].score;
+  const isLast = lower.length === 0;
+  const players = [...mdps, ...residents];
+  const bsn = new Map(players.map((player, index) => [player.id, index + 1]));
+  const mdpIds = new Set(mdps.map((player) => player.id));
+  const search = { best: null, nodes: 0, stop: false, cutShort: false };
+
+  const completion = new Map();
+  const following = new Map();
+  const floaterKey = (floaters) => floaters.map((player) => player.id).sort(compareIds).join(',');
+
+  const completes = (floaters) => {
+    if (isLast) return floaters.length === 0 || (floaters.length === 1 && canTakeBye(floaters[0], context));
+    const key = floaterKey(floaters);
+    if (!completion.has(key)) completion.set(key, canComplete([...floaters, ...lower], context));
+    return completion.get(key);
+  };
+
+  // C.7: pairs the floaters leave possible in the following bracket, and
+  // how many of those pair a floater
+  const followingPairs = (floaters) => {
+    if (!nextResidents || floaters.length === 0) return [0, 0];
+    const key = floaterKey(floaters);
+    if (!following.has(key)) {
+      const bracket = [...floaters, ...nextResidents];
+      const floaterIds = new Set(floaters.map((player) => player.id));
+      const isFloater = (player) => floaterIds.has(player.id);
+      const all = pairingGraph(bracket, context, { mayMeet: (x, y) => !(isFloater(x) && isFloater(y)) });
+      const crossing = pairingGraph(bracket, context, { mayMeet: (x, y) => isFloater(x) !== isFloater(y) });
+      // The bye vertex only exists for the completion check
+      const size = bracket.length;
+      const trim = (adjacency) => adjacency.slice(0, size).map((list) => list.filter((to) => to < size));
+      following.set(key, [
+        -matchingSize(size, trim(all)),
+        -matchingSize(size, trim(crossing)),
+      ]);
+    }
+    return following.get(key);
+  };
+
+  const floaterCounts = (floaters) => {
+    const counts = new Array(CRITERIA_COUNT).fill(0);
+    for (const player of floaters) {
+      if (floated(player, 1, context) === 'down') counts[DOWNFLOAT_PREVIOUS] += 1;
+      if (floated(player, 2, context) === 'down') counts[DOWNFLOAT_TWO_BEFORE] += 1;
+    }
+    return counts;
+  };
+
+  const consider = (pairs, floaters, counts, level) => {
+    if (isLast && floaters.length > 1) return;
+    const vector = [
+      -level.pairs,
+      level.psd,
+      ...followingPairs(floaters),
+      ...addCounts(counts, floaterCounts(floaters)),
+    ];
+    if (search.best && compareVectors(vector, search.best.vector) >= 0) return;
+    if (!completes(floaters)) return;
+    search.best = { vector, pairs, floaters };
+    if (compareVectors(vector, search.ideal) <= 0) search.stop = true;
+  };
+
+  const spend = () => {
+    if (search.stop) return true;
+    search.nodes += 1;
+    search.levelNodes += 1;
+    if (search.best && search.nodes > SEARCH_BUDGET) {
+      search.stop = true;
+      search.cutShort = true;
+    }
+    // A level that yields nothing within the budget is given up for the next
+    if (!search.best && search.levelNodes > SEARCH_BUDGET) search.cutShort = true;
+    return search.stop || (!search.best && search.levelNodes > SEARCH_BUDGET);
+  };
+
+  const bound = (counts, level) => [-level.pairs, level.psd, ...level.followingBound, ...counts];
+
+  // S1[i] against the i-th player of a transposition of S2, in
+  // lexicographic order of S2's BSNs
+  const transpose = (s1, s2, index, used, pairs, counts, level, onComplete) => {
+    if (spend()) return;
+    if (index === s1.length) {
+      onComplete(pairs, s2.filter((_, j) => !used[j]), counts);
+      return;
+    }
+    if (search.best && compareVectors(bound(counts, level), search.best.vector) >= 0) return;
+    for (let j = 0; j < s2.length && !search.stop; j += 1) {
+      if (used[j] || !canMeet(s1[index], s2[j], context)) continue;
+      const terms = pairTerms(s1[index], s2[j], context);
+      used[j] = true;
+      transpose(s1, s2, index + 1, used, [...pairs, terms], addCounts(counts, terms.counts), level, onComplete);
+      used[j] = false;
+    }
+  };
+
+  // A homogeneous (sub)bracket: the first `pairCount` players as S1, then
+  // exchanges with S2
+  const pairHomogeneous = (group, pairCount, pairs, counts, extraFloaters, level) => {
+    const s1 = group.slice(0, pairCount);
+    const s2 = group.slice(pairCount);
+    for (const [exchangedS1, exchangedS2] of exchanges(s1, s2, bsn)) {
+      if (search.stop || (!search.best && search.levelNodes > SEARCH_BUDGET)) return;
+      transpose(exchangedS1, exchangedS2, 0, new Array(exchangedS2.length).fill(false), pairs, counts, level,
+        (allPairs, leftOver, allCounts) => consider(allPairs, [...extraFloaters, ...leftOver], allCounts, level));
+    }
+  };
+
+  // PSD (A.8): score difference of each pair and, for each floater, its
+  // score less a win under the bracket's score
+  const pairingScoreDifferences = (pairedMdps, limbo, remainderPairs, residentFloaters) => [
+    ...pairedMdps.map((player) => player.score - bracketScore),
+    ...new Array(remainderPairs).fill(0),
+    ...limbo.map((player) => player.score - bracketScore + context.winPoints),
+    ...new Array(residentFloaters).fill(context.winPoints),
+  ].sort((a, b) => b - a);
+
+  // Most pairs the bracket allows (MDPs only meet residents)
+  const bracketGraph = pairingGraph(players, context, {
+    mayMeet: (x, y) => !(mdpIds.has(x.id) && mdpIds.has(y.id)),
+  }).slice(0, players.length).map((list) => list.filter((to) => to < players.length));
+  const maxPairs = matchingSize(players.length, bracketGraph);
+  const minPairs = isLast ? Math.floor(players.length / 2) : 0;
+
+  for (let total = maxPairs; total >= minPairs && !search.stop; total -= 1) {
+    if (search.best && -search.best.vector[0] > total) break;
+    for (let mdpPairs = Math.min(mdps.length, residents.length, total); mdpPairs >= 0 && !search.stop; mdpPairs -= 1) {
+      const remainderPairs = total - mdpPairs;
+      if (2 * remainderPairs > residents.length - mdpPairs) continue;
+
+      for (const pairedMdps of combinations(mdps, mdpPairs)) {
+        if (search.stop) break;
+        const limbo = mdps.filter((player) => !pairedMdps.includes(player));
+        const floaterCount = limbo.length + residents.length - mdpPairs - 2 * remainderPairs;
+        const level = {
+          pairs: total,
+          psd: pairingScoreDifferences(pairedMdps, limbo, remainderPairs, residents.length - mdpPairs - 2 * remainderPairs),
+          followingBound: nextResidents && floaterCount > 0
+            ? [-Math.floor((floaterCount + nextResidents.length) / 2), -Math.min(floaterCount, nextResidents.length)]
+            : [0, 0],
+        };
+        if (!search.ideal) search.ideal = bound(new Array(CRITERIA_COUNT).fill(0), level);
+        if (search.best && compareVectors(bound(new Array(CRITERIA_COUNT).fill(0), level), search.best.vector) >= 0) continue;
+        search.levelNodes = 0;
+
+        transpose(pairedMdps, residents, 0, new Array(residents.length).fill(false), [], new Array(CRITERIA_COUNT).fill(0), level,
+          (mdpPairings, remainder, counts) => {
+            pairHomogeneous(remainder, remainderPairs, mdpPairings, counts, limbo, level);
+          });
+      }
+    }
+  }
+
+  if (!search.best) return null;
+  const { pairs, floaters, vector } = search.best;
+  return { pairs, floaters, cutShort: search.cutShort && compareVectors(vector, search.ideal) > 0 };
+};
+
+/**
+ * Pair the last bracket as any complete pairing when the bracket structure
+ * can't (e.g. two MDPs that can only meet each other)
+ */
+const completeLastBracket = (players, context) => {
+  const adjacency = pairingGraph(players, context);
+  const mate = maximumMatching(adjacency.length, adjacency);
+  const pairs = [];
+  const floaters = [];
+  players.forEach((player, index) => {
+    if (mate[index] === players.length) floaters.push(player);
+    else if (mate[index] > index) pairs.push(pairTerms(player, players[mate[index]], context));
+  });
+  return { pairs, floaters };
+};
+
+/**
+ * @param {Function} [onBracket] - (pairs, rest) after each bracket but the
+ *   last, with the pairs so far and the players still to pair
+ */
+const pairRound = (players, context, onBracket = null) => {
+  const ranked = [...players].sort(byRank(context));
+  const brackets = [];
+  for (const player of ranked) {
+    const current = brackets[brackets.length - 1];
+    if (current && current[0].score === player.score) current.push(player);
+    else brackets.push([player]);
+  }
+
+  const pairs = [];
+  let movedDown = [];
+  let cutShort = false;
+  brackets.forEach((residents, index) => {
+    const lower = brackets.slice(index + 1).flat();
+    // C.7 doesn't apply to the penultimate bracket, whose floaters are
+    // covered by the completion check
+    const nextResidents = index + 2 < brackets.length ? brackets[index + 1] : null;
+    const result = pairBracket(movedDown, residents, lower, nextResidents, context)
+      || completeLastBracket([...movedDown, ...residents], context);
+    pairs.push(...result.pairs);
+    cutShort = cutShort || Boolean(result.cutShort);
+    movedDown = [...result.floaters].sort(byRank(context));
+    if (onBracket && lower.length > 0) onBracket(pairs, [...movedDown, ...lower]);
+  });
+
+  return { pairs, byePlayer: movedDown[0] || null, cutShort };
+};
+
+// Board order: the pair's higher score, then their total, then the
+// higher-ranked player's pairing number
+const boardOrder = (context) => (a, b) => {
+  const high = (pair) => Math.max(pair.white.score, pair.black.score);
+  const total = (pair) => pair.white.score + pair.black.score;
+  const best = (pair) => Math.min(tpn(pair.white, context), tpn(pair.black, context));
+  return (high(b) - high(a)) || (total(b) - total(a)) || (best(a) - best(b));
+};
+
+const inBoardOrder = (pairs, context) => pairs
+  .map(({ white, black }) => ({ white, black, isRepeat: false }))
+  .sort(boardOrder(context));
+
+/**
+ * The whole round as it stands mid-search: the brackets paired so far on
+ * the top boards, then the rest paired quickly, then the requested byes
+ */
+const provisionalRound = (pairs, rest, context, rounds, requestedByes) => {
+  const searched = buildPairingResult({ pairs: inBoardOrder(pairs, context), repeatCount: 0 }, null, false);
+  const quick = quickSwissRound(rest, context.roundNumber, rounds);
+  const pairings = [
+    ...searched.pairings,
+    ...quick.pairings,
+    ...requestedByes.map((player) => byePairing(player, 0, player.requestedBye)),
+  ].map((pairing, index) => ({ ...pairing, boardNumber: index + 1 }));
+  return { ...quick, pairings };
+};
 
 class SwissFideDutch {
-  static generatePairings(players, roundNumber, allPlayers = null, rounds = []) {
+  /**
+   * @param {number} [totalRounds] - Needed to find topscorers in the last round
+   * @param {number} [winPoints] - Points for a win under the tournament's scoring
+   * @param {Object} [options]
+   * @param {Function} [options.onImprovement] - Called with the round as it
+   *   stands after each bracket, while the search goes on
+   * @param {Object} [options.scoring] - The tournament's points per outcome,
+   *   for telling who floated in earlier rounds
+   */
+  static generatePairings(players, roundNumber, allPlayers = null, rounds = [], totalRounds = 0, winPoints = 1, options = {}) {
+    const { onImprovement, scoring = DEFAULT_SCORING } = options;
+    const { available, requestedByes } = splitRequestedByes(players);
+    const context = buildContext(available, roundNumber, allPlayers, rounds, totalRounds, winPoints, scoring);
+
+    for (const relaxed of RELAXATIONS) {
+      context.relaxed = new Set(relaxed);
+      context.pairCache = new Map();
+      if (!canComplete(available, context)) continue;
+
+      const onBracket = onImprovement
+        ? (pairs, rest) => onImprovement(provisionalRound(pairs, rest, context, rounds, requestedByes))
+        : null;
+      const { pairs, byePlayer, cutShort } = pairRound(available, context, onBracket);
+      const result = buildPairingResult(
+        { pairs: inBoardOrder(pairs, context), repeatCount: 0 },
+        byePlayer,
+        false,
+        null,
+        requestedByes
+      );
+      if (relaxed.length > 0) {
+        result.notes = { ...result.notes, relaxedCriteria: relaxed };
+      }
+      if (cutShort) {
+        result.notes = { ...result.notes, searchBudgetExhausted: true };
+      }
+      return result;
+    }
+
+    // Only repeat pairings can complete the round
     return generateSwissRound(players, roundNumber, rounds, {
       getScore: (player) => player.score,
       topBottomWeight: 10,
+      scoring,
     });
   }
 }
 
+SwissFideDutch.colourPreference = colourPreference;
+SwissFideDutch.floatHistory = floatHistory;
+
 module.exports = SwissFideDutch;
@@ -0,0 +1,147 @@
+/**
+ * Lim system (FIDE C.04.4.3)
+ *
+ * Pairing works in from both ends towards the median group, the players
+ * on half the points played so far: from the top score group down to it,
+ * and from the bottom group up to it, with the median group paired last.
+ * A group with an odd number of players passes one on towards the median.
+ * Above it, the lowest-ranked player who didn't float down last round
+ * drops to the next group; below it, the highest-ranked who didn't float
+ * up last round moves up. Floaters take their place in their new group by
+ * score and pairing number.
+ *
+ * In each group the top half meets the bottom half: 1 against 1 + half,
+ * 2 against 2 + half, and so on. Exchanges are made to meet colour
+ * preferences, and two players who must both have the same colour only
+ * meet when nothing else works. When the order would repeat a game, the
+ * cheapest departure from it is found by matching, as in swissEngine.js.
+ */
+
+const {
+  compareIds,
+  pairKey,
+  wouldCreateThreeSame,
+  assignColors,
+  buildHistory,
+  floatIn,
+  chooseBye,
+  splitRequestedByes,
+  pairByMatching,
+  pairAvoidingRepeats,
+} = require('./swissEngine');
+const { DEFAULT_SCORING } = require('./results');
+const { colourPreference } = require('./swissFideDutch');
+
+// Costs of departing from the system's pairing order
+const GROUP_WEIGHT = 1000;
+const SEAT_WEIGHT = 10;
+const COLOUR_WEIGHT = 15;
+const ABSOLUTE_CLASH_WEIGHT = 10000;
+const STREAK_WEIGHT = 500;
+
+// Score, then pairing number, by rating when players have no numbers yet
+const byRank = (a, b) => {
+  if (b.score !== a.score) return b.score - a.score;
+  if (a.pairingNumber && b.pairingNumber) return a.pairingNumber - b.pairingNumber;
+  if ((b.rating || 0) !== (a.rating || 0)) return (b.rating || 0) - (a.rating || 0);
+  return compareIds(a.id, b.id);
+};
+
+class SwissLim {
+  /**
+   * The groups the round is paired in, each in ranking order, from the top
+   * score down
+   * @param {number} medianScore - Half the points played so far
+   * @param {Function} floated - (player, direction) => whether the player
+   *   floated that way last round
+   */
+  static pairingGroups(players, medianScore, floated) {
+    const ranked = [...players].sort(byRank);
+    const scores = [...new Set(ranked.map((player) => player.score))];
+    const groupOf = (score) => ranked.filter((player) => player.score === score);
+
+    // Work a run of groups towards the median, passing on a floater from
+    // each odd one
+    const passOn = (groupScores, direction) => {
+      const paired = [];
+      let carried = [];
+      for (const score of groupScores) {
+        const group = [...carried, ...groupOf(score)].sort(byRank);
+        carried = [];
+        if (group.length % 2 === 1) {
+          const candidates = direction === 'down' ? [...group].reverse() : group;
+          const floater = candidates.find((player) => !floated(player, direction)) || candidates[0];
+          group.splice(group.indexOf(floater), 1);
+          carried = [floater];
+        }
+        paired.push(group);
+      }
+      return { paired, carried };
+    };
+
+    const above = passOn(scores.filter((score) => score > medianScore), 'down');
+    const below = passOn(scores.filter((score) => score < medianScore).reverse(), 'up');
+    const median = [...above.carried, ...groupOf(medianScore), ...below.carried].sort(byRank);
+
+    return [...above.paired, median, ...below.paired.reverse()].filter((group) => group.length > 0);
+  }
+
+  /**
+   * @param {number} [winPoints] - Points for a win under the tournament's
+   *   scoring, to find the median group
+   * @param {Object} [scoring] - The tournament's points per outcome, for
+   *   telling who floated last round
+   */
+  static generatePairings(players, roundNumber, allPlayers = null, rounds = [], winPoints = 1, scoring = DEFAULT_SCORING) {
+    const { available, requestedByes } = splitRequestedByes(players);
+    const history = buildHistory(rounds, allPlayers && allPlayers.length ? allPlayers : players, scoring);
+    const byePlayer = chooseBye(available, history);
+    const pool = available.filter((player) => !byePlayer || player.id !== byePlayer.id);
+
+    const medianScore = ((roundNumber - 1) * winPoints) / 2;
+    const floated = (player, direction) => floatIn(history, player.id, roundNumber - 1) === direction;
+    const groups = SwissLim.pairingGroups(pool, medianScore, floated);
+
+    const seats = new Map();
+    groups.forEach((group, groupIndex) => {
+      group.forEach((player, index) => seats.set(player.id, { groupIndex, index, size: group.length }));
+    });
+    const preferences = new Map(pool.map((player) => [player.id, colourPreference(player)]));
+
+    const evaluate = (player, opponent) => {
+      const seat = seats.get(player.id);
+      const opponentSeat = seats.get(opponent.id);
+      const preference = preferences.get(player.id);
+      const opponentPreference = preferences.get(opponent.id);
+      const { white, black } = assignColors(player, opponent, roundNumber);
+
+      let cost = Math.abs(seat.groupIndex - opponentSeat.groupIndex) * GROUP_WEIGHT;
+      if (seat.groupIndex === opponentSeat.groupIndex) {
+        const half = Math.floor(seat.size / 2);
+        const preferred = seat.index < half ? seat.index + half : seat.index - half;
+        cost += Math.abs(opponentSeat.index - preferred) * SEAT_WEIGHT;
+      }
+      if (preference.color && preference.color === opponentPreference.color) {
+        cost += preference.strength === 'absolute' && opponentPreference.strength === 'absolute'
+          ? ABSOLUTE_CLASH_WEIGHT
+          : COLOUR_WEIGHT;
+      }
+      if (wouldCreateThreeSame(white, 'white')) cost += STREAK_WEIGHT;
+      if (wouldCreateThreeSame(black, 'black')) cost += STREAK_WEIGHT;
+
+      return {
+        white,
+        black,
+        isRepeat: history.playedPairs.has(pairKey(player.id, opponent.id)),
+        cost,
+      };
+    };
+
+    return pairAvoidingRepeats(
+      (allowRepeats) => pairByMatching(groups.flat(), evaluate, allowRepeats),
+      { roundNumber, byePlayer, requestedByes }
+    );
+  }
+}
+
+module.exports = SwissLim;
@@ -9,42 +9,49 @@
  * 27A5. Alternating colors
  */
 
+const { calculateStandings, calculateRankHistory } = require('./standings');
+const { isPlayedResult } = require('./results');
+const {
+  assignRankingNumbers,
+  byePairing,
+  splitRequestedByes,
+  pairByMatching,
+} = require('./swissEngine');
+
 class SwissPairing {
   /**
    * Generate pairings for a round
-   * @param {Array} players - Array of player objects with {id, name, rating, score, colorBalance, previousOpponents, colorHistory}
+   * @param {Array} players - Array of player objects with {id, name, rating, score, colorBalance, previousOpponents, colorHistory, requestedBye}
    * @param {number} roundNumber - Current round number
    * @param {Array} allPlayers - All players in tournament (for pairing numbers)
    * @param {Array} rounds - Completed/created rounds for repeat detection
    * @returns {{pairings: Array, forcedRepeat: boolean, repeatCount: number}} Pairings and repeat metadata
    */
   static generatePairings(players, roundNumber, allPlayers = null, rounds = []) {
-    if (players.length < 2) {
-      return { pairings: [], forcedRepeat: false, repeatCount: 0 };
+    // Players who requested a half- or zero-point bye sit this round out
+    const { available, requestedByes } = splitRequestedByes(players);
+    const requestedByePairings = (firstBoard) => requestedByes.map(
+      (player, index) => byePairing(player, firstBoard + index, player.requestedBye)
+    );
+
+    if (available.length < 2) {
+      return { pairings: requestedByePairings(1), forcedRepeat: false, repeatCount: 0 };
     }
 
-    const { playedPairs, opponentsMap } = this.buildPlayedPairs(players);
+    const { playedPairs } = this.buildPlayedPairs(available);
     const lastRoundPairs = this.getLastRoundPairs(rounds, roundNumber);
 
     // Create pairing number map if allPlayers provided
     const pairingNumberMap = new Map();
     if (allPlayers) {
       // Rank all players by rating (descending), then by ID
-      const ranked = [...allPlayers].sort((a, b) => {
-        const ratingA = a.rating || 0;
-        const ratingB = b.rating || 0;
-        if (ratingB !== ratingA) {
-          return ratingB - ratingA;
-        }
-        return a.id - b.id;
-      });
-      ranked.forEach((p, index) => {
-        pairingNumberMap.set(p.id, index + 1);
+      assignRankingNumbers(allPlayers).forEach((p) => {
+        pairingNumberMap.set(p.id, p.pairingNumber);
       });
     }
 
     // Sort players by score (descending), then by rating, then by ID
-    const sortedPlayers = [...players].sort((a, b) => {
+    const sortedPlayers = [...available].sort((a, b) => {
       if (b.score !== a.score) {
         return b.score - a.score;
       }
@@ -72,7 +79,6 @@ class SwissPairing {
     const noRepeatResult = this.findBestPairings(pairingPool, {
       roundNumber,
       playedPairs,
-      opponentsMap,
       lastRoundPairs,
       allowRepeats: false,
     });
@@ -84,7 +90,6 @@ class SwissPairing {
       pairingResult = this.findBestPairings(pairingPool, {
         roundNumber,
         playedPairs,
-        opponentsMap,
         lastRoundPairs,
         allowRepeats: true,
       });
@@ -113,15 +118,9 @@ class SwissPairing {
     }
 
     if (hasBye && byePlayer) {
-      pairings.push({
-        player1: { id: byePlayer.id, name: byePlayer.name, rating: byePlayer.rating || null },
-        player2: null,
-        boardNumber: boardNumber,
-        whitePlayerId: byePlayer.id,
-        blackPlayerId: null,
-        isBye: true,
-      });
+      pairings.push(byePairing(byePlayer, boardNumber++, 'full'));
     }
+    pairings.push(...requestedByePairings(boardNumber));
 
     return {
       pairings,
@@ -154,19 +153,6 @@ class SwissPairing {
     return playedPairs.has(this.pairKey(playerA.id, playerB.id));
   }
 
-  static availableOpponents(player, candidates, playedPairs, allowRepeats, opponentsMap) {
-    if (allowRepeats) {
-      return candidates;
-    }
-    const opponents = opponentsMap ? opponentsMap.get(player.id) : null;
-    return candidates.filter(candidate => {
-      if (opponents && opponents.has(candidate.id)) {
-        return false;
-      }
-      return !this.isRepeat(player, candidate, playedPairs);
-    });
-  }
-
   static getLastRoundPairs(rounds, roundNumber) {
     if (!rounds || roundNumber <= 1) {
       return new Set();
@@ -180,7 +166,7 @@ class SwissPairing {
     }
     const pairSet = new Set();
     for (const pairing of lastRound.pairings) {
-      if (pairing.isBye || !pairing.player1 || !pairing.player2) {
+      if (pairing.isBye || !pairing.player1 || !pairing.player2 || !isPlayedResult(pairing.result)) {
         continue;
       }
       pairSet.add(this.pairKey(pairing.player1.id, pairing.player2.id));
@@ -188,126 +174,31 @@ class SwissPairing {
     return pairSet;
   }
 
+  /**
+   * Cheapest pairing of the players (in standings order), or null if they
+   * can't all be paired without repeats when repeats aren't allowed
+   */
   static findBestPairings(players, options) {
-    if (players.length === 0) {
-      return { pairs: [], cost: 0, repeatCount: 0 };
-    }
-
     const {
       roundNumber,
       playedPairs,
-      opponentsMap,
       lastRoundPairs,
       allowRepeats,
     } = options;
 
-    let best = null;
-
-    const backtrack = (remaining, currentPairs, cost, repeatCount) => {
-      if (remaining.length === 0) {
-        if (!best) {
-          best = { pairs: currentPairs, cost, repeatCount };
-          return;
-        }
-        if (allowRepeats) {
-          if (repeatCount < best.repeatCount || (repeatCount === best.repeatCount && cost < best.cost)) {
-            best = { pairs: currentPairs, cost, repeatCount };
-          }
-        } else if (cost < best.cost) {
-          best = { pairs: currentPairs, cost, repeatCount };
-        }
-        return;
-      }
-
-      let bestIndex = 0;
-      let bestOpponentCount = Infinity;
-      for (let i = 0; i < remaining.length; i++) {
-        const candidatePool = remaining.filter((_, idx) => idx !== i);
-        const available = this.availableOpponents(
-          remaining[i],
-          candidatePool,
-          playedPairs,
-          allowRepeats,
-          opponentsMap
-        );
-        if (available.length < bestOpponentCount) {
-          bestOpponentCount = available.length;
-          bestIndex = i;
-        }
-      }
-
-      const player = remaining[bestIndex];
-      const rest = remaining.filter((_, idx) => idx !== bestIndex);
-      const available = this.availableOpponents(
-        player,
-        rest,
-        playedPairs,
-        allowRepeats,
-        opponentsMap
-      );
-
-      if (available.length === 0) {
-        return;
-      }
-
-      const candidatePairs = available.map(opponent => {
-        const isRepeat = this.isRepeat(player, opponent, playedPairs);
-        const isConsecutiveRepeat = lastRoundPairs.has(this.pairKey(player.id, opponent.id));
-        const { white, black } = this.assignColors(player, opponent, roundNumber);
-        const pairCost = this.calculatePairingCost(player, opponent, {
-          roundNumber,
-          isRepeat,
-          isConsecutiveRepeat,
-        });
-        return { opponent, white, black, isRepeat, pairCost };
-      });
-
-      candidatePairs.sort((a, b) => {
-        if (a.pairCost !== b.pairCost) {
-          return a.pairCost - b.pairCost;
-        }
-        if (a.opponent.id !== b.opponent.id) {
-          return a.opponent.id - b.opponent.id;
-        }
-        return 0;
+    const evaluate = (player, opponent) => {
+      const isRepeat = this.isRepeat(player, opponent, playedPairs);
+      const isConsecutiveRepeat = lastRoundPairs.has(this.pairKey(player.id, opponent.id));
+      const { white, black } = this.assignColors(player, opponent, roundNumber);
+      const cost = this.calculatePairingCost(player, opponent, {
+        roundNumber,
+        isRepeat,
+        isConsecutiveRepeat,
       });
-
-      for (const candidate of candidatePairs) {
-        const nextRepeatCount = repeatCount + (candidate.isRepeat ? 1 : 0);
-        const nextCost = cost + candidate.pairCost;
-
-        if (best) {
-          if (allowRepeats) {
-            if (nextRepeatCount > best.repeatCount) {
-              continue;
-            }
-            if (nextRepeatCount === best.repeatCount && nextCost >= best.cost) {
-              continue;
-            }
-          } else if (nextCost >= best.cost) {
-            continue;
-          }
-        }
-
-        const nextRemaining = rest.filter(p => p.id !== candidate.opponent.id);
-        backtrack(
-          nextRemaining,
-          [
-            ...currentPairs,
-            {
-              white: candidate.white,
-              black: candidate.black,
-              isRepeat: candidate.isRepeat,
-            },
-          ],
-          nextCost,
-          nextRepeatCount
-        );
-      }
+      return { white, black, isRepeat, cost };
     };
 
-    backtrack(players, [], 0, 0);
-    return best;
+    return pairByMatching(players, evaluate, allowRepeats);
   }
 
   static calculatePairingCost(player1, player2, context) {
@@ -478,111 +369,21 @@ class SwissPairing {
   }
 
   /**
-   * Calculate standings from tournament data
+   * Calculate standings from tournament data, ranked by score and the
+   * tournament's tiebreaks
+   * @param {Object} [options] - { afterRound } to stop after a given round
    */
-  static calculateStandings(tournament) {
-    const players = tournament.players.map(p => ({
-      ...p,
-      score: 0,
-      colorBalance: 0,
-      colorHistory: [],
-      previousOpponents: [],
-      wins: 0,
-      losses: 0,
-      draws: 0,
-      gamesPlayed: 0,
-    }));
-
-    // Process all completed rounds
-    for (const round of tournament.rounds || []) {
-      if (!round.completed) continue;
-
-      for (const pairing of round.pairings || []) {
-        if (pairing.isBye) {
-          const player = players.find(p => p.id === pairing.player1.id);
-          if (player) {
-            player.score += 1; // Bye = win
-            player.wins += 1;
-            player.gamesPlayed += 1;
-            player.colorHistory.push('white'); // Bye gets white
-          }
-          continue;
-        }
-
-        const player1 = players.find(p => p.id === pairing.player1.id);
-        const player2 = players.find(p => p.id === pairing.player2.id);
-
-        if (!player1 || !player2) continue;
-
-        // Record opponents (27A1)
-        player1.previousOpponents.push(player2.id);
-        player2.previousOpponents.push(player1.id);
-
-        // Update color balance and history (27A4, 27A5)
-        if (pairing.whitePlayerId === player1.id) {
-          player1.colorBalance += 1;
-          player2.colorBalance -= 1;
-          player1.colorHistory.push('white');
-          player2.colorHistory.push('black');
-        } else {
-          player1.colorBalance -= 1;
-          player2.colorBalance += 1;
-          player1.colorHistory.push('black');
-          player2.colorHistory.push('white');
-        }
-
-        // Update scores based on result
-        if (pairing.result) {
-          player1.gamesPlayed += 1;
-          player2.gamesPlayed += 1;
-
-          if (pairing.result === '1-0') {
-            player1.score += 1;
-            player1.wins += 1;
-            player2.losses += 1;
-          } else if (pairing.result === '0-1') {
-            player2.score += 1;
-            player2.wins += 1;
-            player1.losses += 1;
-          } else if (pairing.result === '1/2-1/2') {
-            player1.score += 0.5;
-            player2.score += 0.5;
-            player1.draws += 1;
-            player2.draws += 1;
-          }
-        }
-      }
-    }
-
-    // Sort by score (descending), then by rating, then by color balance
-    players.sort((a, b) => {
-      if (b.score !== a.score) {
-        return b.score - a.score;
-      }
-      // Within same score, rank by rating
-      const ratingA = a.rating || 0;
-      const ratingB = b.rating || 0;
-      if (ratingB !== ratingA) {
-        return ratingB - ratingA;
-      }
-      // Then by color balance
-      return b.colorBalance - a.colorBalance;
-    });
+  static calculateStandings(tournament, options) {
+    return calculateStandings(tournament, options);
+  }
 
-    return players.map((p, index) => ({
-      rank: index + 1,
-      id: p.id,
-      name: p.name,
-      rating: p.rating || null,
-      score: p.score,
-      wins: p.wins,
-      losses: p.losses,
-      draws: p.draws,
-      gamesPlayed: p.gamesPlayed,
-      colorBalance: p.colorBalance,
-      colorHistory: p.colorHistory || [],
-      previousOpponents: p.previousOpponents || [],
-    }));
+  /**
+   * Each player's rank after every completed round
+   * @param {Object} [options] - { afterRound } to stop after a given round
+   * @returns {Map} Player ID to [{round, rank}]
+   */
+  static calculateRankHistory(tournament, options) {
+    return calculateRankHistory(tournament, options);
   }
 }
 
@@ -1,12 +1,286 @@
-const { generateSwissRound } = require('./swissEngine');
+/**
+ * US Chess Swiss system (rules 27, 28 and 29)
+ *
+ * Players are grouped by score and ranked by rating within each group
+ * (29A, 29B). A group is paired top half against bottom half: 1 against
+ * 1 + half, 2 against 2 + half, and so on (29C). When a group has an odd
+ * number of players, the lowest rated is the odd man, who drops to meet
+ * the highest-rated player of the next group down they can play (29D1).
+ * A player who dropped last round, or had the bye, isn't dropped again
+ * while someone else in the group can be.
+ *
+ * Departures from that order are weighed by the priorities of 27A:
+ *   27A1 no one meets the same opponent twice (absolute)
+ *   27A2 players meet others on the same score
+ *   27A3 the upper half meets the lower half
+ *   27A4 colours are equalized
+ *   27A5 colours alternate
+ * Transpositions within the lower half and interchanges between the halves
+ * may be made for colours, but only between players rated within the
+ * transposition limit (200 points by default) of the player they replace;
+ * beyond it the natural pairing stands even at the cost of colours.
+ *
+ * Colours follow 29E. Each player is due the colour that equalizes their
+ * whites and blacks, or when they are equal the opposite of their last one.
+ * When both players are due the same colour, equalization comes before
+ * alternation; failing that the colour histories are compared back to the
+ * last round the players had different colours, and each alternates from
+ * it; with identical histories the higher-ranked player gets their due.
+ *
+ * TDs choose variations of the rules (see VARIATIONS), such as avoiding
+ * pairing team-mates (28N1). The pairing-allocated bye goes to the
+ * lowest-rated player in the lowest score group who hasn't had one (28L).
+ */
+
+const {
+  compareIds,
+  pairKey,
+  assignColors,
+  buildHistory,
+  floatIn,
+  chooseBye,
+  splitRequestedByes,
+  pairByMatching,
+  pairAvoidingRepeats,
+  quickSwissRound,
+} = require('./swissEngine');
+const { DEFAULT_SCORING } = require('./results');
+
+/**
+ * Variations of the rules the TD can choose, with their defaults:
+ *   teamAvoidance       28N1: keep players of the same team apart, as long
+ *                       as they can still meet others on their score
+ *   transpositionLimit  Rating points a transposition or interchange for
+ *                       colours may be worth
+ */
+const DEFAULT_VARIATIONS = {
+  teamAvoidance: true,
+  transpositionLimit: 200,
+};
+
+const VARIATIONS = Object.keys(DEFAULT_VARIATIONS);
+
+// Costs of departing from the natural pairing, in the order of 27A
+const GROUP_WEIGHT = 100000;
+const TEAM_WEIGHT = 10000;
+const OVER_LIMIT_WEIGHT = 1000;
+const EQUALIZE_WEIGHT = 200;
+const ALTERNATE_WEIGHT = 60;
+const INTERCHANGE_WEIGHT = 40;
+const SEAT_WEIGHT = 1;
+
+const opposite = (color) => (color === 'white' ? 'black' : 'white');
+
+const ratingOf = (player) => player.rating || 0;
+
+// Score, then rating (29A, 29B)
+const byRank = (a, b) => {
+  if (b.score !== a.score) return b.score - a.score;
+  if (ratingOf(b) !== ratingOf(a)) return ratingOf(b) - ratingOf(a);
+  return compareIds(a.id, b.id);
+};
+
+// Team-mates (28N1), however the team name was typed
+const sameTeam = (player, opponent) => (
+  !!player.team && !!opponent.team
+  && player.team.trim().toLowerCase() === opponent.team.trim().toLowerCase()
+);
+
+/**
+ * The tournament's variations, filling in the defaults
+ */
+const resolveVariations = (variations) => ({
+  ...DEFAULT_VARIATIONS,
+  ...variations,
+});
+
+/**
+ * Validate requested variations (any subset of VARIATIONS)
+ * @returns {string|null} An error message, or null when they are valid
+ */
+const validateVariations = (variations) => {
+  if (!variations || typeof variations !== 'object' || Array.isArray(variations)) {
+    return 'Pairing variations must be an object';
+  }
+  const unknown = Object.keys(variations).find((key) => !VARIATIONS.includes(key));
+  if (unknown !== undefined) {
+    return `Unknown pairing variation "${unknown}". Must be one of: ${VARIATIONS.join(', ')}`;
+  }
+  if (variations.teamAvoidance !== undefined && typeof variations.teamAvoidance !== 'boolean') {
+    return 'teamAvoidance must be true or false';
+  }
+  const limit = variations.transpositionLimit;
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 0 || limit > 1000)) {
+    return 'transpositionLimit must be a whole number of rating points between 0 and 1000';
+  }
+  return null;
+};
+
+/**
+ * The colour a player is due (29E): the one that equalizes their colours,
+ * or when they are even the opposite of their last
+ * @returns {{color: string|null, reason: string|null, history: Array}}
+ *   reason is 'equalize' or 'alternate'
+ */
+const dueColour = (player) => {
+  const history = (player.colorHistory || []).filter(Boolean);
+  if (history.length === 0) return { color: null, reason: null, history };
+  const difference = history.reduce((total, color) => total + (color === 'white' ? 1 : -1), 0);
+  if (difference !== 0) {
+    return { color: difference > 0 ? 'black' : 'white', reason: 'equalize', history };
+  }
+  return { color: opposite(history[history.length - 1]), reason: 'alternate', history };
+};
+
+/**
+ * White and black for two players paired together (29E)
+ */
+const allocateColours = (player, opponent, roundNumber) => {
+  const due = dueColour(player);
+  const opponentDue = dueColour(opponent);
+  const give = (color) => (color === 'white'
+    ? { white: player, black: opponent }
+    : { white: opponent, black: player });
+
+  if (!due.color && !opponentDue.color) return assignColors(player, opponent, roundNumber);
+  if (!opponentDue.color || due.color !== opponentDue.color) return give(due.color || opposite(opponentDue.color));
+
+  // Both are due the same colour: equalization before alternation
+  if (due.reason !== opponentDue.reason) {
+    return give(due.reason === 'equalize' ? due.color : opposite(due.color));
+  }
+
+  // Then back to the last round they had different colours
+  const back = Math.min(due.history.length, opponentDue.history.length);
+  for (let i = 1; i <= back; i += 1) {
+    const color = due.history[due.history.length - i];
+    if (color !== opponentDue.history[opponentDue.history.length - i]) return give(opposite(color));
+  }
+
+  // Identical histories: the higher-ranked player gets their due colour
+  return give(byRank(player, opponent) <= 0 ? due.color : opposite(due.color));
+};
 
 class SwissUSCF {
-  static generatePairings(players, roundNumber, allPlayers = null, rounds = []) {
-    return generateSwissRound(players, roundNumber, rounds, {
-      getScore: (player) => player.score,
-      topBottomWeight: 5,
+  /**
+   * The score groups and the natural pairing of each (29C, 29D1)
+   * @param {Function} [droppedLastRound] - player => whether they floated
+   *   down last round
+   * @returns {{groups: Array, natural: Map, halves: Map}} groups of players
+   *   by score from the top, each in ranking order; each player's natural
+   *   opponent; and the half of their group a player is in
+   */
+  static naturalPairing(players, droppedLastRound = () => false) {
+    const ranked = [...players].sort(byRank);
+    const scores = [...new Set(ranked.map((player) => player.score))];
+    const groups = scores.map((score) => ranked.filter((player) => player.score === score));
+    const natural = new Map();
+    const halves = new Map();
+    const meet = (a, b) => {
+      natural.set(a.id, b.id);
+      natural.set(b.id, a.id);
+    };
+
+    const carried = [];
+    groups.forEach((group, groupIndex) => {
+      // Players dropped from above meet the highest rated first
+      const rest = [...group];
+      while (carried.length > 0 && rest.length > 0) meet(carried.shift(), rest.shift());
+      if (rest.length % 2 === 1) {
+        const fromBottom = [...rest].reverse();
+        const oddMan = fromBottom.find((player) => !droppedLastRound(player)) || fromBottom[0];
+        rest.splice(rest.indexOf(oddMan), 1);
+        carried.push(oddMan);
+      }
+
+      const half = rest.length / 2;
+      rest.forEach((player, index) => {
+        halves.set(player.id, `${groupIndex}:${index < half ? 'upper' : 'lower'}`);
+        if (index < half) meet(player, rest[index + half]);
+      });
+    });
+
+    return { groups, natural, halves };
+  }
+
+  /**
+   * @param {Object} [variations] - The TD's choice of VARIATIONS
+   * @param {Object} [scoring] - The tournament's points per outcome, for
+   *   telling who dropped last round
+   */
+  static generatePairings(players, roundNumber, allPlayers = null, rounds = [], variations = {}, scoring = DEFAULT_SCORING) {
+    const { teamAvoidance, transpositionLimit } = resolveVariations(variations);
+    const { available, requestedByes } = splitRequestedByes(players);
+    const history = buildHistory(rounds, allPlayers && allPlayers.length ? allPlayers : players, scoring);
+    const byePlayer = chooseBye(available, history);
+    const pool = available.filter((player) => !byePlayer || player.id !== byePlayer.id);
+
+    const droppedLastRound = (player) => floatIn(history, player.id, roundNumber - 1) === 'down';
+    const { groups, natural, halves } = SwissUSCF.naturalPairing(pool, droppedLastRound);
+    const ranked = groups.flat();
+    const byId = new Map(ranked.map((player) => [player.id, player]));
+    const place = new Map(ranked.map((player, index) => [player.id, index]));
+    const groupOf = new Map();
+    groups.forEach((group, index) => group.forEach((player) => groupOf.set(player.id, index)));
+    const dues = new Map(ranked.map((player) => [player.id, dueColour(player)]));
+
+    // Meeting someone other than the natural opponent: a transposition,
+    // or an interchange when it is someone from the same half
+    const departure = (player, opponent) => {
+      const naturalId = natural.get(player.id);
+      if (naturalId === undefined || naturalId === opponent.id) return 0;
+      const replaced = byId.get(naturalId);
+      let cost = Math.abs(place.get(opponent.id) - place.get(naturalId)) * SEAT_WEIGHT;
+      if (Math.abs(ratingOf(opponent) - ratingOf(replaced)) > transpositionLimit) cost += OVER_LIMIT_WEIGHT;
+      if (halves.has(player.id) && halves.get(player.id) === halves.get(opponent.id)) cost += INTERCHANGE_WEIGHT;
+      return cost;
+    };
+
+    const evaluate = (player, opponent) => {
+      const due = dues.get(player.id);
+      const opponentDue = dues.get(opponent.id);
+
+      let cost = Math.abs(groupOf.get(player.id) - groupOf.get(opponent.id)) * GROUP_WEIGHT;
+      if (teamAvoidance && sameTeam(player, opponent)) cost += TEAM_WEIGHT;
+      cost += departure(player, opponent) + departure(opponent, player);
+      if (due.color && due.color === opponentDue.color) {
+        cost += due.reason === 'equalize' && opponentDue.reason === 'equalize'
+          ? EQUALIZE_WEIGHT
+          : ALTERNATE_WEIGHT;
+      }
+
+      return {
+        ...allocateColours(player, opponent, roundNumber),
+        isRepeat: history.playedPairs.has(pairKey(player.id, opponent.id)),
+        cost,
+      };
+    };
+
+    return pairAvoidingRepeats(
+      (allowRepeats) => pairByMatching(ranked, evaluate, allowRepeats),
+      { roundNumber, byePlayer, requestedByes }
+    );
+  }
+
+  /**
+   * Pair in ranking order without the search, for when generatePairings
+   * runs out of time: each player meets the highest remaining they haven't
+   * met, passing over team-mates, with colours by 29E
+   */
+  static quickPairings(players, roundNumber, rounds = [], variations = {}) {
+    const { teamAvoidance } = resolveVariations(variations);
+    return quickSwissRound(players, roundNumber, rounds, {
+      avoid: teamAvoidance ? sameTeam : undefined,
+      allocateColors: allocateColours,
     });
   }
 }
 
+SwissUSCF.DEFAULT_VARIATIONS = DEFAULT_VARIATIONS;
+SwissUSCF.VARIATIONS = VARIATIONS;
+SwissUSCF.resolveVariations = resolveVariations;
+SwissUSCF.validateVariations = validateVariations;
+SwissUSCF.dueColour = dueColour;
+SwissUSCF.allocateColours = allocateColours;
+
 module.exports = SwissUSCF;
@@ -0,0 +1,271 @@
+/**
+ * Tiebreak systems for standings
+ *
+ * Each tiebreak works on the per-player records built by utils/standings.js,
+ * where every completed round contributes one entry to `player.games`:
+ *   { roundNumber, opponentId, points, outcome, color, played }
+ * `played` is false for byes and any other round the player did not play
+ * over the board. `outcome` is 1, ½ or 0 for a win, draw or loss, while
+ * `points` is what that scored under the tournament's scoring system.
+ *
+ * Unplayed games follow the FIDE virtual-opponent rules: a player's own
+ * unplayed round counts as a game against a virtual opponent who starts the
+ * round on the player's score and draws every remaining round, and the
+ * unplayed games of opponents count as draws when their scores are used.
+ */
+
+const { compareIds } = require('./swissEngine');
+const { DEFAULT_SCORING } = require('./results');
+const { isRoundRobinType } = require('./tournamentTypes');
+
+const TIEBREAKS = {
+  buchholz: { label: 'Buchholz', shortLabel: 'BH' },
+  buchholz_cut1: { label: 'Buchholz Cut-1', shortLabel: 'BH-C1' },
+  buchholz_median: { label: 'Median Buchholz', shortLabel: 'BH-M' },
+  sonneborn_berger: { label: 'Sonneborn-Berger', shortLabel: 'SB' },
+  progressive: { label: 'Progressive (Cumulative)', shortLabel: 'Prog' },
+  direct_encounter: { label: 'Direct Encounter', shortLabel: 'DE' },
+  wins: { label: 'Number of Wins', shortLabel: 'Wins' },
+  games_with_black: { label: 'Games with Black', shortLabel: 'Black' },
+  aroc: { label: 'Average Rating of Opponents Cut-1', shortLabel: 'AROC' },
+  koya: { label: 'Koya', shortLabel: 'Koya' },
+};
+
+const DEFAULT_TIEBREAKS = {
+  swiss: ['buchholz_cut1', 'buchholz', 'sonneborn_berger', 'direct_encounter'],
+  round_robin: ['direct_encounter', 'sonneborn_berger', 'wins', 'koya'],
+};
+
+const defaultTiebreaks = (tournamentType) =>
+  [...(isRoundRobinType(tournamentType) ? DEFAULT_TIEBREAKS.round_robin : DEFAULT_TIEBREAKS.swiss)];
+
+/**
+ * The ordered tiebreak list for a tournament, falling back to the defaults
+ * for its type when none was chosen
+ */
+const resolveTiebreaks = (tournament) => {
+  if (Array.isArray(tournament.tiebreaks) && tournament.tiebreaks.length > 0) {
+    return tournament.tiebreaks.filter((key) => TIEBREAKS[key]);
+  }
+  return defaultTiebreaks(tournament.tournamentType);
+};
+
+/**
+ * Validate a requested tiebreak list
+ * @returns {string|null} An error message, or null when the list is valid
+ */
+const validateTiebreaks = (tiebreaks) => {
+  if (!Array.isArray(tiebreaks)) {
+    return 'Tiebreaks must be a list';
+  }
+  const unknown = tiebreaks.find((key) => !TIEBREAKS[key]);
+  if (unknown !== undefined) {
+    return `Unknown tiebreak "${unknown}". Must be one of: ${Object.keys(TIEBREAKS).join(', ')}`;
+  }
+  if (new Set(tiebreaks).size !== tiebreaks.length) {
+    return 'Each tiebreak can only be used once';
+  }
+  return null;
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Avoid floating point noise when comparing half points
+const roundValue = (value) => Math.round(value * 1000) / 1000;
+
+// Games built without an outcome score the usual 1-½-0
+const outcomeOf = (game) => (game.outcome === undefined ? game.points : game.outcome);
+
+const pointsForOutcome = (outcome, scoring) => {
+  if (outcome === 1) return scoring.win;
+  if (outcome === 0.5) return scoring.draw;
+  return scoring.loss;
+};
+
+/**
+ * Score used when a player appears as someone's opponent: their own
+ * unplayed games count as draws
+ */
+const adjustedScore = (player, scoring) =>
+  sum(player.games.map((game) => (game.played ? game.points : scoring.draw)));
+
+/**
+ * Score of the virtual opponent for an unplayed round: score before the
+ * round + the opposite outcome of the round + a draw per later round
+ */
+const virtualOpponentScore = (player, gameIndex, scoring) => {
+  const scoreBefore = sum(player.games.slice(0, gameIndex).map((game) => game.points));
+  const roundsAfter = player.games.length - gameIndex - 1;
+  const roundPoints = pointsForOutcome(1 - outcomeOf(player.games[gameIndex]), scoring);
+  return scoreBefore + roundPoints + scoring.draw * roundsAfter;
+};
+
+// Opponent score counted for each round, real or virtual
+const opponentScores = (player, context) => player.games.map((game, index) => (
+  game.played
+    ? adjustedScore(context.playersById.get(game.opponentId), context.scoring)
+    : virtualOpponentScore(player, index, context.scoring)
+));
+
+const buchholzCut = (player, context, cutLowest, cutHighest) => {
+  const scores = opponentScores(player, context).sort((a, b) => a - b);
+  const cut = cutLowest + cutHighest;
+  if (scores.length <= cut) return sum(scores);
+  return sum(scores.slice(cutLowest, scores.length - cutHighest));
+};
+
+const calculators = {
+  buchholz: (player, context) => sum(opponentScores(player, context)),
+
+  buchholz_cut1: (player, context) => buchholzCut(player, context, 1, 0),
+
+  buchholz_median: (player, context) => buchholzCut(player, context, 1, 1),
+
+  sonneborn_berger: (player, context) => {
+    const scores = opponentScores(player, context);
+    return sum(player.games.map((game, index) => scores[index] * game.points));
+  },
+
+  // Sum of the running score after each round, less points scored without playing
+  progressive: (player) => {
+    let running = 0;
+    let total = 0;
+    for (const game of player.games) {
+      running += game.points;
+      total += running;
+      if (!game.played) total -= game.points;
+    }
+    return total;
+  },
+
+  // Points scored against the other players in the tie, only applied when
+  // every tied player has met every other one
+  direct_encounter: (player, context, group) => {
+    if (group.length < 2) return null;
+    const groupIds = new Set(group.map((p) => p.id));
+    const allMet = group.every((a) => group.every((b) => (
+      a === b || a.games.some((game) => game.played && game.opponentId === b.id)
+    )));
+    if (!allMet) return null;
+    return sum(player.games
+      .filter((game) => game.played && groupIds.has(game.opponentId))
+      .map((game) => game.points));
+  },
+
+  // Games won over the board
+  wins: (player) => player.games.filter((game) => game.played && outcomeOf(game) === 1).length,
+
+  games_with_black: (player) => player.games.filter((game) => game.played && game.color === 'black').length,
+
+  // Average rating of rated opponents met over the board, without the lowest
+  aroc: (player, context) => {
+    const ratings = player.games
+      .filter((game) => game.played)
+      .map((game) => context.playersById.get(game.opponentId).rating)
+      .filter((rating) => rating)
+      .sort((a, b) => a - b);
+    const counted = ratings.length > 1 ? ratings.slice(1) : ratings;
+    return counted.length ? Math.round(sum(counted) / counted.length) : 0;
+  },
+
+  // Points scored against opponents who finished on 50% or more
+  koya: (player, context) => {
+    const threshold = (context.roundsPlayed * context.scoring.win) / 2;
+    return sum(player.games
+      .filter((game) => game.played && context.playersById.get(game.opponentId).score >= threshold)
+      .map((game) => game.points));
+  },
+};
+
+// Tiebreaks whose value depends on who else is tied
+const GROUP_TIEBREAKS = new Set(['direct_encounter']);
+
+const buildContext = (players, scoring = DEFAULT_SCORING) => ({
+  playersById: new Map(players.map((p) => [p.id, p])),
+  roundsPlayed: Math.max(0, ...players.map((p) => p.games.length)),
+  scoring,
+});
+
+/**
+ * A single tiebreak for every player, regardless of the tournament's order
+ * (direct encounter is not available this way since it depends on the tie)
+ * @returns {Map} Player ID to value
+ */
+const calculateTiebreak = (players, key, scoring) => {
+  const context = buildContext(players, scoring);
+  return new Map(players.map((player) => [player.id, roundValue(calculators[key](player, context))]));
+};
+
+/**
+ * Order players by score and then by each tiebreak in turn.
+ * Every player gets a `tiebreaks` object with a value per tiebreak, and a
+ * rank shared with anyone still tied after the last tiebreak.
+ */
+const rankPlayers = (players, order, scoring) => {
+  const context = buildContext(players, scoring);
+
+  for (const player of players) {
+    player.tiebreaks = {};
+    for (const key of order) {
+      player.tiebreaks[key] = GROUP_TIEBREAKS.has(key)
+        ? null
+        : roundValue(calculators[key](player, context));
+    }
+  }
+
+  // Tiebreaks that do not apply (null) sort below every value
+  const splitBy = (group, valueOf) => {
+    const sortValue = (player) => (valueOf(player) === null ? -Infinity : valueOf(player));
+    const sorted = [...group].sort((a, b) => (
+      sortValue(a) === sortValue(b) ? 0 : sortValue(b) - sortValue(a)
+    ));
+    const groups = [];
+    for (const player of sorted) {
+      const current = groups[groups.length - 1];
+      if (current && valueOf(current[0]) === valueOf(player)) {
+        current.push(player);
+      } else {
+        groups.push([player]);
+      }
+    }
+    return groups;
+  };
+
+  let groups = splitBy(players, (p) => roundValue(p.score));
+
+  for (const key of order) {
+    groups = groups.flatMap((group) => {
+      if (group.length < 2) return [group];
+      if (GROUP_TIEBREAKS.has(key)) {
+        for (const player of group) {
+          const value = calculators[key](player, context, group);
+          player.tiebreaks[key] = value === null ? null : roundValue(value);
+        }
+      }
+      return splitBy(group, (p) => p.tiebreaks[key]);
+    });
+  }
+
+  const ranked = [];
+  for (const group of groups) {
+    const rank = ranked.length + 1;
+    // Players still fully tied share a rank; list them by rating for display
+    const ordered = [...group].sort((a, b) => {
+      const ratingDiff = (b.rating || 0) - (a.rating || 0);
+      return ratingDiff !== 0 ? ratingDiff : compareIds(a.id, b.id);
+    });
+    for (const player of ordered) {
+      ranked.push({ player, rank });
+    }
+  }
+  return ranked;
+};
+
+module.exports = {
+  TIEBREAKS,
+  defaultTiebreaks,
+  resolveTiebreaks,
+  validateTiebreaks,
+  calculateTiebreak,
+  rankPlayers,
+};
@@ -0,0 +1,36 @@
+/**
+ * Tournament types
+ *
+ * Every type but the round robins is paired round by round from the
+ * standings. Which engine pairs each type is in pairingEngines.js; this
+ * module only says what the types are, so that anything (the tiebreak
+ * defaults, the routes, the engines) can ask without loading the engines.
+ */
+
+const SWISS_TYPES = new Set([
+  'swiss',
+  'swiss_uscf',
+  'swiss_fide_dutch',
+  'swiss_accelerated',
+  'swiss_burstein',
+  'swiss_dubov',
+  'swiss_lim',
+]);
+
+// Paired down the standings, for as many rounds as the organizer likes
+const MONRAD_TYPES = new Set(['monrad', 'danish']);
+
+const ROUND_ROBIN_TYPES = new Set(['round_robin', 'double_round_robin']);
+
+/**
+ * Whether a tournament type is a single or double round robin; every other
+ * type is paired round by round (Swiss, Monrad, Danish)
+ */
+const isRoundRobinType = (tournamentType) => ROUND_ROBIN_TYPES.has(tournamentType);
+
+module.exports = {
+  SWISS_TYPES,
+  MONRAD_TYPES,
+  ROUND_ROBIN_TYPES,
+  isRoundRobinType,
+};
@@ -0,0 +1,28 @@
+/**
+ * Acceleration schemes for accelerated Swiss events (mirrors
+ * backend/utils/swissAccelerated.js)
+ */
+
+import { formatPoints } from './scoring.js';
+
+export const ACCELERATION_SCHEMES = [
+  { value: 'added_score', label: 'US Chess added score (top half +1, two rounds)' },
+  { value: 'baku', label: 'Baku (top half +1, then +½, first half of the rounds)' },
+  { value: 'sixths', label: 'US Chess sixths (thirds on +2, +1, 0)' },
+  { value: 'custom', label: 'Custom' },
+];
+
+/**
+ * One-line description of an acceleration, e.g.
+ * "Baku: 3 rounds, 50% +1, sliding"
+ */
+export function formatAcceleration(acceleration) {
+  if (!acceleration) return '';
+  const scheme = ACCELERATION_SCHEMES.find(s => s.value === acceleration.scheme);
+  const name = scheme ? scheme.label.replace(/ \(.*\)$/, '') : acceleration.scheme;
+  const groups = (acceleration.groups || [])
+    .map(group => `${Math.round(group.fraction * 100)}% +${formatPoints(group.points)}`)
+    .join(', ');
+  const rounds = `${acceleration.rounds} round${acceleration.rounds === 1 ? '' : 's'}`;
+  return `${name}: ${rounds}, ${groups}${acceleration.decay === 'sliding' ? ', sliding' : ''}`;
+}
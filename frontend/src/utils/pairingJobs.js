@@ -0,0 +1,59 @@
+import { API_BASE } from '../config/api.js';
+import { safeJsonParse, handleNetworkError } from './apiHelpers.js';
+
+const POLL_INTERVAL_MS = 1000;
+
+/**
+ * Follow a pairing job until it finishes. Starting a tournament or
+ * completing a round answers with 202 and the job when pairing takes a while.
+ * @param {Function} [onJob] - Called with the job's latest status
+ * @returns {Promise<Object>} The response the start or complete request
+ *   would have given
+ */
+export async function waitForPairing(tournamentId, job, onJob = () => {}) {
+  const url = `${API_BASE}/tournaments/${tournamentId}/pairing-jobs/${job.id}`;
+  let current = job;
+
+  for (;;) {
+    onJob(current);
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+
+    const response = await fetch(url, {
+      credentials: 'include',
+    }).catch((fetchError) => {
+      throw handleNetworkError(fetchError, url);
+    });
+
+    const data = await safeJsonParse(response);
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to check on the pairing');
+    }
+
+    current = data.job;
+    if (current.status === 'completed') return data.response;
+    if (current.status === 'cancelled') throw new Error('Pairing was cancelled');
+    if (current.status === 'failed') throw new Error(current.error || 'Pairing failed');
+  }
+}
+
+/**
+ * Stop a pairing job; nothing from it is stored
+ */
+export async function cancelPairing(tournamentId, jobId) {
+  const url = `${API_BASE}/tournaments/${tournamentId}/pairing-jobs/${jobId}/cancel`;
+  const response = await fetch(url, {
+    method: 'POST',
+    credentials: 'include',
+  }).catch((fetchError) => {
+    throw handleNetworkError(fetchError, url);
+  });
+
+  const data = await safeJsonParse(response);
+
+  if (!response.ok) {
+    throw new Error(data.error || 'Failed to cancel pairing');
+  }
+
+  return data.job;
+}
@@ -0,0 +1,85 @@
+/**
+ * Game results (mirrors backend/utils/results.js)
+ *
+ * Results are written from White's side. The unplayed results (forfeits and
+ * 0-0) score, but give no colour and don't count as a meeting.
+ */
+
+import { DEFAULT_SCORING, formatPoints } from './scoring.js';
+
+export const PLAYED_RESULTS = [
+  { value: '1-0', label: 'White wins (1-0)' },
+  { value: '0-1', label: 'Black wins (0-1)' },
+  { value: '1/2-1/2', label: 'Draw (½-½)' },
+];
+
+export const UNPLAYED_RESULTS = [
+  { value: '+/-', label: 'White wins by forfeit (+/−)' },
+  { value: '-/+', label: 'Black wins by forfeit (−/+)' },
+  { value: '-/-', label: 'Double forfeit (−/−)' },
+  { value: '0-0', label: 'Both lose, unplayed or adjudicated (0-0)' },
+];
+
+const BYE_LABELS = {
+  full: 'BYE',
+  half: 'Requested bye',
+  zero: 'Requested bye',
+};
+
+const BYE_SCORING_KEYS = {
+  full: 'fullBye',
+  half: 'halfBye',
+  zero: 'zeroBye',
+};
+
+const DISPLAY = {
+  '1/2-1/2': '½-½',
+  '+/-': '+/−',
+  '-/+': '−/+',
+  '-/-': '−/−',
+};
+
+const FLIPPED = {
+  '1-0': '0-1',
+  '0-1': '1-0',
+  '+/-': '-/+',
+  '-/+': '+/-',
+};
+
+export function isForfeit(result) {
+  return UNPLAYED_RESULTS.some(r => r.value === result);
+}
+
+/**
+ * Short display form of a result
+ */
+export function formatResult(result) {
+  if (!result) return '-';
+  return DISPLAY[result] || result;
+}
+
+/**
+ * The result from one player's side, e.g. '0-1' becomes '1-0' for Black
+ */
+export function resultForPlayer(result, isWhite) {
+  if (!result || isWhite) return result;
+  return FLIPPED[result] || result;
+}
+
+/**
+ * Label for a bye pairing: the pairing-allocated full point, or a
+ * half- or zero-point bye the player requested, with what it scores
+ */
+export function byeLabel(pairing, scoring = DEFAULT_SCORING) {
+  const byeType = pairing.byeType || 'full';
+  const points = { ...DEFAULT_SCORING, ...scoring }[BYE_SCORING_KEYS[byeType]];
+  return `${BYE_LABELS[byeType]} (${formatPoints(points)} ${points > 0 && points <= 1 ? 'point' : 'points'})`;
+}
+
+/**
+ * Marker for a player who floated up or down to a different score
+ */
+export const FLOAT_MARKERS = {
+  up: { symbol: '↑', title: 'Floated up' },
+  down: { symbol: '↓', title: 'Floated down' },
+};
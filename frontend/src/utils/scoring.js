@@ -0,0 +1,62 @@
+/**
+ * Scoring systems: points per outcome (mirrors backend/utils/results.js)
+ */
+
+export const DEFAULT_SCORING = {
+  win: 1,
+  draw: 0.5,
+  loss: 0,
+  forfeitWin: 1,
+  fullBye: 1,
+  halfBye: 0.5,
+  zeroBye: 0,
+};
+
+export const SCORING_FIELDS = [
+  { key: 'win', label: 'Win' },
+  { key: 'draw', label: 'Draw' },
+  { key: 'loss', label: 'Loss' },
+  { key: 'forfeitWin', label: 'Forfeit win' },
+  { key: 'fullBye', label: 'Pairing bye' },
+  { key: 'halfBye', label: 'Half-point bye' },
+  { key: 'zeroBye', label: 'Zero-point bye' },
+];
+
+export const SCORING_PRESETS = [
+  { value: 'standard', label: 'Standard (1 - ½ - 0)', scoring: DEFAULT_SCORING },
+  {
+    value: 'three_one_zero',
+    label: 'Football (3 - 1 - 0)',
+    scoring: { win: 3, draw: 1, loss: 0, forfeitWin: 3, fullBye: 3, halfBye: 1, zeroBye: 0 },
+  },
+  {
+    value: 'two_one_zero',
+    label: 'Whole points (2 - 1 - 0)',
+    scoring: { win: 2, draw: 1, loss: 0, forfeitWin: 2, fullBye: 2, halfBye: 1, zeroBye: 0 },
+  },
+];
+
+/**
+ * Points for display, with ½ for halves
+ */
+export function formatPoints(points) {
+  if (points === null || points === undefined) return '';
+  const whole = Math.floor(points);
+  const fraction = points - whole;
+  if (fraction === 0.5) return whole === 0 ? '½' : `${whole}½`;
+  return String(points);
+}
+
+/**
+ * Short form of a scoring system, e.g. "3-1-0"
+ */
+export function formatScoring(scoring) {
+  const { win, draw, loss } = { ...DEFAULT_SCORING, ...scoring };
+  return [win, draw, loss].map(formatPoints).join('-');
+}
+
+export function isDefaultScoring(scoring) {
+  return !scoring || Object.keys(DEFAULT_SCORING).every((key) => (
+    scoring[key] === undefined || scoring[key] === DEFAULT_SCORING[key]
+  ));
+}
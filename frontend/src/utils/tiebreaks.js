@@ -0,0 +1,38 @@
+/**
+ * Tiebreak labels and defaults (mirrors backend/utils/tiebreaks.js)
+ */
+
+export const TIEBREAKS = [
+  { value: 'buchholz', label: 'Buchholz', shortLabel: 'BH' },
+  { value: 'buchholz_cut1', label: 'Buchholz Cut-1', shortLabel: 'BH-C1' },
+  { value: 'buchholz_median', label: 'Median Buchholz', shortLabel: 'BH-M' },
+  { value: 'sonneborn_berger', label: 'Sonneborn-Berger', shortLabel: 'SB' },
+  { value: 'progressive', label: 'Progressive (Cumulative)', shortLabel: 'Prog' },
+  { value: 'direct_encounter', label: 'Direct Encounter', shortLabel: 'DE' },
+  { value: 'wins', label: 'Number of Wins', shortLabel: 'Wins' },
+  { value: 'games_with_black', label: 'Games with Black', shortLabel: 'Black' },
+  { value: 'aroc', label: 'Average Rating of Opponents Cut-1', shortLabel: 'AROC' },
+  { value: 'koya', label: 'Koya', shortLabel: 'Koya' },
+];
+
+/**
+ * Default tiebreak order for a tournament type
+ */
+export function defaultTiebreaks(tournamentType) {
+  if (tournamentType === 'round_robin' || tournamentType === 'double_round_robin') {
+    return ['direct_encounter', 'sonneborn_berger', 'wins', 'koya'];
+  }
+  return ['buchholz_cut1', 'buchholz', 'sonneborn_berger', 'direct_encounter'];
+}
+
+export function getTiebreak(value) {
+  return TIEBREAKS.find(t => t.value === value) || { value, label: value, shortLabel: value };
+}
+
+/**
+ * Format a tiebreak value for display (null means it did not apply)
+ */
+export function formatTiebreakValue(value) {
+  if (value === null || value === undefined) return '–';
+  return String(value);
+}